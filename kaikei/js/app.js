@@ -4,8 +4,18 @@
  */
 class App {
     constructor() {
+        this.storageAdapter = null;
         this.dataManager = null;
         this.storeManager = null;
+        this.recurringManager = null;
+        this.budgetManager = null;
+        this.consumptionTaxManager = null;
+        this.supplierManager = null;
+        this.manufacturerManager = null;
+        this.depositManager = null;
+        this.loanManager = null;
+        this.csvImportManager = null;
+        this.journalManager = null;
         this.uiManager = null;
         this.chartManager = null;
         this.globalYear = new Date().getFullYear();
@@ -34,6 +44,7 @@ class App {
             console.log('必要なクラスの存在確認中...');
             const requiredClasses = {
                 'DataManager': typeof DataManager !== 'undefined' ? DataManager : null,
+                'CryptoManager': typeof CryptoManager !== 'undefined' ? CryptoManager : null,
                 'StoreManager': typeof StoreManager !== 'undefined' ? StoreManager : null,
                 'UIManager': typeof UIManager !== 'undefined' ? UIManager : null,
                 'ChartManager': typeof ChartManager !== 'undefined' ? ChartManager : null
@@ -67,13 +78,34 @@ class App {
                 saveStatusManager = null;
             }
             
+            // ストレージ初期化（IndexedDB優先、初回はlocalStorageから移行）
+            console.log('ストレージを初期化中...');
+            if (saveStatusManager) {
+                saveStatusManager.showLoading('ストレージを準備中...');
+            }
+            this.cryptoManager = new CryptoManager();
+            this.cryptoManager.init();
+            window.cryptoManager = this.cryptoManager;
+            
+            // 暗号化されている場合はパスフレーズでロックを解除してから読み込む
+            if (this.cryptoManager.isEnabled()) {
+                if (saveStatusManager) {
+                    saveStatusManager.showLoading('パスフレーズの入力を待っています...');
+                }
+                await this.cryptoManager.showUnlockScreen();
+            }
+            
+            this.storageAdapter = new EncryptedStorageAdapter(await StorageAdapterFactory.create(), this.cryptoManager);
+            window.storageAdapter = this.storageAdapter;
+            console.log(`ストレージ初期化完了: ${this.storageAdapter.type}`);
+            
             // 店舗マネージャー初期化
             console.log('店舗マネージャーを初期化中...');
             if (saveStatusManager) {
                 saveStatusManager.showLoading('店舗データを読み込み中...');
             }
             
-            this.storeManager = new StoreManager();
+            this.storeManager = new StoreManager(this.storageAdapter);
             await this.storeManager.loadStoreData();
             console.log('店舗マネージャー初期化完了');
             
@@ -82,7 +114,7 @@ class App {
             if (saveStatusManager) {
                 saveStatusManager.showLoading('収支データを読み込み中...');
             }
-            this.dataManager = new DataManager();
+            this.dataManager = new DataManager(this.storageAdapter);
             console.log('データマネージャー初期化完了');
             
             // グローバル変数として設定（保存状態管理で使用するため）
@@ -94,13 +126,70 @@ class App {
             const dataLoaded = await this.dataManager.loadData();
             console.log('データ読み込み完了');
             
-            // 既存データの店舗対応移行
-            console.log('データ移行を実行中...');
-            if (saveStatusManager) {
-                saveStatusManager.showLoading('データを最新形式に移行中...');
-            }
-            this.dataManager.migrateDataForStoreSupport();
-            console.log('データ移行完了');
+            // 既存データのスキーマ移行はloadData内で行う（結果は初期化完了時に通知）
+            const schemaMigration = this.dataManager.lastSchemaMigration;
+            
+            // 変更履歴マネージャー初期化（以降のデータ変更を記録）
+            this.auditLogManager = new AuditLogManager(this.dataManager, this.storeManager);
+            await this.auditLogManager.init();
+            window.auditLogManager = this.auditLogManager;
+            
+            // ゴミ箱マネージャー初期化（以降に削除したレコードを保管し、保存期間を過ぎたものを削除）
+            this.trashManager = new TrashManager(this.dataManager, this.storeManager);
+            await this.trashManager.init();
+            window.trashManager = this.trashManager;
+            
+            // 月次締めマネージャー初期化（締め済みの月へのデータ変更を拒否）
+            this.closingManager = new ClosingManager(this.dataManager, this.storeManager);
+            window.closingManager = this.closingManager;
+            document.addEventListener('periodClosingChanged', () => this.updatePeriodLockBadge());
+            // 他のタブで店舗・マスタデータが変更された場合
+            document.addEventListener('storeDataChanged', () => {
+                this.initGlobalStoreSelector();
+                this.updatePeriodLockBadge();
+            });
+            
+            // 定期取引マネージャー初期化（表示月の定期取引を生成）
+            this.recurringManager = new RecurringManager(this.dataManager, this.storeManager);
+            window.recurringManager = this.recurringManager;
+            const generatedRecords = this.recurringManager.materializeForMonth(this.globalYear, this.globalMonth);
+            
+            // 予算マネージャー初期化
+            this.budgetManager = new BudgetManager(this.dataManager, this.storeManager);
+            window.budgetManager = this.budgetManager;
+            
+            // 仕入先マスタ初期化
+            this.supplierManager = new SupplierManager(this.dataManager, this.storeManager);
+            window.supplierManager = this.supplierManager;
+            
+            // メーカーマスタ初期化
+            this.manufacturerManager = new ManufacturerManager(this.dataManager, this.storeManager);
+            window.manufacturerManager = this.manufacturerManager;
+            
+            // メーカー保証金台帳初期化
+            this.depositManager = new DepositManager(this.dataManager, this.storeManager);
+            window.depositManager = this.depositManager;
+            
+            // 借入金マネージャー初期化
+            this.loanManager = new LoanManager(this.dataManager, this.storeManager);
+            window.loanManager = this.loanManager;
+            
+            // 消費税マネージャー初期化
+            this.consumptionTaxManager = new ConsumptionTaxManager(this.dataManager, this.storeManager);
+            window.consumptionTaxManager = this.consumptionTaxManager;
+            
+            // CSVインポートマネージャー初期化
+            this.csvImportManager = new CsvImportManager(this.dataManager, this.storeManager);
+            window.csvImportManager = this.csvImportManager;
+            
+            // 仕訳エクスポートマネージャー初期化
+            this.journalManager = new JournalManager(this.dataManager, this.storeManager);
+            window.journalManager = this.journalManager;
+            
+            // 元に戻す・やり直し管理初期化（起動時の定期取引生成は履歴に含めない）
+            this.undoManager = new UndoManager(this.dataManager);
+            this.undoManager.init();
+            window.undoManager = this.undoManager;
             
             // UIマネージャー初期化
             console.log('UIマネージャーを初期化中...');
@@ -121,6 +210,7 @@ class App {
             if (typeof BackupManager !== 'undefined') {
                 try {
                     this.backupManager = new BackupManager(this.dataManager, this.storeManager);
+                    await this.backupManager.init();
                     window.backupManager = this.backupManager;
                     console.log('✓ BackupManager初期化完了');
                     console.log('BackupManager methods:', Object.getOwnPropertyNames(BackupManager.prototype));
@@ -139,6 +229,11 @@ class App {
             window.chartManager = this.chartManager;
             window.app = this;
             
+            // タブ間同期初期化（他のタブでの変更を反映）
+            this.tabSyncManager = new TabSyncManager(this.dataManager);
+            this.tabSyncManager.init();
+            window.tabSyncManager = this.tabSyncManager;
+            
             // パフォーマンス監視開始（開発環境のみ）
             if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
                 this.uiManager.performanceMonitor.startMonitoring();
@@ -186,6 +281,8 @@ class App {
                     3000,
                     '初期化完了'
                 );
+                this.notifyGeneratedRecurringRecords(generatedRecords);
+                this.notifySchemaMigration(schemaMigration);
             }
             
             console.log('アプリケーションの初期化が完了しました');
@@ -402,6 +499,22 @@ class App {
             }
             monthSelect.appendChild(option);
         }
+        
+        this.updatePeriodLockBadge();
+    }
+
+    /**
+     * 表示中の店舗・年月が締め済みの場合に鍵アイコンを表示
+     */
+    updatePeriodLockBadge() {
+        const badge = document.getElementById('global-period-lock');
+        if (!badge || !this.closingManager) return;
+        
+        const closing = this.closingManager.getClosing(this.storeManager.getActiveStoreId(), this.globalYear, this.globalMonth);
+        badge.style.display = closing ? 'inline-flex' : 'none';
+        badge.title = closing
+            ? `${this.globalYear}年${this.globalMonth}月は締め済みです（${new Date(closing.closedAt).toLocaleString('ja-JP')}）。クリックで月次締めを表示`
+            : '';
     }
 
     /**
@@ -424,10 +537,58 @@ class App {
             return;
         }
         
+        // 表示月の定期取引を生成
+        if (this.recurringManager) {
+            const generatedRecords = this.recurringManager.materializeForMonth(this.globalYear, this.globalMonth);
+            this.notifyGeneratedRecurringRecords(generatedRecords);
+        }
+        
+        this.updatePeriodLockBadge();
+        
         // 現在のセクションを再表示して日付フィルターを適用
         this.refreshCurrentSection();
     }
 
+    /**
+     * データ形式の移行結果を通知（移行に失敗した場合は移行前のデータのまま起動している）
+     */
+    notifySchemaMigration(migration) {
+        if (!migration || !window.toastManager) {
+            return;
+        }
+        if (migration.success) {
+            window.toastManager.show(
+                `保存データを最新の形式（バージョン${migration.toVersion}）に移行しました`,
+                'info',
+                4000,
+                'データ移行'
+            );
+            return;
+        }
+        window.toastManager.show(
+            `保存データの形式の移行に失敗したため、移行前のデータで起動しました: ${migration.error}`,
+            'error',
+            10000,
+            'データ移行'
+        );
+    }
+
+    /**
+     * 定期取引の自動生成を通知
+     */
+    notifyGeneratedRecurringRecords(generatedRecords) {
+        if (!generatedRecords || generatedRecords.length === 0 || !window.toastManager) {
+            return;
+        }
+        window.toastManager.show(
+            `${this.globalYear}年${this.globalMonth}月の定期取引を${generatedRecords.length}件自動登録しました`,
+            'info',
+            4000,
+            '定期取引',
+            window.undoManager ? window.undoManager.takeToastAction() : null
+        );
+    }
+
     /**
      * グローバル店舗選択の初期化
      */
@@ -483,6 +644,7 @@ class App {
         try {
             // 店舗切り替え実行
             this.storeManager.setActiveStore(newStoreId);
+            this.updatePeriodLockBadge();
             
             // 非同期で画面更新
             setTimeout(() => {
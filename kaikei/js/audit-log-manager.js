@@ -0,0 +1,529 @@
+/**
+ * 変更履歴（監査ログ）管理クラス
+ * DataManagerのdataChangedイベントからレコード単位・項目単位の変更前後の値を追記専用で記録する
+ */
+class AuditLogManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.storageKey = 'auditLog';
+        this.indexKey = 'auditLogIndex';
+        this.legacyMoveHistoryKey = 'kaikei-data-move-history';
+        // 履歴は件数の上限なく残し、一定件数ごとに区切って保存する（追記時は最後の区切りだけを書き込む）
+        this.chunkSize = 500;
+        this.loadedChunkCount = 0;
+        this.entries = [];
+        // まだ保存していない履歴
+        this.pendingEntries = [];
+        this.saveTimer = null;
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+        this.handlePeriodClosingChanged = this.handlePeriodClosingChanged.bind(this);
+    }
+
+    /**
+     * 保存済みの履歴を読み込み、変更の記録を開始
+     */
+    async init() {
+        await this.load();
+        await this.migrateMoveHistory();
+        document.addEventListener('dataChanged', this.handleDataChanged);
+        document.addEventListener('periodClosingChanged', this.handlePeriodClosingChanged);
+    }
+
+    /**
+     * 保存済みの履歴の読み込み
+     * 他のタブで保存された場合は、読み込み済みの区切りの最後から読み込み、このタブの履歴と合わせる（追記専用のためIDで重複を除く）
+     */
+    async load() {
+        try {
+            await this.convertLegacyLog();
+            const storage = this.dataManager.storage;
+            const chunkCount = await this.getChunkCount();
+            const saved = [];
+            for (let i = Math.max(this.loadedChunkCount - 1, 0); i < chunkCount; i++) {
+                const chunk = await storage.getItem(this.getChunkKey(i));
+                if (Array.isArray(chunk)) {
+                    saved.push(...chunk);
+                }
+            }
+            this.loadedChunkCount = chunkCount;
+            this.entries = this.mergeEntries(saved);
+        } catch (error) {
+            console.error('変更履歴の読み込みエラー:', error);
+        }
+    }
+
+    getChunkKey(index) {
+        return `${this.storageKey}-${index}`;
+    }
+
+    async getChunkCount() {
+        const index = await this.dataManager.storage.getItem(this.indexKey);
+        return index && Number.isInteger(index.chunkCount) ? index.chunkCount : 0;
+    }
+
+    /**
+     * 以前の形式（全件を1つにまとめて保存）の履歴を区切りに分けて保存し直す
+     */
+    async convertLegacyLog() {
+        const storage = this.dataManager.storage;
+        const legacy = await storage.getItem(this.storageKey);
+        if (!Array.isArray(legacy)) {
+            return;
+        }
+        await this.appendToStorage(legacy);
+        await storage.removeItem(this.storageKey);
+    }
+
+    /**
+     * 履歴の追記保存（最後の区切りに追加し、区切りの件数を超えたら次の区切りを作る）
+     */
+    async appendToStorage(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const storage = this.dataManager.storage;
+        const chunkCount = await this.getChunkCount();
+        let index = Math.max(chunkCount - 1, 0);
+        let chunk = chunkCount > 0 ? (await storage.getItem(this.getChunkKey(index))) || [] : [];
+        const savedIds = new Set(chunk.map(entry => entry.id));
+
+        for (const entry of entries) {
+            if (savedIds.has(entry.id)) {
+                continue;
+            }
+            if (chunk.length >= this.chunkSize) {
+                await storage.setItem(this.getChunkKey(index), chunk);
+                index++;
+                chunk = [];
+            }
+            chunk.push(entry);
+        }
+
+        await storage.setItem(this.getChunkKey(index), chunk);
+        await storage.setItem(this.indexKey, { chunkCount: index + 1 });
+    }
+
+    mergeEntries(saved) {
+        const ids = new Set(saved.map(entry => entry.id));
+        return [...saved, ...this.entries.filter(entry => !ids.has(entry.id))]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * 操作の種類
+     */
+    getActions() {
+        return {
+            add: '追加',
+            update: '変更',
+            delete: '削除',
+            move: '店舗移動',
+            restore: 'ゴミ箱から復元',
+            close: '月次締め',
+            reopen: '締め解除',
+            replace: '全データ置換'
+        };
+    }
+
+    /**
+     * 変更元
+     */
+    getSources() {
+        return {
+            form: '画面入力',
+            batch: '一括処理',
+            import: 'インポート',
+            restore: '復元',
+            recurring: '定期取引',
+            trash: 'ゴミ箱',
+            undo: '元に戻す',
+            redo: 'やり直し',
+            sync: '別のタブ'
+        };
+    }
+
+    /**
+     * 項目名（CSVエクスポートの列名にレコード管理用の項目を加えたもの）
+     */
+    getFieldLabels() {
+        return {
+            ...CsvExporter.getColumnLabels(),
+            storeId: '店舗',
+            templateId: '定期取引',
+            taxRate: '税率',
+            taxIncluded: '税込区分',
+            supplierId: '仕入先',
+            transactionType: '取引の種類',
+            loanId: '借入金',
+            principal: 'うち元金',
+            interest: 'うち利息',
+            importedAt: '取込日時'
+        };
+    }
+
+    /**
+     * dataChangedイベントの記録
+     * 一括操作のまとめイベントは個々のイベントで記録済みのため記録しない
+     */
+    handleDataChanged(event) {
+        const detail = event.detail || {};
+        const timestamp = new Date().toISOString();
+
+        // 別のタブでの変更は、そのタブの履歴に記録される
+        if (detail.action === 'batch' || detail.isRemote) {
+            return;
+        }
+
+        if (detail.action === 'replace') {
+            this.append([{
+                id: UUIDGenerator.generate(),
+                timestamp,
+                action: 'replace',
+                source: detail.source || 'restore',
+                category: null,
+                recordId: null,
+                storeId: null,
+                previousStoreId: null,
+                year: null,
+                month: null,
+                day: null,
+                fields: [],
+                note: `読み込み後のレコード数: ${detail.recordCount || 0}件`
+            }]);
+            return;
+        }
+
+        if (!Array.isArray(detail.changes) || detail.changes.length === 0) {
+            return;
+        }
+
+        const entries = detail.changes
+            .map(change => this.buildEntry(change, detail, timestamp))
+            .filter(entry => entry !== null);
+        this.append(entries);
+    }
+
+    /**
+     * 月次締め・締め解除の記録（締め解除の理由は備考に残す）
+     */
+    handlePeriodClosingChanged(event) {
+        const detail = event.detail || {};
+        this.append([{
+            id: UUIDGenerator.generate(),
+            timestamp: detail.timestamp || new Date().toISOString(),
+            action: detail.action,
+            source: 'form',
+            category: null,
+            recordId: null,
+            storeId: detail.storeId,
+            previousStoreId: null,
+            year: detail.year,
+            month: detail.month,
+            day: null,
+            fields: [],
+            note: detail.reason || ''
+        }]);
+    }
+
+    /**
+     * 変更前後のレコードから履歴1件を作成（値が変わっていない場合はnull）
+     */
+    buildEntry(change, detail, timestamp) {
+        const { before, after } = change;
+        const record = after || before;
+        if (!record) {
+            return null;
+        }
+
+        const fields = this.diffFields(before, after);
+        if (fields.length === 0) {
+            return null;
+        }
+
+        let action = 'update';
+        if (!before) {
+            action = detail.action === 'restore' ? 'restore' : 'add';
+        } else if (!after) {
+            action = 'delete';
+        } else if (fields.every(field => field.field === 'storeId')) {
+            action = 'move';
+        }
+
+        return {
+            id: UUIDGenerator.generate(),
+            timestamp,
+            action,
+            source: detail.source || 'form',
+            category: change.category,
+            recordId: record.id,
+            storeId: record.storeId || null,
+            previousStoreId: before && after && before.storeId !== after.storeId ? before.storeId : null,
+            year: record.year,
+            month: record.month,
+            day: record.day || null,
+            fields,
+            note: detail.note || ''
+        };
+    }
+
+    /**
+     * 項目ごとの変更前後の値（ID・作成日時・更新日時は除く）
+     */
+    diffFields(before, after) {
+        const ignored = ['id', 'createdAt', 'updatedAt'];
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const fields = [];
+
+        keys.forEach(key => {
+            if (ignored.includes(key)) return;
+            const beforeValue = before && before[key] !== undefined ? before[key] : null;
+            const afterValue = after && after[key] !== undefined ? after[key] : null;
+            if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+                fields.push({ field: key, before: beforeValue, after: afterValue });
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * 履歴の追記
+     */
+    append(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        this.entries.push(...entries);
+        this.pendingEntries.push(...entries);
+        this.scheduleSave();
+    }
+
+    /**
+     * 保存（同じ処理の中で続いた変更はまとめて1回で書き込む）
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(async () => {
+            this.saveTimer = null;
+            const entries = this.pendingEntries;
+            this.pendingEntries = [];
+            try {
+                await this.appendToStorage(entries);
+                this.dataManager.notifyItemSaved(this.storageKey);
+            } catch (error) {
+                // 保存できなかった履歴は次の保存で書き込む
+                this.pendingEntries = [...entries, ...this.pendingEntries];
+                console.error('変更履歴の保存エラー:', error);
+            }
+        }, 0);
+    }
+
+    /**
+     * 条件に合う履歴（新しい順）
+     * filters: { storeId, category, action, source, startYear, startMonth, endYear, endMonth }
+     * 店舗は移動元・移動先のどちらかが一致すれば対象とし、期間は対象レコードの年月で判定する
+     */
+    getEntries(filters = {}) {
+        const start = filters.startYear && filters.startMonth ? filters.startYear * 100 + filters.startMonth : null;
+        const end = filters.endYear && filters.endMonth ? filters.endYear * 100 + filters.endMonth : null;
+
+        return this.entries.filter(entry => {
+            if (filters.storeId && entry.storeId !== filters.storeId && entry.previousStoreId !== filters.storeId) {
+                return false;
+            }
+            if (filters.category && entry.category !== filters.category) {
+                return false;
+            }
+            if (filters.action && entry.action !== filters.action) {
+                return false;
+            }
+            if (filters.source && entry.source !== filters.source) {
+                return false;
+            }
+            if (start !== null || end !== null) {
+                if (!entry.year || !entry.month) {
+                    return false;
+                }
+                const period = entry.year * 100 + entry.month;
+                if ((start !== null && period < start) || (end !== null && period > end)) {
+                    return false;
+                }
+            }
+            return true;
+        }).reverse();
+    }
+
+    /**
+     * 表示用の値（店舗IDは店舗名、金額は桁区切り）
+     */
+    formatValue(field, value) {
+        if (value === null || value === undefined || value === '') {
+            return '（なし）';
+        }
+        if (field === 'storeId') {
+            return this.getStoreName(value);
+        }
+        if ((field === 'amount' || field === 'principal' || field === 'interest') && typeof value === 'number') {
+            return value.toLocaleString('ja-JP');
+        }
+        if (field === 'taxRate') {
+            return DataModels.getTaxRates()[value] || String(value);
+        }
+        if (field === 'taxIncluded') {
+            return value ? '税込' : '税抜';
+        }
+        if (field === 'transactionType') {
+            return DataModels.getDepositTransactionTypes()[value] || String(value);
+        }
+        if (field === 'supplierId' && window.supplierManager) {
+            return window.supplierManager.getDisplayName(value);
+        }
+        if (field === 'loanId' && window.loanManager) {
+            try {
+                return window.loanManager.getLoanLabel(window.loanManager.getLoanById(value));
+            } catch (error) {
+                return String(value);
+            }
+        }
+        return String(value);
+    }
+
+    getStoreName(storeId) {
+        if (!storeId) {
+            return '';
+        }
+        try {
+            return this.storeManager.getStoreById(storeId).name;
+        } catch (error) {
+            // 削除済みの店舗はIDのまま表示する
+            return storeId;
+        }
+    }
+
+    /**
+     * 対象レコードの年月日の表示
+     */
+    formatPeriod(entry) {
+        if (!entry.year || !entry.month) {
+            return '';
+        }
+        return entry.day ? `${entry.year}/${entry.month}/${entry.day}` : `${entry.year}/${entry.month}`;
+    }
+
+    /**
+     * 履歴のCSV（変更された項目ごとに1行）
+     */
+    toCSV(entries) {
+        const actions = this.getActions();
+        const sources = this.getSources();
+        const fieldLabels = this.getFieldLabels();
+        const categoryLabels = DataModels.getCategoryLabels();
+        const rows = [['日時', '操作', '変更元', '店舗', 'カテゴリー', '対象年月日', 'レコードID', '項目', '変更前', '変更後', '備考']];
+
+        entries.forEach(entry => {
+            const common = [
+                entry.timestamp,
+                actions[entry.action] || entry.action,
+                sources[entry.source] || entry.source,
+                this.getStoreName(entry.storeId),
+                entry.category ? (categoryLabels[entry.category] || entry.category) : '',
+                this.formatPeriod(entry),
+                entry.recordId || ''
+            ];
+            const fields = entry.fields.length > 0 ? entry.fields : [null];
+            const cellValue = (field, value) => {
+                if (value === null) return '';
+                return field.field === 'storeId' ? this.getStoreName(value) : value;
+            };
+            fields.forEach(field => {
+                rows.push([
+                    ...common,
+                    field ? (fieldLabels[field.field] || field.field) : '',
+                    field ? cellValue(field, field.before) : '',
+                    field ? cellValue(field, field.after) : '',
+                    entry.note || ''
+                ]);
+            });
+        });
+
+        return CsvExporter.toCSV(rows);
+    }
+
+    /**
+     * 履歴のCSVエクスポート（ファイル生成とダウンロード）
+     */
+    exportToCSV(filters = {}) {
+        try {
+            const entries = this.getEntries(filters);
+            if (entries.length === 0) {
+                return { success: false, error: '条件に合う変更履歴がありません' };
+            }
+
+            const encoded = CsvExporter.encode(this.toCSV(entries), 'utf8bom');
+            const filename = `kaikei-audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+            CsvExporter.download(encoded.bytes, filename, 'text/csv;charset=utf-8;');
+
+            return { success: true, filename, entryCount: entries.length };
+        } catch (error) {
+            console.error('変更履歴エクスポートエラー:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 旧データ移動履歴（localStorage）の取り込み
+     * 移動したレコードごとの店舗移動として記録し、保存できた場合のみ旧履歴を削除する
+     */
+    async migrateMoveHistory() {
+        let history;
+        try {
+            history = JSON.parse(localStorage.getItem(this.legacyMoveHistoryKey) || 'null');
+        } catch (error) {
+            console.warn('旧データ移動履歴を読み込めません:', error);
+            return 0;
+        }
+        if (!Array.isArray(history) || history.length === 0) {
+            return 0;
+        }
+
+        const migrated = [];
+        history.forEach(item => {
+            (item.recordIds || []).forEach(recordId => {
+                const record = (this.dataManager.data[item.category] || []).find(record => record.id === recordId);
+                migrated.push({
+                    id: UUIDGenerator.generate(),
+                    timestamp: item.timestamp,
+                    action: 'move',
+                    source: 'form',
+                    category: item.category,
+                    recordId,
+                    storeId: item.toStoreId,
+                    previousStoreId: item.fromStoreId || null,
+                    year: record ? record.year : null,
+                    month: record ? record.month : null,
+                    day: record && record.day ? record.day : null,
+                    fields: [{ field: 'storeId', before: item.fromStoreId || null, after: item.toStoreId }],
+                    note: item.reason || ''
+                });
+            });
+        });
+
+        this.entries = [...migrated, ...this.entries]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        try {
+            await this.appendToStorage(migrated);
+            localStorage.removeItem(this.legacyMoveHistoryKey);
+        } catch (error) {
+            console.error('旧データ移動履歴の取り込みエラー:', error);
+        }
+        return migrated.length;
+    }
+}
+
+window.AuditLogManager = AuditLogManager;
@@ -6,17 +6,97 @@ class BackupManager {
     constructor(dataManager, storeManager) {
         this.dataManager = dataManager;
         this.storeManager = storeManager;
+        // 以前のバージョンでlocalStorageに直接保存していたバックアップのキー
         this.backupPrefix = 'kaikei-backup-';
+        // ストレージアダプターに保存するバックアップの項目名と一覧
+        this.itemPrefix = 'backup-';
+        this.indexKey = 'backupIndex';
         this.maxBackups = 10; // 最大バックアップ数
     }
 
+    get storage() {
+        return this.dataManager.storage;
+    }
+
     /**
-     * 全データをエクスポート
+     * localStorageに残っている以前のバックアップをストレージアダプターへ移す
      */
-    exportAllData() {
+    async init() {
+        const index = await this.loadIndex();
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.backupPrefix) && !index.some(entry => entry.key === this.toItemKey(key))) {
+                legacyKeys.push(key);
+            }
+        }
+        if (legacyKeys.length === 0) {
+            return 0;
+        }
+
+        let moved = 0;
+        for (const legacyKey of legacyKeys) {
+            const key = this.toItemKey(legacyKey);
+            try {
+                const storedData = JSON.parse(localStorage.getItem(legacyKey));
+                // localStorage保存の場合は同じキーになるため、一覧に加えるだけでよい
+                if (!(await this.storage.getItem(key))) {
+                    await this.storage.setItem(key, storedData);
+                    localStorage.removeItem(legacyKey);
+                }
+                index.push(this.createIndexEntry(key, storedData, !!storedData.encrypted));
+                moved++;
+            } catch (error) {
+                console.warn('以前のバックアップを移行できませんでした:', legacyKey, error);
+            }
+        }
+        await this.saveIndex(index);
+        await this.cleanupOldBackups();
+        console.log(`✓ 以前のバックアップ${moved}件をストレージへ移行しました`);
+        return moved;
+    }
+
+    toItemKey(legacyKey) {
+        return this.itemPrefix + legacyKey.slice(this.backupPrefix.length);
+    }
+
+    /**
+     * バックアップ一覧（作成日時・種類・件数）の読み込みと保存
+     * 一覧は他のタブでも更新されるため、毎回ストレージから読み込む
+     */
+    async loadIndex() {
+        const index = await this.storage.getItem(this.indexKey);
+        return Array.isArray(index) ? index : [];
+    }
+
+    async saveIndex(index) {
+        await this.storage.setItem(this.indexKey, index);
+        this.dataManager.notifyItemSaved(this.indexKey);
+    }
+
+    createIndexEntry(key, backupData, encrypted) {
+        return {
+            key,
+            date: backupData.backupDate,
+            reason: backupData.reason || 'manual',
+            version: backupData.version || 'unknown',
+            recordCount: backupData.encrypted ? backupData.recordCount : this.countTotalRecords(backupData.data),
+            encrypted
+        };
+    }
+
+    isEncrypting() {
+        return !!(window.cryptoManager && window.cryptoManager.isEnabled());
+    }
+
+    /**
+     * 全データをエクスポート（暗号化が有効な場合はファイルも暗号化）
+     */
+    async exportAllData() {
         try {
             const exportData = {
                 version: window.versionManager ? window.versionManager.getFullVersion() : '1.0.0',
+                schemaVersion: SchemaMigrator.CURRENT_VERSION,
                 exportDate: new Date().toISOString(),
                 data: {
                     // 会計データ
@@ -31,14 +111,28 @@ class BackupManager {
                 },
                 stores: this.storeManager.getStores(),
                 settings: {
-                    activeStoreId: this.storeManager.getActiveStoreId()
+                    activeStoreId: this.storeManager.getActiveStoreId(),
+                    expenseCategories: this.storeManager.exportStoreData().expenseCategories,
+                    recurringTemplates: this.storeManager.getMasterData('recurringTemplates', []),
+                    budgets: this.storeManager.getMasterData('budgets', []),
+                    fiscalSettings: this.storeManager.getMasterData('fiscalSettings', null),
+                    openingBalances: this.storeManager.getMasterData('openingBalances', {}),
+                    csvImportProfiles: this.storeManager.getMasterData('csvImportProfiles', []),
+                    journalAccountRules: this.storeManager.getMasterData('journalAccountRules', []),
+                    suppliers: this.storeManager.getMasterData('suppliers', []),
+                    manufacturers: this.storeManager.getMasterData('manufacturers', []),
+                    loans: this.storeManager.getMasterData('loans', []),
+                    trashSettings: this.storeManager.getMasterData('trashSettings', null),
+                    monthlyClosings: this.storeManager.getMasterData('monthlyClosings', []),
+                    monthlyClosingHistory: this.storeManager.getMasterData('monthlyClosingHistory', [])
                 }
             };
 
             // データ統計を追加
             exportData.statistics = this.generateDataStatistics(exportData.data);
 
-            const jsonString = JSON.stringify(exportData, null, 2);
+            const fileData = window.cryptoManager ? await window.cryptoManager.protectExport(exportData) : exportData;
+            const jsonString = JSON.stringify(fileData, null, 2);
             const blob = new Blob([jsonString], { type: 'application/json' });
             
             // ファイル名生成（日時付き）
@@ -50,7 +144,7 @@ class BackupManager {
             this.downloadBlob(blob, filename);
             
             console.log('✓ データエクスポート完了:', filename);
-            return { success: true, filename, recordCount: this.countTotalRecords(exportData.data) };
+            return { success: true, filename, recordCount: this.countTotalRecords(exportData.data), encrypted: fileData !== exportData };
             
         } catch (error) {
             console.error('データエクスポートエラー:', error);
@@ -61,10 +155,18 @@ class BackupManager {
     /**
      * データをインポート
      */
-    async importData(file) {
+    async importData(file, passphrase = null) {
         try {
             const jsonText = await this.readFileAsText(file);
-            const importData = JSON.parse(jsonText);
+            let importData = JSON.parse(jsonText);
+            
+            // 暗号化されたファイルの復号（このパソコンの現在のパスフレーズで作成したファイル以外はパスフレーズが必要）
+            if (window.cryptoManager && window.cryptoManager.isEncryptedFile(importData)) {
+                if (!passphrase && !window.cryptoManager.canDecryptFile(importData)) {
+                    return { success: false, needsPassphrase: true, error: '暗号化されたファイルです。パスフレーズを入力してください' };
+                }
+                importData = await window.cryptoManager.decryptFile(importData, passphrase);
+            }
             
             // データ形式の検証
             const validation = this.validateImportData(importData);
@@ -75,8 +177,9 @@ class BackupManager {
             // 現在のデータをバックアップ
             await this.createAutoBackup('import-before');
             
-            // データのインポート実行
-            const result = await this.performDataImport(importData);
+            // データのインポート実行（古いスキーマのファイルは変換後のデータを使用）
+            const result = await this.performDataImport(validation.upgradedData);
+            result.schemaVersion = validation.schemaVersion;
             
             console.log('✓ データインポート完了');
             return result;
@@ -94,6 +197,7 @@ class BackupManager {
         try {
             const backupData = {
                 version: window.versionManager ? window.versionManager.getFullVersion() : '1.0.0',
+                schemaVersion: SchemaMigrator.CURRENT_VERSION,
                 backupDate: new Date().toISOString(),
                 reason: reason,
                 data: {
@@ -108,16 +212,32 @@ class BackupManager {
                 },
                 stores: this.storeManager.getStores(),
                 settings: {
-                    activeStoreId: this.storeManager.getActiveStoreId()
+                    activeStoreId: this.storeManager.getActiveStoreId(),
+                    expenseCategories: this.storeManager.exportStoreData().expenseCategories,
+                    recurringTemplates: this.storeManager.getMasterData('recurringTemplates', []),
+                    budgets: this.storeManager.getMasterData('budgets', []),
+                    fiscalSettings: this.storeManager.getMasterData('fiscalSettings', null),
+                    openingBalances: this.storeManager.getMasterData('openingBalances', {}),
+                    csvImportProfiles: this.storeManager.getMasterData('csvImportProfiles', []),
+                    journalAccountRules: this.storeManager.getMasterData('journalAccountRules', []),
+                    suppliers: this.storeManager.getMasterData('suppliers', []),
+                    manufacturers: this.storeManager.getMasterData('manufacturers', []),
+                    loans: this.storeManager.getMasterData('loans', []),
+                    trashSettings: this.storeManager.getMasterData('trashSettings', null),
+                    monthlyClosings: this.storeManager.getMasterData('monthlyClosings', []),
+                    monthlyClosingHistory: this.storeManager.getMasterData('monthlyClosingHistory', [])
                 }
             };
 
-            // バックアップをローカルストレージに保存
-            const backupKey = this.backupPrefix + Date.now();
-            localStorage.setItem(backupKey, JSON.stringify(backupData));
+            // バックアップをストレージに保存（暗号化が有効な場合はストレージアダプターが暗号化する）
+            const backupKey = this.itemPrefix + Date.now();
+            await this.storage.setItem(backupKey, backupData);
+            const index = await this.loadIndex();
+            index.push(this.createIndexEntry(backupKey, backupData, this.isEncrypting()));
+            await this.saveIndex(index);
             
             // 古いバックアップを削除
-            this.cleanupOldBackups();
+            await this.cleanupOldBackups();
             
             console.log('✓ 自動バックアップ作成完了:', backupKey);
             return { success: true, backupKey };
@@ -129,44 +249,49 @@ class BackupManager {
     }
 
     /**
-     * バックアップ一覧取得
+     * 以前のバージョンで作成した、暗号化した本体と平文の一覧情報をまとめたバックアップの復号
      */
-    getBackupList() {
-        console.log('getBackupList called');
-        console.log('localStorage length:', localStorage.length);
-        console.log('backupPrefix:', this.backupPrefix);
-        
+    async unpackBackup(storedData) {
+        if (storedData && storedData.encrypted) {
+            return await window.cryptoManager.decrypt(storedData.encrypted);
+        }
+        return storedData;
+    }
+
+    async readBackup(backupKey) {
+        const storedData = await this.storage.getItem(backupKey);
+        return storedData ? await this.unpackBackup(storedData) : null;
+    }
+
+    /**
+     * ブラウザ内のバックアップをすべて復号して読み込む（暗号化の切り替え用）
+     */
+    async readInternalBackups() {
         const backups = [];
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            console.log('Checking key:', key);
-            
-            if (key && key.startsWith(this.backupPrefix)) {
-                console.log('Found backup key:', key);
-                try {
-                    const backupData = JSON.parse(localStorage.getItem(key));
-                    console.log('Backup data:', backupData);
-                    
-                    backups.push({
-                        key: key,
-                        date: backupData.backupDate,
-                        reason: backupData.reason || 'manual',
-                        version: backupData.version || 'unknown',
-                        recordCount: this.countTotalRecords(backupData.data)
-                    });
-                } catch (error) {
-                    console.warn('無効なバックアップデータ:', key, error);
-                }
-            }
+        for (const backup of await this.getBackupList()) {
+            backups.push({ key: backup.key, data: await this.readBackup(backup.key) });
         }
-        
-        console.log('Found backups:', backups);
-        
-        // 日付順でソート（新しい順）
+        return backups;
+    }
+
+    /**
+     * readInternalBackupsで読み込んだバックアップを現在の鍵で保存し直す
+     */
+    async writeInternalBackups(backups) {
+        const encrypted = this.isEncrypting();
+        for (const backup of backups) {
+            await this.storage.setItem(backup.key, backup.data);
+        }
+        const index = await this.loadIndex();
+        await this.saveIndex(index.map(entry => backups.some(backup => backup.key === entry.key) ? { ...entry, encrypted } : entry));
+    }
+
+    /**
+     * バックアップ一覧取得（新しい順）
+     */
+    async getBackupList() {
+        const backups = await this.loadIndex();
         backups.sort((a, b) => new Date(b.date) - new Date(a.date));
-        
-        console.log('Sorted backups:', backups);
         return backups;
     }
 
@@ -184,12 +309,7 @@ class BackupManager {
         }
         
         console.log('=== Backup items only ===');
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(this.backupPrefix)) {
-                console.log(`Backup: ${key}`);
-            }
-        }
+        this.getBackupList().then(backups => backups.forEach(backup => console.log(`Backup: ${backup.key}`)));
     }
 
     /**
@@ -197,18 +317,21 @@ class BackupManager {
      */
     async restoreFromBackup(backupKey) {
         try {
-            const backupData = localStorage.getItem(backupKey);
-            if (!backupData) {
+            const parsedData = await this.readBackup(backupKey);
+            if (!parsedData) {
                 throw new Error('バックアップデータが見つかりません');
             }
             
-            const parsedData = JSON.parse(backupData);
+            const validation = this.validateImportData(parsedData);
+            if (!validation.valid) {
+                throw new Error(`無効なバックアップ: ${validation.errors.join(', ')}`);
+            }
             
             // 現在のデータをバックアップ
             await this.createAutoBackup('restore-before');
             
             // データの復元実行
-            const result = await this.performDataImport(parsedData);
+            const result = await this.performDataImport(validation.upgradedData);
             
             console.log('✓ バックアップから復元完了');
             return result;
@@ -248,43 +371,124 @@ class BackupManager {
             // データの場所を特定（新形式と旧形式の両方に対応）
             let dataSource = importData.data || importData;
             
-            for (const category of categories) {
-                if (dataSource[category] && Array.isArray(dataSource[category])) {
-                    console.log(`${category}カテゴリーのインポート開始: ${dataSource[category].length}件`);
-                    
-                    // 既存データを取得
-                    const existingRecords = this.dataManager.getDataByCategory(category);
-                    let skippedCount = 0;
-                    let updatedCount = 0;
-                    
-                    for (const record of dataSource[category]) {
-                        try {
-                            // 重複チェック（ID、年月、金額、店舗IDで判定）
-                            const isDuplicate = existingRecords.some(existing => 
-                                existing.id === record.id || 
-                                (existing.year === record.year && 
-                                 existing.month === record.month && 
-                                 existing.amount === record.amount && 
-                                 existing.storeId === record.storeId)
-                            );
-                            
-                            if (isDuplicate) {
-                                console.log(`重複データをスキップ: ${category} - ${record.year}年${record.month}月 ${record.amount}円`);
-                                skippedCount++;
-                            } else {
-                                await this.dataManager.addRecord(category, record);
-                                importedRecords++;
+            // 取り込んだレコード全体を1回の操作として元に戻せるようにする
+            this.dataManager.beginBatch('バックアップからのデータ取り込み', { source: 'restore' });
+            try {
+                for (const category of categories) {
+                    if (dataSource[category] && Array.isArray(dataSource[category])) {
+                        console.log(`${category}カテゴリーのインポート開始: ${dataSource[category].length}件`);
+                        
+                        // 既存データを取得
+                        const existingRecords = this.dataManager.getDataByCategory(category);
+                        let skippedCount = 0;
+                        let updatedCount = 0;
+                        
+                        for (const record of dataSource[category]) {
+                            try {
+                                // 重複チェック（ID、年月、金額、店舗IDで判定）
+                                const isDuplicate = existingRecords.some(existing => 
+                                    existing.id === record.id || 
+                                    (existing.year === record.year && 
+                                     existing.month === record.month && 
+                                     existing.amount === record.amount && 
+                                     existing.storeId === record.storeId)
+                                );
+                                
+                                if (isDuplicate) {
+                                    console.log(`重複データをスキップ: ${category} - ${record.year}年${record.month}月 ${record.amount}円`);
+                                    skippedCount++;
+                                } else {
+                                    await this.dataManager.addRecord(category, record);
+                                    importedRecords++;
+                                }
+                            } catch (error) {
+                                console.error(`${category}レコードインポートエラー:`, error);
+                                errors.push(`${category} レコード: ${error.message}`);
                             }
-                        } catch (error) {
-                            console.error(`${category}レコードインポートエラー:`, error);
-                            errors.push(`${category} レコード: ${error.message}`);
                         }
+                        
+                        console.log(`${category}カテゴリーのインポート完了 - 追加: ${dataSource[category].length - skippedCount}件, スキップ: ${skippedCount}件`);
+                    }
+                }
+            } finally {
+                this.dataManager.endBatch();
+            }
+            
+            // 経費カテゴリーマスタの復元
+            if (importData.settings && importData.settings.expenseCategories) {
+                this.storeManager.mergeExpenseCategories(importData.settings.expenseCategories);
+            }
+            
+            // 定期取引テンプレートの復元
+            if (importData.settings && importData.settings.recurringTemplates && window.recurringManager) {
+                window.recurringManager.mergeTemplates(importData.settings.recurringTemplates);
+            }
+            
+            // 予算の復元
+            if (importData.settings && importData.settings.budgets && window.budgetManager) {
+                window.budgetManager.mergeBudgets(importData.settings.budgets);
+            }
+            
+            // 会計年度設定の復元
+            if (importData.settings && importData.settings.fiscalSettings && importData.settings.fiscalSettings.startMonth) {
+                try {
+                    this.storeManager.setFiscalStartMonth(importData.settings.fiscalSettings.startMonth);
+                } catch (error) {
+                    console.warn('会計年度設定の復元に失敗:', error);
+                }
+            }
+            
+            // 期首現金残高の復元（未設定の店舗のみ）
+            if (importData.settings && importData.settings.openingBalances) {
+                Object.entries(importData.settings.openingBalances).forEach(([storeId, opening]) => {
+                    if (this.storeManager.getOpeningBalance(storeId) || !opening) return;
+                    try {
+                        this.storeManager.setOpeningBalance(storeId, opening.amount, opening.year, opening.month);
+                    } catch (error) {
+                        console.warn('期首残高の復元に失敗:', storeId, error);
                     }
-                    
-                    console.log(`${category}カテゴリーのインポート完了 - 追加: ${dataSource[category].length - skippedCount}件, スキップ: ${skippedCount}件`);
+                });
+            }
+            
+            // CSVインポートの割り当てプロファイルの復元
+            if (importData.settings && importData.settings.csvImportProfiles && window.csvImportManager) {
+                window.csvImportManager.mergeProfiles(importData.settings.csvImportProfiles);
+            }
+            
+            // 仕入先マスタの復元（レコードの仕入先IDとの対応を保つため、IDが同じ仕入先は取り込まない）
+            if (importData.settings && importData.settings.suppliers && window.supplierManager) {
+                window.supplierManager.mergeSuppliers(importData.settings.suppliers);
+            }
+            
+            // メーカーマスタの復元
+            if (importData.settings && importData.settings.manufacturers && window.manufacturerManager) {
+                window.manufacturerManager.mergeManufacturers(importData.settings.manufacturers);
+            }
+            
+            // 借入金マスタの復元
+            if (importData.settings && importData.settings.loans && window.loanManager) {
+                window.loanManager.mergeLoans(importData.settings.loans);
+            }
+            
+            // 仕訳エクスポートの勘定科目対応表の復元
+            if (importData.settings && importData.settings.journalAccountRules && window.journalManager) {
+                window.journalManager.mergeRules(importData.settings.journalAccountRules);
+            }
+            
+            // ゴミ箱の保存期間の復元
+            if (importData.settings && importData.settings.trashSettings && window.trashManager) {
+                try {
+                    window.trashManager.setRetentionDays(importData.settings.trashSettings.retentionDays);
+                } catch (error) {
+                    console.warn('ゴミ箱の保存期間の復元に失敗:', error);
                 }
             }
             
+            // 月次締めの復元（既存にない締めと履歴のみ追加）
+            if (importData.settings && importData.settings.monthlyClosings && window.closingManager) {
+                window.closingManager.mergeClosings(importData.settings.monthlyClosings, importData.settings.monthlyClosingHistory);
+            }
+            
             // 設定の復元
             if (importData.settings && importData.settings.activeStoreId) {
                 try {
@@ -364,12 +568,66 @@ class BackupManager {
             warnings.push('店舗データが見つかりません。現在の店舗設定を使用します。');
         }
         
+        // 古いスキーマのファイルは現在の形式に変換する（変換に失敗した場合は取り込まない）
+        let upgradedData = null;
+        let schemaVersion = null;
+        if (hasAccountingData) {
+            try {
+                const upgrade = this.upgradeImportData(data);
+                upgradedData = upgrade.data;
+                schemaVersion = upgrade.fromVersion;
+                if (upgrade.applied.length > 0) {
+                    warnings.push(`スキーマバージョン${upgrade.fromVersion}のファイルを現在の形式（バージョン${upgrade.toVersion}）に変換しました。`);
+                }
+            } catch (error) {
+                errors.push(`データの変換に失敗しました: ${error.message}`);
+            }
+        }
+        
         return { 
             valid: errors.length === 0, 
             errors, 
             warnings,
             hasAccountingData,
-            hasStoreData
+            hasStoreData,
+            schemaVersion,
+            upgradedData
+        };
+    }
+
+    /**
+     * インポートデータのスキーマ変換
+     * 旧形式（カテゴリーが最上位にある形式）も新形式（dataの下にカテゴリーがある形式）にそろえる
+     */
+    upgradeImportData(data) {
+        const categories = Object.keys(DataModels.getDataStructure());
+        const info = data.exportInfo || data.backupInfo || {};
+        const fromVersion = data.schemaVersion !== undefined ? data.schemaVersion : info.schemaVersion;
+        
+        let accountingData = data.data;
+        const upgraded = {};
+        if (accountingData && typeof accountingData === 'object') {
+            Object.assign(upgraded, data);
+        } else {
+            accountingData = {};
+            Object.entries(data).forEach(([key, value]) => {
+                if (categories.includes(key)) {
+                    accountingData[key] = value;
+                } else {
+                    upgraded[key] = value;
+                }
+            });
+        }
+        
+        const migration = SchemaMigrator.migrate(accountingData, fromVersion);
+        upgraded.data = migration.data;
+        upgraded.schemaVersion = migration.toVersion;
+        
+        return {
+            data: upgraded,
+            fromVersion: migration.fromVersion,
+            toVersion: migration.toVersion,
+            applied: migration.applied
         };
     }
 
@@ -404,18 +662,28 @@ class BackupManager {
         return total;
     }
 
+    /**
+     * バックアップの削除
+     */
+    async deleteBackup(backupKey) {
+        await this.storage.removeItem(backupKey);
+        const index = await this.loadIndex();
+        await this.saveIndex(index.filter(entry => entry.key !== backupKey));
+    }
+
     /**
      * 古いバックアップの削除
      */
-    cleanupOldBackups() {
-        const backups = this.getBackupList();
+    async cleanupOldBackups() {
+        const backups = await this.getBackupList();
         
         if (backups.length > this.maxBackups) {
             const toDelete = backups.slice(this.maxBackups);
-            toDelete.forEach(backup => {
-                localStorage.removeItem(backup.key);
+            for (const backup of toDelete) {
+                await this.storage.removeItem(backup.key);
                 console.log('古いバックアップを削除:', backup.key);
-            });
+            }
+            await this.saveIndex(backups.slice(0, this.maxBackups));
         }
     }
 
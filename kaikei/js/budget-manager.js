@@ -0,0 +1,139 @@
+/**
+ * 予算管理クラス
+ * 店舗・年月・カテゴリーごとの月次予算を管理する
+ */
+class BudgetManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'budgets';
+    }
+
+    /**
+     * 予算を設定できるカテゴリー（データカテゴリーと同じ）
+     */
+    getBudgetCategories() {
+        return Object.keys(DataModels.getDataStructure());
+    }
+
+    /**
+     * 予算一覧取得（店舗・年月指定で絞り込み）
+     */
+    getBudgets(storeId = null, year = null, month = null) {
+        return this.storeManager.getMasterData(this.masterKey, [])
+            .filter(budget => !storeId || budget.storeId === storeId)
+            .filter(budget => !year || budget.year === year)
+            .filter(budget => !month || budget.month === month);
+    }
+
+    /**
+     * 指定月の予算をカテゴリー別に取得（未設定のカテゴリーはnull）
+     */
+    getMonthlyBudget(storeId, year, month) {
+        const budgets = this.getBudgets(storeId, year, month);
+        const result = {};
+
+        this.getBudgetCategories().forEach(category => {
+            const budget = budgets.find(item => item.category === category);
+            result[category] = budget ? budget.amount : null;
+        });
+
+        return result;
+    }
+
+    /**
+     * 指定月に予算が1件以上設定されているか
+     */
+    hasBudget(storeId, year, month) {
+        return this.getBudgets(storeId, year, month).length > 0;
+    }
+
+    /**
+     * 予算入力値の正規化とバリデーション
+     * 空欄は「未設定」として扱う
+     */
+    normalizeAmounts(amounts) {
+        const normalized = {};
+        const errors = [];
+
+        this.getBudgetCategories().forEach(category => {
+            const value = amounts[category];
+            if (value === undefined || value === null || value.toString().trim() === '') {
+                normalized[category] = null;
+                return;
+            }
+
+            const amount = Number(value);
+            if (!Number.isFinite(amount) || amount < 0) {
+                errors.push(`${category}の予算は0以上の数値で入力してください`);
+                return;
+            }
+            normalized[category] = Math.round(amount);
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 月次予算の保存
+     * targetMonthsを指定した場合は同じ年の各月にも同じ予算を設定する
+     */
+    setMonthlyBudget(storeId, year, month, amounts, targetMonths = []) {
+        if (!storeId) {
+            throw new Error('バリデーションエラー: 店舗が選択されていません');
+        }
+
+        const normalized = this.normalizeAmounts(amounts);
+        const months = [...new Set([month, ...targetMonths])];
+        const now = new Date().toISOString();
+
+        const budgets = this.getBudgets().filter(budget =>
+            !(budget.storeId === storeId && budget.year === year && months.includes(budget.month))
+        );
+
+        months.forEach(targetMonth => {
+            Object.entries(normalized).forEach(([category, amount]) => {
+                if (amount === null) return;
+                budgets.push({
+                    storeId: storeId,
+                    year: year,
+                    month: targetMonth,
+                    category: category,
+                    amount: amount,
+                    updatedAt: now
+                });
+            });
+        });
+
+        this.storeManager.setMasterData(this.masterKey, budgets);
+        return { months: months.length, budget: normalized };
+    }
+
+    /**
+     * バックアップからの予算取り込み（同じ店舗・年月・カテゴリーが無いものだけ追加）
+     */
+    mergeBudgets(importedBudgets) {
+        if (!Array.isArray(importedBudgets)) {
+            return 0;
+        }
+
+        const budgets = this.getBudgets();
+        const getKey = budget => `${budget.storeId}|${budget.year}|${budget.month}|${budget.category}`;
+        const existingKeys = new Set(budgets.map(getKey));
+        const newBudgets = importedBudgets.filter(budget =>
+            budget && budget.storeId && budget.year && budget.month && budget.category && !existingKeys.has(getKey(budget))
+        );
+
+        if (newBudgets.length > 0) {
+            this.storeManager.setMasterData(this.masterKey, [...budgets, ...newBudgets]);
+        }
+
+        return newBudgets.length;
+    }
+}
+
+window.BudgetManager = BudgetManager;
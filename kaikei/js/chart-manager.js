@@ -10,9 +10,10 @@ class ChartManager {
 
     /**
      * 月別収支計算
+     * storeIdを省略した場合はアクティブ店舗で集計する
      */
-    calculateMonthlyBalance(year, month) {
-        const activeStoreId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+    calculateMonthlyBalance(year, month, storeId = null) {
+        const activeStoreId = storeId || (window.storeManager ? window.storeManager.getActiveStoreId() : null);
 
         // 売上データ取得
         const salesData = this.dataManager.getDataByCategory('sales')
@@ -54,11 +55,8 @@ class ChartManager {
             .filter(record => record.year === year && record.month === month)
             .filter(record => !activeStoreId || record.storeId === activeStoreId);
 
-        // 合計計算（数値の安全性を確保）
-        const safeAmount = (record) => {
-            const amount = Number(record.amount);
-            return isNaN(amount) ? 0 : amount;
-        };
+        // 合計計算（税抜で入力したレコードも税込金額にそろえる）
+        const safeAmount = (record) => DataModels.getTaxIncludedAmount(record);
 
         const sales = salesData.reduce((sum, record) => sum + safeAmount(record), 0);
         const purchases = purchasesData.reduce((sum, record) => sum + safeAmount(record), 0);
@@ -66,13 +64,22 @@ class ChartManager {
         const variableCosts = variableCostsData.reduce((sum, record) => sum + safeAmount(record), 0);
         const laborCosts = laborCostsData.reduce((sum, record) => sum + safeAmount(record), 0);
         const consumptionTax = consumptionTaxData.reduce((sum, record) => sum + safeAmount(record), 0);
-        const monthlyPayments = monthlyPaymentsData.reduce((sum, record) => sum + safeAmount(record), 0);
-        const manufacturerDeposits = manufacturerDepositsData.reduce((sum, record) => sum + safeAmount(record), 0);
+        // 返済は元金部分を資金の支出、利息部分を費用（支払利息）として分ける
+        const loanInterest = monthlyPaymentsData.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).interest, 0);
+        const monthlyPayments = monthlyPaymentsData.reduce((sum, record) => sum + safeAmount(record), 0) - loanInterest;
+        // 保証金は差し入れを支出、返還・仕入れとの相殺を戻りとして差し引きする（いずれも費用ではない）
+        const depositAmounts = { payment: 0, refund: 0, offset: 0 };
+        manufacturerDepositsData.forEach(record => {
+            depositAmounts[DataModels.getDepositTransactionType(record)] += safeAmount(record);
+        });
+        const manufacturerDeposits = depositAmounts.payment - depositAmounts.refund - depositAmounts.offset;
 
+        // 返済の元金・保証金は費用ではないため利益計算から除き、資金の支出として別に集計する
         const grossProfit = sales - purchases;
-        const totalExpenses = fixedCosts + variableCosts + laborCosts + consumptionTax + monthlyPayments + manufacturerDeposits;
+        const totalExpenses = fixedCosts + variableCosts + laborCosts + consumptionTax + loanInterest;
         const profit = grossProfit - totalExpenses;
         const isDeficit = profit < 0;
+        const nonOperatingOutflows = monthlyPayments + manufacturerDeposits;
 
         // カテゴリー別内訳
         const categoryBreakdown = {
@@ -85,8 +92,11 @@ class ChartManager {
                 variableCosts: { amount: variableCosts, count: variableCostsData.length },
                 laborCosts: { amount: laborCosts, count: laborCostsData.length },
                 consumptionTax: { amount: consumptionTax, count: consumptionTaxData.length },
-                monthlyPayments: { amount: monthlyPayments, count: monthlyPaymentsData.length },
-                manufacturerDeposits: { amount: manufacturerDeposits, count: manufacturerDepositsData.length }
+                loanInterest: { amount: loanInterest, count: monthlyPaymentsData.filter(record => DataModels.getLoanPaymentParts(record).interest > 0).length }
+            },
+            cashOutflows: {
+                manufacturerDeposits: { amount: manufacturerDeposits, count: manufacturerDepositsData.length, ...depositAmounts },
+                monthlyPayments: { amount: monthlyPayments, count: monthlyPaymentsData.length }
             }
         };
 
@@ -99,7 +109,13 @@ class ChartManager {
             totalExpenses,
             profit,
             isDeficit,
+            nonOperatingOutflows,
+            netCashFlow: profit - nonOperatingOutflows,
             categoryBreakdown,
+            expenseCategoryDetails: {
+                fixedCosts: this.getExpenseCategoryBreakdown('fixedCosts', fixedCostsData),
+                variableCosts: this.getExpenseCategoryBreakdown('variableCosts', variableCostsData)
+            },
             recordCounts: {
                 sales: salesData.length,
                 purchases: purchasesData.length,
@@ -203,11 +219,22 @@ class ChartManager {
         const expenses = balanceData.categoryBreakdown.expenses;
         const labels = [];
         const data = [];
-        const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#FF6384', '#C9CBCF'];
+        const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#C9CBCF',
+            '#8B0000', '#408040', '#D05050', '#4D3C2C', '#A0522D', '#6A5ACD', '#20B2AA', '#DAA520', '#778899'];
+
+        const details = balanceData.expenseCategoryDetails || {};
 
         let colorIndex = 0;
         for (const [category, info] of Object.entries(expenses)) {
-            if (info.amount > 0) {
+            if (info.amount <= 0) continue;
+
+            // 固定費・変動費は経費カテゴリーごとに分けて表示
+            if (details[category] && details[category].length > 0) {
+                details[category].forEach(detail => {
+                    labels.push(this.getCategoryDisplayName(category, detail.name));
+                    data.push(detail.amount);
+                });
+            } else {
                 labels.push(this.getCategoryDisplayName(category));
                 data.push(info.amount);
             }
@@ -224,7 +251,7 @@ class ChartManager {
                 labels: labels,
                 datasets: [{
                     data: data,
-                    backgroundColor: colors.slice(0, data.length)
+                    backgroundColor: data.map((value, index) => colors[index % colors.length])
                 }]
             },
             options: {
@@ -254,18 +281,65 @@ class ChartManager {
 
     /**
      * カテゴリー表示名取得
+     * subCategoryを指定すると「固定費: 家賃」のように経費カテゴリー名を付けて返す
      */
-    getCategoryDisplayName(category) {
+    getCategoryDisplayName(category, subCategory = null) {
         const displayNames = {
+            sales: '売上',
             purchases: '仕入れ',
             fixedCosts: '固定費',
             variableCosts: '変動費',
             laborCosts: '人件費',
             consumptionTax: '消費税',
             monthlyPayments: '月々の返済',
-            manufacturerDeposits: 'メーカー保証金'
+            manufacturerDeposits: 'メーカー保証金',
+            loanInterest: '支払利息'
         };
-        return displayNames[category] || category;
+
+        if (displayNames[category]) {
+            return subCategory ? `${displayNames[category]}: ${subCategory}` : displayNames[category];
+        }
+
+        // 経費カテゴリーマスタのIDの場合はマスタの名称を返す
+        if (window.storeManager) {
+            for (const costType of ['fixedCosts', 'variableCosts']) {
+                const master = window.storeManager.getExpenseCategories(costType, true).find(item => item.id === category);
+                if (master) {
+                    return master.name;
+                }
+            }
+        }
+
+        return category;
+    }
+
+    /**
+     * 経費カテゴリー別内訳（マスタの表示順、マスタにない名称は末尾）
+     */
+    getExpenseCategoryBreakdown(costType, records) {
+        const masterCategories = window.storeManager ? window.storeManager.getExpenseCategories(costType, true) : [];
+        const totals = new Map();
+
+        records.forEach(record => {
+            const name = record.category || '未分類';
+            const total = totals.get(name) || { amount: 0, count: 0 };
+            total.amount += DataModels.getTaxIncludedAmount(record);
+            total.count++;
+            totals.set(name, total);
+        });
+
+        const result = [];
+        masterCategories.forEach(category => {
+            if (totals.has(category.name)) {
+                result.push({ name: category.name, archived: category.archived, ...totals.get(category.name) });
+                totals.delete(category.name);
+            }
+        });
+        totals.forEach((total, name) => {
+            result.push({ name, archived: false, ...total });
+        });
+
+        return result;
     }
 
     /**
@@ -280,12 +354,18 @@ class ChartManager {
 
     /**
      * 統合レポート用の収支計算
+     * periodが'fiscalYear'の場合はyearを年度として年度全体を集計する（monthは無視）
      */
-    calculateConsolidatedBalance(year, month) {
+    calculateConsolidatedBalance(year, month, period = 'month') {
+        const startMonth = window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+        const label = period === 'fiscalYear' ? DataModels.getFiscalYearLabel(year, startMonth) : `${year}年${month}月`;
+
         try {
             if (!window.dataManager || !window.storeManager) {
                 console.warn('DataManager または StoreManager が利用できません');
                 return {
+                    period: period,
+                    label: label,
                     totalIncome: 0,
                     totalExpense: 0,
                     balance: 0,
@@ -299,20 +379,23 @@ class ChartManager {
             let totalExpense = 0;
 
             stores.forEach(store => {
-                const storeData = window.dataManager.getRecordsByMonth(year, month, store.id);
+                const storeData = period === 'fiscalYear'
+                    ? window.dataManager.getRecordsByFiscalYear(year, store.id)
+                    : window.dataManager.getRecordsByMonth(year, month, store.id);
 
-                // 収入計算（売上）
-                const income = storeData.sales?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
+                // 収入計算（売上。支出とともに税込金額で集計）
+                const income = storeData.sales?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
 
-                // 支出計算（仕入、固定費、変動費、人件費、消費税、月次支払い）
-                const purchases = storeData.purchases?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const fixedCosts = storeData.fixedCosts?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const variableCosts = storeData.variableCosts?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const laborCosts = storeData.laborCosts?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const consumptionTax = storeData.consumptionTax?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const monthlyPayments = storeData.monthlyPayments?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
+                // 支出計算（仕入、固定費、変動費、人件費、消費税、支払利息）
+                const purchases = storeData.purchases?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const fixedCosts = storeData.fixedCosts?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const variableCosts = storeData.variableCosts?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const laborCosts = storeData.laborCosts?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const consumptionTax = storeData.consumptionTax?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const loanInterest = storeData.monthlyPayments?.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).interest, 0) || 0;
 
-                const expense = purchases + fixedCosts + variableCosts + laborCosts + consumptionTax + monthlyPayments;
+                // 月々の返済は利息部分だけを費用に含める
+                const expense = purchases + fixedCosts + variableCosts + laborCosts + consumptionTax + loanInterest;
                 const balance = income - expense;
 
                 storeBalances.push({
@@ -327,6 +410,8 @@ class ChartManager {
             });
 
             return {
+                period: period,
+                label: label,
                 totalIncome: totalIncome,
                 totalExpense: totalExpense,
                 balance: totalIncome - totalExpense,
@@ -335,6 +420,8 @@ class ChartManager {
         } catch (error) {
             console.error('統合収支計算エラー:', error);
             return {
+                period: period,
+                label: label,
                 totalIncome: 0,
                 totalExpense: 0,
                 balance: 0,
@@ -359,18 +446,19 @@ class ChartManager {
             stores.forEach(store => {
                 const storeData = window.dataManager.getRecordsByMonth(year, month, store.id);
 
-                // 収入計算（売上）
-                const income = storeData.sales?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
+                // 収入計算（売上。支出とともに税込金額で集計）
+                const income = storeData.sales?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
 
                 // 支出計算
-                const purchases = storeData.purchases?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const fixedCosts = storeData.fixedCosts?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const variableCosts = storeData.variableCosts?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const laborCosts = storeData.laborCosts?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const consumptionTax = storeData.consumptionTax?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-                const monthlyPayments = storeData.monthlyPayments?.reduce((sum, record) => sum + (record.amount || 0), 0) || 0;
-
-                const expense = purchases + fixedCosts + variableCosts + laborCosts + consumptionTax + monthlyPayments;
+                const purchases = storeData.purchases?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const fixedCosts = storeData.fixedCosts?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const variableCosts = storeData.variableCosts?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const laborCosts = storeData.laborCosts?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const consumptionTax = storeData.consumptionTax?.reduce((sum, record) => sum + DataModels.getTaxIncludedAmount(record), 0) || 0;
+                const loanInterest = storeData.monthlyPayments?.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).interest, 0) || 0;
+
+                // 月々の返済は利息部分だけを費用に含める
+                const expense = purchases + fixedCosts + variableCosts + laborCosts + consumptionTax + loanInterest;
                 const balance = income - expense;
 
                 comparison.push({
@@ -392,8 +480,458 @@ class ChartManager {
         }
     }
 
+    /**
+     * 予算実績比較の計算（アクティブ店舗）
+     * 差異は「実績 - 予算」。売上は差異がプラス、支出はマイナスのとき良好とする
+     */
+    calculateBudgetVsActual(year, month) {
+        const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+        const budget = window.budgetManager ? window.budgetManager.getMonthlyBudget(storeId, year, month) : {};
+        const balanceData = this.calculateMonthlyBalance(year, month);
+
+        const buildRow = (category, name, budgetAmount, actual, isIncome) => {
+            const hasBudget = budgetAmount !== null && budgetAmount !== undefined;
+            const variance = hasBudget ? actual - budgetAmount : null;
+            return {
+                category,
+                name,
+                budget: hasBudget ? budgetAmount : null,
+                actual,
+                variance,
+                variancePercent: hasBudget && budgetAmount !== 0 ? (variance / Math.abs(budgetAmount)) * 100 : null,
+                isFavorable: hasBudget ? (isIncome ? variance >= 0 : variance <= 0) : null
+            };
+        };
+
+        const rows = [
+            buildRow('sales', this.getCategoryDisplayName('sales'), budget.sales, balanceData.sales, true)
+        ];
+        Object.entries(balanceData.categoryBreakdown.expenses).forEach(([category, data]) => {
+            rows.push(buildRow(category, this.getCategoryDisplayName(category), budget[category], data.amount, false));
+        });
+
+        // 合計行（予算が1件も無い場合は予算なしとする）
+        const expenseRows = rows.filter(row => row.category !== 'sales');
+        const hasExpenseBudget = expenseRows.some(row => row.budget !== null);
+        const expenseBudget = hasExpenseBudget ? expenseRows.reduce((sum, row) => sum + (row.budget || 0), 0) : null;
+        const expenseActual = balanceData.purchases + balanceData.totalExpenses;
+        const salesBudget = rows[0].budget;
+        const profitBudget = salesBudget !== null || expenseBudget !== null ? (salesBudget || 0) - (expenseBudget || 0) : null;
+
+        // 返済・保証金は利益に含めず、別枠で予算と比較する
+        const cashOutflowRows = Object.entries(balanceData.categoryBreakdown.cashOutflows).map(([category, data]) =>
+            buildRow(category, this.getCategoryDisplayName(category), budget[category], data.amount, false)
+        );
+
+        return {
+            year,
+            month,
+            storeId,
+            hasBudget: [...rows, ...cashOutflowRows].some(row => row.budget !== null),
+            rows,
+            cashOutflowRows,
+            totals: {
+                expenses: buildRow('totalExpenses', '支出合計', expenseBudget, expenseActual, false),
+                profit: buildRow('profit', '利益', profitBudget, balanceData.profit, true)
+            }
+        };
+    }
+
+    /**
+     * 予算実績比較チャート描画
+     */
+    renderBudgetVsActualChart(year, month) {
+        const canvas = document.getElementById('budget-actual-chart');
+        if (!canvas) return;
+
+        if (this.charts.has('budget-actual')) {
+            this.charts.get('budget-actual').destroy();
+        }
+
+        const comparison = this.calculateBudgetVsActual(year, month);
+        const rows = comparison.rows.filter(row => row.budget !== null || row.actual !== 0);
+
+        const ctx = canvas.getContext('2d');
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: rows.map(row => row.name),
+                datasets: [
+                    {
+                        label: '予算',
+                        data: rows.map(row => row.budget || 0),
+                        backgroundColor: '#d6c8b8'
+                    },
+                    {
+                        label: '実績',
+                        data: rows.map(row => row.actual),
+                        backgroundColor: rows.map(row => row.isFavorable === false ? '#d05050' : '#408040')
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `${year}年${month}月 予算実績比較`
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function (value) {
+                                return value.toLocaleString() + '円';
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        this.charts.set('budget-actual', chart);
+    }
+
+    /**
+     * 損益分岐点分析のコスト区分
+     * 売上に比例する費用を変動費、それ以外を固定費として扱う
+     */
+    getBreakEvenCostClassification() {
+        return {
+            variable: ['purchases', 'variableCosts', 'consumptionTax'],
+            fixed: ['fixedCosts', 'laborCosts', 'loanInterest']
+        };
+    }
+
+    /**
+     * 損益分岐点計算（指定した年月の合計）
+     * periodsは [{ year, month }] の配列
+     */
+    calculateBreakEven(periods, storeId = null) {
+        const classification = this.getBreakEvenCostClassification();
+        let sales = 0;
+        let variableCosts = 0;
+        let fixedCosts = 0;
+
+        periods.forEach(({ year, month }) => {
+            const balanceData = this.calculateMonthlyBalance(year, month, storeId);
+            const expenses = balanceData.categoryBreakdown.expenses;
+            sales += balanceData.sales;
+            classification.variable.forEach(category => { variableCosts += expenses[category].amount; });
+            classification.fixed.forEach(category => { fixedCosts += expenses[category].amount; });
+        });
+
+        const variableCostRatio = sales > 0 ? variableCosts / sales : null;
+        const contributionMarginRatio = variableCostRatio !== null ? 1 - variableCostRatio : null;
+        // 限界利益率が0以下の場合は売上を増やしても黒字化しない
+        const unreachable = contributionMarginRatio !== null && contributionMarginRatio <= 0;
+        const breakEvenSales = contributionMarginRatio !== null && !unreachable ? fixedCosts / contributionMarginRatio : null;
+        const safetyMargin = breakEvenSales !== null ? sales - breakEvenSales : null;
+
+        return {
+            sales,
+            variableCosts,
+            fixedCosts,
+            profit: sales - variableCosts - fixedCosts,
+            variableCostRatio,
+            contributionMarginRatio,
+            breakEvenSales,
+            safetyMargin,
+            safetyMarginRatio: safetyMargin !== null && sales > 0 ? (safetyMargin / sales) * 100 : null,
+            unreachable
+        };
+    }
+
+    /**
+     * 損益分岐点レポート用の計算
+     * periodが'fiscalYear'の場合は表示中の年月が属する年度全体を集計する
+     * storeIdを省略した場合はアクティブ店舗（未選択の場合はすべての店舗）を集計し、集計した店舗をstoreで返す
+     */
+    calculateBreakEvenReport(year, month, period = 'month', storeId = null) {
+        const startMonth = window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+        const fiscalYear = DataModels.getFiscalYear(year, month, startMonth);
+        const fiscalMonths = DataModels.getFiscalYearMonths(fiscalYear, startMonth);
+        const periods = period === 'fiscalYear' ? fiscalMonths : [{ year, month }];
+        const stores = window.storeManager ? window.storeManager.getStores() : [];
+        const targetStoreId = storeId || (window.storeManager ? window.storeManager.getActiveStoreId() : null);
+
+        return {
+            period,
+            label: period === 'fiscalYear' ? DataModels.getFiscalYearLabel(fiscalYear, startMonth) : `${year}年${month}月`,
+            store: targetStoreId && window.storeManager ? window.storeManager.getStoreById(targetStoreId) : null,
+            summary: this.calculateBreakEven(periods, targetStoreId),
+            stores: stores.map(store => ({
+                store,
+                ...this.calculateBreakEven(periods, store.id)
+            })),
+            // 月ごとの実績売上と損益分岐点売上の推移（年度）
+            trend: fiscalMonths.map(target => {
+                const result = this.calculateBreakEven([target], targetStoreId);
+                return {
+                    label: `${target.year}/${target.month}`,
+                    sales: result.sales,
+                    breakEvenSales: result.breakEvenSales
+                };
+            })
+        };
+    }
+
+    /**
+     * 損益分岐点チャート描画（実績売上と損益分岐点売上の推移）
+     */
+    renderBreakEvenChart(report) {
+        const canvas = document.getElementById('break-even-chart');
+        if (!canvas) return;
+
+        if (this.charts.has('break-even')) {
+            this.charts.get('break-even').destroy();
+        }
+
+        const chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: report.trend.map(item => item.label),
+                datasets: [
+                    {
+                        label: '実績売上',
+                        data: report.trend.map(item => item.sales),
+                        borderColor: '#4CAF50',
+                        backgroundColor: '#4CAF50'
+                    },
+                    {
+                        label: '損益分岐点売上',
+                        data: report.trend.map(item => item.breakEvenSales),
+                        borderColor: '#F44336',
+                        backgroundColor: '#F44336',
+                        borderDash: [6, 4],
+                        spanGaps: true
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '実績売上と損益分岐点売上の推移'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function (value) {
+                                return value.toLocaleString() + '円';
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        this.charts.set('break-even', chart);
+    }
+
+    /**
+     * 月別キャッシュフロー計算
+     * 営業活動: 利益計算の対象となる収入・支出
+     * 投資活動: メーカー保証金の差し入れ・返還・仕入れ代金との相殺
+     * 財務活動: 月々の返済（元金部分。利息は営業活動に含める）
+     */
+    calculateMonthlyCashFlow(year, month, storeId = null) {
+        const balanceData = this.calculateMonthlyBalance(year, month, storeId);
+        const expenses = balanceData.categoryBreakdown.expenses;
+        const cashOutflows = balanceData.categoryBreakdown.cashOutflows;
+
+        const operating = {
+            salesReceipts: balanceData.sales,
+            purchasePayments: -expenses.purchases.amount,
+            expensePayments: -(expenses.fixedCosts.amount + expenses.variableCosts.amount + expenses.laborCosts.amount),
+            taxPayments: -expenses.consumptionTax.amount,
+            interestPayments: -expenses.loanInterest.amount
+        };
+        operating.total = balanceData.profit;
+
+        const deposits = cashOutflows.manufacturerDeposits;
+        const investing = {
+            depositPayments: -(deposits.payment || 0),
+            depositRefunds: deposits.refund || 0,
+            depositOffsets: deposits.offset || 0
+        };
+        investing.total = -deposits.amount;
+
+        const financing = {
+            loanRepayments: -cashOutflows.monthlyPayments.amount
+        };
+        financing.total = financing.loanRepayments;
+
+        return {
+            year,
+            month,
+            operating,
+            investing,
+            financing,
+            net: operating.total + investing.total + financing.total
+        };
+    }
+
+    /**
+     * 年度キャッシュフロー計算書（アクティブ店舗）
+     * 期首現金残高が設定されている場合は月末残高を累計する
+     */
+    calculateCashFlow(fiscalYear, storeId = null) {
+        const targetStoreId = storeId || (window.storeManager ? window.storeManager.getActiveStoreId() : null);
+        const startMonth = window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+        const fiscalMonths = DataModels.getFiscalYearMonths(fiscalYear, startMonth);
+        const opening = window.storeManager && targetStoreId ? window.storeManager.getOpeningBalance(targetStoreId) : null;
+        const openingPeriod = opening ? opening.year * 100 + opening.month : null;
+        const firstPeriod = fiscalMonths[0].year * 100 + fiscalMonths[0].month;
+
+        // 年度開始時点の残高（残高設定月が年度より前なら、その間の資金増減を反映する）
+        let balance = null;
+        if (opening && openingPeriod <= firstPeriod) {
+            balance = opening.amount;
+            let { year, month } = opening;
+            while (year * 100 + month < firstPeriod) {
+                balance += this.calculateMonthlyCashFlow(year, month, targetStoreId).net;
+                month++;
+                if (month > 12) {
+                    month = 1;
+                    year++;
+                }
+            }
+        }
+        const beginningBalance = balance;
+
+        const sumSection = (months, section, key) => months.reduce((sum, m) => sum + m[section][key], 0);
+
+        const months = fiscalMonths.map(({ year, month }) => {
+            const cashFlow = this.calculateMonthlyCashFlow(year, month, targetStoreId);
+            if (balance === null && opening && year * 100 + month === openingPeriod) {
+                balance = opening.amount;
+            }
+            if (balance !== null) {
+                balance += cashFlow.net;
+            }
+            return {
+                ...cashFlow,
+                label: `${year}/${month}`,
+                endingBalance: balance
+            };
+        });
+
+        const totals = {
+            operating: {
+                salesReceipts: sumSection(months, 'operating', 'salesReceipts'),
+                purchasePayments: sumSection(months, 'operating', 'purchasePayments'),
+                expensePayments: sumSection(months, 'operating', 'expensePayments'),
+                taxPayments: sumSection(months, 'operating', 'taxPayments'),
+                interestPayments: sumSection(months, 'operating', 'interestPayments'),
+                total: sumSection(months, 'operating', 'total')
+            },
+            investing: {
+                depositPayments: sumSection(months, 'investing', 'depositPayments'),
+                depositRefunds: sumSection(months, 'investing', 'depositRefunds'),
+                depositOffsets: sumSection(months, 'investing', 'depositOffsets'),
+                total: sumSection(months, 'investing', 'total')
+            },
+            financing: {
+                loanRepayments: sumSection(months, 'financing', 'loanRepayments'),
+                total: sumSection(months, 'financing', 'total')
+            }
+        };
+        totals.net = totals.operating.total + totals.investing.total + totals.financing.total;
+
+        return {
+            fiscalYear,
+            label: DataModels.getFiscalYearLabel(fiscalYear, startMonth),
+            storeId: targetStoreId,
+            opening,
+            beginningBalance,
+            endingBalance: months[months.length - 1].endingBalance,
+            months,
+            totals
+        };
+    }
+
+    /**
+     * キャッシュフローチャート描画（月別の資金増減と月末残高）
+     */
+    renderCashFlowChart(cashFlow) {
+        const canvas = document.getElementById('cash-flow-chart');
+        if (!canvas) return;
+
+        if (this.charts.has('cash-flow')) {
+            this.charts.get('cash-flow').destroy();
+        }
+
+        const hasBalance = cashFlow.months.some(m => m.endingBalance !== null);
+        const datasets = [
+            {
+                type: 'bar',
+                label: '営業CF',
+                data: cashFlow.months.map(m => m.operating.total),
+                backgroundColor: '#4CAF50'
+            },
+            {
+                type: 'bar',
+                label: '投資CF',
+                data: cashFlow.months.map(m => m.investing.total),
+                backgroundColor: '#FF9800'
+            },
+            {
+                type: 'bar',
+                label: '財務CF',
+                data: cashFlow.months.map(m => m.financing.total),
+                backgroundColor: '#2196F3'
+            }
+        ];
+        if (hasBalance) {
+            datasets.push({
+                type: 'line',
+                label: '月末残高',
+                data: cashFlow.months.map(m => m.endingBalance),
+                borderColor: '#4d3c2c',
+                backgroundColor: '#4d3c2c'
+            });
+        }
+
+        const chart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: cashFlow.months.map(m => m.label),
+                datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `${cashFlow.label} キャッシュフロー推移`
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: function (value) {
+                                return value.toLocaleString() + '円';
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        this.charts.set('cash-flow', chart);
+    }
+
     /**
      * 年間収支計算
+     * yearは年度（期首月は会計年度設定に従う。未設定なら暦年）
      */
     calculateYearlyBalance(year) {
         try {
@@ -407,24 +945,30 @@ class ChartManager {
             let totalIncome = 0;
             let totalExpense = 0;
 
-            // 各月のデータを計算
-            for (let month = 1; month <= 12; month++) {
-                const monthlyBalance = this.calculateMonthlyBalance(year, month);
+            const startMonth = window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+
+            // 各月のデータを計算（期首月から12か月）
+            DataModels.getFiscalYearMonths(year, startMonth).forEach(({ year: calendarYear, month }) => {
+                const monthlyBalance = this.calculateMonthlyBalance(calendarYear, month);
 
                 // calculateMonthlyBalanceの戻り値から正しいプロパティを使用
                 const sales = monthlyBalance.sales || 0;
                 const totalExpenses = monthlyBalance.totalExpenses || 0;
+                const grossProfit = monthlyBalance.grossProfit || 0;
                 const profit = monthlyBalance.profit || 0;
                 const profitMargin = sales > 0 ? (profit / sales * 100) : 0;
 
                 monthlyData.push({
+                    year: calendarYear,
                     month: month,
+                    label: startMonth === 1 ? `${month}月` : `${calendarYear}年${month}月`,
                     // 既存の形式（後方互換性）
                     income: sales,
                     expense: totalExpenses,
                     balance: profit,
                     // UIManagerが期待する形式
                     sales: sales,
+                    grossProfit: grossProfit,
                     totalExpenses: totalExpenses,
                     profit: profit,
                     profitMargin: profitMargin,
@@ -433,18 +977,22 @@ class ChartManager {
 
                 totalIncome += sales;
                 totalExpense += totalExpenses;
-            }
+            });
 
             // 赤字月と黒字月をカウント
             const deficitMonthsCount = monthlyData.filter(m => m.balance < 0).length;
             const profitableMonthsCount = monthlyData.filter(m => m.balance > 0).length;
-            const totalProfit = totalIncome - totalExpense;
+            // 月別の利益（仕入れ控除後）を合計する
+            const totalProfit = monthlyData.reduce((sum, m) => sum + m.profit, 0);
             const averageMonthlyProfit = totalProfit / 12;
 
             return {
                 year: year,
+                label: DataModels.getFiscalYearLabel(year, startMonth),
+                startMonth: startMonth,
                 totalSales: totalIncome,
                 totalExpenses: totalExpense,
+                totalGrossProfit: monthlyData.reduce((sum, m) => sum + m.grossProfit, 0),
                 totalProfit: totalProfit,
                 averageMonthlyProfit: averageMonthlyProfit,
                 deficitMonthsCount: deficitMonthsCount,
@@ -462,8 +1010,11 @@ class ChartManager {
             console.error('年間収支計算エラー:', error);
             return {
                 year: year,
+                label: `${year}年`,
+                startMonth: 1,
                 totalSales: 0,
                 totalExpenses: 0,
+                totalGrossProfit: 0,
                 totalProfit: 0,
                 averageMonthlyProfit: 0,
                 deficitMonthsCount: 0,
@@ -478,6 +1029,181 @@ class ChartManager {
             };
         }
     }
+
+    /**
+     * 増減率（%）計算。比較値が0の場合はnull
+     */
+    calculateGrowthRate(current, previous) {
+        if (!previous) {
+            return null;
+        }
+        return ((current - previous) / Math.abs(previous)) * 100;
+    }
+
+    /**
+     * 前年同月比較の計算
+     * compareYearを省略した場合は前年と比較する
+     */
+    calculateYearOverYear(year, compareYear = year - 1) {
+        const current = this.calculateYearlyBalance(year);
+        const previous = this.calculateYearlyBalance(compareYear);
+        const metrics = ['sales', 'grossProfit', 'profit'];
+
+        const pick = (data) => ({
+            sales: data ? data.sales : 0,
+            grossProfit: data ? data.grossProfit : 0,
+            profit: data ? data.profit : 0
+        });
+
+        const months = current.monthlyResults.map((currentMonth, index) => {
+            const currentValues = pick(currentMonth);
+            const previousValues = pick(previous.monthlyResults[index]);
+            const growth = {};
+            metrics.forEach(metric => {
+                growth[metric] = this.calculateGrowthRate(currentValues[metric], previousValues[metric]);
+            });
+            return {
+                month: currentMonth.month,
+                current: currentValues,
+                previous: previousValues,
+                growth
+            };
+        });
+
+        const currentTotals = { sales: current.totalSales, grossProfit: current.totalGrossProfit, profit: current.totalProfit };
+        const previousTotals = { sales: previous.totalSales, grossProfit: previous.totalGrossProfit, profit: previous.totalProfit };
+        const totalGrowth = {};
+        metrics.forEach(metric => {
+            totalGrowth[metric] = this.calculateGrowthRate(currentTotals[metric], previousTotals[metric]);
+        });
+
+        return {
+            year,
+            compareYear,
+            startMonth: current.startMonth,
+            months,
+            totals: {
+                current: currentTotals,
+                previous: previousTotals,
+                growth: totalGrowth
+            }
+        };
+    }
+
+    /**
+     * 年間チャート描画
+     * compareYearを指定すると比較年の推移を重ねて表示する
+     */
+    renderYearlyChart(year, compareYear = null) {
+        const yearlyData = this.calculateYearlyBalance(year);
+        const yearName = (targetYear) => DataModels.getFiscalYearShortLabel(targetYear, yearlyData.startMonth);
+        const labels = yearlyData.monthlyResults.map(m => m.label);
+        const yenTicks = {
+            callback: function (value) {
+                return value.toLocaleString() + '円';
+            }
+        };
+
+        // 年間推移チャート
+        const trendCanvas = document.getElementById('yearlyTrendChart');
+        if (trendCanvas) {
+            if (this.charts.has('yearly-trend')) {
+                this.charts.get('yearly-trend').destroy();
+            }
+
+            const trendChart = new Chart(trendCanvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels,
+                    datasets: [
+                        { label: '売上', data: yearlyData.monthlyResults.map(m => m.sales), borderColor: '#4CAF50', backgroundColor: '#4CAF50' },
+                        { label: '支出', data: yearlyData.monthlyResults.map(m => m.totalExpenses), borderColor: '#F44336', backgroundColor: '#F44336' },
+                        { label: '利益', data: yearlyData.monthlyResults.map(m => m.profit), borderColor: '#2196F3', backgroundColor: '#2196F3' }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        title: { display: true, text: `${yearlyData.label} 月別推移` }
+                    },
+                    scales: { y: { ticks: yenTicks } }
+                }
+            });
+            this.charts.set('yearly-trend', trendChart);
+        }
+
+        // 比較チャート（比較年なしの場合は月別利益）
+        const comparisonCanvas = document.getElementById('yearlyComparisonChart');
+        if (!comparisonCanvas) return;
+
+        if (this.charts.has('yearly-comparison')) {
+            this.charts.get('yearly-comparison').destroy();
+        }
+
+        let config;
+        if (compareYear) {
+            const comparison = this.calculateYearOverYear(year, compareYear);
+            const series = [
+                { key: 'sales', name: '売上', color: '#4CAF50' },
+                { key: 'grossProfit', name: '粗利', color: '#FF9800' },
+                { key: 'profit', name: '利益', color: '#2196F3' }
+            ];
+            const datasets = [];
+            series.forEach(item => {
+                datasets.push({
+                    label: `${yearName(year)} ${item.name}`,
+                    data: comparison.months.map(m => m.current[item.key]),
+                    borderColor: item.color,
+                    backgroundColor: item.color
+                });
+                datasets.push({
+                    label: `${yearName(compareYear)} ${item.name}`,
+                    data: comparison.months.map(m => m.previous[item.key]),
+                    borderColor: item.color,
+                    backgroundColor: item.color,
+                    borderDash: [6, 4],
+                    pointStyle: 'rectRot'
+                });
+            });
+
+            config = {
+                type: 'line',
+                data: { labels: comparison.months.map(m => `${m.month}月`), datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        title: { display: true, text: `${yearName(year)}と${yearName(compareYear)}の比較` }
+                    },
+                    scales: { y: { ticks: yenTicks } }
+                }
+            };
+        } else {
+            config = {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [{
+                        label: '利益',
+                        data: yearlyData.monthlyResults.map(m => m.profit),
+                        backgroundColor: yearlyData.monthlyResults.map(m => m.isDeficit ? '#F44336' : '#4CAF50')
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false },
+                        title: { display: true, text: `${yearlyData.label} 月別利益` }
+                    },
+                    scales: { y: { ticks: yenTicks } }
+                }
+            };
+        }
+
+        this.charts.set('yearly-comparison', new Chart(comparisonCanvas.getContext('2d'), config));
+    }
 }
 
 // ChartManagerファイル読み込み確認
@@ -0,0 +1,173 @@
+/**
+ * 月次締め管理クラス
+ * 店舗・年月ごとの締めと締め解除を管理し、締め済みの月へのデータ変更を拒否する
+ */
+class ClosingManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'monthlyClosings';
+        this.historyKey = 'monthlyClosingHistory';
+    }
+
+    /**
+     * 締め済みの期間一覧
+     */
+    getClosings() {
+        return this.storeManager.getMasterData(this.masterKey, []);
+    }
+
+    /**
+     * 締め・締め解除の履歴（新しい順）
+     */
+    getHistory(storeId = null) {
+        return this.storeManager.getMasterData(this.historyKey, [])
+            .filter(entry => !storeId || entry.storeId === storeId)
+            .reverse();
+    }
+
+    getClosing(storeId, year, month) {
+        return this.getClosings().find(closing =>
+            closing.storeId === storeId && closing.year === year && closing.month === month
+        ) || null;
+    }
+
+    isClosed(storeId, year, month) {
+        if (!storeId || !year || !month) {
+            return false;
+        }
+        return this.getClosing(storeId, Number(year), Number(month)) !== null;
+    }
+
+    /**
+     * 締め済みの月のレコードが含まれる場合はエラー
+     */
+    assertOpen(records) {
+        const closings = this.getClosings();
+        if (closings.length === 0) {
+            return;
+        }
+
+        records.forEach(record => {
+            if (!record || !record.storeId) return;
+            const closed = closings.some(closing =>
+                closing.storeId === record.storeId && closing.year === Number(record.year) && closing.month === Number(record.month)
+            );
+            if (closed) {
+                throw new Error(`店舗「${this.getStoreName(record.storeId)}」の${record.year}年${record.month}月は締め済みのため変更できません。変更する場合は締めを解除してください`);
+            }
+        });
+    }
+
+    /**
+     * 月次締め
+     */
+    close(storeId, year, month, note = '') {
+        this.validatePeriod(storeId, year, month);
+        if (this.isClosed(storeId, year, month)) {
+            throw new Error(`バリデーションエラー: ${year}年${month}月は既に締め済みです`);
+        }
+
+        const closing = {
+            storeId,
+            year: Number(year),
+            month: Number(month),
+            closedAt: new Date().toISOString(),
+            note
+        };
+        this.storeManager.setMasterData(this.masterKey, [...this.getClosings(), closing]);
+        this.appendHistory('close', closing, note);
+        return closing;
+    }
+
+    /**
+     * 締め解除（理由は必須で、履歴に残す）
+     */
+    reopen(storeId, year, month, reason) {
+        this.validatePeriod(storeId, year, month);
+        if (!reason || !reason.trim()) {
+            throw new Error('バリデーションエラー: 締めを解除する理由を入力してください');
+        }
+
+        const closing = this.getClosing(storeId, Number(year), Number(month));
+        if (!closing) {
+            throw new Error(`バリデーションエラー: ${year}年${month}月は締められていません`);
+        }
+
+        this.storeManager.setMasterData(this.masterKey, this.getClosings().filter(item =>
+            !(item.storeId === closing.storeId && item.year === closing.year && item.month === closing.month)
+        ));
+        this.appendHistory('reopen', closing, reason.trim());
+        return closing;
+    }
+
+    validatePeriod(storeId, year, month) {
+        const errors = [];
+        if (!storeId) errors.push('店舗を選択してください');
+        if (!Number.isInteger(Number(year)) || Number(year) < 1900) errors.push('年が正しくありません');
+        if (!Number.isInteger(Number(month)) || Number(month) < 1 || Number(month) > 12) errors.push('月は1〜12で指定してください');
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * 履歴の追記と通知（変更履歴にも記録される）
+     */
+    appendHistory(action, closing, reason) {
+        const entry = {
+            id: UUIDGenerator.generate(),
+            action,
+            storeId: closing.storeId,
+            year: closing.year,
+            month: closing.month,
+            reason: reason || '',
+            timestamp: new Date().toISOString()
+        };
+        this.storeManager.setMasterData(this.historyKey, [...this.storeManager.getMasterData(this.historyKey, []), entry]);
+
+        document.dispatchEvent(new CustomEvent('periodClosingChanged', { detail: entry }));
+    }
+
+    getStoreName(storeId) {
+        try {
+            return this.storeManager.getStoreById(storeId).name;
+        } catch (error) {
+            return storeId;
+        }
+    }
+
+    /**
+     * バックアップから読み込んだ締めと履歴の統合（既存にない分のみ追加）
+     */
+    mergeClosings(importedClosings, importedHistory = []) {
+        let added = 0;
+
+        if (Array.isArray(importedClosings)) {
+            const closings = this.getClosings();
+            const getKey = closing => `${closing.storeId}|${closing.year}|${closing.month}`;
+            const existingKeys = new Set(closings.map(getKey));
+            const newClosings = importedClosings.filter(closing =>
+                closing && closing.storeId && closing.year && closing.month && !existingKeys.has(getKey(closing))
+            );
+            if (newClosings.length > 0) {
+                this.storeManager.setMasterData(this.masterKey, [...closings, ...newClosings]);
+                added = newClosings.length;
+            }
+        }
+
+        if (Array.isArray(importedHistory)) {
+            const history = this.storeManager.getMasterData(this.historyKey, []);
+            const existingIds = new Set(history.map(entry => entry.id));
+            const newEntries = importedHistory.filter(entry => entry && entry.id && !existingIds.has(entry.id));
+            if (newEntries.length > 0) {
+                this.storeManager.setMasterData(this.historyKey, [...history, ...newEntries]
+                    .sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+            }
+        }
+
+        return added;
+    }
+}
+
+window.ClosingManager = ClosingManager;
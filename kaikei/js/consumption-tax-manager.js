@@ -0,0 +1,189 @@
+/**
+ * 消費税管理クラス
+ * レコードの税率・税込区分から店舗・月ごとの売上税額と仕入税額を計算し、
+ * 消費税レコードの登録額の提案と、実際の納付額との照合を行う
+ * 仕入税額は仕入先の登録状況（インボイス）に応じて控除できる額とできない額に分ける
+ */
+class ConsumptionTaxManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+    }
+
+    /**
+     * 税率別の集計の初期値
+     */
+    createSide() {
+        const byRate = {};
+        Object.keys(DataModels.getTaxRates()).forEach(rate => {
+            byRate[rate] = { base: 0, tax: 0, creditable: 0, nonCreditable: 0, total: 0, count: 0 };
+        });
+        return { byRate, bySupplier: {}, base: 0, tax: 0, creditable: 0, nonCreditable: 0, exempt: 0 };
+    }
+
+    /**
+     * レコードの控除割合（%）。仕入先マスタが使えない場合は全額控除
+     */
+    getCreditRate(record) {
+        return window.supplierManager ? window.supplierManager.getRecordCreditRate(record) : 100;
+    }
+
+    /**
+     * 指定月の消費税の計算（店舗未指定の場合はアクティブ店舗）
+     * 税率・税込区分・仕入先ごとに金額を合計し、合計額から消費税額を割り戻して1円未満を切り捨てる
+     * 仕入税額のうち控除できる額は、消費税額に仕入先の控除割合を掛けて1円未満を切り捨てる
+     */
+    calculateMonth(year, month, storeId = null) {
+        const records = this.dataManager.getRecordsByMonth(year, month, storeId);
+        const taxCategories = DataModels.getTaxCategories();
+        const result = { year, month, output: this.createSide(), input: this.createSide() };
+        const groups = {};
+
+        Object.entries(taxCategories).forEach(([category, side]) => {
+            (records[category] || []).forEach(record => {
+                const taxed = DataModels.applyTaxDefaults(category, record);
+                const supplierId = side === 'input' ? record.supplierId || '' : '';
+                const key = `${side}|${taxed.taxRate}|${taxed.taxIncluded}|${supplierId}`;
+                if (!groups[key]) {
+                    groups[key] = {
+                        side,
+                        rate: taxed.taxRate,
+                        taxIncluded: taxed.taxIncluded,
+                        supplierId,
+                        creditRate: side === 'input' ? this.getCreditRate(record) : 100,
+                        amount: 0,
+                        count: 0
+                    };
+                }
+                groups[key].amount += Number(record.amount) || 0;
+                groups[key].count++;
+            });
+        });
+
+        Object.values(groups).forEach(group => {
+            const split = DataModels.splitTax(group.amount, group.rate, group.taxIncluded);
+            const creditable = Math.sign(split.tax) * Math.floor(Math.abs(split.tax) * group.creditRate / 100);
+            const side = result[group.side];
+            if (!side.bySupplier[group.supplierId]) {
+                side.bySupplier[group.supplierId] = { supplierId: group.supplierId, creditRate: group.creditRate, base: 0, tax: 0, creditable: 0, nonCreditable: 0, count: 0 };
+            }
+            [side.byRate[group.rate], side.bySupplier[group.supplierId]].forEach(summary => {
+                summary.base += split.base;
+                summary.tax += split.tax;
+                summary.creditable += creditable;
+                summary.nonCreditable += split.tax - creditable;
+                summary.count += group.count;
+            });
+            side.byRate[group.rate].total += split.total;
+        });
+
+        ['output', 'input'].forEach(side => {
+            const { byRate } = result[side];
+            const sum = key => Object.keys(byRate).reduce((total, rate) => total + byRate[rate][key], 0);
+            result[side].base = Object.keys(byRate).filter(rate => Number(rate) > 0).reduce((total, rate) => total + byRate[rate].base, 0);
+            result[side].tax = sum('tax');
+            result[side].creditable = sum('creditable');
+            result[side].nonCreditable = sum('nonCreditable');
+            result[side].exempt = byRate[0].total;
+        });
+
+        result.payable = result.output.tax - result.input.creditable;
+        result.paid = (records.consumptionTax || []).reduce((sum, record) => sum + (Number(record.amount) || 0), 0);
+        result.difference = result.paid - result.payable;
+        return result;
+    }
+
+    /**
+     * 消費税レコードの提案（還付見込みの月は0円）
+     */
+    proposeEntry(year, month, storeId = null) {
+        const calculation = this.calculateMonth(year, month, storeId);
+        const format = value => value.toLocaleString('ja-JP');
+        return {
+            calculation,
+            record: {
+                year,
+                month,
+                amount: Math.max(calculation.payable, 0),
+                note: calculation.payable < 0
+                    ? `消費税計算（売上税額${format(calculation.output.tax)}円−仕入税額${format(calculation.input.creditable)}円、還付見込み${format(-calculation.payable)}円）`
+                    : `消費税計算（売上税額${format(calculation.output.tax)}円−仕入税額${format(calculation.input.creditable)}円）`
+            }
+        };
+    }
+
+    /**
+     * 提案額で消費税レコードを登録
+     */
+    registerProposal(year, month, storeId = null) {
+        const { record } = this.proposeEntry(year, month, storeId);
+        if (record.amount <= 0) {
+            throw new Error('バリデーションエラー: 納付する消費税額がありません');
+        }
+        const targetStoreId = storeId || (this.storeManager ? this.storeManager.getActiveStoreId() : null);
+        return this.dataManager.addRecord('consumptionTax', targetStoreId ? { ...record, storeId: targetStoreId } : record);
+    }
+
+    /**
+     * 年度の計算額と納付額の照合（月別と累計）
+     * differenceは納付額−計算額（プラスは納めすぎ、マイナスは未納付）
+     */
+    reconcile(fiscalYear, storeId = null) {
+        const startMonth = this.storeManager ? this.storeManager.getFiscalStartMonth() : 1;
+        let cumulative = 0;
+        const months = DataModels.getFiscalYearMonths(fiscalYear, startMonth).map(({ year, month }) => {
+            const calculation = this.calculateMonth(year, month, storeId);
+            cumulative += calculation.difference;
+            return { ...calculation, cumulativeDifference: cumulative };
+        });
+
+        const sum = getter => months.reduce((total, month) => total + getter(month), 0);
+        return {
+            fiscalYear,
+            label: DataModels.getFiscalYearLabel(fiscalYear, startMonth),
+            months,
+            totals: {
+                outputTax: sum(m => m.output.tax),
+                inputTax: sum(m => m.input.creditable),
+                nonCreditableTax: sum(m => m.input.nonCreditable),
+                payable: sum(m => m.payable),
+                paid: sum(m => m.paid),
+                difference: sum(m => m.difference)
+            }
+        };
+    }
+
+    /**
+     * 年度の仕入税額の控除できる額・できない額（月別と仕入先別）
+     */
+    summarizeInputCredit(fiscalYear, storeId = null) {
+        const startMonth = this.storeManager ? this.storeManager.getFiscalStartMonth() : 1;
+        const suppliers = {};
+        const months = DataModels.getFiscalYearMonths(fiscalYear, startMonth).map(({ year, month }) => {
+            const { input } = this.calculateMonth(year, month, storeId);
+            Object.values(input.bySupplier).forEach(summary => {
+                const total = suppliers[summary.supplierId] || (suppliers[summary.supplierId] = {
+                    supplierId: summary.supplierId, creditRates: [], base: 0, tax: 0, creditable: 0, nonCreditable: 0, count: 0
+                });
+                ['base', 'tax', 'creditable', 'nonCreditable', 'count'].forEach(key => {
+                    total[key] += summary[key];
+                });
+                if (!total.creditRates.includes(summary.creditRate)) {
+                    total.creditRates.push(summary.creditRate);
+                }
+            });
+            return { year, month, tax: input.tax, creditable: input.creditable, nonCreditable: input.nonCreditable };
+        });
+
+        const sum = key => months.reduce((total, month) => total + month[key], 0);
+        return {
+            fiscalYear,
+            label: DataModels.getFiscalYearLabel(fiscalYear, startMonth),
+            months,
+            suppliers: Object.values(suppliers).sort((a, b) => b.nonCreditable - a.nonCreditable || b.tax - a.tax),
+            totals: { tax: sum('tax'), creditable: sum('creditable'), nonCreditable: sum('nonCreditable') }
+        };
+    }
+}
+
+window.ConsumptionTaxManager = ConsumptionTaxManager;
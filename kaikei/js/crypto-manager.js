@@ -0,0 +1,493 @@
+/**
+ * データ暗号化管理クラス
+ * パスフレーズから導出した鍵（PBKDF2）で、保存データ・ブラウザ内バックアップ・エクスポートファイルをAES-GCMで暗号化する
+ * 鍵はメモリ上にのみ保持し、暗号化の設定（ソルト・反復回数・確認用の暗号文）だけをlocalStorageに平文で保存する
+ */
+class CryptoManager {
+    constructor() {
+        this.settingsKey = 'kaikei-encryption';
+        this.fileFormat = 'kaikei-encrypted-backup';
+        this.iterations = 600000;
+        this.minPassphraseLength = 8;
+        // パスフレーズの照合用に暗号化しておく文字列
+        this.checkText = 'kaikei-encryption-check';
+        this.key = null;
+        this.settings = this.loadSettings();
+        this.handleStorage = this.handleStorage.bind(this);
+    }
+
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+    }
+
+    /**
+     * 暗号化されたデータ（encryptの結果）か判定
+     */
+    static isEncrypted(value) {
+        return !!value && typeof value === 'object' && value.kaikeiEncrypted === 1 && typeof value.data === 'string';
+    }
+
+    /**
+     * 他のタブでの暗号化設定の変更を監視
+     * 鍵が変わると書き込めなくなるため、ページを読み込み直してロック解除からやり直す
+     */
+    init() {
+        window.addEventListener('storage', this.handleStorage);
+    }
+
+    handleStorage(event) {
+        if (event.key !== this.settingsKey) {
+            return;
+        }
+        this.key = null;
+        this.settings = this.loadSettings();
+        location.reload();
+    }
+
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.settingsKey) || 'null');
+        } catch (error) {
+            console.error('暗号化設定の読み込みに失敗:', error);
+            return null;
+        }
+    }
+
+    saveSettings(settings) {
+        if (settings) {
+            localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+        } else {
+            localStorage.removeItem(this.settingsKey);
+        }
+        this.settings = settings;
+    }
+
+    isEnabled() {
+        return !!this.settings && this.settings.enabled === true;
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.minPassphraseLength) {
+            throw new Error(`バリデーションエラー: パスフレーズは${this.minPassphraseLength}文字以上で入力してください`);
+        }
+    }
+
+    /**
+     * パスフレーズから暗号鍵を導出
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: CryptoManager.fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        const array = new Uint8Array(bytes);
+        for (let i = 0; i < array.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, array.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    static randomBase64(length) {
+        return CryptoManager.toBase64(crypto.getRandomValues(new Uint8Array(length)));
+    }
+
+    /**
+     * 値をJSONにして暗号化
+     */
+    async encrypt(value, key = this.key) {
+        if (!key) {
+            throw new Error('データがロックされています。パスフレーズを入力してください');
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { kaikeiEncrypted: 1, iv: CryptoManager.toBase64(iv), data: CryptoManager.toBase64(encrypted) };
+    }
+
+    /**
+     * 暗号化された値の復号（鍵が異なる場合や改ざんされている場合は失敗する）
+     */
+    async decrypt(payload, key = this.key) {
+        if (!key) {
+            throw new Error('データがロックされています。パスフレーズを入力してください');
+        }
+        let decrypted;
+        try {
+            decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: CryptoManager.fromBase64(payload.iv) }, key, CryptoManager.fromBase64(payload.data)
+            );
+        } catch (error) {
+            throw new Error('データを復号できません（パスフレーズが異なるか、データが破損しています）');
+        }
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    /**
+     * パスフレーズを照合してロックを解除
+     */
+    async unlock(passphrase) {
+        if (!this.isEnabled()) {
+            return true;
+        }
+        const key = await CryptoManager.deriveKey(passphrase, this.settings.salt, this.settings.iterations);
+        try {
+            if (await this.decrypt(this.settings.check, key) !== this.checkText) {
+                throw new Error();
+            }
+        } catch (error) {
+            throw new Error('パスフレーズが正しくありません');
+        }
+        this.key = key;
+        return true;
+    }
+
+    /**
+     * 新しいパスフレーズの鍵と設定の作成
+     */
+    async createKey(passphrase) {
+        this.validatePassphrase(passphrase);
+        const salt = CryptoManager.randomBase64(16);
+        const key = await CryptoManager.deriveKey(passphrase, salt, this.iterations);
+        const settings = {
+            enabled: true,
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iterations: this.iterations,
+            salt,
+            check: await this.encrypt(this.checkText, key),
+            updatedAt: new Date().toISOString()
+        };
+        return { key, settings };
+    }
+
+    /**
+     * 暗号化の開始（既存のデータとバックアップをすべて暗号化する）
+     */
+    async enable(passphrase) {
+        if (!CryptoManager.isSupported()) {
+            throw new Error('このブラウザは暗号化に対応していません');
+        }
+        if (this.isEnabled()) {
+            throw new Error('既に暗号化されています');
+        }
+        const { key, settings } = await this.createKey(passphrase);
+        await this.rekey(key, settings);
+    }
+
+    /**
+     * パスフレーズの変更（すべてのデータとバックアップを新しい鍵で暗号化し直す）
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await this.verifyPassphrase(currentPassphrase);
+        const { key, settings } = await this.createKey(newPassphrase);
+        await this.rekey(key, settings);
+    }
+
+    /**
+     * 暗号化の解除（すべてのデータとバックアップを平文に戻す）
+     */
+    async disable(currentPassphrase) {
+        await this.verifyPassphrase(currentPassphrase);
+        await this.rekey(null, null);
+    }
+
+    async verifyPassphrase(passphrase) {
+        if (!this.isEnabled()) {
+            throw new Error('暗号化されていません');
+        }
+        const key = await CryptoManager.deriveKey(passphrase, this.settings.salt, this.settings.iterations);
+        try {
+            await this.decrypt(this.settings.check, key);
+        } catch (error) {
+            throw new Error('現在のパスフレーズが正しくありません');
+        }
+    }
+
+    /**
+     * 鍵の切り替えと全データの書き直し
+     * 書き直しに失敗した場合は元の鍵と設定に戻し、読み込んだ内容を元の鍵で書き戻す
+     */
+    async rekey(newKey, newSettings) {
+        const storage = window.storageAdapter;
+        const backupManager = window.backupManager;
+        const contents = storage && typeof storage.readAll === 'function' ? await storage.readAll() : null;
+        const backups = backupManager ? await backupManager.readInternalBackups() : [];
+        const previous = { key: this.key, settings: this.settings };
+
+        const writeAll = async () => {
+            if (contents) {
+                await storage.writeAll(contents);
+            }
+            if (backupManager) {
+                await backupManager.writeInternalBackups(backups);
+            }
+        };
+
+        this.key = newKey;
+        this.saveSettings(newSettings);
+        try {
+            await writeAll();
+        } catch (error) {
+            console.error('暗号化の切り替えに失敗したため元に戻します:', error);
+            this.key = previous.key;
+            this.saveSettings(previous.settings);
+            try {
+                await writeAll();
+            } catch (restoreError) {
+                console.error('元の暗号化状態への書き戻しに失敗:', restoreError);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * エクスポートするファイルの暗号化（暗号化が無効の場合はそのまま返す）
+     * 別のパソコンでもパスフレーズで復号できるよう、ソルトと反復回数をファイルに含める
+     */
+    async protectExport(exportData) {
+        if (!this.isEnabled()) {
+            return exportData;
+        }
+        return {
+            format: this.fileFormat,
+            createdAt: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.settings.iterations, salt: this.settings.salt },
+            payload: await this.encrypt(exportData)
+        };
+    }
+
+    isEncryptedFile(fileData) {
+        return !!fileData && fileData.format === this.fileFormat && CryptoManager.isEncrypted(fileData.payload);
+    }
+
+    /**
+     * 現在の鍵で復号できるファイルか（このパソコンで現在のパスフレーズのまま作成したファイル）
+     */
+    canDecryptFile(fileData) {
+        return this.isUnlocked() && this.isEnabled() &&
+            fileData.kdf.salt === this.settings.salt && fileData.kdf.iterations === this.settings.iterations;
+    }
+
+    /**
+     * 暗号化されたエクスポートファイルの復号
+     */
+    async decryptFile(fileData, passphrase = null) {
+        if (this.canDecryptFile(fileData) && !passphrase) {
+            return await this.decrypt(fileData.payload);
+        }
+        if (!passphrase) {
+            throw new Error('暗号化されたファイルです。ファイルを作成したときのパスフレーズを入力してください');
+        }
+        const key = await CryptoManager.deriveKey(passphrase, fileData.kdf.salt, fileData.kdf.iterations);
+        try {
+            return await this.decrypt(fileData.payload, key);
+        } catch (error) {
+            throw new Error('パスフレーズが正しくないため、ファイルを復号できません');
+        }
+    }
+
+    /**
+     * 起動時のロック解除画面（正しいパスフレーズが入力されるまで待つ）
+     */
+    showUnlockScreen() {
+        return new Promise((resolve) => {
+            const screen = document.createElement('div');
+            screen.className = 'unlock-screen';
+            screen.innerHTML = `
+                <form class="unlock-dialog" id="unlock-form">
+                    <h2>🔐 データのロック解除</h2>
+                    <p>データは暗号化されています。パスフレーズを入力してください。</p>
+                    <div class="form-group">
+                        <label for="unlock-passphrase">パスフレーズ</label>
+                        <input type="password" id="unlock-passphrase" autocomplete="current-password" required>
+                    </div>
+                    <div class="form-errors" id="unlock-errors" style="display: none;"></div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary">ロックを解除</button>
+                    </div>
+                    <p class="unlock-note">パスフレーズを忘れた場合、暗号化されたデータは復元できません。</p>
+                </form>
+            `;
+            document.body.appendChild(screen);
+
+            const form = screen.querySelector('#unlock-form');
+            const input = screen.querySelector('#unlock-passphrase');
+            const errors = screen.querySelector('#unlock-errors');
+            const button = form.querySelector('button[type="submit"]');
+            input.focus();
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                button.disabled = true;
+                errors.style.display = 'none';
+                try {
+                    await this.unlock(input.value);
+                    screen.remove();
+                    resolve();
+                } catch (error) {
+                    errors.textContent = error.message;
+                    errors.style.display = 'block';
+                    input.select();
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        });
+    }
+}
+
+/**
+ * 暗号化ストレージアダプター
+ * 既存のストレージアダプターを包み、暗号化が有効な場合は書き込み時に暗号化・読み込み時に復号する
+ * IndexedDBではレコード単位で暗号化して変更分のみの書き込みを保ち、localStorageでは会計データ全体を1つにまとめて暗号化する
+ * 暗号化前に保存された平文のデータもそのまま読み込める
+ */
+class EncryptedStorageAdapter {
+    constructor(adapter, cryptoManager) {
+        this.adapter = adapter;
+        this.cryptoManager = cryptoManager;
+        this.type = adapter.type;
+        // 暗号化の切り替え時に書き直す項目（起動時に各マネージャーが読み込んだキー）
+        this.itemKeys = new Set();
+    }
+
+    async init() {
+        return await this.adapter.init();
+    }
+
+    isEncrypting() {
+        return this.cryptoManager.isEnabled();
+    }
+
+    async decryptValue(value) {
+        return CryptoManager.isEncrypted(value) ? await this.cryptoManager.decrypt(value) : value;
+    }
+
+    async encryptRecord(record) {
+        if (!record || !record.id) {
+            return record;
+        }
+        return { id: record.id, ...(await this.cryptoManager.encrypt(record)) };
+    }
+
+    async loadData() {
+        const data = await this.adapter.loadData();
+        if (!data) {
+            return null;
+        }
+        if (CryptoManager.isEncrypted(data)) {
+            return await this.cryptoManager.decrypt(data);
+        }
+
+        const result = {};
+        for (const [category, records] of Object.entries(data)) {
+            result[category] = Array.isArray(records)
+                ? await Promise.all(records.map(record => this.decryptValue(record)))
+                : records;
+        }
+        return result;
+    }
+
+    async saveData(data, changes = null) {
+        if (!this.isEncrypting()) {
+            return await this.adapter.saveData(data, changes);
+        }
+        if (this.adapter.type !== 'indexedDB') {
+            return await this.adapter.saveData(await this.cryptoManager.encrypt(data), null);
+        }
+
+        if (changes) {
+            const encryptedChanges = await Promise.all(changes.map(async change => change.type === 'delete'
+                ? change
+                : { ...change, record: await this.encryptRecord(change.record) }));
+            return await this.adapter.saveData(null, encryptedChanges);
+        }
+
+        const encrypted = {};
+        for (const [category, records] of Object.entries(data)) {
+            encrypted[category] = Array.isArray(records)
+                ? await Promise.all(records.map(record => this.encryptRecord(record)))
+                : records;
+        }
+        return await this.adapter.saveData(encrypted, null);
+    }
+
+    async loadStoreData() {
+        return await this.decryptValue(await this.adapter.loadStoreData());
+    }
+
+    async saveStoreData(storeData) {
+        return await this.adapter.saveStoreData(this.isEncrypting() ? await this.cryptoManager.encrypt(storeData) : storeData);
+    }
+
+    async getItem(key) {
+        this.itemKeys.add(key);
+        return await this.decryptValue(await this.adapter.getItem(key));
+    }
+
+    async setItem(key, value) {
+        this.itemKeys.add(key);
+        return await this.adapter.setItem(key, this.isEncrypting() && value !== null ? await this.cryptoManager.encrypt(value) : value);
+    }
+
+    async removeItem(key) {
+        return await this.adapter.removeItem(key);
+    }
+
+    /**
+     * 保存されている内容をすべて読み込む（暗号化の切り替え用）
+     */
+    async readAll() {
+        const items = {};
+        for (const key of this.itemKeys) {
+            items[key] = await this.getItem(key);
+        }
+        return {
+            data: await this.loadData(),
+            storeData: await this.loadStoreData(),
+            items
+        };
+    }
+
+    /**
+     * readAllで読み込んだ内容を現在の鍵で書き直す
+     */
+    async writeAll(contents) {
+        await this.saveData(contents.data || DataModels.getDataStructure());
+        if (contents.storeData) {
+            await this.saveStoreData(contents.storeData);
+        }
+        for (const [key, value] of Object.entries(contents.items)) {
+            if (value !== null && value !== undefined) {
+                await this.setItem(key, value);
+            }
+        }
+    }
+}
+
+window.CryptoManager = CryptoManager;
+window.EncryptedStorageAdapter = EncryptedStorageAdapter;
@@ -0,0 +1,346 @@
+/**
+ * CSVエクスポートクラス
+ * RFC 4180準拠のCSV生成、Excel向けの文字コード変換、カテゴリー別ファイルのZIP化を行う
+ */
+class CsvExporter {
+    /**
+     * 出力できる文字コード
+     */
+    static getEncodings() {
+        return {
+            utf8bom: 'UTF-8（BOM付き・Excel推奨）',
+            utf8: 'UTF-8（BOMなし）',
+            sjis: 'Shift_JIS'
+        };
+    }
+
+    /**
+     * 出力列の定義（レコードの項目名と見出し）
+     */
+    static getColumnLabels() {
+        return {
+            storeName: '店舗',
+            year: '年',
+            month: '月',
+            day: '日',
+            category: '科目',
+            manufacturer: 'メーカー',
+            payee: '返済先',
+            amount: '金額',
+            note: '備考',
+            createdAt: '作成日時',
+            updatedAt: '更新日時'
+        };
+    }
+
+    /**
+     * レコード項目の並び順
+     */
+    static getRecordColumns() {
+        return ['year', 'month', 'day', 'category', 'manufacturer', 'payee', 'amount', 'note'];
+    }
+
+    /**
+     * カテゴリー別の出力列（フィールド定義にある項目だけを並べる）
+     */
+    static getCategoryColumns(category) {
+        const fieldDef = DataModels.getFieldDefinitions()[category];
+        const fields = fieldDef ? [...fieldDef.required, ...fieldDef.optional] : [];
+        const recordColumns = this.getRecordColumns().filter(column => fields.includes(column));
+        return ['storeName', ...recordColumns, 'createdAt', 'updatedAt'];
+    }
+
+    /**
+     * 全カテゴリーをまとめたファイルの出力列（いずれかのカテゴリーで使う項目をすべて含む）
+     */
+    static getCombinedColumns() {
+        const fieldDefs = DataModels.getFieldDefinitions();
+        const recordColumns = this.getRecordColumns().filter(column =>
+            Object.values(fieldDefs).some(fieldDef => [...fieldDef.required, ...fieldDef.optional].includes(column))
+        );
+        return ['recordCategory', 'storeName', ...recordColumns, 'createdAt', 'updatedAt'];
+    }
+
+    /**
+     * フィールドのエスケープ（カンマ・ダブルクォート・改行を含む場合は引用符で囲む）
+     */
+    static escapeField(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * 行データをCSV文字列に変換（改行はCRLF）
+     */
+    static toCSV(rows) {
+        return rows.map(row => row.map(value => this.escapeField(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * レコードを出力行に変換
+     */
+    static toRow(record, columns, context) {
+        return columns.map(column => {
+            switch (column) {
+                case 'recordCategory':
+                    return context.categoryLabels[record.recordCategory] || record.recordCategory;
+                case 'storeName':
+                    return context.storeNames[record.storeId] || record.storeId || '';
+                default:
+                    return record[column];
+            }
+        });
+    }
+
+    /**
+     * カテゴリー別レコードからCSVファイルの内容を生成
+     * layout: 'combined'（1ファイル）/ 'perCategory'（カテゴリーごと）
+     */
+    static buildFiles(data, options = {}) {
+        const layout = options.layout || 'combined';
+        const baseName = options.baseName || 'kaikei-export';
+        const columnLabels = this.getColumnLabels();
+        const categoryLabels = DataModels.getCategoryLabels();
+        const context = { categoryLabels, storeNames: options.storeNames || {} };
+        const categories = Object.keys(DataModels.getDataStructure());
+        const sortRecords = records => records.slice().sort((a, b) =>
+            (a.year - b.year) || (a.month - b.month) || ((a.day || 0) - (b.day || 0)));
+
+        if (layout === 'perCategory') {
+            return categories
+                .filter(category => Array.isArray(data[category]) && data[category].length > 0)
+                .map(category => {
+                    const columns = this.getCategoryColumns(category);
+                    const rows = [columns.map(column => columnLabels[column])];
+                    sortRecords(data[category]).forEach(record => rows.push(this.toRow(record, columns, context)));
+                    return { name: `${baseName}-${categoryLabels[category]}.csv`, content: this.toCSV(rows) };
+                });
+        }
+
+        const columns = this.getCombinedColumns();
+        const rows = [columns.map(column => column === 'recordCategory' ? '区分' : columnLabels[column])];
+        categories.forEach(category => {
+            sortRecords(data[category] || []).forEach(record => {
+                rows.push(this.toRow({ ...record, recordCategory: category }, columns, context));
+            });
+        });
+
+        return [{ name: `${baseName}.csv`, content: this.toCSV(rows) }];
+    }
+
+    /**
+     * 文字列を指定の文字コードのバイト列に変換
+     * Shift_JISで表せない文字は「?」に置き換え、件数をunmappedCountで返す
+     */
+    static encode(text, encoding = 'utf8bom') {
+        if (encoding === 'sjis') {
+            return this.encodeShiftJIS(text);
+        }
+
+        const prefix = encoding === 'utf8bom' ? '\uFEFF' : '';
+        return { bytes: new TextEncoder().encode(prefix + text), unmappedCount: 0 };
+    }
+
+    /**
+     * Shift_JISへの変換
+     */
+    static encodeShiftJIS(text) {
+        const table = this.getShiftJISTable();
+        const bytes = [];
+        let unmappedCount = 0;
+
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+                continue;
+            }
+
+            const mapped = table.get(code);
+            if (mapped === undefined) {
+                bytes.push(0x3F);
+                unmappedCount++;
+            } else if (mapped > 0xFF) {
+                bytes.push(mapped >> 8, mapped & 0xFF);
+            } else {
+                bytes.push(mapped);
+            }
+        }
+
+        return { bytes: new Uint8Array(bytes), unmappedCount };
+    }
+
+    /**
+     * Unicode→Shift_JISの変換表（ブラウザのTextDecoderから初回のみ生成）
+     */
+    static getShiftJISTable() {
+        if (this.shiftJISTable) {
+            return this.shiftJISTable;
+        }
+
+        let decoder;
+        try {
+            decoder = new TextDecoder('shift_jis', { fatal: true });
+        } catch (error) {
+            throw new Error('このブラウザはShift_JISでの出力に対応していません');
+        }
+
+        const table = new Map();
+        const register = (bytes, value) => {
+            try {
+                const char = decoder.decode(new Uint8Array(bytes));
+                const code = char.codePointAt(0);
+                if (char.length === 1 && !table.has(code)) {
+                    table.set(code, value);
+                }
+            } catch (error) {
+                // 未定義のバイト列は無視
+            }
+        };
+
+        // 半角カナ
+        for (let byte = 0xA1; byte <= 0xDF; byte++) {
+            register([byte], byte);
+        }
+
+        // NEC選定IBM拡張文字(0xED, 0xEE)はIBM拡張文字と重複するため後回しにする
+        const leadBytes = [];
+        for (let lead = 0x81; lead <= 0xFC; lead++) {
+            if ((lead <= 0x9F || lead >= 0xE0) && lead !== 0xED && lead !== 0xEE) {
+                leadBytes.push(lead);
+            }
+        }
+        leadBytes.push(0xED, 0xEE);
+
+        leadBytes.forEach(lead => {
+            for (let trail = 0x40; trail <= 0xFC; trail++) {
+                if (trail === 0x7F) continue;
+                register([lead, trail], (lead << 8) | trail);
+            }
+        });
+
+        // 円記号・オーバーライン・マイナス記号はShift_JISの対応する文字に寄せる
+        table.set(0xA5, 0x5C);
+        table.set(0x203E, 0x7E);
+        table.set(0x2212, table.get(0xFF0D));
+
+        this.shiftJISTable = table;
+        return table;
+    }
+
+    /**
+     * バイト列をファイルとしてダウンロード
+     */
+    static download(bytes, filename, mimeType) {
+        const blob = new Blob([bytes], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 複数ファイルをZIPにまとめる（無圧縮・ファイル名はUTF-8）
+     * files: [{ name, bytes }]
+     */
+    static createZip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const crc = this.crc32(file.bytes);
+            const size = file.bytes.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);   // ファイル名がUTF-8であることを示すフラグ
+            local.setUint16(8, 0, true);        // 無圧縮
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, file.bytes);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + size;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+
+        return result;
+    }
+
+    /**
+     * CRC-32の計算（ZIP用）
+     */
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+window.CsvExporter = CsvExporter;
@@ -0,0 +1,416 @@
+/**
+ * CSVインポート管理クラス
+ * 会計ソフト・POSなどのCSVを列の割り当てに従ってレコードに変換し、
+ * 割り当て設定をプロファイルとして保存・再利用する
+ */
+class CsvImportManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'csvImportProfiles';
+    }
+
+    /**
+     * 列を割り当てられる項目
+     * date列を割り当てた場合は年・月・日を日付から読み取る
+     */
+    getMappableFields() {
+        return {
+            date: '日付',
+            year: '年',
+            month: '月',
+            day: '日',
+            amount: '金額',
+            category: '科目',
+            manufacturer: 'メーカー',
+            payee: '返済先',
+            note: '備考'
+        };
+    }
+
+    /**
+     * カテゴリーで使用する項目（日付系と金額は全カテゴリー共通）
+     */
+    getFieldsForCategory(category) {
+        const fieldDef = DataModels.getFieldDefinitions()[category];
+        if (!fieldDef) {
+            return [];
+        }
+        const fields = [...fieldDef.required, ...fieldDef.optional];
+        return Object.keys(this.getMappableFields()).filter(field => field === 'date' || fields.includes(field));
+    }
+
+    /**
+     * ファイル内容の文字コード判定と変換
+     * encoding: 'auto'（UTF-8として読めなければShift_JIS）/ 'utf8' / 'sjis'
+     */
+    decode(buffer, encoding = 'auto') {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        if (encoding === 'sjis') {
+            return new TextDecoder('shift_jis').decode(bytes);
+        }
+        if (encoding === 'utf8') {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('shift_jis').decode(bytes);
+        }
+    }
+
+    /**
+     * 区切り文字の判定（1行目にタブがありカンマがない場合はタブ区切り）
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r\n|\n|\r/, 1)[0] || '';
+        return firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+    }
+
+    /**
+     * CSVの解析（RFC 4180: 引用符・二重引用符・フィールド内改行に対応）
+     * 空行は読み飛ばす
+     */
+    parse(text, delimiter = null) {
+        const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        const separator = delimiter || this.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        const pushRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') {
+                rows.push(row);
+            }
+            row = [];
+            field = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (source[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                pushRow();
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('CSVの形式が正しくありません: 引用符が閉じられていません');
+        }
+        if (field !== '' || row.length > 0) {
+            pushRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * 見出し行から列の割り当てを推定
+     */
+    guessMapping(headers) {
+        const candidates = {
+            date: ['日付', '取引日', '売上日', '年月日', 'date'],
+            year: ['年', 'year'],
+            month: ['月', 'month'],
+            day: ['日', 'day'],
+            amount: ['金額', '売上金額', '売上', '支払金額', '合計', '税込金額', 'amount'],
+            category: ['科目', '勘定科目', 'カテゴリー', '費目', 'category'],
+            manufacturer: ['メーカー', 'メーカー名', '仕入先', 'manufacturer'],
+            payee: ['返済先', '支払先', 'payee'],
+            note: ['備考', '摘要', 'メモ', '内容', 'note']
+        };
+        const normalized = headers.map(header => String(header).trim().toLowerCase());
+        const mapping = {};
+
+        Object.entries(candidates).forEach(([field, names]) => {
+            const index = normalized.findIndex(header => names.includes(header));
+            mapping[field] = index >= 0 ? index : null;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * 金額文字列の数値化（カンマ・円記号・全角数字・△や括弧のマイナス表記に対応）
+     */
+    parseAmount(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        let text = String(value)
+            .replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+            .replace(/[，,\s¥￥円]/g, '')
+            .replace(/[－−]/g, '-')
+            .replace(/．/g, '.');
+        if (text === '') {
+            return null;
+        }
+
+        let sign = 1;
+        if (/^[△▲]/.test(text)) {
+            sign = -1;
+            text = text.slice(1);
+        } else if (/^\(.*\)$/.test(text)) {
+            sign = -1;
+            text = text.slice(1, -1);
+        }
+
+        const amount = Number(text);
+        return Number.isFinite(amount) ? sign * amount : NaN;
+    }
+
+    /**
+     * CSVの1行をレコードに変換し、エラーを添えて返す
+     */
+    buildRecord(row, settings) {
+        const { category, mapping = {}, defaults = {} } = settings;
+        const fields = this.getFieldsForCategory(category);
+        const errors = [];
+        const record = {};
+        const cell = field => {
+            const index = mapping[field];
+            if (index === null || index === undefined || index === '') {
+                return '';
+            }
+            const value = row[Number(index)];
+            return value === undefined ? '' : String(value).trim();
+        };
+
+        if (fields.includes('date') && cell('date') !== '') {
+            const parsed = DataModels.parseDateString(cell('date'));
+            if (parsed) {
+                record.year = parsed.year;
+                record.month = parsed.month;
+                if (parsed.day) {
+                    record.day = parsed.day;
+                }
+            } else {
+                errors.push(`日付を読み取れません: ${cell('date')}`);
+            }
+        }
+
+        ['year', 'month', 'day'].forEach(field => {
+            const value = cell(field);
+            if (value === '' || record[field] !== undefined) return;
+            const number = Number(value.replace(/[年月日]$/, ''));
+            if (Number.isInteger(number)) {
+                record[field] = number;
+            } else {
+                errors.push(`${this.getMappableFields()[field]}を読み取れません: ${value}`);
+            }
+        });
+
+        if (record.month !== undefined && (record.month < 1 || record.month > 12)) {
+            errors.push('月は1から12の間で入力してください');
+        }
+
+        const amount = this.parseAmount(cell('amount'));
+        if (Number.isNaN(amount)) {
+            errors.push(`金額を数値として読み取れません: ${cell('amount')}`);
+        } else if (amount !== null) {
+            record.amount = amount;
+        }
+
+        ['category', 'manufacturer', 'payee', 'note'].forEach(field => {
+            if (!fields.includes(field)) return;
+            const value = cell(field) || (defaults[field] || '').trim();
+            if (value !== '') {
+                record[field] = value;
+            }
+        });
+
+        if (settings.storeId) {
+            record.storeId = settings.storeId;
+        }
+
+        const validation = DataValidator.validateRecord(category, record);
+        if (!validation.isValid) {
+            validation.errors.forEach(error => {
+                if (!errors.includes(error)) {
+                    errors.push(error);
+                }
+            });
+        }
+
+        return { record, errors };
+    }
+
+    /**
+     * 取り込みプレビュー（行番号はファイル上の行番号）
+     */
+    buildPreview(rows, settings) {
+        if (!DataModels.getFieldDefinitions()[settings.category]) {
+            throw new Error('バリデーションエラー: 取り込み先のカテゴリーを選択してください');
+        }
+
+        const mapping = settings.mapping || {};
+        const hasDate = mapping.date !== null && mapping.date !== undefined && mapping.date !== '';
+        const hasYearMonth = ['year', 'month'].every(field => mapping[field] !== null && mapping[field] !== undefined && mapping[field] !== '');
+        if (!hasDate && !hasYearMonth) {
+            throw new Error('バリデーションエラー: 「日付」または「年」「月」の列を割り当ててください');
+        }
+        if (mapping.amount === null || mapping.amount === undefined || mapping.amount === '') {
+            throw new Error('バリデーションエラー: 「金額」の列を割り当ててください');
+        }
+
+        const dataRows = settings.hasHeader ? rows.slice(1) : rows;
+        const offset = settings.hasHeader ? 2 : 1;
+        const entries = dataRows.map((row, index) => ({
+            rowNumber: index + offset,
+            ...this.buildRecord(row, settings)
+        }));
+
+        return {
+            entries,
+            validCount: entries.filter(entry => entry.errors.length === 0).length,
+            errorCount: entries.filter(entry => entry.errors.length > 0).length
+        };
+    }
+
+    /**
+     * エラーのない行を登録
+     */
+    importPreview(category, preview) {
+        const records = preview.entries
+            .filter(entry => entry.errors.length === 0)
+            .map(entry => entry.record);
+
+        if (records.length === 0) {
+            throw new Error('バリデーションエラー: 取り込めるデータがありません');
+        }
+
+        this.dataManager.beginBatch('CSVの取り込み', { source: 'import' });
+        try {
+            return this.dataManager.addMultipleRecords(category, records);
+        } finally {
+            this.dataManager.endBatch();
+        }
+    }
+
+    /**
+     * 保存済みの割り当てプロファイル一覧
+     */
+    getProfiles() {
+        return this.storeManager.getMasterData(this.masterKey, []);
+    }
+
+    /**
+     * 割り当てプロファイルの保存（同じ名前のプロファイルは上書き）
+     */
+    saveProfile(name, settings, headers = []) {
+        const profileName = (name || '').trim();
+        if (!profileName) {
+            throw new Error('バリデーションエラー: プロファイル名を入力してください');
+        }
+
+        const now = new Date().toISOString();
+        const profiles = this.getProfiles();
+        const existing = profiles.find(profile => profile.name === profileName);
+        const profile = {
+            id: existing ? existing.id : UUIDGenerator.generate(),
+            name: profileName,
+            category: settings.category,
+            storeId: settings.storeId || null,
+            hasHeader: settings.hasHeader !== false,
+            encoding: settings.encoding || 'auto',
+            mapping: { ...settings.mapping },
+            defaults: { ...(settings.defaults || {}) },
+            headers: headers.slice(),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        const updated = existing
+            ? profiles.map(item => item.id === existing.id ? profile : item)
+            : [...profiles, profile];
+        this.storeManager.setMasterData(this.masterKey, updated);
+        return profile;
+    }
+
+    /**
+     * 割り当てプロファイルの削除
+     */
+    deleteProfile(profileId) {
+        const profiles = this.getProfiles();
+        if (!profiles.some(profile => profile.id === profileId)) {
+            throw new Error(`プロファイルが見つかりません: ${profileId}`);
+        }
+        this.storeManager.setMasterData(this.masterKey, profiles.filter(profile => profile.id !== profileId));
+    }
+
+    /**
+     * プロファイルの割り当てを現在のファイルの列に合わせる
+     * 保存時の見出しと同じ名前の列があればその列、なければ同じ位置の列を使う
+     */
+    applyProfile(profile, headers = []) {
+        const mapping = {};
+
+        Object.keys(this.getMappableFields()).forEach(field => {
+            const index = profile.mapping ? profile.mapping[field] : null;
+            if (index === null || index === undefined || index === '') {
+                mapping[field] = null;
+                return;
+            }
+
+            const headerName = profile.headers ? profile.headers[index] : undefined;
+            const matched = headerName !== undefined ? headers.indexOf(headerName) : -1;
+            if (matched >= 0) {
+                mapping[field] = matched;
+            } else {
+                mapping[field] = Number(index) < headers.length ? Number(index) : null;
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * バックアップからのプロファイル取り込み（同じIDが無いものだけ追加）
+     */
+    mergeProfiles(importedProfiles) {
+        if (!Array.isArray(importedProfiles)) {
+            return 0;
+        }
+
+        const profiles = this.getProfiles();
+        const existingIds = new Set(profiles.map(profile => profile.id));
+        const newProfiles = importedProfiles.filter(profile => profile && profile.id && !existingIds.has(profile.id));
+
+        if (newProfiles.length > 0) {
+            this.storeManager.setMasterData(this.masterKey, [...profiles, ...newProfiles]);
+        }
+
+        return newProfiles.length;
+    }
+}
+
+window.CsvImportManager = CsvImportManager;
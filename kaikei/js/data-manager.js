@@ -23,46 +23,266 @@ class DataModels {
         return {
             sales: {
                 required: ['year', 'month', 'amount'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', amount: 'number', note: 'string' }
+                optional: ['day', 'taxRate', 'taxIncluded', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', amount: 'number', taxRate: 'number', taxIncluded: 'boolean', note: 'string' }
             },
             purchases: {
                 required: ['year', 'month', 'amount'],
-                optional: ['manufacturer', 'note'],
-                types: { year: 'number', month: 'number', amount: 'number', manufacturer: 'string', note: 'string' }
+                optional: ['day', 'manufacturer', 'supplierId', 'taxRate', 'taxIncluded', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', amount: 'number', manufacturer: 'string', supplierId: 'string', taxRate: 'number', taxIncluded: 'boolean', note: 'string' }
             },
             fixedCosts: {
                 required: ['year', 'month', 'category', 'amount'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', category: 'string', amount: 'number', note: 'string' }
+                optional: ['day', 'supplierId', 'taxRate', 'taxIncluded', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', category: 'string', amount: 'number', supplierId: 'string', taxRate: 'number', taxIncluded: 'boolean', note: 'string' }
             },
             variableCosts: {
                 required: ['year', 'month', 'category', 'amount'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', category: 'string', amount: 'number', note: 'string' }
+                optional: ['day', 'supplierId', 'taxRate', 'taxIncluded', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', category: 'string', amount: 'number', supplierId: 'string', taxRate: 'number', taxIncluded: 'boolean', note: 'string' }
             },
             laborCosts: {
                 required: ['year', 'month', 'amount'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', amount: 'number', note: 'string' }
+                optional: ['day', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', amount: 'number', note: 'string' }
             },
             consumptionTax: {
                 required: ['year', 'month', 'amount'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', amount: 'number', note: 'string' }
+                optional: ['day', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', amount: 'number', note: 'string' }
             },
             monthlyPayments: {
                 required: ['year', 'month', 'amount', 'payee'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', amount: 'number', payee: 'string', note: 'string' }
+                optional: ['day', 'supplierId', 'loanId', 'principal', 'interest', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', amount: 'number', payee: 'string', supplierId: 'string', loanId: 'string', principal: 'number', interest: 'number', note: 'string' }
             },
             manufacturerDeposits: {
                 required: ['year', 'month', 'amount', 'manufacturer'],
-                optional: ['note'],
-                types: { year: 'number', month: 'number', amount: 'number', manufacturer: 'string', note: 'string' }
+                optional: ['day', 'transactionType', 'note'],
+                types: { year: 'number', month: 'number', day: 'number', amount: 'number', manufacturer: 'string', transactionType: 'string', note: 'string' }
             }
         };
     }
+
+    /**
+     * カテゴリーの表示名
+     */
+    static getCategoryLabels() {
+        return {
+            sales: '売上',
+            purchases: '仕入れ',
+            fixedCosts: '固定費',
+            variableCosts: '変動費',
+            laborCosts: '人件費',
+            consumptionTax: '消費税',
+            monthlyPayments: '月々の返済',
+            manufacturerDeposits: 'メーカー保証金'
+        };
+    }
+
+    /**
+     * 消費税の対象カテゴリー（output: 売上税額、input: 仕入税額）
+     */
+    static getTaxCategories() {
+        return {
+            sales: 'output',
+            purchases: 'input',
+            fixedCosts: 'input',
+            variableCosts: 'input'
+        };
+    }
+
+    /**
+     * 税率の選択肢（0は非課税・対象外）
+     */
+    static getTaxRates() {
+        return {
+            10: '10%',
+            8: '8%（軽減税率）',
+            0: '非課税・対象外'
+        };
+    }
+
+    /**
+     * 税率の既定値
+     * 保険料・租税公課・利息などの経費は非課税・対象外、それ以外は標準税率とする
+     */
+    static getDefaultTaxRate(category, record = {}) {
+        if ((category === 'fixedCosts' || category === 'variableCosts') && /保険料|租税公課|利息/.test(record.category || '')) {
+            return 0;
+        }
+        return 10;
+    }
+
+    /**
+     * 税率・税込区分が未設定のレコードに既定値を設定（消費税の対象外のカテゴリーはそのまま）
+     */
+    static applyTaxDefaults(category, record) {
+        if (!this.getTaxCategories()[category] || !record) {
+            return record;
+        }
+        return {
+            ...record,
+            taxRate: record.taxRate === undefined || record.taxRate === null || record.taxRate === '' ? this.getDefaultTaxRate(category, record) : record.taxRate,
+            taxIncluded: typeof record.taxIncluded === 'boolean' ? record.taxIncluded : true
+        };
+    }
+
+    /**
+     * 金額を税抜金額・消費税額・税込金額に分ける（消費税額の1円未満は切り捨て）
+     */
+    static splitTax(amount, taxRate, taxIncluded = true) {
+        const value = Number(amount) || 0;
+        const rate = Number(taxRate) || 0;
+        const sign = value < 0 ? -1 : 1;
+        const absolute = Math.abs(value);
+        const tax = sign * (taxIncluded
+            ? Math.floor(absolute * rate / (100 + rate))
+            : Math.floor(absolute * rate / 100));
+        return taxIncluded
+            ? { base: value - tax, tax, total: value }
+            : { base: value, tax, total: value + tax };
+    }
+
+    /**
+     * 税込金額（税抜で入力したレコードは消費税額を加える）
+     * 収支・資金の集計と仕訳は税込金額で行う
+     */
+    static getTaxIncludedAmount(record) {
+        if (!record) {
+            return 0;
+        }
+        return record.taxIncluded === false
+            ? this.splitTax(record.amount, record.taxRate, false).total
+            : Number(record.amount) || 0;
+    }
+
+    /**
+     * メーカー保証金の取引の種類（未設定のレコードは差し入れ）
+     */
+    static getDepositTransactionTypes() {
+        return {
+            payment: '差し入れ',
+            refund: '返還',
+            offset: '仕入れと相殺'
+        };
+    }
+
+    static getDepositTransactionType(record) {
+        return record && record.transactionType ? record.transactionType : 'payment';
+    }
+
+    /**
+     * 保証金残高に対する増減の向き（差し入れは増加、返還・相殺は減少）
+     */
+    static getDepositSign(record) {
+        return DataModels.getDepositTransactionType(record) === 'payment' ? 1 : -1;
+    }
+
+    /**
+     * 月々の返済の元金と利息（利息の記録がないレコードは全額を元金とする）
+     */
+    static getLoanPaymentParts(record) {
+        const amount = Number(record && record.amount) || 0;
+        const interest = Number(record && record.interest) || 0;
+        return { principal: amount - interest, interest };
+    }
+
+    /**
+     * 指定年月の日数取得
+     */
+    static getDaysInMonth(year, month) {
+        return new Date(year, month, 0).getDate();
+    }
+
+    /**
+     * 日付文字列の解析
+     * 「2024-01-15」「2024/1/15」「2024/1」などを { year, month, day } に変換する（日は省略可）
+     */
+    static parseDateString(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        const match = String(value).trim().match(/^(\d{4})[-\/.年](\d{1,2})(?:(?:[-\/.]|月)(\d{1,2})日?|月)?(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const year = Number(match[1]);
+        const month = Number(match[2]);
+        const day = match[3] ? Number(match[3]) : null;
+
+        if (month < 1 || month > 12) {
+            return null;
+        }
+        if (day !== null && (day < 1 || day > this.getDaysInMonth(year, month))) {
+            return null;
+        }
+
+        return { year, month, day };
+    }
+
+    /**
+     * レコード日付の表示文字列（日がない場合は年月のみ）
+     */
+    static formatRecordDate(record) {
+        if (!record) {
+            return '';
+        }
+        return record.day ? `${record.year}/${record.month}/${record.day}` : `${record.year}/${record.month}`;
+    }
+
+    /**
+     * 指定年月が属する年度（期首月の年を年度とする）
+     */
+    static getFiscalYear(year, month, startMonth = 1) {
+        return month >= startMonth ? year : year - 1;
+    }
+
+    /**
+     * 年度の期間（期首年月〜期末年月）
+     */
+    static getFiscalYearRange(fiscalYear, startMonth = 1) {
+        const endMonth = startMonth === 1 ? 12 : startMonth - 1;
+        return {
+            startYear: fiscalYear,
+            startMonth: startMonth,
+            endYear: startMonth === 1 ? fiscalYear : fiscalYear + 1,
+            endMonth: endMonth
+        };
+    }
+
+    /**
+     * 年度に含まれる12か月（期首月から順に）
+     */
+    static getFiscalYearMonths(fiscalYear, startMonth = 1) {
+        const months = [];
+        for (let i = 0; i < 12; i++) {
+            const offset = startMonth - 1 + i;
+            months.push({ year: fiscalYear + Math.floor(offset / 12), month: (offset % 12) + 1 });
+        }
+        return months;
+    }
+
+    /**
+     * 年度の短い表示名（例: 2026年度、暦年の場合は2026年）
+     */
+    static getFiscalYearShortLabel(fiscalYear, startMonth = 1) {
+        return startMonth === 1 ? `${fiscalYear}年` : `${fiscalYear}年度`;
+    }
+
+    /**
+     * 年度の表示名（例: 2026年度 (2026/4–2027/3)）
+     * 期首月が1月の場合は暦年として「2026年」と表示する
+     */
+    static getFiscalYearLabel(fiscalYear, startMonth = 1) {
+        if (startMonth === 1) {
+            return `${fiscalYear}年`;
+        }
+        const range = this.getFiscalYearRange(fiscalYear, startMonth);
+        return `${fiscalYear}年度 (${range.startYear}/${range.startMonth}–${range.endYear}/${range.endMonth})`;
+    }
 }
 console.log('DataModels クラス定義完了:', typeof DataModels);
 
@@ -99,6 +319,34 @@ class DataValidator {
             }
         }
 
+        if (data.taxRate !== undefined && data.taxRate !== null && data.taxRate !== '' &&
+            !Object.keys(DataModels.getTaxRates()).map(Number).includes(data.taxRate)) {
+            errors.push('taxRateは10・8・0（非課税・対象外）のいずれかを指定してください');
+        }
+        if (data.taxIncluded !== undefined && data.taxIncluded !== null && typeof data.taxIncluded !== 'boolean') {
+            errors.push('taxIncludedは税込（true）か税抜（false）を指定してください');
+        }
+        if (data.transactionType !== undefined && data.transactionType !== null && data.transactionType !== '' &&
+            !DataModels.getDepositTransactionTypes()[data.transactionType]) {
+            errors.push('transactionTypeは差し入れ（payment）・返還（refund）・仕入れと相殺（offset）のいずれかを指定してください');
+        }
+        if (typeof data.interest === 'number' && typeof data.amount === 'number') {
+            if (data.interest < 0 || data.interest > data.amount) {
+                errors.push('interestは0以上で返済額以下を指定してください');
+            } else if (typeof data.principal === 'number' && data.principal + data.interest !== data.amount) {
+                errors.push('principalとinterestの合計は返済額と一致させてください');
+            }
+        }
+
+        // 日は任意項目（未指定の場合は月単位のレコードとして扱う）
+        if (data.day !== undefined && data.day !== null && data.day !== '') {
+            const day = Number(data.day);
+            const maxDay = data.year && data.month ? DataModels.getDaysInMonth(data.year, data.month) : 31;
+            if (!Number.isInteger(day) || day < 1 || day > maxDay) {
+                errors.push(`dayは1から${maxDay}の間で入力してください`);
+            }
+        }
+
         return { isValid: errors.length === 0, errors };
     }
 }
@@ -118,47 +366,533 @@ class UUIDGenerator {
 }
 console.log('UUIDGenerator クラス定義完了:', typeof UUIDGenerator);
 
+/**
+ * データスキーマの移行
+ * 保存データのスキーマバージョンを管理し、古い形式のデータを移行ステップの順に最新形式へ変換する
+ * スキーマバージョンが記録されていないデータはバージョン0として扱う
+ */
+class SchemaMigrator {
+    static get CURRENT_VERSION() {
+        return 3;
+    }
+
+    /**
+     * 移行ステップ（versionの昇順）
+     * migrateは会計データ（カテゴリー名をキーとするレコード配列）を直接変更する
+     */
+    static getSteps() {
+        return [
+            {
+                version: 1,
+                description: 'カテゴリーの補完',
+                migrate: (data) => {
+                    for (const category in DataModels.getDataStructure()) {
+                        if (data[category] === undefined || data[category] === null) {
+                            data[category] = [];
+                        } else if (!Array.isArray(data[category])) {
+                            throw new Error(`${category}の形式が不正です`);
+                        }
+                    }
+                }
+            },
+            {
+                version: 2,
+                description: '店舗対応（店舗IDのないレコードを既定の店舗に割り当て）',
+                migrate: (data) => {
+                    SchemaMigrator.assignDefaultStore(data);
+                }
+            },
+            {
+                version: 3,
+                description: '消費税区分の追加（税率・税込区分のないレコードに既定値を設定）',
+                migrate: (data) => {
+                    for (const category in DataModels.getTaxCategories()) {
+                        if (Array.isArray(data[category])) {
+                            data[category] = data[category].map(record => DataModels.applyTaxDefaults(category, record));
+                        }
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * 店舗IDのないレコードに既定の店舗IDを設定し、設定した件数を返す
+     */
+    static assignDefaultStore(data, defaultStoreId = 'default-store') {
+        let count = 0;
+        for (const category in data) {
+            if (Array.isArray(data[category])) {
+                data[category].forEach(record => {
+                    if (record && !record.storeId) {
+                        record.storeId = defaultStoreId;
+                        count++;
+                    }
+                });
+            }
+        }
+        return count;
+    }
+
+    static normalizeVersion(version) {
+        const value = Number(version);
+        return Number.isInteger(value) && value > 0 ? value : 0;
+    }
+
+    /**
+     * 会計データを最新のスキーマへ移行
+     * 元のデータは変更せずコピーに対して移行するため、途中で失敗しても元のデータ（移行前の状態）はそのまま残る
+     */
+    static migrate(data, fromVersion = 0) {
+        const version = SchemaMigrator.normalizeVersion(fromVersion);
+        if (version > SchemaMigrator.CURRENT_VERSION) {
+            throw new Error(`このアプリより新しい形式のデータです（スキーマバージョン${version}、対応バージョン${SchemaMigrator.CURRENT_VERSION}まで）`);
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('移行するデータがありません');
+        }
+
+        const migrated = JSON.parse(JSON.stringify(data));
+        const applied = [];
+        SchemaMigrator.getSteps()
+            .filter(step => step.version > version)
+            .forEach(step => {
+                try {
+                    step.migrate(migrated);
+                } catch (error) {
+                    throw new Error(`スキーマバージョン${step.version}（${step.description}）への移行に失敗しました: ${error.message}`);
+                }
+                applied.push({ version: step.version, description: step.description });
+            });
+
+        return {
+            data: migrated,
+            fromVersion: version,
+            toVersion: SchemaMigrator.CURRENT_VERSION,
+            applied
+        };
+    }
+}
+console.log('SchemaMigrator クラス定義完了:', typeof SchemaMigrator);
+
+/**
+ * localStorageストレージアダプター（従来方式）
+ * 会計データ・店舗データをそれぞれ1つのキーにJSONで保存する
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.type = 'localStorage';
+        this.dataKey = 'kaikei-data';
+        this.storeKey = 'kaikei-stores';
+        this.itemPrefix = 'kaikei-';
+    }
+
+    async init() {
+        return true;
+    }
+
+    async loadData() {
+        const savedData = localStorage.getItem(this.dataKey);
+        return savedData ? JSON.parse(savedData) : null;
+    }
+
+    /**
+     * 会計データ保存
+     * localStorageは差分書き込みができないため、changesに関わらず全体を保存する
+     */
+    async saveData(data, changes = null) {
+        localStorage.setItem(this.dataKey, JSON.stringify(data));
+        return true;
+    }
+
+    async loadStoreData() {
+        const savedData = localStorage.getItem(this.storeKey);
+        return savedData ? JSON.parse(savedData) : null;
+    }
+
+    async saveStoreData(storeData) {
+        localStorage.setItem(this.storeKey, JSON.stringify(storeData));
+        return true;
+    }
+
+    async getItem(key) {
+        const value = localStorage.getItem(this.itemPrefix + key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(this.itemPrefix + key, JSON.stringify(value));
+        return true;
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(this.itemPrefix + key);
+        return true;
+    }
+}
+console.log('LocalStorageAdapter クラス定義完了:', typeof LocalStorageAdapter);
+
+/**
+ * IndexedDBストレージアダプター
+ * カテゴリーごとのオブジェクトストアにレコード単位で保存し、変更分のみを書き込む
+ */
+class IndexedDBAdapter {
+    constructor(dbName = 'kaikei-db', legacyAdapter = null) {
+        this.type = 'indexedDB';
+        this.dbName = dbName;
+        // 移行元（従来のlocalStorage保存）
+        this.legacyAdapter = legacyAdapter || new LocalStorageAdapter();
+        // カテゴリー（オブジェクトストア）を追加する場合はバージョンを上げる
+        this.dbVersion = 1;
+        this.metaStoreName = 'meta';
+        this.categories = [];
+        this.db = null;
+    }
+
+    /**
+     * 移行済みの印（localStorage側のキー）
+     */
+    static get MIGRATED_KEY() {
+        return 'indexedDBMigrated';
+    }
+
+    /**
+     * データをIndexedDBへ移行済みか（移行済みの場合はlocalStorageにデータが残っていない）
+     */
+    static async isMigrated(legacyAdapter = new LocalStorageAdapter()) {
+        return !!(await legacyAdapter.getItem(IndexedDBAdapter.MIGRATED_KEY));
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    async init() {
+        this.categories = Object.keys(DataModels.getDataStructure());
+        this.db = await this.openDatabase();
+        await this.migrateFromLocalStorage();
+        return true;
+    }
+
+    /**
+     * データベースを開く（必要に応じてオブジェクトストアを作成）
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                this.categories.forEach(category => {
+                    if (!db.objectStoreNames.contains(category)) {
+                        db.createObjectStore(category, { keyPath: 'id' });
+                    }
+                });
+                if (!db.objectStoreNames.contains(this.metaStoreName)) {
+                    db.createObjectStore(this.metaStoreName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('データベースが他のタブで使用中のため開けません'));
+        });
+    }
+
+    /**
+     * トランザクション実行
+     * operation内で発行したリクエストがすべて完了した時点で解決する
+     */
+    runTransaction(storeNames, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('トランザクションが中断されました'));
+
+            try {
+                operation(transaction);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+
+    async loadData() {
+        const data = {};
+        let recordCount = 0;
+
+        await this.runTransaction(this.categories, 'readonly', (transaction) => {
+            this.categories.forEach(category => {
+                const request = transaction.objectStore(category).getAll();
+                request.onsuccess = () => {
+                    data[category] = request.result;
+                    recordCount += request.result.length;
+                };
+            });
+        });
+
+        return recordCount > 0 ? data : null;
+    }
+
+    /**
+     * 会計データ保存
+     * changesが指定された場合は該当レコードのみ書き込み、未指定の場合は全件を書き直す
+     */
+    async saveData(data, changes = null) {
+        await this.runTransaction(this.categories, 'readwrite', (transaction) => {
+            if (changes) {
+                changes.forEach(change => {
+                    const store = transaction.objectStore(change.category);
+                    if (change.type === 'delete') {
+                        store.delete(change.id);
+                    } else {
+                        store.put(change.record);
+                    }
+                });
+                return;
+            }
+
+            this.categories.forEach(category => {
+                const store = transaction.objectStore(category);
+                store.clear();
+                (data[category] || []).forEach(record => {
+                    if (record && record.id) {
+                        store.put(record);
+                    } else {
+                        console.warn(`IDのないレコードは保存できません (${category}):`, record);
+                    }
+                });
+            });
+        });
+        return true;
+    }
+
+    async loadStoreData() {
+        return await this.getItem('stores');
+    }
+
+    async saveStoreData(storeData) {
+        return await this.setItem('stores', storeData);
+    }
+
+    async getItem(key) {
+        let value = null;
+        await this.runTransaction([this.metaStoreName], 'readonly', (transaction) => {
+            const request = transaction.objectStore(this.metaStoreName).get(key);
+            request.onsuccess = () => {
+                value = request.result === undefined ? null : request.result;
+            };
+        });
+        return value;
+    }
+
+    async setItem(key, value) {
+        await this.runTransaction([this.metaStoreName], 'readwrite', (transaction) => {
+            transaction.objectStore(this.metaStoreName).put(value, key);
+        });
+        return true;
+    }
+
+    async removeItem(key) {
+        await this.runTransaction([this.metaStoreName], 'readwrite', (transaction) => {
+            transaction.objectStore(this.metaStoreName).delete(key);
+        });
+        return true;
+    }
+
+    /**
+     * localStorageからの初回移行
+     * 移行後に件数を照合し、一致した場合のみ旧キーを削除して容量を解放する
+     * 旧キーを削除する前に移行済みの印をlocalStorageに残し、以降はlocalStorageへ切り替えないようにする
+     */
+    async migrateFromLocalStorage() {
+        const migrationInfo = await this.getItem('localStorageMigration');
+        if (migrationInfo) {
+            // 移行済みの印がない（印を残す前に移行した）場合は補う
+            if (!(await IndexedDBAdapter.isMigrated(this.legacyAdapter))) {
+                await this.legacyAdapter.setItem(IndexedDBAdapter.MIGRATED_KEY, migrationInfo);
+            }
+            return false;
+        }
+
+        const legacyAdapter = this.legacyAdapter;
+        const legacyData = await legacyAdapter.loadData();
+        const legacyStoreData = await legacyAdapter.loadStoreData();
+
+        // 暗号化されたデータはロック解除前に移行できないため、localStorageのまま使用する
+        if ((legacyData && legacyData.kaikeiEncrypted) || (legacyStoreData && legacyStoreData.kaikeiEncrypted)) {
+            throw new Error('暗号化されたlocalStorageのデータはIndexedDBへ移行できません');
+        }
+        let recordCount = 0;
+
+        if (legacyData) {
+            const data = { ...DataModels.getDataStructure(), ...legacyData };
+            await this.saveData(data);
+
+            const expectedCount = this.categories.reduce((total, category) =>
+                total + (Array.isArray(data[category]) ? data[category].filter(record => record && record.id).length : 0), 0);
+            const migratedData = await this.loadData() || {};
+            recordCount = this.categories.reduce((total, category) =>
+                total + (migratedData[category] ? migratedData[category].length : 0), 0);
+
+            if (recordCount !== expectedCount) {
+                throw new Error(`データ移行の件数が一致しません (移行元: ${expectedCount}件, 移行先: ${recordCount}件)`);
+            }
+
+            // スキーマバージョンも引き継ぎ、移行済みのステップを再実行しないようにする
+            const schemaVersion = await legacyAdapter.getItem('schemaVersion');
+            if (schemaVersion !== null) {
+                await this.setItem('schemaVersion', schemaVersion);
+            }
+        }
+
+        if (legacyStoreData) {
+            await this.saveStoreData(legacyStoreData);
+        }
+
+        const migration = {
+            migratedAt: new Date().toISOString(),
+            recordCount: recordCount,
+            hadStoreData: !!legacyStoreData
+        };
+        await this.setItem('localStorageMigration', migration);
+        await legacyAdapter.setItem(IndexedDBAdapter.MIGRATED_KEY, migration);
+
+        localStorage.removeItem(legacyAdapter.dataKey);
+        localStorage.removeItem(legacyAdapter.storeKey);
+
+        if (legacyData || legacyStoreData) {
+            console.log(`localStorageからIndexedDBへ移行しました (${recordCount}件)`);
+        }
+        return true;
+    }
+}
+console.log('IndexedDBAdapter クラス定義完了:', typeof IndexedDBAdapter);
+
+/**
+ * ストレージアダプター生成
+ * IndexedDBが使える環境ではIndexedDBを、使えない場合はlocalStorageを使用する
+ * IndexedDBへ移行済みの場合は、空のlocalStorageで上書きしないようlocalStorageへは切り替えずにエラーとする
+ */
+class StorageAdapterFactory {
+    static async create() {
+        const migrated = await IndexedDBAdapter.isMigrated();
+        if (IndexedDBAdapter.isSupported()) {
+            try {
+                const adapter = new IndexedDBAdapter();
+                await adapter.init();
+                return adapter;
+            } catch (error) {
+                if (migrated) {
+                    throw new Error(`データはIndexedDBに保存されていますが、IndexedDBを開けませんでした（${error.message}）。他のタブを閉じるか、ブラウザを再起動してから開き直してください`);
+                }
+                console.warn('IndexedDBの初期化に失敗したためlocalStorageを使用します:', error);
+            }
+        } else if (migrated) {
+            throw new Error('データはIndexedDBに保存されていますが、このブラウザではIndexedDBを使用できません');
+        }
+
+        const adapter = new LocalStorageAdapter();
+        await adapter.init();
+        return adapter;
+    }
+}
+console.log('StorageAdapterFactory クラス定義完了:', typeof StorageAdapterFactory);
+
 /**
  * データ管理クラス
  */
 class DataManager {
-    constructor() {
+    constructor(storageAdapter = null) {
         this.data = DataModels.getDataStructure();
-        this.storageKey = 'kaikei-data';
+        this.storage = storageAdapter || new LocalStorageAdapter();
         this.hasUnsavedChanges = false;
+        this.currentBatch = null;
+        this.schemaVersionKey = 'schemaVersion';
+        this.lastSchemaMigration = null;
         console.log('DataManager インスタンス作成完了');
     }
 
     async loadData() {
         try {
-            const savedData = localStorage.getItem(this.storageKey);
-            if (savedData) {
-                const parsedData = JSON.parse(savedData);
-                this.data = { ...DataModels.getDataStructure(), ...parsedData };
-                
-                const defaultStructure = DataModels.getDataStructure();
-                for (const category in defaultStructure) {
-                    if (!this.data[category]) {
-                        this.data[category] = [];
-                    }
-                }
+            const parsedData = await this.storage.loadData();
+            if (parsedData) {
+                const storedVersion = await this.storage.getItem(this.schemaVersionKey);
+                await this.migrateSchema(parsedData, storedVersion);
                 
                 console.log('データ読み込み完了');
                 return true;
             }
+            await this.storage.setItem(this.schemaVersionKey, SchemaMigrator.CURRENT_VERSION);
             console.log('新規データで開始');
             return false;
         } catch (error) {
-            console.error('データ読み込みエラー:', error);
-            this.data = DataModels.getDataStructure();
-            return false;
+            console.error('データ読み込みエラー:', error);
+            this.data = DataModels.getDataStructure();
+            return false;
+        }
+    }
+
+    /**
+     * 読み込んだデータのスキーマ移行
+     * 移行または移行後の保存に失敗した場合は移行前のスナップショットに戻し、スキーマバージョンも更新しない
+     */
+    async migrateSchema(parsedData, storedVersion) {
+        const fromVersion = SchemaMigrator.normalizeVersion(storedVersion);
+        const snapshot = JSON.parse(JSON.stringify(parsedData));
+        this.lastSchemaMigration = null;
+
+        if (fromVersion === SchemaMigrator.CURRENT_VERSION) {
+            this.data = { ...DataModels.getDataStructure(), ...parsedData };
+            return this.lastSchemaMigration;
+        }
+
+        let result = null;
+        try {
+            result = SchemaMigrator.migrate(parsedData, fromVersion);
+            this.data = { ...DataModels.getDataStructure(), ...result.data };
+            await this.storage.saveData(this.data);
+            await this.storage.setItem(this.schemaVersionKey, result.toVersion);
+            this.lastSchemaMigration = {
+                success: true,
+                fromVersion: result.fromVersion,
+                toVersion: result.toVersion,
+                applied: result.applied
+            };
+            console.log(`スキーマを移行しました: バージョン${result.fromVersion} → ${result.toVersion}`, result.applied);
+        } catch (error) {
+            console.error('スキーマ移行エラー（移行前のデータに戻します）:', error);
+            this.data = { ...DataModels.getDataStructure(), ...snapshot };
+            if (result) {
+                // 保存の途中で失敗した場合に備えて、移行前のデータを書き戻す
+                try {
+                    await this.storage.saveData(snapshot);
+                } catch (restoreError) {
+                    console.error('移行前データの書き戻しに失敗:', restoreError);
+                }
+            }
+            this.lastSchemaMigration = {
+                success: false,
+                fromVersion,
+                toVersion: SchemaMigrator.CURRENT_VERSION,
+                applied: [],
+                error: error.message
+            };
         }
+
+        document.dispatchEvent(new CustomEvent('schemaMigrated', { detail: this.lastSchemaMigration }));
+        return this.lastSchemaMigration;
     }
 
-    async saveData() {
+    /**
+     * データ保存
+     * changesを指定すると対応するストレージでは変更レコードのみを書き込む
+     * 形式: [{ category, type: 'put', record }] / [{ category, type: 'delete', id }]
+     */
+    async saveData(changes = null) {
         try {
-            const dataToSave = JSON.stringify(this.data);
-            localStorage.setItem(this.storageKey, dataToSave);
+            await this.storage.saveData(this.data, changes);
             this.hasUnsavedChanges = false;
             
             document.dispatchEvent(new CustomEvent('dataSaveStatus', {
@@ -188,10 +922,12 @@ class DataManager {
 
         const record = {
             id: UUIDGenerator.generate(),
-            ...recordData,
+            ...DataModels.applyTaxDefaults(category, recordData),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
+        this.assertPeriodsOpen([record]);
+        this.assertDepositBalance(category, [{ before: null, after: record }]);
 
         if (!this.data[category]) {
             this.data[category] = [];
@@ -200,11 +936,12 @@ class DataManager {
         this.data[category].push(record);
         this.hasUnsavedChanges = true;
         
-        document.dispatchEvent(new CustomEvent('dataChanged', {
-            detail: { category, action: 'add', record }
-        }));
+        this.notifyDataChanged(
+            { category, action: 'add', record, label: 'レコードの追加' },
+            [{ category, before: null, after: record }]
+        );
 
-        this.saveData();
+        this.saveData([{ category, type: 'put', record }]);
         return record;
     }
 
@@ -220,19 +957,23 @@ class DataManager {
             throw new Error(`バリデーションエラー: ${validation.errors.join(', ')}`);
         }
 
+        const previousRecord = this.data[category][recordIndex];
+        this.assertPeriodsOpen([previousRecord, mergedData]);
+        this.assertDepositBalance(category, [{ before: previousRecord, after: mergedData }]);
         this.data[category][recordIndex] = {
-            ...this.data[category][recordIndex],
+            ...previousRecord,
             ...updateData,
             updatedAt: new Date().toISOString()
         };
 
         this.hasUnsavedChanges = true;
         
-        document.dispatchEvent(new CustomEvent('dataChanged', {
-            detail: { category, action: 'update', record: this.data[category][recordIndex] }
-        }));
+        this.notifyDataChanged(
+            { category, action: 'update', record: this.data[category][recordIndex], label: 'レコードの更新' },
+            [{ category, before: previousRecord, after: this.data[category][recordIndex] }]
+        );
 
-        this.saveData();
+        this.saveData([{ category, type: 'put', record: this.data[category][recordIndex] }]);
         return this.data[category][recordIndex];
     }
 
@@ -243,17 +984,63 @@ class DataManager {
         }
 
         const deletedRecord = this.data[category][recordIndex];
+        this.assertPeriodsOpen([deletedRecord]);
+        this.assertDepositBalance(category, [{ before: deletedRecord, after: null }]);
         this.data[category].splice(recordIndex, 1);
         this.hasUnsavedChanges = true;
         
-        document.dispatchEvent(new CustomEvent('dataChanged', {
-            detail: { category, action: 'delete', record: deletedRecord }
-        }));
+        this.notifyDataChanged(
+            { category, action: 'delete', record: deletedRecord, label: 'レコードの削除' },
+            [{ category, before: deletedRecord, after: null }]
+        );
 
-        this.saveData();
+        this.saveData([{ category, type: 'delete', id: deletedRecord.id }]);
         return deletedRecord;
     }
 
+    /**
+     * 削除済みレコードの復元（ゴミ箱から戻す場合など、元のIDのまま追加する）
+     * entries: [{ category, record }]、同じIDのレコードが既にある場合は復元しない
+     */
+    restoreRecords(entries, label = 'ゴミ箱から復元') {
+        const now = new Date().toISOString();
+        const changes = [];
+        this.assertPeriodsOpen(entries.map(entry => entry.record));
+
+        entries.forEach(({ category, record }) => {
+            if (!this.data[category]) {
+                this.data[category] = [];
+            }
+            if (this.data[category].some(existing => existing.id === record.id)) {
+                return;
+            }
+
+            const restored = { ...record, updatedAt: now };
+            this.data[category].push(restored);
+            changes.push({ category, before: null, after: restored });
+        });
+
+        if (changes.length > 0) {
+            this.hasUnsavedChanges = true;
+            const categories = [...new Set(changes.map(change => change.category))];
+
+            this.notifyDataChanged(
+                {
+                    category: categories.length === 1 ? categories[0] : null,
+                    action: 'restore',
+                    records: changes.map(change => change.after),
+                    label,
+                    source: 'trash'
+                },
+                changes
+            );
+
+            this.saveData(changes.map(change => ({ category: change.category, type: 'put', record: change.after })));
+        }
+
+        return changes.map(change => change.after);
+    }
+
     getDataByCategory(category) {
         if (!this.data[category]) {
             return [];
@@ -295,20 +1082,12 @@ class DataManager {
         return count;
     }
 
+    /**
+     * 店舗IDのないレコードを既定の店舗に割り当て
+     * 読み込み時はスキーマ移行（バージョン2）で行うため、読み込み後に追加されたデータの補正用
+     */
     migrateDataForStoreSupport() {
-        let migrationCount = 0;
-        const defaultStoreId = 'default-store';
-        
-        for (const category in this.data) {
-            if (Array.isArray(this.data[category])) {
-                this.data[category].forEach(record => {
-                    if (!record.storeId) {
-                        record.storeId = defaultStoreId;
-                        migrationCount++;
-                    }
-                });
-            }
-        }
+        const migrationCount = SchemaMigrator.assignDefaultStore(this.data);
         
         if (migrationCount > 0) {
             this.hasUnsavedChanges = true;
@@ -321,17 +1100,21 @@ class DataManager {
 
     moveRecordsToStore(recordIds, category, targetStoreId) {
         const movedRecords = [];
+        const targets = this.data[category].filter(record => recordIds.includes(record.id));
+        this.assertPeriodsOpen([...targets, ...targets.map(record => ({ ...record, storeId: targetStoreId }))]);
+        this.assertDepositBalance(category, targets.map(record => ({ before: record, after: { ...record, storeId: targetStoreId } })));
         
         recordIds.forEach(recordId => {
             const recordIndex = this.data[category].findIndex(record => record.id === recordId);
             if (recordIndex !== -1) {
-                const oldStoreId = this.data[category][recordIndex].storeId;
+                const previousRecord = { ...this.data[category][recordIndex] };
                 this.data[category][recordIndex].storeId = targetStoreId;
                 this.data[category][recordIndex].updatedAt = new Date().toISOString();
                 
                 movedRecords.push({
                     record: this.data[category][recordIndex],
-                    oldStoreId: oldStoreId,
+                    previousRecord,
+                    oldStoreId: previousRecord.storeId,
                     newStoreId: targetStoreId
                 });
             }
@@ -340,24 +1123,262 @@ class DataManager {
         if (movedRecords.length > 0) {
             this.hasUnsavedChanges = true;
             
-            document.dispatchEvent(new CustomEvent('dataChanged', {
-                detail: { category, action: 'move', records: movedRecords }
-            }));
+            this.notifyDataChanged(
+                { category, action: 'move', records: movedRecords, label: '店舗の移動' },
+                movedRecords.map(moved => ({ category, before: moved.previousRecord, after: moved.record }))
+            );
             
-            this.saveData();
+            this.saveData(movedRecords.map(moved => ({ category, type: 'put', record: moved.record })));
         }
         
         return movedRecords;
     }
 
+    /**
+     * メーカー保証金の返還・相殺が残高を超える変更の拒否（保証金台帳の読み込み後のみ）
+     */
+    assertDepositBalance(category, changes) {
+        if (category === 'manufacturerDeposits' && window.depositManager) {
+            window.depositManager.assertLedgerChanges(changes);
+        }
+    }
+
+    /**
+     * 締め済みの月への書き込みの拒否（月次締め機能の読み込み後のみ）
+     * 変更前後のレコードをまとめて確認し、1件でも締め済みの月があれば何も変更せずにエラーとする
+     */
+    assertPeriodsOpen(records) {
+        if (window.closingManager) {
+            window.closingManager.assertOpen(records.filter(Boolean));
+        }
+    }
+
+    /**
+     * レコードの年月が締め済みか（月次締め機能の読み込み前は常にfalse）
+     */
+    isPeriodClosed(record) {
+        return window.closingManager ? window.closingManager.isClosed(record.storeId, record.year, record.month) : false;
+    }
+
+    /**
+     * データ全体を置き換えた場合に追加・変更・削除されるレコード（変更は変更前後の両方）
+     * ファイルの取り込みで締め済みの月を確認するために使う
+     */
+    getReplacedRecords(nextData) {
+        const records = [];
+        const isSame = (a, b) => Object.keys(a).length === Object.keys(b).length &&
+            Object.keys(a).every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+
+        Object.keys({ ...this.data, ...nextData }).forEach(category => {
+            const currentRecords = new Map((Array.isArray(this.data[category]) ? this.data[category] : []).map(record => [record.id, record]));
+            (Array.isArray(nextData[category]) ? nextData[category] : []).forEach(record => {
+                const previousRecord = currentRecords.get(record.id);
+                currentRecords.delete(record.id);
+                if (!previousRecord || !isSame(previousRecord, record)) {
+                    records.push(previousRecord, record);
+                }
+            });
+            records.push(...currentRecords.values());
+        });
+
+        return records;
+    }
+
+    /**
+     * 設定項目（ゴミ箱・変更履歴など）の保存完了の通知（他のタブでの読み込み直し用）
+     */
+    notifyItemSaved(key) {
+        document.dispatchEvent(new CustomEvent('storageItemSaved', { detail: { key } }));
+    }
+
+    /**
+     * データ変更イベントの発行
+     * changesは変更前後のレコード（追加はbeforeがnull、削除はafterがnull）で、元に戻す・やり直しと変更履歴に使う
+     * sourceは変更元（form / batch / import / restore / recurring / trash / undo / redo / sync）で、一括操作中は一括操作の指定を優先する
+     * 一括操作の途中ではchangesを一括操作にまとめ、イベントにはbatched: trueを付ける
+     */
+    notifyDataChanged(detail, changes = []) {
+        const snapshots = changes.map(change => ({
+            category: change.category,
+            before: change.before ? { ...change.before } : null,
+            after: change.after ? { ...change.after } : null
+        }));
+        const batch = this.currentBatch;
+
+        if (batch) {
+            batch.changes.push(...snapshots);
+        }
+
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: {
+                ...detail,
+                source: (batch && batch.source) || detail.source || 'form',
+                note: (batch && batch.note) || detail.note || '',
+                changes: snapshots,
+                batched: !!batch
+            }
+        }));
+    }
+
+    /**
+     * 一括操作の開始（endBatchまでの変更を1回の操作として元に戻せるようにする）
+     * optionsのsource・noteは一括操作中の変更履歴に記録する変更元・備考
+     * 入れ子で呼ばれた場合は最も外側の一括操作にまとめる
+     */
+    beginBatch(label, options = {}) {
+        if (this.currentBatch) {
+            this.currentBatch.depth++;
+            return;
+        }
+        this.currentBatch = { label, source: options.source || null, note: options.note || '', changes: [], depth: 1 };
+    }
+
+    /**
+     * 一括操作の終了
+     */
+    endBatch() {
+        if (!this.currentBatch) {
+            return;
+        }
+        this.currentBatch.depth--;
+        if (this.currentBatch.depth > 0) {
+            return;
+        }
+
+        const batch = this.currentBatch;
+        this.currentBatch = null;
+        if (batch.changes.length === 0) {
+            return;
+        }
+
+        const categories = [...new Set(batch.changes.map(change => change.category))];
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: {
+                category: categories.length === 1 ? categories[0] : null,
+                action: 'batch',
+                label: batch.label,
+                source: batch.source || 'batch',
+                note: batch.note,
+                changes: batch.changes,
+                batched: false
+            }
+        }));
+    }
+
+    /**
+     * 記録済みの変更前後の状態を復元（元に戻す・やり直し用）
+     * direction: 'undo'は変更前、'redo'は変更後の状態に戻す
+     */
+    applyRecordStates(changes, direction, label = '') {
+        const ordered = direction === 'undo' ? changes.slice().reverse() : changes;
+        const saveChanges = [];
+        this.assertPeriodsOpen(changes.flatMap(change => [change.before, change.after]));
+
+        ordered.forEach(change => {
+            const target = direction === 'undo' ? change.before : change.after;
+            const source = direction === 'undo' ? change.after : change.before;
+            const saveChange = this.setRecordState(change.category, (target || source).id, target);
+            if (saveChange) {
+                saveChanges.push(saveChange);
+            }
+        });
+
+        this.hasUnsavedChanges = true;
+
+        // イベントには今回の復元による変更前後を渡す（元に戻す場合は記録時の前後が逆になる）
+        const appliedChanges = ordered.map(change => direction === 'undo'
+            ? { category: change.category, before: change.after, after: change.before }
+            : change);
+        const categories = [...new Set(changes.map(change => change.category))];
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: {
+                category: categories.length === 1 ? categories[0] : null,
+                action: direction,
+                label,
+                source: direction,
+                changes: appliedChanges,
+                isUndoRedo: true
+            }
+        }));
+
+        this.saveData(saveChanges);
+        return saveChanges.length;
+    }
+
+    /**
+     * レコードを指定の状態にする（recordがnullの場合は削除）
+     * 保存用の変更内容を返し、削除対象が既にない場合はnull
+     */
+    setRecordState(category, recordId, record) {
+        if (!this.data[category]) {
+            this.data[category] = [];
+        }
+
+        const records = this.data[category];
+        const recordIndex = records.findIndex(item => item.id === recordId);
+        if (record) {
+            const copy = { ...record };
+            if (recordIndex === -1) {
+                records.push(copy);
+            } else {
+                records[recordIndex] = copy;
+            }
+            return { category, type: 'put', record: copy };
+        }
+        if (recordIndex !== -1) {
+            records.splice(recordIndex, 1);
+            return { category, type: 'delete', id: recordId };
+        }
+        return null;
+    }
+
+    /**
+     * 別のタブで行われた変更の反映（別のタブで保存済みのため差分は書き込まない）
+     * detailは別のタブでの操作内容（action・source・label・note）で、イベントにはisRemote: trueを付ける
+     */
+    applyRemoteChanges(changes, detail = {}) {
+        const saveChanges = [];
+        changes.forEach(change => {
+            const saveChange = this.setRecordState(change.category, (change.after || change.before).id, change.after);
+            if (saveChange) {
+                saveChanges.push(saveChange);
+            }
+        });
+
+        const categories = [...new Set(changes.map(change => change.category))];
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: {
+                category: categories.length === 1 ? categories[0] : null,
+                action: detail.action || 'update',
+                label: detail.label || '',
+                source: detail.source || 'sync',
+                note: detail.note || '',
+                changes: changes.map(change => ({
+                    category: change.category,
+                    before: change.before ? { ...change.before } : null,
+                    after: change.after ? { ...change.after } : null
+                })),
+                batched: false,
+                isRemote: true
+            }
+        }));
+
+        // localStorageは全体を書き込むため、別のタブの保存より前の内容で上書きしないよう反映後の状態で保存し直す
+        if (this.storage.type === 'localStorage') {
+            this.saveData();
+        }
+        return saveChanges.length;
+    }
+
     async retrySave() {
         return await this.saveData();
     }
 
     /**
      * 月別データ取得
+     * dayを指定した場合はその日のレコードのみ（日付のない月単位レコードは含まない）
      */
-    getRecordsByMonth(year, month, storeId = null) {
+    getRecordsByMonth(year, month, storeId = null, day = null) {
         const result = {};
         
         // storeIdが指定されていない場合は、アクティブ店舗IDを使用
@@ -365,7 +1386,8 @@ class DataManager {
         
         for (const category in this.data) {
             let filteredData = this.data[category].filter(record => 
-                record.year === year && record.month === month
+                record.year === year && record.month === month &&
+                (day === null || record.day === day)
             );
             
             // storeIdが指定されている場合はさらにフィルタリング
@@ -404,22 +1426,42 @@ class DataManager {
         return result;
     }
 
+    /**
+     * 年度別データ取得（期首月は店舗マスタの会計年度設定）
+     */
+    getRecordsByFiscalYear(fiscalYear, storeId = null) {
+        const startMonth = window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+        const range = DataModels.getFiscalYearRange(fiscalYear, startMonth);
+        return this.getRecordsByDateRange(range.startYear, range.startMonth, range.endYear, range.endMonth, storeId);
+    }
+
     /**
      * 期間別データ取得
+     * startDay/endDayを指定すると日単位で絞り込む（日付のない月単位レコードは月の範囲で判定）
      */
-    getRecordsByDateRange(startYear, startMonth, endYear, endMonth, storeId = null) {
+    getRecordsByDateRange(startYear, startMonth, endYear, endMonth, storeId = null, startDay = null, endDay = null) {
         const result = {};
         
         // storeIdが指定されていない場合は、アクティブ店舗IDを使用
         const finalStoreId = storeId || (window.storeManager ? window.storeManager.getActiveStoreId() : null);
         
+        const startDate = startYear * 100 + startMonth;
+        const endDate = endYear * 100 + endMonth;
+        const startDayDate = startDate * 100 + (startDay || 1);
+        const endDayDate = endDate * 100 + (endDay || 31);
+        
         for (const category in this.data) {
             let filteredData = this.data[category].filter(record => {
                 const recordDate = record.year * 100 + record.month;
-                const startDate = startYear * 100 + startMonth;
-                const endDate = endYear * 100 + endMonth;
+                if (recordDate < startDate || recordDate > endDate) {
+                    return false;
+                }
+                if (!record.day) {
+                    return true;
+                }
                 
-                return recordDate >= startDate && recordDate <= endDate;
+                const recordDayDate = recordDate * 100 + record.day;
+                return recordDayDate >= startDayDate && recordDayDate <= endDayDate;
             });
             
             // storeIdが指定されている場合はさらにフィルタリング
@@ -464,7 +1506,7 @@ class DataManager {
                 
                 const record = {
                     id: UUIDGenerator.generate(),
-                    ...records[i],
+                    ...DataModels.applyTaxDefaults(category, records[i]),
                     createdAt: new Date().toISOString(),
                     updatedAt: new Date().toISOString()
                 };
@@ -472,6 +1514,9 @@ class DataManager {
                 if (!record.storeId && window.storeManager) {
                     record.storeId = window.storeManager.getActiveStoreId();
                 }
+                this.assertPeriodsOpen([record]);
+                // 同じ一括登録の前の行も含めて残高を確認する
+                this.assertDepositBalance(category, [{ before: null, after: record }]);
                 
                 this.data[category].push(record);
                 addedRecords.push(record);
@@ -482,7 +1527,11 @@ class DataManager {
         
         if (addedRecords.length > 0) {
             this.hasUnsavedChanges = true;
-            this.saveData();
+            this.notifyDataChanged(
+                { category, action: 'add', records: addedRecords, label: '一括登録', source: 'batch' },
+                addedRecords.map(record => ({ category, before: null, after: record }))
+            );
+            this.saveData(addedRecords.map(record => ({ category, type: 'put', record })));
         }
         
         return {
@@ -493,33 +1542,126 @@ class DataManager {
 
     /**
      * 月別レコードの同期（変動費用）
+     * idのあるレコードは既存レコードの更新、idのないレコードは追加とし、アクティブ店舗の同月のレコードのうちrecordsにないものは削除する（他の店舗のレコードは変更しない）
+     * 更新では入力されていない項目（定期取引の紐付け・日・仕入先など）を既存レコードから引き継ぐ
      */
     syncMonthlyRecords(category, year, month, records) {
-        // 既存の同月データを削除
-        this.data[category] = this.data[category].filter(record => 
-            !(record.year === year && record.month === month)
-        );
-        
-        // 新しいレコードを追加
-        records.forEach(recordData => {
-            const record = {
-                id: UUIDGenerator.generate(),
-                ...recordData,
-                year: year,
-                month: month,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            
-            if (!record.storeId && window.storeManager) {
-                record.storeId = window.storeManager.getActiveStoreId();
+        const activeStoreId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+        const isTarget = record => record.year === year && record.month === month && (!activeStoreId || record.storeId === activeStoreId);
+        const existingRecords = this.data[category].filter(isTarget);
+        const now = new Date().toISOString();
+        const recordChanges = [];
+
+        records.forEach(({ id, ...recordData }) => {
+            if (id) {
+                const previousRecord = existingRecords.find(record => record.id === id);
+                if (!previousRecord) {
+                    throw new Error(`レコードが見つかりません: ${id}`);
+                }
+                // 変更のないレコードは更新しない
+                if (Object.keys(recordData).every(key => previousRecord[key] === recordData[key])) {
+                    return;
+                }
+                recordChanges.push({ category, before: previousRecord, after: { ...previousRecord, ...recordData, year, month, updatedAt: now } });
+            } else {
+                recordChanges.push({
+                    category,
+                    before: null,
+                    after: {
+                        id: UUIDGenerator.generate(),
+                        storeId: activeStoreId,
+                        ...DataModels.applyTaxDefaults(category, recordData),
+                        year,
+                        month,
+                        createdAt: now,
+                        updatedAt: now
+                    }
+                });
             }
-            
-            this.data[category].push(record);
         });
-        
+
+        const keptIds = new Set(records.map(record => record.id).filter(Boolean));
+        existingRecords
+            .filter(record => !keptIds.has(record.id))
+            .forEach(record => recordChanges.push({ category, before: record, after: null }));
+
+        const errors = [];
+        recordChanges.forEach(({ after }) => {
+            if (after) {
+                errors.push(...DataValidator.validateRecord(category, after).errors);
+            }
+        });
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${[...new Set(errors)].join(', ')}`);
+        }
+        this.assertPeriodsOpen(recordChanges.flatMap(({ before, after }) => [before, after]));
+
+        if (recordChanges.length === 0) {
+            return;
+        }
+
+        recordChanges.forEach(({ before, after }) => {
+            if (!before) {
+                this.data[category].push(after);
+            } else if (!after) {
+                this.data[category].splice(this.data[category].indexOf(before), 1);
+            } else {
+                this.data[category][this.data[category].indexOf(before)] = after;
+            }
+        });
+
         this.hasUnsavedChanges = true;
-        this.saveData();
+        this.notifyDataChanged(
+            { category, action: 'sync', year, month, label: `${year}年${month}月の${DataModels.getCategoryLabels()[category] || category}の保存` },
+            recordChanges
+        );
+        this.saveData(recordChanges.map(({ before, after }) => after
+            ? { category, type: 'put', record: after }
+            : { category, type: 'delete', id: before.id }));
+    }
+
+    /**
+     * カテゴリー名の一括変更（経費カテゴリーマスタの名称変更用）
+     * 締め済みの月のレコードは変更せず、件数をskippedで返す
+     */
+    renameCategoryInRecords(category, oldName, newName) {
+        const updatedRecords = [];
+        const previousRecords = [];
+        const now = new Date().toISOString();
+        let skipped = 0;
+
+        (this.data[category] || []).forEach(record => {
+            if (record.category === oldName) {
+                if (this.isPeriodClosed(record)) {
+                    skipped++;
+                    return;
+                }
+                previousRecords.push({ ...record });
+                record.category = newName;
+                record.updatedAt = now;
+                updatedRecords.push(record);
+            }
+        });
+
+        if (updatedRecords.length > 0) {
+            this.hasUnsavedChanges = true;
+
+            this.notifyDataChanged(
+                { category, action: 'update', records: updatedRecords, label: 'カテゴリー名の変更', source: 'batch' },
+                updatedRecords.map((record, index) => ({ category, before: previousRecords[index], after: record }))
+            );
+
+            this.saveData(updatedRecords.map(record => ({ category, type: 'put', record })));
+        }
+
+        return { updated: updatedRecords.length, skipped };
+    }
+
+    /**
+     * カテゴリー別レコード件数（経費カテゴリーマスタ表示用）
+     */
+    countRecordsByCategoryName(category, categoryName) {
+        return (this.data[category] || []).filter(record => record.category === categoryName).length;
     }
 
     /**
@@ -531,39 +1673,47 @@ class DataManager {
             throw new Error(`レコードが見つかりません: ${recordId}`);
         }
 
-        const oldStoreId = this.data[category][recordIndex].storeId;
+        const previousRecord = { ...this.data[category][recordIndex] };
+        this.assertPeriodsOpen([previousRecord, { ...previousRecord, storeId: targetStoreId }]);
+        this.assertDepositBalance(category, [{ before: previousRecord, after: { ...previousRecord, storeId: targetStoreId } }]);
         this.data[category][recordIndex].storeId = targetStoreId;
         this.data[category][recordIndex].updatedAt = new Date().toISOString();
         
         this.hasUnsavedChanges = true;
         
-        document.dispatchEvent(new CustomEvent('dataChanged', {
-            detail: { 
+        this.notifyDataChanged(
+            { 
                 category, 
                 action: 'move', 
                 record: this.data[category][recordIndex],
-                oldStoreId: oldStoreId,
-                newStoreId: targetStoreId
-            }
-        }));
+                oldStoreId: previousRecord.storeId,
+                newStoreId: targetStoreId,
+                label: '店舗の移動'
+            },
+            [{ category, before: previousRecord, after: this.data[category][recordIndex] }]
+        );
         
-        this.saveData();
+        this.saveData([{ category, type: 'put', record: this.data[category][recordIndex] }]);
         return this.data[category][recordIndex];
     }
 
     /**
      * ファイルエクスポート（簡易版）
      */
-    exportToFile(filename) {
+    async exportToFile(filename) {
         try {
-            const exportData = {
+            let exportData = {
                 ...this.data,
                 exportInfo: {
                     exportDate: new Date().toISOString(),
                     version: '1.0',
+                    schemaVersion: SchemaMigrator.CURRENT_VERSION,
                     recordCount: this.getTotalRecordCount()
                 }
             };
+            if (window.cryptoManager) {
+                exportData = await window.cryptoManager.protectExport(exportData);
+            }
             
             const jsonData = JSON.stringify(exportData, null, 2);
             const blob = new Blob([jsonData], { type: 'application/json' });
@@ -600,16 +1750,34 @@ class DataManager {
             
             reader.onload = async (e) => {
                 try {
-                    const importedData = JSON.parse(e.target.result);
+                    let importedData = JSON.parse(e.target.result);
+                    if (window.cryptoManager && window.cryptoManager.isEncryptedFile(importedData)) {
+                        importedData = await window.cryptoManager.decryptFile(importedData);
+                    }
                     
                     // データの整合性チェック（簡易版）
                     const dataToValidate = { ...importedData };
                     delete dataToValidate.exportInfo;
+                    delete dataToValidate.backupInfo;
                     
-                    this.data = { ...DataModels.getDataStructure(), ...dataToValidate };
-                    this.hasUnsavedChanges = true;
-                    this.saveData();
+                    // 古い形式のファイルは最新のスキーマに変換してから取り込む
+                    const info = importedData.exportInfo || importedData.backupInfo || {};
+                    const migration = SchemaMigrator.migrate(dataToValidate, info.schemaVersion);
+                    const nextData = { ...DataModels.getDataStructure(), ...migration.data };
+                    // 締め済みの月のレコードを追加・変更・削除するファイルは取り込まない
+                    this.assertPeriodsOpen(this.getReplacedRecords(nextData));
                     
+                    this.data = nextData;
+                    this.hasUnsavedChanges = true;
+                    document.dispatchEvent(new CustomEvent('dataChanged', {
+                        detail: { category: null, action: 'replace', source: 'restore', recordCount: this.getTotalRecordCount() }
+                    }));
+                    // 保存が終わる前に画面を再読み込みすると取り込んだデータが失われるため、書き込みを待ってから完了とする
+                    if (!await this.saveData()) {
+                        throw new Error('データの保存に失敗しました');
+                    }
+                    await this.storage.setItem(this.schemaVersionKey, migration.toVersion);
+
                     resolve({
                         success: true,
                         message: 'データのインポートが完了しました',
@@ -638,16 +1806,21 @@ class DataManager {
 
     async createManualBackup(description) {
         try {
-            const backupData = {
+            let backupData = {
                 ...this.data,
                 backupInfo: {
                     description: description || 'Manual backup',
                     createdAt: new Date().toISOString(),
                     type: 'manual',
+                    schemaVersion: SchemaMigrator.CURRENT_VERSION,
                     recordCount: this.getTotalRecordCount()
                 }
             };
             
+            if (window.cryptoManager) {
+                backupData = await window.cryptoManager.protectExport(backupData);
+            }
+            
             const filename = `backup-${new Date().toISOString().split('T')[0]}-manual`;
             const jsonData = JSON.stringify(backupData, null, 2);
             const blob = new Blob([jsonData], { type: 'application/json' });
@@ -686,70 +1859,118 @@ class DataManager {
     }
 
     /**
-     * CSV エクスポート機能（簡易版）
+     * エクスポート対象レコードの取得（期間・店舗で絞り込み）
+     * exportType: 'monthly' / 'yearly'（会計年度）/ 'range' / 'all'
+     * allStoresを指定しない場合はアクティブ店舗のデータのみ
+     */
+    getRecordsForExport(options = {}) {
+        const { exportType, year, month, startYear, startMonth, endYear, endMonth, storeName } = options;
+        const storeId = options.allStores ? null : (window.storeManager ? window.storeManager.getActiveStoreId() : null);
+        const storeLabel = options.allStores ? 'all' : (storeName || 'all');
+
+        let range = null;
+        let filename = 'kaikei-export';
+
+        switch (exportType) {
+            case 'monthly':
+                range = { startYear: year, startMonth: month, endYear: year, endMonth: month };
+                filename = `kaikei-${year}-${month.toString().padStart(2, '0')}-${storeLabel}`;
+                break;
+            case 'yearly': {
+                // 年度設定に従って期首月〜期末月を出力
+                const fiscalStartMonth = window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+                range = DataModels.getFiscalYearRange(year, fiscalStartMonth);
+                filename = fiscalStartMonth === 1
+                    ? `kaikei-${year}-${storeLabel}`
+                    : `kaikei-FY${year}-${storeLabel}`;
+                break;
+            }
+            case 'range':
+                range = { startYear, startMonth, endYear, endMonth };
+                filename = `kaikei-${startYear}${startMonth.toString().padStart(2, '0')}-${endYear}${endMonth.toString().padStart(2, '0')}-${storeLabel}`;
+                break;
+            case 'all':
+            default:
+                filename = `kaikei-all-${storeLabel}`;
+                break;
+        }
+
+        const data = {};
+        let recordCount = 0;
+        for (const category in this.data) {
+            data[category] = this.data[category].filter(record => {
+                if (storeId && record.storeId !== storeId) return false;
+                if (!range) return true;
+                const recordDate = record.year * 100 + record.month;
+                return recordDate >= range.startYear * 100 + range.startMonth &&
+                    recordDate <= range.endYear * 100 + range.endMonth;
+            });
+            recordCount += data[category].length;
+        }
+
+        return { data, recordCount, filename };
+    }
+
+    /**
+     * CSVエクスポート用のファイル生成（ダウンロードは行わない）
+     * encoding: 'utf8bom' / 'utf8' / 'sjis'、layout: 'combined' / 'perCategory'
+     */
+    buildCSVExport(options = {}) {
+        const encoding = options.encoding || 'utf8bom';
+        const layout = options.layout || 'combined';
+        const { data, recordCount, filename } = this.getRecordsForExport(options);
+
+        const storeNames = {};
+        if (window.storeManager) {
+            window.storeManager.getStores().forEach(store => {
+                storeNames[store.id] = store.name;
+            });
+        }
+
+        let unmappedCount = 0;
+        const files = CsvExporter.buildFiles(data, { layout, baseName: filename, storeNames }).map(file => {
+            const encoded = CsvExporter.encode(file.content, encoding);
+            unmappedCount += encoded.unmappedCount;
+            return { name: file.name, bytes: encoded.bytes };
+        });
+
+        if (layout === 'perCategory') {
+            return {
+                filename: `${filename}.zip`,
+                bytes: CsvExporter.createZip(files),
+                mimeType: 'application/zip',
+                fileCount: files.length,
+                recordCount,
+                unmappedCount
+            };
+        }
+
+        return {
+            filename: files[0].name,
+            bytes: files[0].bytes,
+            mimeType: encoding === 'sjis' ? 'text/csv;charset=shift_jis;' : 'text/csv;charset=utf-8;',
+            fileCount: 1,
+            recordCount,
+            unmappedCount
+        };
+    }
+
+    /**
+     * CSVエクスポート（ファイル生成とダウンロード）
      */
     exportToCSV(options) {
         try {
-            const { exportType, year, month, startYear, startMonth, endYear, endMonth, storeName } = options;
-            
-            let data = [];
-            let filename = 'kaikei-export';
-            
-            // データ取得
-            switch (exportType) {
-                case 'monthly':
-                    data = this.getRecordsByMonth(year, month);
-                    filename = `kaikei-${year}-${month.toString().padStart(2, '0')}-${storeName || 'all'}`;
-                    break;
-                case 'yearly':
-                    data = this.getRecordsByYear(year);
-                    filename = `kaikei-${year}-${storeName || 'all'}`;
-                    break;
-                case 'range':
-                    data = this.getRecordsByDateRange(startYear, startMonth, endYear, endMonth);
-                    filename = `kaikei-${startYear}${startMonth.toString().padStart(2, '0')}-${endYear}${endMonth.toString().padStart(2, '0')}-${storeName || 'all'}`;
-                    break;
-                case 'all':
-                default:
-                    data = this.getAllData();
-                    filename = `kaikei-all-${storeName || 'all'}`;
-                    break;
-            }
+            const result = this.buildCSVExport(options);
+            CsvExporter.download(result.bytes, result.filename, result.mimeType);
             
-            // CSV形式に変換（簡易版）
-            let csvContent = 'カテゴリー,年,月,金額,備考,店舗ID,作成日\n';
-            
-            for (const [category, records] of Object.entries(data)) {
-                if (Array.isArray(records)) {
-                    records.forEach(record => {
-                        const row = [
-                            category,
-                            record.year || '',
-                            record.month || '',
-                            record.amount || 0,
-                            (record.note || '').replace(/,/g, '，'), // カンマをエスケープ
-                            record.storeId || '',
-                            record.createdAt || ''
-                        ].join(',');
-                        csvContent += row + '\n';
-                    });
-                }
-            }
-            
-            // ファイルダウンロード
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${filename}.csv`;
-            
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            URL.revokeObjectURL(url);
-            
-            return { success: true, message: 'CSVエクスポートが完了しました' };
+            return {
+                success: true,
+                message: 'CSVエクスポートが完了しました',
+                filename: result.filename,
+                fileCount: result.fileCount,
+                recordCount: result.recordCount,
+                unmappedCount: result.unmappedCount
+            };
         } catch (error) {
             console.error('CSVエクスポートエラー:', error);
             return { success: false, error: error.message };
@@ -766,4 +1987,8 @@ console.log('DataManager クラス定義:', typeof DataManager);
 window.DataManager = DataManager;
 window.DataModels = DataModels;
 window.DataValidator = DataValidator;
-window.UUIDGenerator = UUIDGenerator;
\ No newline at end of file
+window.SchemaMigrator = SchemaMigrator;
+window.UUIDGenerator = UUIDGenerator;
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.StorageAdapterFactory = StorageAdapterFactory;
@@ -0,0 +1,177 @@
+/**
+ * メーカー保証金台帳クラス
+ * メーカー保証金の差し入れ・返還・仕入れとの相殺を、メーカー・店舗ごとの台帳として集計し、
+ * 取引ごとの残高と指定月末時点の残高を求める
+ */
+class DepositManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+    }
+
+    /**
+     * 台帳の並び順（年月日、同じ日は登録順）
+     */
+    static compareRecords(a, b) {
+        return (a.year - b.year) || (a.month - b.month) || ((a.day || 0) - (b.day || 0)) ||
+            String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+    }
+
+    /**
+     * 台帳上のメーカー名（メーカーマスタの別名は正式名にまとめる）
+     */
+    getManufacturerName(name) {
+        return window.manufacturerManager ? window.manufacturerManager.resolveName(name) : String(name || '').trim();
+    }
+
+    /**
+     * 店舗名（削除済みの店舗はIDのまま表示）
+     */
+    getStoreName(storeId) {
+        try {
+            return this.storeManager.getStoreById(storeId).name;
+        } catch (error) {
+            return storeId;
+        }
+    }
+
+    /**
+     * 保証金レコード（店舗未指定の場合は全店舗）
+     */
+    getRecords(storeId = null) {
+        return this.dataManager.getDataByCategory('manufacturerDeposits')
+            .filter(record => !storeId || record.storeId === storeId)
+            .slice()
+            .sort(DepositManager.compareRecords);
+    }
+
+    /**
+     * 保証金のあるメーカー名一覧
+     */
+    getManufacturerNames(storeId = null) {
+        return [...new Set(this.getRecords(storeId).map(record => this.getManufacturerName(record.manufacturer)))]
+            .sort((a, b) => a.localeCompare(b, 'ja'));
+    }
+
+    /**
+     * メーカー・店舗ごとの台帳（取引ごとの残高付き）
+     */
+    getLedger(manufacturer, storeId) {
+        const name = this.getManufacturerName(manufacturer);
+        let balance = 0;
+        const entries = this.getRecords(storeId)
+            .filter(record => this.getManufacturerName(record.manufacturer) === name)
+            .map(record => {
+                const type = DataModels.getDepositTransactionType(record);
+                const amount = Number(record.amount) || 0;
+                balance += DataModels.getDepositSign(record) * amount;
+                return { record, type, amount, balance };
+            });
+        return { manufacturer: name, storeId, entries, balance };
+    }
+
+    /**
+     * 指定月末時点の残高（excludeIdのレコードは除く）
+     */
+    getBalance(manufacturer, storeId, year, month, excludeId = null) {
+        const name = this.getManufacturerName(manufacturer);
+        const period = year * 100 + month;
+        return this.getRecords(storeId)
+            .filter(record => record.id !== excludeId && record.year * 100 + record.month <= period &&
+                this.getManufacturerName(record.manufacturer) === name)
+            .reduce((sum, record) => sum + DataModels.getDepositSign(record) * (Number(record.amount) || 0), 0);
+    }
+
+    /**
+     * 指定月末時点のメーカー・店舗別の残高（店舗未指定の場合は全店舗）
+     */
+    getBalances(year, month, storeId = null) {
+        const period = year * 100 + month;
+        const rows = {};
+        this.getRecords(storeId)
+            .filter(record => record.year * 100 + record.month <= period)
+            .forEach(record => {
+                const manufacturer = this.getManufacturerName(record.manufacturer);
+                const key = `${record.storeId}|${manufacturer}`;
+                const row = rows[key] || (rows[key] = {
+                    storeId: record.storeId, manufacturer, payment: 0, refund: 0, offset: 0, balance: 0, count: 0, lastYear: null, lastMonth: null
+                });
+                const amount = Number(record.amount) || 0;
+                row[DataModels.getDepositTransactionType(record)] += amount;
+                row.balance += DataModels.getDepositSign(record) * amount;
+                row.count++;
+                row.lastYear = record.year;
+                row.lastMonth = record.month;
+            });
+
+        const list = Object.values(rows).sort((a, b) =>
+            String(a.storeId).localeCompare(String(b.storeId)) || b.balance - a.balance || a.manufacturer.localeCompare(b.manufacturer, 'ja'));
+        const sum = key => list.reduce((total, row) => total + row[key], 0);
+        return {
+            year,
+            month,
+            rows: list,
+            totals: { payment: sum('payment'), refund: sum('refund'), offset: sum('offset'), balance: sum('balance') }
+        };
+    }
+
+    /**
+     * 返還・相殺が保証金の残高を超えないかの確認（変更時はrecordIdのレコードを置き換えて計算）
+     */
+    assertSufficientBalance(record, recordId = null) {
+        const before = recordId ? this.dataManager.getRecordById('manufacturerDeposits', recordId) : null;
+        this.assertLedgerChanges([{ before, after: { ...record, id: recordId } }]);
+    }
+
+    /**
+     * 変更後の台帳で、変更した月以降の月末残高が不足しないかの確認
+     * 返還・相殺の追加・増額に加え、差し入れの削除・減額や月の変更で以降の返還・相殺が残高を超える場合も拒否する
+     * changesは変更前後のレコード（追加はbeforeがnull、削除はafterがnull）。変更前から不足している月は、さらに減らす場合のみ拒否する
+     */
+    assertLedgerChanges(changes) {
+        const ledgers = new Map();
+        const getLedger = (record) => {
+            const name = this.getManufacturerName(record.manufacturer);
+            const key = `${record.storeId}|${name}`;
+            if (!ledgers.has(key)) {
+                ledgers.set(key, { name, storeId: record.storeId, removedIds: new Set(), added: [], startPeriod: Infinity });
+            }
+            const ledger = ledgers.get(key);
+            ledger.startPeriod = Math.min(ledger.startPeriod, record.year * 100 + record.month);
+            return ledger;
+        };
+
+        changes.forEach(({ before, after }) => {
+            if (before) {
+                getLedger(before).removedIds.add(before.id);
+            }
+            if (after) {
+                getLedger(after).added.push(after);
+            }
+        });
+
+        const balanceAt = (records, period) => records
+            .filter(record => record.year * 100 + record.month <= period)
+            .reduce((sum, record) => sum + DataModels.getDepositSign(record) * (Number(record.amount) || 0), 0);
+
+        ledgers.forEach(ledger => {
+            const current = this.getRecords(ledger.storeId)
+                .filter(record => this.getManufacturerName(record.manufacturer) === ledger.name);
+            const updated = [...current.filter(record => !ledger.removedIds.has(record.id)), ...ledger.added];
+            const periods = [...new Set(updated.map(record => record.year * 100 + record.month))]
+                .filter(period => period >= ledger.startPeriod)
+                .sort((a, b) => a - b);
+
+            periods.forEach(period => {
+                const balance = balanceAt(updated, period);
+                if (balance < 0 && balance < balanceAt(current, period)) {
+                    const year = Math.floor(period / 100);
+                    const month = period % 100;
+                    throw new Error(`バリデーションエラー: ${ledger.name}の保証金残高が${year}年${month}月末時点で不足するため、返還・相殺が差し入れを超えます（変更後の残高 ${balance.toLocaleString('ja-JP')}円）`);
+                }
+            });
+        });
+    }
+}
+
+window.DepositManager = DepositManager;
@@ -0,0 +1,460 @@
+/**
+ * 仕訳エクスポート管理クラス
+ * 各カテゴリーのレコードを勘定科目の対応表に従って仕訳に変換し、
+ * freee・マネーフォワード・弥生会計の取り込み形式でCSVを出力する
+ */
+class JournalManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'journalAccountRules';
+    }
+
+    /**
+     * 税区分（会計ソフトごとの表記は出力形式で変換する）
+     */
+    getTaxClasses() {
+        return {
+            sales10: '課税売上10%',
+            sales8: '課税売上8%（軽減）',
+            purchase10: '課税仕入10%',
+            purchase8: '課税仕入8%（軽減）',
+            exemptSales: '非課税売上',
+            exemptPurchase: '非課税仕入',
+            outOfScope: '対象外'
+        };
+    }
+
+    /**
+     * カテゴリーごとの標準の仕訳（科目別の設定がない場合に使用）
+     */
+    getCategoryDefaults() {
+        return {
+            sales: { debitAccount: '現金', creditAccount: '売上高', taxClass: 'sales10' },
+            purchases: { debitAccount: '仕入高', creditAccount: '買掛金', taxClass: 'purchase10' },
+            fixedCosts: { debitAccount: '雑費', creditAccount: '普通預金', taxClass: 'purchase10' },
+            variableCosts: { debitAccount: '雑費', creditAccount: '現金', taxClass: 'purchase10' },
+            laborCosts: { debitAccount: '給料賃金', creditAccount: '普通預金', taxClass: 'outOfScope' },
+            consumptionTax: { debitAccount: '未払消費税等', creditAccount: '普通預金', taxClass: 'outOfScope' },
+            monthlyPayments: { debitAccount: '長期借入金', creditAccount: '普通預金', taxClass: 'outOfScope' },
+            manufacturerDeposits: { debitAccount: '差入保証金', creditAccount: '普通預金', taxClass: 'outOfScope' }
+        };
+    }
+
+    /**
+     * 経費科目名から推定する勘定科目の初期値
+     */
+    getExpenseAccountDefaults() {
+        return {
+            '家賃': { debitAccount: '地代家賃' },
+            '車両費': { debitAccount: '車両費' },
+            '車両保険料': { debitAccount: '保険料', taxClass: 'exemptPurchase' },
+            '労働保険料': { debitAccount: '法定福利費', taxClass: 'outOfScope' },
+            '旅費交通費': { debitAccount: '旅費交通費' },
+            '水道光熱費': { debitAccount: '水道光熱費' },
+            '通信費': { debitAccount: '通信費' },
+            '修繕費（車検含む）': { debitAccount: '修繕費' },
+            '雑費・消耗品費': { debitAccount: '消耗品費' }
+        };
+    }
+
+    /**
+     * 月々の返済のうち利息部分の仕訳に使う対応表の行（subCategory）
+     */
+    getLoanInterestSubCategory() {
+        return '利息';
+    }
+
+    /**
+     * 対応表のキー（科目別の設定はsubCategoryに経費科目名を持つ）
+     */
+    getRuleKey(category, subCategory = null) {
+        return `${category}|${subCategory || ''}`;
+    }
+
+    /**
+     * 勘定科目の対応表（初期値に保存済みの設定を重ねたもの）
+     * 固定費・変動費は経費カテゴリーマスタの科目ごとに行を持つ
+     * 月々の返済は元金（カテゴリー標準）とは別に利息の行を持つ
+     */
+    getRules() {
+        const categoryDefaults = this.getCategoryDefaults();
+        const expenseDefaults = this.getExpenseAccountDefaults();
+        const saved = new Map(this.storeManager.getMasterData(this.masterKey, [])
+            .map(rule => [this.getRuleKey(rule.category, rule.subCategory), rule]));
+        const rules = [];
+
+        const addRule = (category, subCategory, base) => {
+            const savedRule = saved.get(this.getRuleKey(category, subCategory));
+            rules.push({
+                category,
+                subCategory,
+                ...base,
+                ...(savedRule ? {
+                    debitAccount: savedRule.debitAccount,
+                    creditAccount: savedRule.creditAccount,
+                    taxClass: savedRule.taxClass
+                } : {})
+            });
+            saved.delete(this.getRuleKey(category, subCategory));
+        };
+
+        Object.entries(categoryDefaults).forEach(([category, base]) => {
+            addRule(category, null, base);
+
+            if (category === 'fixedCosts' || category === 'variableCosts') {
+                this.storeManager.getExpenseCategoryNames(category, true).forEach(name => {
+                    addRule(category, name, { ...base, ...(expenseDefaults[name] || {}) });
+                });
+            }
+            if (category === 'monthlyPayments') {
+                addRule(category, this.getLoanInterestSubCategory(), { ...base, debitAccount: '支払利息', taxClass: 'exemptPurchase' });
+            }
+        });
+
+        // マスタから削除された科目の設定も残す
+        saved.forEach(rule => rules.push({ ...rule }));
+
+        return rules;
+    }
+
+    /**
+     * 勘定科目の対応表を保存
+     */
+    saveRules(rules) {
+        const taxClasses = this.getTaxClasses();
+        const errors = [];
+
+        const normalized = rules.map(rule => {
+            const debitAccount = (rule.debitAccount || '').trim();
+            const creditAccount = (rule.creditAccount || '').trim();
+            const label = rule.subCategory
+                ? `${DataModels.getCategoryLabels()[rule.category]}: ${rule.subCategory}`
+                : DataModels.getCategoryLabels()[rule.category];
+
+            if (!debitAccount || !creditAccount) {
+                errors.push(`${label}の借方・貸方の勘定科目を入力してください`);
+            }
+            if (!taxClasses[rule.taxClass]) {
+                errors.push(`${label}の税区分が正しくありません`);
+            }
+
+            return {
+                category: rule.category,
+                subCategory: rule.subCategory || null,
+                debitAccount,
+                creditAccount,
+                taxClass: rule.taxClass
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+
+        return this.storeManager.setMasterData(this.masterKey, normalized);
+    }
+
+    /**
+     * 対応表を初期値に戻す
+     */
+    resetRules() {
+        return this.storeManager.setMasterData(this.masterKey, []);
+    }
+
+    /**
+     * レコードに適用する対応表の行（経費科目別 → カテゴリー標準の順に探す）
+     */
+    resolveRule(category, record, rules = this.getRules()) {
+        if (record.category) {
+            const rule = rules.find(item => item.category === category && item.subCategory === record.category);
+            if (rule) {
+                return rule;
+            }
+        }
+        return rules.find(item => item.category === category && !item.subCategory);
+    }
+
+    /**
+     * レコードの税率に合わせた税区分（課税の科目のみ税率で切り替え、対象外などの設定はそのまま）
+     */
+    resolveTaxClass(taxClass, record) {
+        const taxable = {
+            sales10: { 10: 'sales10', 8: 'sales8', 0: 'exemptSales' },
+            sales8: { 10: 'sales10', 8: 'sales8', 0: 'exemptSales' },
+            purchase10: { 10: 'purchase10', 8: 'purchase8', 0: 'exemptPurchase' },
+            purchase8: { 10: 'purchase10', 8: 'purchase8', 0: 'exemptPurchase' }
+        };
+        if (!taxable[taxClass] || record.taxRate === undefined || record.taxRate === null) {
+            return taxClass;
+        }
+        return taxable[taxClass][record.taxRate] || taxClass;
+    }
+
+    /**
+     * レコードを仕訳に変換
+     * 日付のない月単位のレコードは月末日付で計上する。マイナス金額は貸借を入れ替える
+     * 税抜で入力したレコードは消費税額を加えた税込金額で計上する
+     * 利息を記録した月々の返済は、元金と利息の2行の仕訳に分ける
+     */
+    buildJournalEntries(data, storeNames = {}) {
+        const rules = this.getRules();
+        const categoryLabels = DataModels.getCategoryLabels();
+        const entries = [];
+
+        const addEntry = (category, record, amount, rule) => {
+            if (amount === 0) return;
+
+            const taxClass = this.resolveTaxClass(rule.taxClass, record);
+            const day = record.day || DataModels.getDaysInMonth(record.year, record.month);
+            const isReversed = amount < 0;
+            const memo = [
+                categoryLabels[category],
+                record.category,
+                record.manufacturer,
+                record.payee,
+                record.note
+            ].filter(Boolean).join(' ');
+
+            // 税区分は損益側の科目（売上は貸方、それ以外は借方）に付ける
+            const taxSide = category === 'sales' ? 'credit' : 'debit';
+            const debit = { account: rule.debitAccount, taxClass: taxSide === 'debit' ? taxClass : 'outOfScope' };
+            const credit = { account: rule.creditAccount, taxClass: taxSide === 'credit' ? taxClass : 'outOfScope' };
+            // 仕入れとの相殺は、預金の代わりに仕入れの貸方科目（買掛金）を減らす
+            if (category === 'manufacturerDeposits' && DataModels.getDepositTransactionType(record) === 'offset') {
+                credit.account = this.resolveRule('purchases', {}, rules).creditAccount;
+            }
+
+            entries.push({
+                date: `${record.year}/${String(record.month).padStart(2, '0')}/${String(day).padStart(2, '0')}`,
+                category,
+                recordId: record.id,
+                debit: isReversed ? credit : debit,
+                credit: isReversed ? debit : credit,
+                amount: Math.abs(amount),
+                department: storeNames[record.storeId] || '',
+                memo
+            });
+        };
+
+        Object.keys(DataModels.getDataStructure()).forEach(category => {
+            (data[category] || []).forEach(record => {
+                // 保証金の返還・相殺は差し入れの逆仕訳
+                const amount = DataModels.getTaxIncludedAmount(record) * (category === 'manufacturerDeposits' ? DataModels.getDepositSign(record) : 1);
+
+                if (category === 'monthlyPayments') {
+                    const parts = DataModels.getLoanPaymentParts(record);
+                    addEntry(category, record, parts.principal, this.resolveRule(category, record, rules));
+                    addEntry(category, record, parts.interest, this.resolveRule(category, { category: this.getLoanInterestSubCategory() }, rules));
+                    return;
+                }
+                addEntry(category, record, amount, this.resolveRule(category, record, rules));
+            });
+        });
+
+        return entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * 会計ソフト別の出力形式
+     * columnsは出力列（見出しと値の取り出し方）、taxLabelsは税区分の表記
+     */
+    getPresets() {
+        return {
+            freee: {
+                name: 'freee会計（仕訳帳インポート）',
+                encoding: 'utf8bom',
+                hasHeader: true,
+                taxLabels: {
+                    sales10: '課税売上10%',
+                    sales8: '課税売上8%（軽）',
+                    purchase10: '課対仕入10%',
+                    purchase8: '課対仕入8%（軽）',
+                    exemptSales: '非課売上',
+                    exemptPurchase: '非課仕入',
+                    outOfScope: '対象外'
+                },
+                columns: [
+                    ['[表題行]', () => '[明細行]'],
+                    ['日付', entry => entry.date],
+                    ['伝票番号', (entry, index) => index + 1],
+                    ['決算整理仕訳', () => ''],
+                    ['借方勘定科目', entry => entry.debit.account],
+                    ['借方税区分', (entry, index, tax) => tax(entry.debit.taxClass)],
+                    ['借方金額', entry => entry.amount],
+                    ['借方部門', entry => entry.department],
+                    ['貸方勘定科目', entry => entry.credit.account],
+                    ['貸方税区分', (entry, index, tax) => tax(entry.credit.taxClass)],
+                    ['貸方金額', entry => entry.amount],
+                    ['貸方部門', entry => entry.department],
+                    ['摘要', entry => entry.memo]
+                ]
+            },
+            moneyforward: {
+                name: 'マネーフォワード クラウド会計（仕訳帳インポート）',
+                encoding: 'sjis',
+                hasHeader: true,
+                taxLabels: {
+                    sales10: '課税売上 10%',
+                    sales8: '課税売上 (軽)8%',
+                    purchase10: '課税仕入 10%',
+                    purchase8: '課税仕入 (軽)8%',
+                    exemptSales: '非課税売上',
+                    exemptPurchase: '非課税仕入',
+                    outOfScope: '対象外'
+                },
+                columns: [
+                    ['取引No', (entry, index) => index + 1],
+                    ['取引日', entry => entry.date],
+                    ['借方勘定科目', entry => entry.debit.account],
+                    ['借方補助科目', () => ''],
+                    ['借方部門', entry => entry.department],
+                    ['借方税区分', (entry, index, tax) => tax(entry.debit.taxClass)],
+                    ['借方金額(円)', entry => entry.amount],
+                    ['貸方勘定科目', entry => entry.credit.account],
+                    ['貸方補助科目', () => ''],
+                    ['貸方部門', entry => entry.department],
+                    ['貸方税区分', (entry, index, tax) => tax(entry.credit.taxClass)],
+                    ['貸方金額(円)', entry => entry.amount],
+                    ['摘要', entry => entry.memo]
+                ]
+            },
+            yayoi: {
+                name: '弥生会計（仕訳日記帳インポート）',
+                encoding: 'sjis',
+                hasHeader: false,
+                taxLabels: {
+                    sales10: '課税売上込10%',
+                    sales8: '課税売上込軽減8%',
+                    purchase10: '課対仕入込10%',
+                    purchase8: '課対仕入込軽減8%',
+                    exemptSales: '非課売上',
+                    exemptPurchase: '非課仕入',
+                    outOfScope: '対象外'
+                },
+                // 弥生インポート形式（25項目・見出し行なし）
+                columns: [
+                    ['識別フラグ', () => '2000'],
+                    ['伝票No', () => ''],
+                    ['決算', () => ''],
+                    ['取引日付', entry => entry.date],
+                    ['借方勘定科目', entry => entry.debit.account],
+                    ['借方補助科目', () => ''],
+                    ['借方部門', entry => entry.department],
+                    ['借方税区分', (entry, index, tax) => tax(entry.debit.taxClass)],
+                    ['借方金額', entry => entry.amount],
+                    ['借方税金額', () => ''],
+                    ['貸方勘定科目', entry => entry.credit.account],
+                    ['貸方補助科目', () => ''],
+                    ['貸方部門', entry => entry.department],
+                    ['貸方税区分', (entry, index, tax) => tax(entry.credit.taxClass)],
+                    ['貸方金額', entry => entry.amount],
+                    ['貸方税金額', () => ''],
+                    ['摘要', entry => entry.memo],
+                    ['番号', () => ''],
+                    ['期日', () => ''],
+                    ['タイプ', () => '0'],
+                    ['生成元', () => ''],
+                    ['仕訳メモ', () => ''],
+                    ['付箋1', () => '0'],
+                    ['付箋2', () => '0'],
+                    ['調整', () => 'no']
+                ]
+            }
+        };
+    }
+
+    /**
+     * 仕訳を出力形式に合わせたCSV文字列に変換
+     */
+    toCSV(entries, presetId) {
+        const preset = this.getPresets()[presetId];
+        if (!preset) {
+            throw new Error(`バリデーションエラー: 出力形式が正しくありません: ${presetId}`);
+        }
+
+        const tax = taxClass => preset.taxLabels[taxClass] || preset.taxLabels.outOfScope;
+        const rows = entries.map((entry, index) => preset.columns.map(([, getValue]) => getValue(entry, index, tax)));
+        if (preset.hasHeader) {
+            rows.unshift(preset.columns.map(([label]) => label));
+        }
+
+        return CsvExporter.toCSV(rows);
+    }
+
+    /**
+     * 仕訳CSVファイルの生成（期間・店舗の指定はDataManager.getRecordsForExportと同じ）
+     */
+    buildExport(options = {}) {
+        const presetId = options.preset || 'freee';
+        const preset = this.getPresets()[presetId];
+        if (!preset) {
+            throw new Error(`バリデーションエラー: 出力形式が正しくありません: ${presetId}`);
+        }
+
+        const { data, recordCount, filename } = this.dataManager.getRecordsForExport(options);
+        const storeNames = {};
+        this.storeManager.getStores().forEach(store => {
+            storeNames[store.id] = store.name;
+        });
+
+        const entries = this.buildJournalEntries(data, storeNames);
+        const encoded = CsvExporter.encode(this.toCSV(entries, presetId), options.encoding || preset.encoding);
+
+        return {
+            filename: `${filename.replace(/^kaikei-/, 'journal-')}-${presetId}.csv`,
+            bytes: encoded.bytes,
+            entryCount: entries.length,
+            recordCount,
+            unmappedCount: encoded.unmappedCount
+        };
+    }
+
+    /**
+     * 仕訳CSVのエクスポート（ファイル生成とダウンロード）
+     */
+    exportToCSV(options) {
+        try {
+            const result = this.buildExport(options);
+            if (result.entryCount === 0) {
+                return { success: false, error: '対象期間に仕訳にできるデータがありません' };
+            }
+
+            const encoding = options.encoding || this.getPresets()[options.preset || 'freee'].encoding;
+            CsvExporter.download(result.bytes, result.filename, encoding === 'sjis' ? 'text/csv;charset=shift_jis;' : 'text/csv;charset=utf-8;');
+
+            return {
+                success: true,
+                filename: result.filename,
+                entryCount: result.entryCount,
+                unmappedCount: result.unmappedCount
+            };
+        } catch (error) {
+            console.error('仕訳エクスポートエラー:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * バックアップからの対応表取り込み（同じカテゴリー・科目の設定が無いものだけ追加）
+     */
+    mergeRules(importedRules) {
+        if (!Array.isArray(importedRules)) {
+            return 0;
+        }
+
+        const rules = this.storeManager.getMasterData(this.masterKey, []);
+        const existingKeys = new Set(rules.map(rule => this.getRuleKey(rule.category, rule.subCategory)));
+        const newRules = importedRules.filter(rule =>
+            rule && rule.category && !existingKeys.has(this.getRuleKey(rule.category, rule.subCategory))
+        );
+
+        if (newRules.length > 0) {
+            this.storeManager.setMasterData(this.masterKey, [...rules, ...newRules]);
+        }
+
+        return newRules.length;
+    }
+}
+
+window.JournalManager = JournalManager;
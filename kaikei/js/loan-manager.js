@@ -0,0 +1,390 @@
+/**
+ * 借入金管理クラス
+ * 借入金マスタ（借入先・借入額・利率・返済期間・返済方式）から返済予定表を作成し、
+ * 月々の返済データ（元金・利息の内訳付き）の作成と、借入金ごとの残高の集計を行う
+ */
+class LoanManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'loans';
+    }
+
+    /**
+     * 返済方式
+     */
+    static getMethods() {
+        return {
+            equalPayment: '元利均等返済',
+            equalPrincipal: '元金均等返済'
+        };
+    }
+
+    /**
+     * 返済開始月からnか月後の年月
+     */
+    static addMonths(year, month, count) {
+        const total = year * 12 + (month - 1) + count;
+        return { year: Math.floor(total / 12), month: (total % 12) + 1 };
+    }
+
+    /**
+     * 返済予定表
+     * 利息は月初残高×年利÷12（円未満切り捨て）、返済額は円未満切り上げとし、端数は最終回で精算する
+     * 利率0%の元利均等返済は元金均等返済と同じ返済額になる
+     */
+    static buildSchedule(loan) {
+        const principal = Number(loan.principal) || 0;
+        const termMonths = Number(loan.termMonths) || 0;
+        const rate = (Number(loan.annualRate) || 0) / 100 / 12;
+        const payment = loan.method === 'equalPayment' && rate > 0
+            ? Math.ceil(principal * rate / (1 - Math.pow(1 + rate, -termMonths)))
+            : null;
+        const principalPerMonth = Math.floor(principal / termMonths);
+
+        const rows = [];
+        let balance = principal;
+        for (let i = 0; i < termMonths && balance > 0; i++) {
+            const interest = Math.floor(balance * rate);
+            const isLast = i === termMonths - 1;
+            const principalPart = isLast
+                ? balance
+                : Math.min(payment !== null ? payment - interest : principalPerMonth, balance);
+            balance -= principalPart;
+            rows.push({
+                number: i + 1,
+                ...LoanManager.addMonths(loan.startYear, loan.startMonth, i),
+                payment: principalPart + interest,
+                principal: principalPart,
+                interest,
+                balance
+            });
+        }
+        return rows;
+    }
+
+    getLoans(storeId = null) {
+        return this.storeManager.getMasterData(this.masterKey, [])
+            .filter(loan => !storeId || loan.storeId === storeId)
+            .sort((a, b) => (a.startYear - b.startYear) || (a.startMonth - b.startMonth) || a.lender.localeCompare(b.lender, 'ja'));
+    }
+
+    getLoanById(loanId) {
+        const loan = this.storeManager.getMasterData(this.masterKey, []).find(item => item.id === loanId);
+        if (!loan) {
+            throw new Error(`借入金が見つかりません: ${loanId}`);
+        }
+        return loan;
+    }
+
+    saveLoans(loans) {
+        return this.storeManager.setMasterData(this.masterKey, loans);
+    }
+
+    /**
+     * 借入金の表示名（借入先と返済開始年月）
+     */
+    getLoanLabel(loan) {
+        return `${loan.lender}（${loan.startYear}年${loan.startMonth}月〜）`;
+    }
+
+    /**
+     * 借入金入力値の正規化とバリデーション
+     */
+    normalizeLoan(loanData) {
+        const toNumber = value => value === '' || value === null || value === undefined ? NaN : Number(value);
+        const loan = {
+            storeId: loanData.storeId || (this.storeManager ? this.storeManager.getActiveStoreId() : null),
+            lender: (loanData.lender || '').toString().trim(),
+            principal: toNumber(loanData.principal),
+            annualRate: toNumber(loanData.annualRate),
+            termMonths: toNumber(loanData.termMonths),
+            startYear: toNumber(loanData.startYear),
+            startMonth: toNumber(loanData.startMonth),
+            method: loanData.method || 'equalPayment',
+            paymentDay: loanData.paymentDay === '' || loanData.paymentDay === null || loanData.paymentDay === undefined
+                ? null : Number(loanData.paymentDay),
+            note: loanData.note ? loanData.note.toString().trim() : ''
+        };
+
+        const errors = [];
+        if (!loan.lender) {
+            errors.push('借入先は必須項目です');
+        } else if (loan.lender.length > 100) {
+            errors.push('借入先は100文字以内で入力してください');
+        }
+        if (!Number.isInteger(loan.principal) || loan.principal <= 0) {
+            errors.push('借入額は1円以上の整数で入力してください');
+        }
+        if (!Number.isFinite(loan.annualRate) || loan.annualRate < 0 || loan.annualRate > 100) {
+            errors.push('年利は0から100の間で入力してください');
+        }
+        if (!Number.isInteger(loan.termMonths) || loan.termMonths < 1 || loan.termMonths > 600) {
+            errors.push('返済回数は1から600の間で入力してください');
+        }
+        if (!Number.isInteger(loan.startYear) || loan.startYear < 2000 || loan.startYear > 2100) {
+            errors.push('返済開始年は2000から2100の間で入力してください');
+        }
+        if (!Number.isInteger(loan.startMonth) || loan.startMonth < 1 || loan.startMonth > 12) {
+            errors.push('返済開始月は1から12の間で入力してください');
+        }
+        if (!LoanManager.getMethods()[loan.method]) {
+            errors.push('返済方式は元利均等返済・元金均等返済のいずれかを指定してください');
+        }
+        if (loan.paymentDay !== null && (!Number.isInteger(loan.paymentDay) || loan.paymentDay < 1 || loan.paymentDay > 31)) {
+            errors.push('返済日は1から31の間で入力してください');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+        return loan;
+    }
+
+    addLoan(loanData) {
+        const loan = {
+            id: UUIDGenerator.generate(),
+            ...this.normalizeLoan(loanData),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.saveLoans([...this.storeManager.getMasterData(this.masterKey, []), loan]);
+        return loan;
+    }
+
+    /**
+     * 借入金の更新（作成済みの返済データは generateRecords を再実行するまで変更しない）
+     */
+    updateLoan(loanId, loanData) {
+        const loans = this.storeManager.getMasterData(this.masterKey, []);
+        const index = loans.findIndex(loan => loan.id === loanId);
+        if (index === -1) {
+            throw new Error(`借入金が見つかりません: ${loanId}`);
+        }
+
+        loans[index] = {
+            ...loans[index],
+            ...this.normalizeLoan({ storeId: loans[index].storeId, ...loanData }),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveLoans(loans);
+        return loans[index];
+    }
+
+    /**
+     * 借入金の削除
+     * 返済データがある場合は deleteRecords を指定したときだけ、返済データも合わせて削除する（締め済みの月があれば削除しない）
+     */
+    deleteLoan(loanId, deleteRecords = false) {
+        const loan = this.getLoanById(loanId);
+        const records = this.getLinkedRecords(loanId);
+        if (records.length > 0) {
+            if (!deleteRecords) {
+                throw new Error(`バリデーションエラー: 返済データ（${records.length}件）が登録されている借入金は削除できません`);
+            }
+            const closed = records.filter(record => this.isClosed(record));
+            if (closed.length > 0) {
+                throw new Error(`バリデーションエラー: 締め済みの月の返済データ（${closed.length}件）があるため削除できません`);
+            }
+            this.dataManager.beginBatch(`借入金の削除（${loan.lender}）`, { source: 'batch', note: `返済データ${records.length}件を削除` });
+            try {
+                records.forEach(record => this.dataManager.deleteRecord('monthlyPayments', record.id));
+            } finally {
+                this.dataManager.endBatch();
+            }
+        }
+
+        this.saveLoans(this.storeManager.getMasterData(this.masterKey, []).filter(item => item.id !== loanId));
+        return loan;
+    }
+
+    isClosed(record) {
+        return !!(window.closingManager && window.closingManager.isClosed(record.storeId, record.year, record.month));
+    }
+
+    /**
+     * 借入金から作成した月々の返済データ（年月順）
+     */
+    getLinkedRecords(loanId) {
+        return this.dataManager.getDataByCategory('monthlyPayments')
+            .filter(record => record.loanId === loanId)
+            .slice()
+            .sort((a, b) => (a.year - b.year) || (a.month - b.month));
+    }
+
+    /**
+     * 返済予定表の行から作成する月々の返済データ
+     */
+    buildRecord(loan, row, count) {
+        const day = loan.paymentDay ? Math.min(loan.paymentDay, DataModels.getDaysInMonth(row.year, row.month)) : null;
+        return {
+            year: row.year,
+            month: row.month,
+            ...(day ? { day } : {}),
+            payee: loan.lender,
+            amount: row.payment,
+            principal: row.principal,
+            interest: row.interest,
+            loanId: loan.id,
+            storeId: loan.storeId,
+            note: `返済予定表 ${row.number}/${count}回目`
+        };
+    }
+
+    /**
+     * 返済予定表に合わせて月々の返済データを作成・更新する（1回の操作として元に戻せる）
+     * 予定表にない月の返済データは削除し、締め済みの月は変更しない
+     */
+    generateRecords(loanId) {
+        const loan = this.getLoanById(loanId);
+        const schedule = LoanManager.buildSchedule(loan);
+        const periodKey = item => item.year * 100 + item.month;
+        const existing = new Map();
+        const extra = [];
+        this.getLinkedRecords(loanId).forEach(record => {
+            if (existing.has(periodKey(record))) {
+                extra.push(record);
+            } else {
+                existing.set(periodKey(record), record);
+            }
+        });
+
+        const result = { added: 0, updated: 0, deleted: 0, unchanged: 0, skipped: 0 };
+        this.dataManager.beginBatch(`返済データの作成（${loan.lender}）`, { source: 'batch', note: `${this.getLoanLabel(loan)} ${schedule.length}回分` });
+        try {
+            schedule.forEach(row => {
+                const data = this.buildRecord(loan, row, schedule.length);
+                const record = existing.get(periodKey(row));
+                existing.delete(periodKey(row));
+                if (this.isClosed(data) || (record && this.isClosed(record))) {
+                    result.skipped++;
+                    return;
+                }
+                if (!record) {
+                    this.dataManager.addRecord('monthlyPayments', data);
+                    result.added++;
+                    return;
+                }
+                const changed = ['day', 'payee', 'amount', 'principal', 'interest', 'storeId', 'note']
+                    .some(field => (record[field] ?? null) !== (data[field] ?? null));
+                if (changed) {
+                    this.dataManager.updateRecord('monthlyPayments', record.id, { day: data.day ?? null, ...data });
+                    result.updated++;
+                } else {
+                    result.unchanged++;
+                }
+            });
+
+            [...existing.values(), ...extra].forEach(record => {
+                if (this.isClosed(record)) {
+                    result.skipped++;
+                    return;
+                }
+                this.dataManager.deleteRecord('monthlyPayments', record.id);
+                result.deleted++;
+            });
+        } finally {
+            this.dataManager.endBatch();
+        }
+
+        return result;
+    }
+
+    /**
+     * 指定月末時点の借入金ごとの返済状況（店舗未指定の場合は全店舗）
+     * 残高は借入額から登録済みの返済データの元金を差し引いて求め、予定表上の残高と並べる
+     * 返済開始月より前の月には表示しない
+     */
+    getLoanStatus(year, month, storeId = null) {
+        const period = year * 100 + month;
+        const rows = this.getLoans(storeId)
+            .filter(loan => loan.startYear * 100 + loan.startMonth <= period)
+            .map(loan => {
+                const records = this.getLinkedRecords(loan.id).filter(record => record.year * 100 + record.month <= period);
+                const paidPrincipal = records.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).principal, 0);
+                const paidInterest = records.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).interest, 0);
+                const schedule = LoanManager.buildSchedule(loan);
+                const scheduled = schedule.filter(row => row.year * 100 + row.month <= period);
+                return {
+                    loan,
+                    paidCount: records.length,
+                    termCount: schedule.length,
+                    paidPrincipal,
+                    paidInterest,
+                    balance: loan.principal - paidPrincipal,
+                    scheduledBalance: scheduled.length > 0 ? scheduled[scheduled.length - 1].balance : loan.principal
+                };
+            });
+
+        const sum = key => rows.reduce((total, row) => total + row[key], 0);
+        return {
+            year,
+            month,
+            rows,
+            totals: {
+                principal: rows.reduce((total, row) => total + row.loan.principal, 0),
+                paidPrincipal: sum('paidPrincipal'),
+                paidInterest: sum('paidInterest'),
+                balance: sum('balance'),
+                scheduledBalance: sum('scheduledBalance')
+            }
+        };
+    }
+
+    /**
+     * 年度の月別の返済額・元金・利息と月末残高（返済開始月より前の月の残高はnull）
+     */
+    getBalanceHistory(loanId, fiscalYear) {
+        const loan = this.getLoanById(loanId);
+        const startMonth = this.storeManager ? this.storeManager.getFiscalStartMonth() : 1;
+        const records = this.getLinkedRecords(loanId);
+        const startPeriod = loan.startYear * 100 + loan.startMonth;
+
+        const months = DataModels.getFiscalYearMonths(fiscalYear, startMonth).map(({ year, month }) => {
+            const period = year * 100 + month;
+            const monthRecords = records.filter(record => record.year === year && record.month === month);
+            const paidPrincipal = records
+                .filter(record => record.year * 100 + record.month <= period)
+                .reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).principal, 0);
+            return {
+                year,
+                month,
+                payment: monthRecords.reduce((sum, record) => sum + (Number(record.amount) || 0), 0),
+                principal: monthRecords.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).principal, 0),
+                interest: monthRecords.reduce((sum, record) => sum + DataModels.getLoanPaymentParts(record).interest, 0),
+                balance: period >= startPeriod ? loan.principal - paidPrincipal : null
+            };
+        });
+
+        const sum = key => months.reduce((total, row) => total + row[key], 0);
+        return {
+            loan,
+            fiscalYear,
+            label: DataModels.getFiscalYearLabel(fiscalYear, startMonth),
+            months,
+            totals: { payment: sum('payment'), principal: sum('principal'), interest: sum('interest') }
+        };
+    }
+
+    /**
+     * バックアップからの借入金の取り込み（同じIDの借入金が無いものだけ追加）
+     */
+    mergeLoans(importedLoans) {
+        if (!Array.isArray(importedLoans)) {
+            return 0;
+        }
+
+        const loans = this.storeManager.getMasterData(this.masterKey, []);
+        const existingIds = new Set(loans.map(loan => loan.id));
+        const newLoans = importedLoans.filter(loan => loan && loan.id && loan.lender && !existingIds.has(loan.id));
+
+        if (newLoans.length > 0) {
+            this.saveLoans([...loans, ...newLoans]);
+        }
+
+        return newLoans.length;
+    }
+}
+
+window.LoanManager = LoanManager;
@@ -0,0 +1,330 @@
+/**
+ * メーカーマスタ管理クラス
+ * 仕入れ・メーカー保証金のメーカー名について、正式名と別名（表記ゆれ）を管理し、
+ * 入力候補の提供・既存データの表記の統合・メーカー別の仕入れ集計を行う
+ */
+class ManufacturerManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'manufacturers';
+    }
+
+    /**
+     * メーカー名を入力するカテゴリー
+     */
+    static getCategories() {
+        return ['purchases', 'manufacturerDeposits'];
+    }
+
+    /**
+     * 表記ゆれの比較用キー（全角・半角、大文字・小文字、空白、法人格の表記の違いを無視する）
+     */
+    static normalizeKey(name) {
+        return String(name || '')
+            .normalize('NFKC')
+            .replace(/株式会社|有限会社|合同会社|\(株\)|\(有\)|\(同\)/g, '')
+            .replace(/[\s・.,\-]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * 別名の入力値（読点・カンマ・改行区切りの文字列または配列）を配列に変換
+     */
+    static parseAliases(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[,、，\n]/);
+        return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+    }
+
+    getManufacturers() {
+        return this.storeManager.getMasterData(this.masterKey, [])
+            .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+    }
+
+    getManufacturerById(manufacturerId) {
+        const manufacturer = this.storeManager.getMasterData(this.masterKey, []).find(item => item.id === manufacturerId);
+        if (!manufacturer) {
+            throw new Error(`メーカーが見つかりません: ${manufacturerId}`);
+        }
+        return manufacturer;
+    }
+
+    saveManufacturers(manufacturers) {
+        return this.storeManager.setMasterData(this.masterKey, manufacturers);
+    }
+
+    /**
+     * 正式名・別名からメーカーを検索（表記ゆれを無視、見つからない場合はnull）
+     */
+    findByName(name, manufacturers = this.storeManager.getMasterData(this.masterKey, [])) {
+        const key = ManufacturerManager.normalizeKey(name);
+        if (!key) {
+            return null;
+        }
+        return manufacturers.find(manufacturer =>
+            [manufacturer.name, ...(manufacturer.aliases || [])].some(item => ManufacturerManager.normalizeKey(item) === key)
+        ) || null;
+    }
+
+    /**
+     * 入力されたメーカー名の正式名への置き換え（マスタにない名前は前後の空白を除いてそのまま返す）
+     */
+    resolveName(name) {
+        const manufacturer = this.findByName(name);
+        return manufacturer ? manufacturer.name : String(name || '').trim();
+    }
+
+    /**
+     * メーカー入力値の正規化とバリデーション
+     */
+    normalizeManufacturer(manufacturerData, manufacturerId = null) {
+        const name = (manufacturerData.name || '').toString().trim();
+        const manufacturer = {
+            name,
+            // 正式名や他の別名と表記ゆれの範囲で同じ別名は登録しない
+            aliases: ManufacturerManager.parseAliases(manufacturerData.aliases).filter((alias, index, aliases) => {
+                const key = ManufacturerManager.normalizeKey(alias);
+                return key !== ManufacturerManager.normalizeKey(name) &&
+                    aliases.findIndex(item => ManufacturerManager.normalizeKey(item) === key) === index;
+            }),
+            note: manufacturerData.note ? manufacturerData.note.toString().trim() : ''
+        };
+
+        const errors = [];
+        const others = this.storeManager.getMasterData(this.masterKey, []).filter(item => item.id !== manufacturerId);
+        if (!manufacturer.name) {
+            errors.push('メーカー名は必須項目です');
+        } else if (manufacturer.name.length > 100) {
+            errors.push('メーカー名は100文字以内で入力してください');
+        }
+        if (manufacturer.aliases.some(alias => alias.length > 100)) {
+            errors.push('別名は100文字以内で入力してください');
+        }
+        [manufacturer.name, ...manufacturer.aliases].filter(Boolean).forEach(item => {
+            const duplicate = this.findByName(item, others);
+            if (duplicate) {
+                errors.push(`「${item}」はメーカー「${duplicate.name}」の名前または別名として登録されています`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+        return manufacturer;
+    }
+
+    addManufacturer(manufacturerData) {
+        const manufacturer = {
+            id: UUIDGenerator.generate(),
+            ...this.normalizeManufacturer(manufacturerData),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.saveManufacturers([...this.storeManager.getMasterData(this.masterKey, []), manufacturer]);
+        return manufacturer;
+    }
+
+    updateManufacturer(manufacturerId, manufacturerData) {
+        const manufacturers = this.storeManager.getMasterData(this.masterKey, []);
+        const index = manufacturers.findIndex(manufacturer => manufacturer.id === manufacturerId);
+        if (index === -1) {
+            throw new Error(`メーカーが見つかりません: ${manufacturerId}`);
+        }
+
+        manufacturers[index] = {
+            ...manufacturers[index],
+            ...this.normalizeManufacturer(manufacturerData, manufacturerId),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveManufacturers(manufacturers);
+        return manufacturers[index];
+    }
+
+    /**
+     * メーカーの削除（データのメーカー名は文字列のため、削除しても変更しない）
+     */
+    deleteManufacturer(manufacturerId) {
+        const manufacturer = this.getManufacturerById(manufacturerId);
+        this.saveManufacturers(this.storeManager.getMasterData(this.masterKey, []).filter(item => item.id !== manufacturerId));
+        return manufacturer;
+    }
+
+    /**
+     * メーカー名を持つレコード（全店舗）
+     */
+    getNamedRecords() {
+        return ManufacturerManager.getCategories().flatMap(category =>
+            this.dataManager.getDataByCategory(category)
+                .filter(record => record.manufacturer && record.manufacturer.trim())
+                .map(record => ({ category, record }))
+        );
+    }
+
+    /**
+     * メーカーの正式名・別名で入力されたレコード件数（全店舗）
+     */
+    countLinkedRecords(manufacturer) {
+        const manufacturers = [manufacturer];
+        return this.getNamedRecords().filter(({ record }) => this.findByName(record.manufacturer, manufacturers)).length;
+    }
+
+    /**
+     * 入力候補（マスタの正式名と、マスタにないデータ上のメーカー名）
+     * labelは候補に添える別名
+     */
+    getSuggestions() {
+        const manufacturers = this.storeManager.getMasterData(this.masterKey, []);
+        const suggestions = new Map();
+        manufacturers.forEach(manufacturer => {
+            suggestions.set(manufacturer.name, { value: manufacturer.name, label: (manufacturer.aliases || []).join('、') });
+        });
+        this.getNamedRecords().forEach(({ record }) => {
+            const name = record.manufacturer.trim();
+            if (!suggestions.has(name) && !this.findByName(name, manufacturers)) {
+                suggestions.set(name, { value: name, label: '' });
+            }
+        });
+        return [...suggestions.values()].sort((a, b) => a.value.localeCompare(b.value, 'ja'));
+    }
+
+    /**
+     * 表記ゆれの候補（同じメーカーと判定される複数の表記、またはマスタの正式名と異なる表記）
+     * マスタに登録済みのメーカーは正式名、それ以外は最も件数の多い表記を統合先とする
+     */
+    findVariants() {
+        const manufacturers = this.storeManager.getMasterData(this.masterKey, []);
+        const groups = {};
+        this.getNamedRecords().forEach(({ record }) => {
+            const name = record.manufacturer.trim();
+            const manufacturer = this.findByName(name, manufacturers);
+            const key = manufacturer ? `id:${manufacturer.id}` : `key:${ManufacturerManager.normalizeKey(name)}`;
+            const group = groups[key] || (groups[key] = { key, manufacturerId: manufacturer ? manufacturer.id : null, target: manufacturer ? manufacturer.name : null, names: {}, count: 0 });
+            group.names[record.manufacturer] = (group.names[record.manufacturer] || 0) + 1;
+            group.count++;
+        });
+
+        return Object.values(groups)
+            .map(group => {
+                const names = Object.entries(group.names)
+                    .map(([name, count]) => ({ name, count }))
+                    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'ja'));
+                return { ...group, names, target: group.target || names[0].name };
+            })
+            .filter(group => group.names.some(item => item.name !== group.target))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * 既存データのメーカー名の統合（1回の操作として元に戻せる）
+     * 締め済みの月のレコードは変更せずに件数を返す
+     * 統合した表記は統合先のメーカーの別名として登録する（マスタにない場合は統合先の名前で登録）
+     */
+    mergeNames(names, targetName) {
+        const target = (targetName || '').toString().trim();
+        if (!target) {
+            throw new Error('バリデーションエラー: 統合先のメーカー名を入力してください');
+        }
+        if (target.length > 100) {
+            throw new Error('バリデーションエラー: メーカー名は100文字以内で入力してください');
+        }
+        const sources = new Set((names || []).filter(name => name !== target));
+        if (sources.size === 0) {
+            throw new Error('バリデーションエラー: 統合する表記を選択してください');
+        }
+
+        const result = { updated: 0, skipped: 0, aliasesAdded: 0 };
+        this.dataManager.beginBatch(`メーカー名の統合（${target}）`, { source: 'batch', note: `${[...sources].join('、')}を${target}に統合` });
+        try {
+            this.getNamedRecords()
+                .filter(({ record }) => sources.has(record.manufacturer))
+                .forEach(({ category, record }) => {
+                    if (window.closingManager && window.closingManager.isClosed(record.storeId, record.year, record.month)) {
+                        result.skipped++;
+                        return;
+                    }
+                    this.dataManager.updateRecord(category, record.id, { manufacturer: target });
+                    result.updated++;
+                });
+        } finally {
+            this.dataManager.endBatch();
+        }
+
+        const manufacturers = this.storeManager.getMasterData(this.masterKey, []);
+        let manufacturer = this.findByName(target, manufacturers);
+        if (!manufacturer) {
+            manufacturer = this.addManufacturer({ name: target });
+            manufacturers.push(manufacturer);
+        }
+        const others = manufacturers.filter(item => item.id !== manufacturer.id);
+        const aliases = [...sources].filter(name =>
+            !this.findByName(name, [manufacturer]) && !this.findByName(name, others)
+        );
+        if (aliases.length > 0) {
+            this.updateManufacturer(manufacturer.id, { ...manufacturer, aliases: [...(manufacturer.aliases || []), ...aliases] });
+            result.aliasesAdded = aliases.length;
+        }
+
+        return result;
+    }
+
+    /**
+     * 年度のメーカー別仕入れ（金額順の順位・月別推移・仕入れ全体に占める割合）
+     * メーカー名は正式名にまとめて集計し、未入力の仕入れは名前を空文字とする
+     */
+    getPurchaseRanking(fiscalYear, storeId = null) {
+        const startMonth = this.storeManager ? this.storeManager.getFiscalStartMonth() : 1;
+        const months = DataModels.getFiscalYearMonths(fiscalYear, startMonth);
+        const manufacturers = this.storeManager.getMasterData(this.masterKey, []);
+        const rows = {};
+        const monthlyTotals = months.map(() => 0);
+
+        months.forEach(({ year, month }, index) => {
+            (this.dataManager.getRecordsByMonth(year, month, storeId).purchases || []).forEach(record => {
+                const found = this.findByName(record.manufacturer, manufacturers);
+                const name = found ? found.name : String(record.manufacturer || '').trim();
+                const amount = Number(record.amount) || 0;
+                const row = rows[name] || (rows[name] = { name, total: 0, count: 0, monthly: months.map(() => 0) });
+                row.total += amount;
+                row.count++;
+                row.monthly[index] += amount;
+                monthlyTotals[index] += amount;
+            });
+        });
+
+        const total = monthlyTotals.reduce((sum, amount) => sum + amount, 0);
+        return {
+            fiscalYear,
+            label: DataModels.getFiscalYearLabel(fiscalYear, startMonth),
+            months,
+            monthlyTotals,
+            total,
+            rows: Object.values(rows)
+                .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name, 'ja'))
+                .map((row, index) => ({ ...row, rank: index + 1, share: total !== 0 ? row.total / total * 100 : 0 }))
+        };
+    }
+
+    /**
+     * バックアップからのメーカーの取り込み（同じIDのメーカーが無いものだけ追加）
+     */
+    mergeManufacturers(importedManufacturers) {
+        if (!Array.isArray(importedManufacturers)) {
+            return 0;
+        }
+
+        const manufacturers = this.storeManager.getMasterData(this.masterKey, []);
+        const existingIds = new Set(manufacturers.map(manufacturer => manufacturer.id));
+        const newManufacturers = importedManufacturers.filter(manufacturer =>
+            manufacturer && manufacturer.id && manufacturer.name && !existingIds.has(manufacturer.id)
+        );
+
+        if (newManufacturers.length > 0) {
+            this.saveManufacturers([...manufacturers, ...newManufacturers]);
+        }
+
+        return newManufacturers.length;
+    }
+}
+
+window.ManufacturerManager = ManufacturerManager;
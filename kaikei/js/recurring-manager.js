@@ -0,0 +1,329 @@
+/**
+ * 定期取引管理クラス
+ * 家賃・返済・保険料など毎月発生する取引のテンプレートを管理し、
+ * 表示月に未生成のレコードを自動作成する
+ */
+class RecurringManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'recurringTemplates';
+    }
+
+    /**
+     * テンプレート一覧取得（storeId・カテゴリー指定で絞り込み）
+     */
+    getTemplates(storeId = null, recordCategory = null) {
+        return this.storeManager.getMasterData(this.masterKey, [])
+            .filter(template => !storeId || template.storeId === storeId)
+            .filter(template => !recordCategory || template.recordCategory === recordCategory);
+    }
+
+    getTemplateById(templateId) {
+        const template = this.getTemplates().find(template => template.id === templateId);
+        if (!template) {
+            throw new Error(`定期取引が見つかりません: ${templateId}`);
+        }
+        return template;
+    }
+
+    saveTemplates(templates) {
+        return this.storeManager.setMasterData(this.masterKey, templates);
+    }
+
+    /**
+     * 年月キー（例: 2024-04）
+     */
+    getPeriodKey(year, month) {
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    /**
+     * 指定年月がテンプレートの有効期間内か判定
+     */
+    isInPeriod(template, year, month) {
+        const target = year * 100 + month;
+        const start = template.startYear * 100 + template.startMonth;
+        const end = template.endYear && template.endMonth ? template.endYear * 100 + template.endMonth : null;
+        return target >= start && (end === null || target <= end);
+    }
+
+    /**
+     * 月次締め済みの月か判定（締め済みの月のレコードは生成・変更しない）
+     */
+    isClosedPeriod(storeId, year, month) {
+        return window.closingManager ? window.closingManager.isClosed(storeId, year, month) : false;
+    }
+
+    /**
+     * テンプレートから生成するレコード内容
+     */
+    buildRecord(template, year, month) {
+        const record = {
+            year: year,
+            month: month,
+            amount: template.amount,
+            storeId: template.storeId,
+            templateId: template.id,
+            ...template.fields
+        };
+
+        if (template.day) {
+            // 月末を超える日付はその月の末日に丸める（31日指定の2月など）
+            record.day = Math.min(template.day, DataModels.getDaysInMonth(year, month));
+        }
+        if (template.note) {
+            record.note = template.note;
+        }
+
+        return record;
+    }
+
+    /**
+     * テンプレート入力値の正規化とバリデーション
+     */
+    normalizeTemplate(templateData) {
+        const template = {
+            storeId: templateData.storeId || this.storeManager.getActiveStoreId(),
+            recordCategory: templateData.recordCategory,
+            amount: Number(templateData.amount),
+            day: templateData.day ? Number(templateData.day) : null,
+            fields: {},
+            note: templateData.note ? templateData.note.trim() : '',
+            startYear: Number(templateData.startYear),
+            startMonth: Number(templateData.startMonth),
+            endYear: templateData.endYear ? Number(templateData.endYear) : null,
+            endMonth: templateData.endMonth ? Number(templateData.endMonth) : null,
+            active: templateData.active !== false
+        };
+
+        ['category', 'payee', 'manufacturer', 'supplierId'].forEach(field => {
+            if (templateData[field] && templateData[field].toString().trim() !== '') {
+                template.fields[field] = templateData[field].toString().trim();
+            }
+        });
+
+        const errors = [];
+        if (!template.storeId) {
+            errors.push('店舗が選択されていません');
+        }
+        if (!template.startYear || !template.startMonth) {
+            errors.push('開始年月は必須項目です');
+        }
+        if (template.day !== null && (!Number.isInteger(template.day) || template.day < 1 || template.day > 31)) {
+            errors.push('日は1から31の間で入力してください');
+        }
+        if ((template.endYear && !template.endMonth) || (!template.endYear && template.endMonth)) {
+            errors.push('終了年月は年と月の両方を指定してください');
+        } else if (template.endYear && template.endYear * 100 + template.endMonth < template.startYear * 100 + template.startMonth) {
+            errors.push('終了年月は開始年月以降に設定してください');
+        }
+
+        const sampleRecord = this.buildRecord(template, template.startYear || 2000, template.startMonth || 1);
+        const validation = DataValidator.validateRecord(template.recordCategory, sampleRecord);
+        errors.push(...validation.errors);
+
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+
+        return template;
+    }
+
+    addTemplate(templateData) {
+        const template = {
+            id: UUIDGenerator.generate(),
+            ...this.normalizeTemplate(templateData),
+            generatedPeriods: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        const templates = this.getTemplates();
+        templates.push(template);
+        this.saveTemplates(templates);
+
+        return template;
+    }
+
+    /**
+     * テンプレート更新
+     * applyToFutureがtrueの場合、今月以降の生成済みレコードにも変更を反映する
+     */
+    updateTemplate(templateId, templateData, applyToFuture = false) {
+        const templates = this.getTemplates();
+        const index = templates.findIndex(template => template.id === templateId);
+        if (index === -1) {
+            throw new Error(`定期取引が見つかりません: ${templateId}`);
+        }
+
+        const updatedTemplate = {
+            ...templates[index],
+            // 店舗・カテゴリーは作成後に変更しない（生成済みレコードとの対応を保つため）
+            ...this.normalizeTemplate({
+                ...templateData,
+                storeId: templates[index].storeId,
+                recordCategory: templates[index].recordCategory
+            }),
+            updatedAt: new Date().toISOString()
+        };
+        templates[index] = updatedTemplate;
+
+        const result = { template: updatedTemplate, updatedRecords: 0, removedRecords: 0 };
+
+        if (applyToFuture) {
+            const now = new Date();
+            const currentPeriod = now.getFullYear() * 100 + now.getMonth() + 1;
+
+            this.dataManager.beginBatch('定期取引の変更の反映', { source: 'recurring' });
+            try {
+                this.getLinkedRecords(templateId)
+                    .filter(record => record.year * 100 + record.month >= currentPeriod)
+                    .filter(record => !this.isClosedPeriod(record.storeId, record.year, record.month))
+                    .forEach(record => {
+                        if (!this.isInPeriod(updatedTemplate, record.year, record.month)) {
+                            this.dataManager.deleteRecord(updatedTemplate.recordCategory, record.id);
+                            result.removedRecords++;
+                            return;
+                        }
+
+                        const { storeId, ...changes } = this.buildRecord(updatedTemplate, record.year, record.month);
+                        if (!updatedTemplate.day) changes.day = null;
+                        if (!updatedTemplate.note) changes.note = '';
+                        this.dataManager.updateRecord(updatedTemplate.recordCategory, record.id, changes);
+                        result.updatedRecords++;
+                    });
+            } finally {
+                this.dataManager.endBatch();
+            }
+
+            // 期間外になった未来月は生成済みから外す
+            updatedTemplate.generatedPeriods = updatedTemplate.generatedPeriods.filter(period => {
+                const [year, month] = period.split('-').map(Number);
+                return year * 100 + month < currentPeriod || this.isInPeriod(updatedTemplate, year, month);
+            });
+        }
+
+        this.saveTemplates(templates);
+        return result;
+    }
+
+    /**
+     * テンプレート削除
+     * removeFutureRecordsがtrueの場合、今月以降の生成済みレコードも削除する
+     */
+    deleteTemplate(templateId, removeFutureRecords = false) {
+        const templates = this.getTemplates();
+        const template = templates.find(template => template.id === templateId);
+        if (!template) {
+            throw new Error(`定期取引が見つかりません: ${templateId}`);
+        }
+
+        let removedRecords = 0;
+        if (removeFutureRecords) {
+            const now = new Date();
+            const currentPeriod = now.getFullYear() * 100 + now.getMonth() + 1;
+            this.dataManager.beginBatch('定期取引の削除', { source: 'recurring' });
+            try {
+                this.getLinkedRecords(templateId)
+                    .filter(record => record.year * 100 + record.month >= currentPeriod)
+                    .filter(record => !this.isClosedPeriod(record.storeId, record.year, record.month))
+                    .forEach(record => {
+                        this.dataManager.deleteRecord(template.recordCategory, record.id);
+                        removedRecords++;
+                    });
+            } finally {
+                this.dataManager.endBatch();
+            }
+        }
+
+        this.saveTemplates(templates.filter(item => item.id !== templateId));
+        return { template, removedRecords };
+    }
+
+    /**
+     * テンプレートから生成されたレコード一覧
+     */
+    getLinkedRecords(templateId) {
+        const template = this.getTemplateById(templateId);
+        return this.dataManager.getDataByCategory(template.recordCategory)
+            .filter(record => record.templateId === templateId);
+    }
+
+    /**
+     * 指定年月の定期取引レコードを生成
+     * 一度生成した月は記録しておき、ユーザーが削除したレコードを再生成しない
+     */
+    materializeForMonth(year, month) {
+        const templates = this.getTemplates();
+        const storeIds = new Set(this.storeManager.getStores().map(store => store.id));
+        const period = this.getPeriodKey(year, month);
+        const generatedRecords = [];
+        let changed = false;
+
+        this.dataManager.beginBatch('定期取引の自動登録', { source: 'recurring' });
+        try {
+            templates.forEach(template => {
+                if (!template.active || !storeIds.has(template.storeId) || !this.isInPeriod(template, year, month)) {
+                    return;
+                }
+                // 締め済みの月は生成済みにせず、締めを解除した後に生成する
+                if (this.isClosedPeriod(template.storeId, year, month)) {
+                    return;
+                }
+                if ((template.generatedPeriods || []).includes(period)) {
+                    return;
+                }
+
+                const exists = this.dataManager.getDataByCategory(template.recordCategory).some(record =>
+                    record.templateId === template.id && record.year === year && record.month === month
+                );
+
+                if (!exists) {
+                    const result = this.dataManager.addMultipleRecords(template.recordCategory, [this.buildRecord(template, year, month)]);
+                    if (result.errors.length > 0) {
+                        console.error(`定期取引の生成に失敗しました (${template.id}):`, result.errors);
+                        return;
+                    }
+                    generatedRecords.push(...result.success);
+                }
+
+                template.generatedPeriods = [...(template.generatedPeriods || []), period];
+                changed = true;
+            });
+        } finally {
+            this.dataManager.endBatch();
+        }
+
+        if (changed) {
+            this.saveTemplates(templates);
+        }
+
+        if (generatedRecords.length > 0) {
+            console.log(`${year}年${month}月の定期取引を${generatedRecords.length}件生成しました`);
+        }
+
+        return generatedRecords;
+    }
+
+    /**
+     * バックアップからのテンプレート取り込み（同じIDが無いものだけ追加）
+     */
+    mergeTemplates(importedTemplates) {
+        if (!Array.isArray(importedTemplates)) {
+            return 0;
+        }
+
+        const templates = this.getTemplates();
+        const existingIds = new Set(templates.map(template => template.id));
+        const newTemplates = importedTemplates.filter(template => template && template.id && !existingIds.has(template.id));
+
+        if (newTemplates.length > 0) {
+            this.saveTemplates([...templates, ...newTemplates]);
+        }
+
+        return newTemplates.length;
+    }
+}
+
+window.RecurringManager = RecurringManager;
@@ -21,7 +21,26 @@ class StoreModels {
     static getStoreStructure() {
         return {
             stores: [],
-            activeStoreId: null
+            activeStoreId: null,
+            expenseCategories: this.getDefaultExpenseCategories(),
+            recurringTemplates: []
+        };
+    }
+
+    /**
+     * 経費カテゴリーの初期値（従来の固定リスト）
+     */
+    static getDefaultExpenseCategories() {
+        const toEntries = (costType, names) => names.map((name, index) => ({
+            id: `${costType}-default-${index + 1}`,
+            name: name,
+            order: index,
+            archived: false
+        }));
+
+        return {
+            fixedCosts: toEntries('fixedCosts', ['家賃', '車両費', '車両保険料', '労働保険料', 'その他']),
+            variableCosts: toEntries('variableCosts', ['旅費交通費', '水道光熱費', '通信費', '修繕費（車検含む）', '雑費・消耗品費'])
         };
     }
 
@@ -77,9 +96,9 @@ class StoreValidator {
  * 店舗管理クラス
  */
 class StoreManager {
-    constructor() {
+    constructor(storageAdapter = null) {
         this.storeData = StoreModels.getStoreStructure();
-        this.storageKey = 'kaikei-stores';
+        this.storage = storageAdapter || new LocalStorageAdapter();
         this.autoSaveEnabled = true;
         this.hasUnsavedChanges = false;
         console.log('StoreManager インスタンス作成完了');
@@ -87,10 +106,10 @@ class StoreManager {
 
     async loadStoreData() {
         try {
-            const savedData = localStorage.getItem(this.storageKey);
-            if (savedData) {
-                const parsedData = JSON.parse(savedData);
+            const parsedData = await this.storage.loadStoreData();
+            if (parsedData) {
                 this.storeData = { ...StoreModels.getStoreStructure(), ...parsedData };
+                this.ensureExpenseCategories();
                 
                 if (this.storeData.stores.length === 0) {
                     this.createDefaultStore();
@@ -118,10 +137,11 @@ class StoreManager {
 
     async saveStoreData() {
         try {
-            const dataToSave = JSON.stringify(this.storeData);
-            localStorage.setItem(this.storageKey, dataToSave);
+            await this.storage.saveStoreData(this.storeData);
             this.hasUnsavedChanges = false;
             console.log('店舗データ保存完了');
+            // 他のタブで店舗・マスタデータを読み込み直してもらう
+            document.dispatchEvent(new CustomEvent('storeDataSaved'));
             return true;
         } catch (error) {
             console.error('店舗データ保存エラー:', error);
@@ -215,9 +235,12 @@ class StoreManager {
         return this.storeData.stores[storeIndex];
     }
 
-    deleteStore(storeId) {
-        const storeIndex = this.storeData.stores.findIndex(store => store.id === storeId);
-        if (storeIndex === -1) {
+    /**
+     * 店舗を削除できるか確認（削除できない場合はエラー）
+     * 店舗のレコードをゴミ箱に入れる・移動する前にも確認する
+     */
+    assertCanDeleteStore(storeId) {
+        if (!this.getStoreById(storeId)) {
             throw new Error(`店舗が見つかりません: ${storeId}`);
         }
 
@@ -228,7 +251,12 @@ class StoreManager {
         if (this.storeData.stores.length <= 1) {
             throw new Error('最後の店舗は削除できません');
         }
+    }
+
+    deleteStore(storeId) {
+        this.assertCanDeleteStore(storeId);
 
+        const storeIndex = this.storeData.stores.findIndex(store => store.id === storeId);
         const deletedStore = this.storeData.stores[storeIndex];
         this.storeData.stores.splice(storeIndex, 1);
 
@@ -286,6 +314,287 @@ class StoreManager {
         return this.storeData.stores.length;
     }
 
+    /**
+     * 経費カテゴリーマスタの補完（未保存・旧形式データ対応）
+     */
+    ensureExpenseCategories() {
+        const defaults = StoreModels.getDefaultExpenseCategories();
+        const current = this.storeData.expenseCategories || {};
+
+        for (const costType in defaults) {
+            if (!Array.isArray(current[costType])) {
+                current[costType] = defaults[costType];
+            }
+        }
+
+        this.storeData.expenseCategories = current;
+    }
+
+    /**
+     * 経費カテゴリー一覧取得（表示順）
+     */
+    getExpenseCategories(costType, includeArchived = false) {
+        const categories = (this.storeData.expenseCategories && this.storeData.expenseCategories[costType]) || [];
+        return categories
+            .filter(category => includeArchived || !category.archived)
+            .sort((a, b) => a.order - b.order)
+            .map(category => ({ ...category }));
+    }
+
+    /**
+     * 経費カテゴリー名一覧取得（フォーム・集計用）
+     */
+    getExpenseCategoryNames(costType, includeArchived = false) {
+        return this.getExpenseCategories(costType, includeArchived).map(category => category.name);
+    }
+
+    /**
+     * 経費カテゴリー取得（内部用・参照を返す）
+     */
+    findExpenseCategory(costType, categoryId) {
+        const categories = (this.storeData.expenseCategories && this.storeData.expenseCategories[costType]) || [];
+        const category = categories.find(category => category.id === categoryId);
+        if (!category) {
+            throw new Error(`カテゴリーが見つかりません: ${categoryId}`);
+        }
+        return category;
+    }
+
+    /**
+     * 経費カテゴリー名のバリデーション
+     */
+    validateExpenseCategoryName(costType, name, excludeId = null) {
+        const trimmedName = name ? name.toString().trim() : '';
+        if (trimmedName === '') {
+            throw new Error('バリデーションエラー: カテゴリー名は必須項目です');
+        }
+        if (trimmedName.length > 100) {
+            throw new Error('バリデーションエラー: カテゴリー名は100文字以内で入力してください');
+        }
+
+        const duplicate = (this.storeData.expenseCategories[costType] || []).find(category =>
+            category.id !== excludeId &&
+            category.name.trim().toLowerCase() === trimmedName.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error('同じ名前のカテゴリーが既に存在します');
+        }
+
+        return trimmedName;
+    }
+
+    addExpenseCategory(costType, name) {
+        this.ensureExpenseCategories();
+        if (!this.storeData.expenseCategories[costType]) {
+            throw new Error(`無効な経費区分: ${costType}`);
+        }
+
+        const categoryName = this.validateExpenseCategoryName(costType, name);
+        const categories = this.storeData.expenseCategories[costType];
+        const newCategory = {
+            id: StoreUUIDGenerator.generate(),
+            name: categoryName,
+            order: categories.reduce((max, category) => Math.max(max, category.order), -1) + 1,
+            archived: false
+        };
+
+        categories.push(newCategory);
+        this.hasUnsavedChanges = true;
+
+        if (this.autoSaveEnabled) {
+            this.saveStoreData();
+        }
+
+        return { ...newCategory };
+    }
+
+    /**
+     * 経費カテゴリー名変更
+     * 既存レコードの書き換えは呼び出し側（DataManager.renameCategoryInRecords）で行う
+     */
+    renameExpenseCategory(costType, categoryId, newName) {
+        const category = this.findExpenseCategory(costType, categoryId);
+        const categoryName = this.validateExpenseCategoryName(costType, newName, categoryId);
+        const oldName = category.name;
+
+        category.name = categoryName;
+        this.hasUnsavedChanges = true;
+
+        if (this.autoSaveEnabled) {
+            this.saveStoreData();
+        }
+
+        return { oldName, newName: categoryName };
+    }
+
+    /**
+     * 経費カテゴリーの並び替え（direction: -1=上へ, 1=下へ）
+     */
+    moveExpenseCategory(costType, categoryId, direction) {
+        const sorted = this.storeData.expenseCategories[costType].slice().sort((a, b) => a.order - b.order);
+        const index = sorted.findIndex(category => category.id === categoryId);
+        if (index === -1) {
+            throw new Error(`カテゴリーが見つかりません: ${categoryId}`);
+        }
+
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= sorted.length) {
+            return false;
+        }
+
+        [sorted[index], sorted[targetIndex]] = [sorted[targetIndex], sorted[index]];
+        sorted.forEach((category, order) => {
+            category.order = order;
+        });
+        this.hasUnsavedChanges = true;
+
+        if (this.autoSaveEnabled) {
+            this.saveStoreData();
+        }
+
+        return true;
+    }
+
+    /**
+     * 経費カテゴリーのアーカイブ切り替え
+     * アーカイブしたカテゴリーは入力候補に表示されないが、既存レコードはそのまま集計される
+     */
+    setExpenseCategoryArchived(costType, categoryId, archived) {
+        const category = this.findExpenseCategory(costType, categoryId);
+        category.archived = !!archived;
+        this.hasUnsavedChanges = true;
+
+        if (this.autoSaveEnabled) {
+            this.saveStoreData();
+        }
+
+        return { ...category };
+    }
+
+    /**
+     * 経費カテゴリーマスタの取り込み（バックアップ復元用）
+     * 同名カテゴリーが無いものだけを末尾に追加する
+     */
+    mergeExpenseCategories(expenseCategories) {
+        if (!expenseCategories || typeof expenseCategories !== 'object') {
+            return 0;
+        }
+
+        this.ensureExpenseCategories();
+        let addedCount = 0;
+
+        for (const costType in this.storeData.expenseCategories) {
+            const imported = Array.isArray(expenseCategories[costType]) ? expenseCategories[costType] : [];
+            const categories = this.storeData.expenseCategories[costType];
+
+            imported
+                .slice()
+                .sort((a, b) => (a.order || 0) - (b.order || 0))
+                .forEach(importedCategory => {
+                    if (!importedCategory || !importedCategory.name) return;
+                    const exists = categories.some(category =>
+                        category.name.trim().toLowerCase() === importedCategory.name.trim().toLowerCase()
+                    );
+                    if (!exists) {
+                        categories.push({
+                            id: importedCategory.id || StoreUUIDGenerator.generate(),
+                            name: importedCategory.name.trim(),
+                            order: categories.reduce((max, category) => Math.max(max, category.order), -1) + 1,
+                            archived: !!importedCategory.archived
+                        });
+                        addedCount++;
+                    }
+                });
+        }
+
+        if (addedCount > 0) {
+            this.hasUnsavedChanges = true;
+            if (this.autoSaveEnabled) {
+                this.saveStoreData();
+            }
+        }
+
+        return addedCount;
+    }
+
+    /**
+     * マスタデータ取得（店舗データと一緒に保存する設定類）
+     */
+    getMasterData(key, defaultValue = null) {
+        const value = this.storeData[key];
+        return value === undefined || value === null ? defaultValue : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * マスタデータ保存
+     */
+    setMasterData(key, value) {
+        this.storeData[key] = value;
+        this.hasUnsavedChanges = true;
+
+        if (this.autoSaveEnabled) {
+            this.saveStoreData();
+        }
+
+        return true;
+    }
+
+    /**
+     * 会計年度の期首月取得（未設定の場合は1月＝暦年）
+     */
+    getFiscalStartMonth() {
+        const settings = this.getMasterData('fiscalSettings', {});
+        const startMonth = Number(settings.startMonth);
+        return Number.isInteger(startMonth) && startMonth >= 1 && startMonth <= 12 ? startMonth : 1;
+    }
+
+    /**
+     * 会計年度の期首月設定
+     */
+    setFiscalStartMonth(startMonth) {
+        const month = Number(startMonth);
+        if (!Number.isInteger(month) || month < 1 || month > 12) {
+            throw new Error('バリデーションエラー: 期首月は1から12の間で指定してください');
+        }
+
+        return this.setMasterData('fiscalSettings', { ...this.getMasterData('fiscalSettings', {}), startMonth: month });
+    }
+
+    /**
+     * 店舗の期首現金残高取得（未設定の場合はnull）
+     * 残高は指定年月の月初時点の金額
+     */
+    getOpeningBalance(storeId) {
+        const balances = this.getMasterData('openingBalances', {});
+        return balances[storeId] || null;
+    }
+
+    /**
+     * 店舗の期首現金残高設定
+     */
+    setOpeningBalance(storeId, amount, year, month) {
+        this.getStoreById(storeId);
+
+        const errors = [];
+        const value = Number(amount);
+        if (amount === '' || amount === null || amount === undefined || !Number.isFinite(value)) {
+            errors.push('残高は数値で入力してください');
+        }
+        if (!Number.isInteger(Number(year)) || Number(year) < 2000 || Number(year) > 2100) {
+            errors.push('年は2000から2100の間で入力してください');
+        }
+        if (!Number.isInteger(Number(month)) || Number(month) < 1 || Number(month) > 12) {
+            errors.push('月は1から12の間で入力してください');
+        }
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+
+        const balances = this.getMasterData('openingBalances', {});
+        balances[storeId] = { amount: Math.round(value), year: Number(year), month: Number(month) };
+        return this.setMasterData('openingBalances', balances);
+    }
+
     exportStoreData() {
         return JSON.parse(JSON.stringify(this.storeData));
     }
@@ -304,6 +613,7 @@ class StoreManager {
             }
 
             this.storeData = { ...StoreModels.getStoreStructure(), ...importData };
+            this.ensureExpenseCategories();
             this.hasUnsavedChanges = true;
 
             if (this.autoSaveEnabled) {
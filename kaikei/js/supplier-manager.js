@@ -0,0 +1,253 @@
+/**
+ * 仕入先マスタ管理クラス
+ * 仕入れ・経費・返済の取引先について、適格請求書発行事業者の登録番号・登録状況・
+ * 未登録の仕入先の経過措置による控除割合を管理する
+ */
+class SupplierManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'suppliers';
+    }
+
+    /**
+     * 仕入先を紐付けられるカテゴリー
+     */
+    static getLinkCategories() {
+        return ['purchases', 'fixedCosts', 'variableCosts', 'monthlyPayments'];
+    }
+
+    /**
+     * 登録状況
+     */
+    static getStatuses() {
+        return {
+            registered: '登録済み（適格請求書発行事業者）',
+            unregistered: '未登録（免税事業者など）'
+        };
+    }
+
+    /**
+     * 未登録の仕入先の控除割合（autoは取引の年月に応じた経過措置の割合）
+     */
+    static getTransitionalRates() {
+        return {
+            auto: '経過措置の期間に応じて（80%→50%→控除なし）',
+            80: '80%',
+            50: '50%',
+            0: '控除なし'
+        };
+    }
+
+    /**
+     * 経過措置による控除割合
+     * インボイス制度開始（2023年10月）前は全額、2026年9月まで80%、2029年9月まで50%、以降は控除なし
+     */
+    static getTransitionalRate(year, month) {
+        const period = year * 100 + month;
+        if (period < 202310) return 100;
+        if (period <= 202609) return 80;
+        if (period <= 202909) return 50;
+        return 0;
+    }
+
+    /**
+     * 登録番号の正規化（全角・ハイフン・空白を除き、Tのない13桁の数字にはTを付ける）
+     */
+    static normalizeRegistrationNumber(value) {
+        const text = String(value || '')
+            .replace(/[０-９Ａ-Ｚａ-ｚ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+            .replace(/[\s\-－ー]/g, '')
+            .toUpperCase();
+        return /^\d{13}$/.test(text) ? `T${text}` : text;
+    }
+
+    static isValidRegistrationNumber(value) {
+        return /^T\d{13}$/.test(value);
+    }
+
+    getSuppliers() {
+        return this.storeManager.getMasterData(this.masterKey, [])
+            .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+    }
+
+    getSupplierById(supplierId) {
+        const supplier = this.findSupplier(supplierId);
+        if (!supplier) {
+            throw new Error(`仕入先が見つかりません: ${supplierId}`);
+        }
+        return supplier;
+    }
+
+    /**
+     * 仕入先の検索（見つからない場合はnull）
+     */
+    findSupplier(supplierId) {
+        if (!supplierId) {
+            return null;
+        }
+        return this.storeManager.getMasterData(this.masterKey, []).find(supplier => supplier.id === supplierId) || null;
+    }
+
+    saveSuppliers(suppliers) {
+        return this.storeManager.setMasterData(this.masterKey, suppliers);
+    }
+
+    /**
+     * 仕入先入力値の正規化とバリデーション
+     */
+    normalizeSupplier(supplierData, supplierId = null) {
+        const supplier = {
+            name: (supplierData.name || '').toString().trim(),
+            registrationNumber: SupplierManager.normalizeRegistrationNumber(supplierData.registrationNumber),
+            status: supplierData.status || 'registered',
+            transitionalRate: supplierData.transitionalRate === undefined || supplierData.transitionalRate === null || supplierData.transitionalRate === ''
+                ? 'auto'
+                : supplierData.transitionalRate,
+            note: supplierData.note ? supplierData.note.toString().trim() : ''
+        };
+        if (supplier.transitionalRate !== 'auto') {
+            supplier.transitionalRate = Number(supplier.transitionalRate);
+        }
+
+        const errors = [];
+        const others = this.storeManager.getMasterData(this.masterKey, []).filter(item => item.id !== supplierId);
+        if (!supplier.name) {
+            errors.push('仕入先名は必須項目です');
+        } else if (supplier.name.length > 100) {
+            errors.push('仕入先名は100文字以内で入力してください');
+        } else if (others.some(item => item.name === supplier.name)) {
+            errors.push(`仕入先「${supplier.name}」は既に登録されています`);
+        }
+        if (!SupplierManager.getStatuses()[supplier.status]) {
+            errors.push('登録状況が正しくありません');
+        }
+        if (supplier.status === 'registered' && !supplier.registrationNumber) {
+            errors.push('登録済みの仕入先は登録番号を入力してください');
+        }
+        if (supplier.registrationNumber && !SupplierManager.isValidRegistrationNumber(supplier.registrationNumber)) {
+            errors.push('登録番号は「T」と13桁の数字で入力してください');
+        } else if (supplier.registrationNumber && others.some(item => item.registrationNumber === supplier.registrationNumber)) {
+            errors.push(`登録番号${supplier.registrationNumber}は既に登録されています`);
+        }
+        if (supplier.status === 'unregistered' && SupplierManager.getTransitionalRates()[supplier.transitionalRate] === undefined) {
+            errors.push('控除割合が正しくありません');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`バリデーションエラー: ${errors.join(', ')}`);
+        }
+
+        if (supplier.status === 'registered') {
+            supplier.transitionalRate = 'auto';
+        }
+        return supplier;
+    }
+
+    addSupplier(supplierData) {
+        const supplier = {
+            id: UUIDGenerator.generate(),
+            ...this.normalizeSupplier(supplierData),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.saveSuppliers([...this.storeManager.getMasterData(this.masterKey, []), supplier]);
+        return supplier;
+    }
+
+    updateSupplier(supplierId, supplierData) {
+        const suppliers = this.storeManager.getMasterData(this.masterKey, []);
+        const index = suppliers.findIndex(supplier => supplier.id === supplierId);
+        if (index === -1) {
+            throw new Error(`仕入先が見つかりません: ${supplierId}`);
+        }
+
+        suppliers[index] = {
+            ...suppliers[index],
+            ...this.normalizeSupplier(supplierData, supplierId),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveSuppliers(suppliers);
+        return suppliers[index];
+    }
+
+    /**
+     * 仕入先の削除（データが紐付いている仕入先は削除しない）
+     */
+    deleteSupplier(supplierId) {
+        const supplier = this.getSupplierById(supplierId);
+        const linkedCount = this.countLinkedRecords(supplierId);
+        if (linkedCount > 0) {
+            throw new Error(`仕入先「${supplier.name}」は${linkedCount}件のデータで使われているため削除できません`);
+        }
+
+        this.saveSuppliers(this.storeManager.getMasterData(this.masterKey, []).filter(item => item.id !== supplierId));
+        return supplier;
+    }
+
+    /**
+     * 仕入先が紐付いているレコード件数（全店舗）
+     */
+    countLinkedRecords(supplierId) {
+        return SupplierManager.getLinkCategories().reduce((count, category) =>
+            count + this.dataManager.getDataByCategory(category).filter(record => record.supplierId === supplierId).length, 0);
+    }
+
+    /**
+     * 仕入先の控除割合（%）
+     */
+    getCreditRate(supplier, year, month) {
+        if (!supplier || supplier.status === 'registered') {
+            return 100;
+        }
+        // 経過措置の割合を指定していても、インボイス制度開始前の取引は全額控除
+        if (supplier.transitionalRate === 'auto' || year * 100 + month < 202310) {
+            return SupplierManager.getTransitionalRate(year, month);
+        }
+        return Number(supplier.transitionalRate);
+    }
+
+    /**
+     * レコードの控除割合（仕入先が未設定・削除済みの場合は全額控除として扱う）
+     */
+    getRecordCreditRate(record) {
+        return this.getCreditRate(this.findSupplier(record.supplierId), record.year, record.month);
+    }
+
+    /**
+     * 表示用の仕入先名（登録番号付き）
+     */
+    getDisplayName(supplierId) {
+        const supplier = this.findSupplier(supplierId);
+        if (!supplier) {
+            return supplierId ? '（削除済みの仕入先）' : '';
+        }
+        return supplier.status === 'registered'
+            ? `${supplier.name}（${supplier.registrationNumber}）`
+            : `${supplier.name}（未登録）`;
+    }
+
+    /**
+     * バックアップからの仕入先の取り込み（同じIDの仕入先が無いものだけ追加）
+     */
+    mergeSuppliers(importedSuppliers) {
+        if (!Array.isArray(importedSuppliers)) {
+            return 0;
+        }
+
+        const suppliers = this.storeManager.getMasterData(this.masterKey, []);
+        const existingIds = new Set(suppliers.map(supplier => supplier.id));
+        const newSuppliers = importedSuppliers.filter(supplier =>
+            supplier && supplier.id && supplier.name && !existingIds.has(supplier.id)
+        );
+
+        if (newSuppliers.length > 0) {
+            this.saveSuppliers([...suppliers, ...newSuppliers]);
+        }
+
+        return newSuppliers.length;
+    }
+}
+
+window.SupplierManager = SupplierManager;
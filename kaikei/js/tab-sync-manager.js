@@ -0,0 +1,356 @@
+/**
+ * タブ間同期管理クラス
+ * 同じアプリを複数のタブで開いている場合に、レコード単位の変更を他のタブへ伝えて反映する
+ * 店舗・マスタデータとゴミ箱・変更履歴などの設定項目は、保存後に他のタブで読み込み直してもらう
+ * BroadcastChannelが使えない環境ではlocalStorageのstorageイベントで代用する
+ */
+class TabSyncManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.tabId = UUIDGenerator.generate();
+        this.channelName = 'kaikei-sync';
+        this.messageKey = 'kaikei-sync-message';
+        this.channel = null;
+        // 両方のタブで同じレコードが変更され、どちらを残すか確認待ちの変更
+        this.conflicts = [];
+        this.pendingReplace = false;
+        // 他のタブの変更で読み込み直している間の保存は送り返さない
+        this.reloadingStoreData = false;
+        this.refreshTimer = null;
+        this.receivedCount = 0;
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+        this.handleSaveStatus = this.handleSaveStatus.bind(this);
+        this.handleStoreDataSaved = this.handleStoreDataSaved.bind(this);
+        this.handleItemSaved = this.handleItemSaved.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+    }
+
+    /**
+     * 他のタブとの送受信を開始
+     */
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } else {
+            window.addEventListener('storage', this.handleStorage);
+        }
+
+        document.addEventListener('dataChanged', this.handleDataChanged);
+        document.addEventListener('dataSaveStatus', this.handleSaveStatus);
+        document.addEventListener('storeDataSaved', this.handleStoreDataSaved);
+        document.addEventListener('storageItemSaved', this.handleItemSaved);
+    }
+
+    /**
+     * このタブでの変更を他のタブへ送信
+     * 一括操作は個々の変更として送るため、まとめのイベントは送らない
+     */
+    handleDataChanged(event) {
+        const detail = event.detail || {};
+        if (detail.isRemote || detail.action === 'batch') {
+            return;
+        }
+
+        // 全データの置き換えは保存の完了後に、他のタブで読み込み直してもらう
+        if (detail.action === 'replace') {
+            this.pendingReplace = true;
+            return;
+        }
+        if (!Array.isArray(detail.changes) || detail.changes.length === 0) {
+            return;
+        }
+
+        this.post({
+            type: 'changes',
+            detail: {
+                action: detail.action,
+                source: detail.source,
+                label: detail.label || '',
+                note: detail.note || ''
+            },
+            changes: detail.changes
+        });
+    }
+
+    handleSaveStatus(event) {
+        if (this.pendingReplace && event.detail && event.detail.success) {
+            this.pendingReplace = false;
+            this.post({ type: 'replace' });
+        }
+    }
+
+    handleStoreDataSaved() {
+        if (!this.reloadingStoreData) {
+            this.post({ type: 'storeData' });
+        }
+    }
+
+    handleItemSaved(event) {
+        if (event.detail && event.detail.key) {
+            this.post({ type: 'item', key: event.detail.key });
+        }
+    }
+
+    handleStorage(event) {
+        if (event.key !== this.messageKey || !event.newValue) {
+            return;
+        }
+        try {
+            this.handleMessage(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('タブ間同期のメッセージを読み込めません:', error);
+        }
+    }
+
+    post(message) {
+        const payload = { ...message, tabId: this.tabId, sentAt: new Date().toISOString() };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(payload);
+            } else {
+                // 他のタブへはstorageイベントで伝わるため、変更内容を平文のまま残さないようすぐに削除する
+                localStorage.setItem(this.messageKey, JSON.stringify({ ...payload, id: UUIDGenerator.generate() }));
+                localStorage.removeItem(this.messageKey);
+            }
+        } catch (error) {
+            console.warn('タブ間同期のメッセージを送信できません:', error);
+        }
+    }
+
+    /**
+     * 他のタブからのメッセージの処理
+     */
+    async handleMessage(message) {
+        if (!message || message.tabId === this.tabId) {
+            return;
+        }
+
+        if (message.type === 'replace') {
+            await this.reloadAll();
+            return;
+        }
+        if (message.type === 'changes' && Array.isArray(message.changes)) {
+            this.applyChanges(message.changes, message.detail || {});
+        }
+        if (message.type === 'storeData') {
+            await this.reloadStoreData();
+        }
+        if (message.type === 'item') {
+            await this.reloadItem(message.key);
+        }
+    }
+
+    /**
+     * レコード単位の変更の反映
+     * このタブの内容が別のタブの変更前・変更後のどちらとも異なる場合は、両方で編集されたものとして確認待ちにする
+     */
+    applyChanges(changes, detail = {}) {
+        const applicable = [];
+        const conflicts = [];
+
+        changes.forEach(change => {
+            const recordId = (change.after || change.before).id;
+            const local = this.findRecord(change.category, recordId);
+            const pending = this.conflicts.find(conflict => conflict.recordId === recordId && conflict.category === change.category);
+
+            if (pending) {
+                // 確認待ちの間に届いた変更は、別のタブの最新の内容として差し替える
+                pending.remote = change.after ? { ...change.after } : null;
+                pending.receivedAt = new Date().toISOString();
+                return;
+            }
+            if (TabSyncManager.isSameRecord(local, change.after)) {
+                return;
+            }
+            if (TabSyncManager.isSameRecord(local, change.before)) {
+                applicable.push(change);
+                return;
+            }
+
+            conflicts.push({
+                id: UUIDGenerator.generate(),
+                category: change.category,
+                recordId,
+                local: local ? { ...local } : null,
+                remote: change.after ? { ...change.after } : null,
+                label: detail.label || '',
+                receivedAt: new Date().toISOString()
+            });
+        });
+
+        if (applicable.length > 0) {
+            this.dataManager.applyRemoteChanges(applicable, detail);
+            this.receivedCount += applicable.length;
+            this.scheduleRefresh();
+        }
+        if (conflicts.length > 0) {
+            this.conflicts.push(...conflicts);
+            this.notifyConflicts();
+        }
+
+        return { appliedCount: applicable.length, conflictCount: conflicts.length };
+    }
+
+    /**
+     * 確認待ちの変更の解決
+     * choice: 'remote'は別のタブの内容を反映、'local'はこのタブの内容を保存して別のタブにも反映する
+     */
+    resolveConflict(conflictId, choice) {
+        const conflict = this.conflicts.find(item => item.id === conflictId);
+        if (!conflict) {
+            throw new Error(`競合が見つかりません: ${conflictId}`);
+        }
+
+        const current = this.findRecord(conflict.category, conflict.recordId);
+        if (choice === 'remote') {
+            this.dataManager.applyRemoteChanges(
+                [{ category: conflict.category, before: current, after: conflict.remote }],
+                { action: conflict.remote ? 'update' : 'delete', source: 'sync', label: '別のタブの変更を反映' }
+            );
+        } else if (choice === 'local') {
+            this.dataManager.saveData([current
+                ? { category: conflict.category, type: 'put', record: current }
+                : { category: conflict.category, type: 'delete', id: conflict.recordId }]);
+            this.post({
+                type: 'changes',
+                detail: { action: current ? 'update' : 'delete', source: 'sync', label: '別のタブとの競合の解決', note: '' },
+                changes: [{ category: conflict.category, before: conflict.remote, after: current }]
+            });
+        } else {
+            throw new Error(`不明な解決方法です: ${choice}`);
+        }
+
+        this.conflicts = this.conflicts.filter(item => item.id !== conflictId);
+        this.scheduleRefresh();
+        return conflict;
+    }
+
+    /**
+     * 全データの読み込み直し（他のタブでバックアップから全データを置き換えた場合）
+     */
+    async reloadAll() {
+        this.conflicts = [];
+        await this.dataManager.loadData();
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: {
+                category: null,
+                action: 'replace',
+                source: 'restore',
+                recordCount: this.dataManager.getTotalRecordCount(),
+                isRemote: true
+            }
+        }));
+        this.receivedCount++;
+        this.scheduleRefresh();
+    }
+
+    /**
+     * 店舗・マスタデータの読み込み直し（表示中の店舗はこのタブの選択のまま）
+     */
+    async reloadStoreData() {
+        const storeManager = window.storeManager;
+        if (!storeManager) {
+            return;
+        }
+
+        const activeStoreId = storeManager.getActiveStoreId();
+        this.reloadingStoreData = true;
+        try {
+            await storeManager.loadStoreData();
+        } finally {
+            this.reloadingStoreData = false;
+        }
+        if (storeManager.getStoreById(activeStoreId)) {
+            storeManager.storeData.activeStoreId = activeStoreId;
+        }
+
+        document.dispatchEvent(new CustomEvent('storeDataChanged', { detail: { isRemote: true } }));
+        this.receivedCount++;
+        this.scheduleRefresh();
+    }
+
+    /**
+     * 設定項目の読み込み直し（ゴミ箱・変更履歴。バックアップ一覧は表示のたびに読み込む）
+     */
+    async reloadItem(key) {
+        const managers = [window.trashManager, window.auditLogManager];
+        const manager = managers.find(item => item && item.storageKey === key);
+        if (manager) {
+            await manager.load();
+        }
+        this.scheduleRefresh();
+    }
+
+    findRecord(category, recordId) {
+        return (this.dataManager.data[category] || []).find(record => record.id === recordId) || null;
+    }
+
+    /**
+     * 項目の並び順に関係なく同じ内容のレコードか判定
+     */
+    static isSameRecord(a, b) {
+        if (!a || !b) {
+            return !a && !b;
+        }
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+    }
+
+    notifyConflicts() {
+        if (window.uiManager && typeof window.uiManager.showSyncConflicts === 'function') {
+            window.uiManager.showSyncConflicts();
+        }
+    }
+
+    /**
+     * 画面の更新（続けて届いた変更はまとめて1回で更新し、入力中の場合は通知から更新する）
+     */
+    scheduleRefresh() {
+        if (this.refreshTimer) {
+            return;
+        }
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            const count = this.receivedCount;
+            this.receivedCount = 0;
+            if (!window.app) {
+                return;
+            }
+
+            if (this.isUserEditing()) {
+                if (window.toastManager && count > 0) {
+                    window.toastManager.show(
+                        '別のタブでデータが変更されました。入力中の内容を保存した後に表示を更新してください',
+                        'info', 8000, 'タブ間同期',
+                        { label: '表示を更新', onClick: () => window.app.refreshCurrentSection() }
+                    );
+                }
+                return;
+            }
+
+            window.app.refreshCurrentSection();
+            if (window.toastManager && count > 0) {
+                window.toastManager.show(`別のタブでの変更を反映しました（${count}件）`, 'info', 3000, 'タブ間同期');
+            }
+        }, 200);
+    }
+
+    /**
+     * 入力フォームやダイアログを開いているか（画面を更新すると入力中の内容が消える場合）
+     */
+    isUserEditing() {
+        const formContainer = document.getElementById('form-container');
+        if (formContainer && formContainer.style.display === 'block') {
+            return true;
+        }
+        if (document.querySelector('.form-overlay')) {
+            return true;
+        }
+        const active = document.activeElement;
+        return !!active && ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName) && !active.closest('header');
+    }
+}
+
+window.TabSyncManager = TabSyncManager;
@@ -0,0 +1,274 @@
+/**
+ * ゴミ箱管理クラス
+ * DataManagerのdataChangedイベントから削除されたレコードを受け取り、
+ * 保存期間が過ぎるまで復元・完全削除できるように保管する
+ */
+class TrashManager {
+    constructor(dataManager, storeManager) {
+        this.dataManager = dataManager;
+        this.storeManager = storeManager;
+        this.masterKey = 'trashSettings';
+        this.storageKey = 'trash';
+        this.items = [];
+        // 元に戻す・やり直しで再び削除された場合にゴミ箱へ戻すための、復元済みの項目
+        this.detachedItems = new Map();
+        this.saveTimer = null;
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * 保存済みのゴミ箱を読み込み、保存期間を過ぎた項目を削除して記録を開始
+     */
+    async init() {
+        await this.load();
+        this.purgeExpired();
+        document.addEventListener('dataChanged', this.handleDataChanged);
+    }
+
+    /**
+     * 保存済みのゴミ箱の読み込み（他のタブで保存された場合も読み込み直す）
+     */
+    async load() {
+        try {
+            const saved = await this.dataManager.storage.getItem(this.storageKey);
+            this.items = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('ゴミ箱の読み込みエラー:', error);
+            this.items = [];
+        }
+    }
+
+    /**
+     * 保存期間の選択肢（日数、0は無期限）
+     */
+    getRetentionOptions() {
+        return {
+            7: '7日',
+            30: '30日',
+            90: '90日',
+            365: '1年',
+            0: '無期限（自動削除しない）'
+        };
+    }
+
+    /**
+     * 保存期間（日数）
+     */
+    getRetentionDays() {
+        const settings = this.storeManager.getMasterData(this.masterKey, {});
+        const days = Number(settings.retentionDays);
+        return Number.isInteger(days) && days >= 0 ? days : 30;
+    }
+
+    /**
+     * 保存期間の設定（短くした場合は期限切れの項目をすぐに削除する）
+     */
+    setRetentionDays(days) {
+        const value = Number(days);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error('バリデーションエラー: 保存期間は0以上の日数で指定してください');
+        }
+
+        this.storeManager.setMasterData(this.masterKey, { ...this.storeManager.getMasterData(this.masterKey, {}), retentionDays: value });
+        return this.purgeExpired();
+    }
+
+    /**
+     * dataChangedイベントの処理
+     * 削除されたレコードをゴミ箱に入れ、復元されたレコードはゴミ箱から外す
+     * 月別同期の入れ替えや、元に戻す・やり直しによる追加の取り消しはゴミ箱に入れない
+     */
+    handleDataChanged(event) {
+        const detail = event.detail || {};
+
+        if (detail.action === 'batch') {
+            return;
+        }
+        if (detail.action === 'replace') {
+            this.detachedItems.clear();
+            return;
+        }
+        // 別のタブでの削除は、そのタブのゴミ箱に入る
+        if (detail.isRemote || !Array.isArray(detail.changes) || detail.changes.length === 0) {
+            return;
+        }
+
+        const deletedAt = new Date().toISOString();
+        let changed = false;
+
+        detail.changes.forEach(change => {
+            if (change.after && !change.before) {
+                const index = this.items.findIndex(item => item.record.id === change.after.id && item.category === change.category);
+                if (index !== -1) {
+                    this.detachedItems.set(change.after.id, this.items[index]);
+                    this.items.splice(index, 1);
+                    changed = true;
+                }
+                return;
+            }
+
+            if (!change.before || change.after) {
+                return;
+            }
+
+            if (detail.isUndoRedo) {
+                const detached = this.detachedItems.get(change.before.id);
+                if (detached) {
+                    this.detachedItems.delete(change.before.id);
+                    this.items.push(detached);
+                    changed = true;
+                }
+                return;
+            }
+            if (detail.action === 'sync') {
+                return;
+            }
+
+            this.items.push({
+                id: UUIDGenerator.generate(),
+                category: change.category,
+                record: { ...change.before },
+                storeName: this.getStoreName(change.before.storeId),
+                deletedAt,
+                source: detail.source || 'form',
+                label: detail.label || ''
+            });
+            changed = true;
+        });
+
+        if (changed) {
+            this.scheduleSave();
+        }
+    }
+
+    getStoreName(storeId) {
+        if (!storeId) {
+            return '';
+        }
+        try {
+            return this.storeManager.getStoreById(storeId).name;
+        } catch (error) {
+            // 削除済みの店舗はゴミ箱に入れた時点の店舗名を使う
+            const item = this.items.find(item => item.record.storeId === storeId && item.storeName);
+            return item ? item.storeName : storeId;
+        }
+    }
+
+    /**
+     * ゴミ箱の項目（新しく削除した順）
+     * filters: { category, storeId }
+     */
+    getItems(filters = {}) {
+        return this.items
+            .filter(item => !filters.category || item.category === filters.category)
+            .filter(item => !filters.storeId || item.record.storeId === filters.storeId)
+            .slice()
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * ゴミ箱にある店舗（削除済みの店舗を含む）
+     */
+    getStoresInTrash() {
+        const stores = new Map();
+        this.items.forEach(item => {
+            if (item.record.storeId && !stores.has(item.record.storeId)) {
+                stores.set(item.record.storeId, this.getStoreName(item.record.storeId));
+            }
+        });
+        return [...stores.entries()].map(([id, name]) => ({ id, name }));
+    }
+
+    /**
+     * 自動削除される日時（無期限の場合はnull）
+     */
+    getExpiresAt(item) {
+        const days = this.getRetentionDays();
+        if (days === 0) {
+            return null;
+        }
+        return new Date(new Date(item.deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * 復元
+     * 元の店舗が削除済みの場合はtargetStoreId（未指定の場合は選択中の店舗）に戻す
+     */
+    restore(itemIds, targetStoreId = null) {
+        const targets = this.items.filter(item => itemIds.includes(item.id));
+        if (targets.length === 0) {
+            throw new Error('バリデーションエラー: 復元する項目を選択してください');
+        }
+
+        const storeIds = new Set(this.storeManager.getStores().map(store => store.id));
+        const fallbackStoreId = targetStoreId || this.storeManager.getActiveStoreId();
+        const entries = targets.map(item => ({
+            category: item.category,
+            record: storeIds.has(item.record.storeId) ? item.record : { ...item.record, storeId: fallbackStoreId }
+        }));
+
+        const restored = this.dataManager.restoreRecords(entries);
+        const restoredIds = new Set(targets.map(item => item.id));
+        // 同じIDのレコードが既にあり復元されなかった項目もゴミ箱から外す
+        this.items = this.items.filter(item => !restoredIds.has(item.id));
+        this.scheduleSave();
+
+        return { restoredCount: restored.length, skippedCount: targets.length - restored.length };
+    }
+
+    /**
+     * 完全削除
+     */
+    purge(itemIds) {
+        const before = this.items.length;
+        this.items = this.items.filter(item => !itemIds.includes(item.id));
+        const purgedCount = before - this.items.length;
+        if (purgedCount > 0) {
+            this.scheduleSave();
+        }
+        return purgedCount;
+    }
+
+    /**
+     * 条件に合う項目をすべて完全削除
+     */
+    empty(filters = {}) {
+        return this.purge(this.getItems(filters).map(item => item.id));
+    }
+
+    /**
+     * 保存期間を過ぎた項目の完全削除
+     */
+    purgeExpired(now = new Date()) {
+        const days = this.getRetentionDays();
+        if (days === 0) {
+            return 0;
+        }
+
+        const threshold = now.getTime() - days * 24 * 60 * 60 * 1000;
+        return this.purge(this.items
+            .filter(item => new Date(item.deletedAt).getTime() < threshold)
+            .map(item => item.id));
+    }
+
+    /**
+     * 保存（同じ処理の中で続いた変更はまとめて1回で書き込む）
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(async () => {
+            this.saveTimer = null;
+            try {
+                await this.dataManager.storage.setItem(this.storageKey, this.items);
+                this.dataManager.notifyItemSaved(this.storageKey);
+            } catch (error) {
+                console.error('ゴミ箱の保存エラー:', error);
+            }
+        }, 0);
+    }
+}
+
+window.TrashManager = TrashManager;
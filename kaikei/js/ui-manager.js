@@ -281,9 +281,12 @@ class ToastManager {
 
     /**
      * トースト表示
+     * actionに{ label, onClick }を渡すと操作ボタンを表示する
+     * 記録直後のデータ変更がある場合、成功トーストには「元に戻す」を付ける
      */
-    show(message, type = 'info', duration = 5000, title = '') {
+    show(message, type = 'info', duration = 5000, title = '', action = null) {
         const toastId = Date.now().toString();
+        const toastAction = action || (type === 'success' && window.undoManager ? window.undoManager.takeToastAction() : null);
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.innerHTML = `
@@ -294,15 +297,27 @@ class ToastManager {
             <div class="toast-body">${message}</div>
         `;
 
+        if (toastAction) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'toast-action';
+            actionButton.textContent = toastAction.label;
+            actionButton.addEventListener('click', () => {
+                this.hide(toastId);
+                toastAction.onClick();
+            });
+            toast.querySelector('.toast-body').appendChild(actionButton);
+        }
+
         this.container.appendChild(toast);
         this.toasts.set(toastId, toast);
 
         // アニメーション表示
         setTimeout(() => toast.classList.add('show'), 100);
 
-        // 自動削除
+        // 自動削除（操作ボタン付きは押す余裕を持たせる）
         if (duration > 0) {
-            setTimeout(() => this.hide(toastId), duration);
+            setTimeout(() => this.hide(toastId), toastAction ? Math.max(duration, 8000) : duration);
         }
 
         return toastId;
@@ -1132,6 +1147,11 @@ class UIManager {
         this.dataManager = dataManager;
         this.contentArea = document.getElementById('content-area');
         this.currentSection = 'sales';
+        this.salesViewMode = 'table';
+        this.yearlyCompareSetting = 'previous'; // 年間レポートの比較対象（'previous' | 'none' | 年）
+        this.consolidatedPeriod = 'month'; // 統合レポートの集計期間（'month' | 'fiscalYear'）
+        this.breakEvenPeriod = 'month'; // 損益分岐点分析の集計期間（'month' | 'fiscalYear'）
+        this.editingRecordUpdatedAt = null; // 編集フォームを開いた時点のレコードの更新日時（タブ間の競合確認用）
         this.saveStatusManager = new SaveStatusManager();
         this.loadingManager = new LoadingManager();
         this.toastManager = new ToastManager();
@@ -1747,6 +1767,9 @@ class UIManager {
             );
         }
         
+        // 日付順に並べる（日付のない月単位レコードは先頭）
+        data.sort((a, b) => (a.day || 0) - (b.day || 0));
+        
         // 現在の表示年月を取得
         const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
         
@@ -1759,12 +1782,22 @@ class UIManager {
                         <span class="date-value">${globalDate.year}年${globalDate.month}月</span>
                         <span class="record-count">(${data.length}件)</span>
                     </div>
+                    ${category === 'fixedCosts' ? `<button class="btn btn-secondary" onclick="uiManager.showExpenseCategoryManager('fixedCosts')">カテゴリー管理</button>` : ''}
+                    ${category !== 'sales' ? `<button class="btn btn-secondary" onclick="uiManager.showRecurringTemplateManager('${category}')">定期取引</button>` : ''}
+                    ${category === 'sales' ? `<button class="btn btn-secondary" onclick="uiManager.toggleSalesView()">${this.salesViewMode === 'calendar' ? '一覧表示' : 'カレンダー表示'}</button>` : ''}
                     ${(category === 'fixedCosts' || category === 'consumptionTax' || category === 'monthlyPayments' || category === 'manufacturerDeposits') ? `<button class="btn btn-secondary" onclick="uiManager.showBatchInputForm('${category}')">一括登録</button>` : ''}
+                    ${category === 'consumptionTax' ? `<button class="btn btn-secondary" onclick="uiManager.showConsumptionTaxProposal()">税額を計算</button>` : ''}
+                    ${this.isSupplierLinkCategory(category) ? `<button class="btn btn-secondary" onclick="uiManager.showSupplierManager()">仕入先</button>` : ''}
+                    ${(category === 'purchases' || category === 'manufacturerDeposits') ? `<button class="btn btn-secondary" onclick="uiManager.showManufacturerManager()">メーカー</button>` : ''}
+                    ${category === 'manufacturerDeposits' ? `<button class="btn btn-secondary" onclick="uiManager.showDepositLedger()">保証金台帳</button>` : ''}
+                    ${category === 'monthlyPayments' ? `<button class="btn btn-secondary" onclick="uiManager.showLoanManager()">借入金</button>` : ''}
                     <button class="btn" onclick="uiManager.showInputForm('${category}')">新規追加</button>
                 </div>
             </div>
             <div id="data-display">
-                ${this.renderDataTable(category, data)}
+                ${category === 'sales' && this.salesViewMode === 'calendar'
+                    ? this.renderSalesCalendar(globalDate.year, globalDate.month, data)
+                    : this.renderDataTable(category, data)}
             </div>
             <div id="form-container" style="display: none;">
                 <!-- フォームは動的に生成 -->
@@ -1772,6 +1805,216 @@ class UIManager {
         `;
     }
 
+    /**
+     * 売上の表示切り替え（一覧 / カレンダー）
+     */
+    toggleSalesView() {
+        this.salesViewMode = this.salesViewMode === 'calendar' ? 'table' : 'calendar';
+        this.showDataManagement('売上管理', 'sales');
+    }
+
+    /**
+     * 日別売上カレンダー表示
+     * recordsは表示中の店舗・年月で絞り込み済みの売上データ
+     */
+    renderSalesCalendar(year, month, records) {
+        const daysInMonth = DataModels.getDaysInMonth(year, month);
+        const firstWeekday = new Date(year, month - 1, 1).getDay();
+        const weekdays = ['日', '月', '火', '水', '木', '金', '土'];
+        const today = new Date();
+
+        // 日別に集計
+        const dailyRecords = {};
+        let undatedTotal = 0;
+        let undatedCount = 0;
+        records.forEach(record => {
+            if (record.day) {
+                (dailyRecords[record.day] = dailyRecords[record.day] || []).push(record);
+            } else {
+                undatedTotal += record.amount || 0;
+                undatedCount++;
+            }
+        });
+        const monthTotal = records.reduce((sum, record) => sum + (record.amount || 0), 0);
+
+        let cellsHTML = '';
+        for (let i = 0; i < firstWeekday; i++) {
+            cellsHTML += '<td class="calendar-cell empty"></td>';
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dayRecords = dailyRecords[day] || [];
+            const dayTotal = dayRecords.reduce((sum, record) => sum + (record.amount || 0), 0);
+            const weekday = (firstWeekday + day - 1) % 7;
+            const isToday = today.getFullYear() === year && today.getMonth() + 1 === month && today.getDate() === day;
+            const classes = ['calendar-cell'];
+            if (weekday === 0) classes.push('sunday');
+            if (weekday === 6) classes.push('saturday');
+            if (isToday) classes.push('today');
+            if (dayRecords.length > 0) classes.push('has-data');
+
+            cellsHTML += `
+                <td class="${classes.join(' ')}" id="calendar-cell-${day}" onclick="uiManager.startCalendarCellEdit(${day})"
+                    title="${month}月${day}日の売上${dayRecords.length > 1 ? `（${dayRecords.length}件）` : ''}">
+                    <div class="calendar-day">${day}</div>
+                    <div class="calendar-amount" id="calendar-amount-${day}">
+                        ${dayRecords.length > 0 ? `${this.formatNumber(dayTotal)}円` : ''}
+                    </div>
+                    ${dayRecords.length > 1 ? `<div class="calendar-count">${dayRecords.length}件</div>` : ''}
+                </td>
+            `;
+
+            if (weekday === 6 && day < daysInMonth) {
+                cellsHTML += '</tr><tr>';
+            }
+        }
+
+        const trailingCells = (7 - (firstWeekday + daysInMonth) % 7) % 7;
+        for (let i = 0; i < trailingCells; i++) {
+            cellsHTML += '<td class="calendar-cell empty"></td>';
+        }
+
+        return `
+            <div class="sales-calendar">
+                <div class="calendar-summary">
+                    <span>月合計: <strong>${this.formatNumber(monthTotal)}円</strong></span>
+                    ${undatedCount > 0 ? `<span>日付なし: ${this.formatNumber(undatedTotal)}円（${undatedCount}件）</span>` : ''}
+                </div>
+                <p class="calendar-help">日付をクリックすると売上金額を入力・編集できます（Enterで確定、Escで取消）。</p>
+                <table class="calendar-table">
+                    <thead>
+                        <tr>${weekdays.map(weekday => `<th>${weekday}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        <tr>${cellsHTML}</tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * カレンダーセルのインライン編集開始
+     */
+    startCalendarCellEdit(day) {
+        const amountElement = document.getElementById(`calendar-amount-${day}`);
+        if (!amountElement || amountElement.querySelector('input')) {
+            return;
+        }
+
+        const storeCheckResult = this.validateStoreSelection('sales');
+        if (!storeCheckResult.isValid) {
+            this.showStoreNotSelectedDialog('sales', storeCheckResult.storeCount, storeCheckResult.message);
+            return;
+        }
+
+        const dayRecords = this.getCalendarDayRecords(day);
+        if (dayRecords.length > 1) {
+            this.toastManager.show(`${day}日の売上は${dayRecords.length}件あるため、一覧表示から編集してください`, 'warning', 4000);
+            return;
+        }
+
+        const currentAmount = dayRecords.length === 1 ? dayRecords[0].amount : '';
+        amountElement.innerHTML = `<input type="number" class="calendar-input" min="0" step="1" value="${currentAmount}">`;
+
+        const input = amountElement.querySelector('input');
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            if (commit) {
+                this.commitCalendarCellEdit(day, input.value);
+            } else {
+                this.refreshSalesCalendar();
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * カレンダーセルの編集確定
+     * 空欄で確定した場合は既存の売上を削除する
+     */
+    commitCalendarCellEdit(day, value) {
+        const { year, month } = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const dayRecords = this.getCalendarDayRecords(day);
+        const existingRecord = dayRecords.length === 1 ? dayRecords[0] : null;
+        const trimmedValue = String(value).trim();
+
+        try {
+            if (trimmedValue === '') {
+                if (existingRecord && confirm(`${month}月${day}日の売上を削除しますか？`)) {
+                    this.dataManager.deleteRecord('sales', existingRecord.id);
+                    this.toastManager.show(`${month}月${day}日の売上を削除しました`, 'success', 2000);
+                }
+                this.refreshSalesCalendar();
+                return;
+            }
+
+            const amount = Number(trimmedValue);
+            if (isNaN(amount) || amount < 0 || amount > 999999999) {
+                this.toastManager.show('金額は0以上999,999,999円以下の数値で入力してください', 'error', 4000);
+                this.refreshSalesCalendar();
+                return;
+            }
+
+            if (existingRecord) {
+                if (existingRecord.amount !== amount) {
+                    this.dataManager.updateRecord('sales', existingRecord.id, { amount });
+                    this.toastManager.show(`${month}月${day}日の売上を更新しました`, 'success', 2000);
+                }
+            } else {
+                this.dataManager.addRecord('sales', { year, month, day, amount });
+                this.toastManager.show(`${month}月${day}日の売上を登録しました`, 'success', 2000);
+            }
+        } catch (error) {
+            this.toastManager.show('売上の保存に失敗しました: ' + error.message, 'error', 5000);
+        }
+
+        this.refreshSalesCalendar();
+    }
+
+    /**
+     * 表示中の店舗・年月における指定日の売上レコード取得
+     */
+    getCalendarDayRecords(day) {
+        const { year, month } = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+        return this.dataManager.getRecordsByMonth(year, month, storeId, day).sales || [];
+    }
+
+    /**
+     * カレンダー部分のみ再描画
+     */
+    refreshSalesCalendar() {
+        const dataDisplay = document.getElementById('data-display');
+        if (!dataDisplay || this.currentSection !== 'sales' || this.salesViewMode !== 'calendar') {
+            return;
+        }
+
+        const { year, month } = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+        const records = this.dataManager.getRecordsByMonth(year, month, storeId).sales || [];
+        dataDisplay.innerHTML = this.renderSalesCalendar(year, month, records);
+
+        const recordCount = document.querySelector('.current-date-display .record-count');
+        if (recordCount) {
+            recordCount.textContent = `(${records.length}件)`;
+        }
+    }
+
     /**
      * データテーブル表示（パフォーマンス最適化版）
      */
@@ -2006,21 +2249,23 @@ class UIManager {
      * テーブルヘッダー取得
      */
     getTableHeaders(category) {
-        const commonHeaders = ['年', '月', '金額', '備考'];
+        const commonHeaders = ['年', '月', '日', '金額', '備考'];
         
         switch(category) {
+            case 'sales':
+                return ['年', '月', '日', '金額', '税区分', '備考'];
             case 'purchases':
-                return ['年', '月', '金額', 'メーカー名', '備考'];
+                return ['年', '月', '日', '金額', '税区分', 'メーカー名', '備考'];
             case 'fixedCosts':
             case 'variableCosts':
-                return ['年', '月', 'カテゴリー', '金額', '備考'];
+                return ['年', '月', '日', 'カテゴリー', '金額', '税区分', '仕入先', '備考'];
 
             case 'monthlyPayments':
-                return ['年', '月', '金額', '返済先', '備考'];
+                return ['年', '月', '日', '金額', 'うち利息', '返済先', '備考'];
             case 'manufacturerDeposits':
-                return ['年', '月', '金額', 'メーカー名', '備考'];
+                return ['年', '月', '日', '種類', '金額', 'メーカー名', '備考'];
             case 'consumptionTax':
-                return ['年', '月', '金額', '備考'];
+                return ['年', '月', '日', '金額', '備考'];
             default:
                 return commonHeaders;
         }
@@ -2043,15 +2288,33 @@ class UIManager {
         switch(header) {
             case '年': return record.year;
             case '月': return record.month;
+            case '日': return record.day || '';
             case '金額': return record.amount ? this.formatNumber(record.amount) + '円' : '0円';
-            case '備考': return record.note || '';
+            case '備考': return (record.templateId ? '[定期] ' : '') + (record.note || '');
             case 'カテゴリー': return record.category || '';
             case '返済先': return record.payee || '';
+            case 'うち利息': return typeof record.interest === 'number' ? this.formatNumber(record.interest) + '円' : '';
             case 'メーカー名': return record.manufacturer || '';
+            case '税区分': return this.formatTaxClass(record);
+            case '種類': return DataModels.getDepositTransactionTypes()[DataModels.getDepositTransactionType(record)] || '';
+            case '仕入先': return window.supplierManager ? window.supplierManager.getDisplayName(record.supplierId) : '';
             default: return '';
         }
     }
 
+    /**
+     * 税率・税込区分の表示（例: 10%・税込、8%・税抜、非課税）
+     */
+    formatTaxClass(record) {
+        if (record.taxRate === undefined || record.taxRate === null) {
+            return '';
+        }
+        if (record.taxRate === 0) {
+            return '非課税・対象外';
+        }
+        return `${record.taxRate}%・${record.taxIncluded === false ? '税抜' : '税込'}`;
+    }
+
     /**
      * 入力フォーム表示（店舗未選択エラーハンドリング強化版）
      */
@@ -2163,8 +2426,14 @@ class UIManager {
     showEditForm(category, recordId) {
         try {
             const record = this.dataManager.getRecordById(category, recordId);
+            if (window.closingManager && window.closingManager.isClosed(record.storeId, record.year, record.month)) {
+                this.showMessage(`${record.year}年${record.month}月は締め済みのため編集できません。店舗管理の「月次締め」で締めを解除してください`, 'warning');
+                return;
+            }
             const formContainer = document.getElementById('form-container');
             const formHTML = this.generateInputForm(category, record);
+            // 保存時に別のタブで変更されていないか確認するため、編集開始時の更新日時を覚えておく
+            this.editingRecordUpdatedAt = record.updatedAt;
             
             formContainer.innerHTML = formHTML;
             formContainer.style.display = 'block';
@@ -2181,11 +2450,11 @@ class UIManager {
      * レコード削除
      */
     deleteRecord(category, recordId) {
-        if (confirm('このレコードを削除しますか？')) {
+        if (confirm('このレコードをゴミ箱に移動しますか？')) {
             try {
                 this.dataManager.deleteRecord(category, recordId);
                 this.showSection(this.currentSection); // 画面を再描画
-                this.showMessage('レコードを削除しました', 'success');
+                this.showMessage('レコードをゴミ箱に移動しました', 'success');
             } catch (error) {
                 this.showMessage('削除に失敗しました: ' + error.message, 'error');
             }
@@ -2214,6 +2483,14 @@ class UIManager {
                             <option value="single">単一店舗</option>
                             <option value="consolidated">全店舗統合</option>
                             <option value="comparison">店舗別比較</option>
+                            <option value="budget">予算実績比較</option>
+                            <option value="breakeven">損益分岐点分析</option>
+                            <option value="cashflow">キャッシュフロー</option>
+                            <option value="consumptiontax">消費税の計算と納付</option>
+                            <option value="inputcredit">仕入税額控除（インボイス）</option>
+                            <option value="manufacturer">メーカー別仕入れ</option>
+                            <option value="deposit">メーカー保証金の残高</option>
+                            <option value="loan">借入金の残高</option>
                         </select>
                     </div>
                     <div class="current-date-display">
@@ -2229,6 +2506,12 @@ class UIManager {
                                 CSVエクスポート ▼
                             </button>
                             <div id="export-dropdown-menu" class="dropdown-menu" style="display: none;">
+                                <button class="dropdown-item" onclick="uiManager.showCSVExportDialog()">
+                                    CSVエクスポート（形式を指定）
+                                </button>
+                                <button class="dropdown-item" onclick="uiManager.showJournalExportDialog()">
+                                    仕訳エクスポート（会計ソフト用）
+                                </button>
                                 <button class="dropdown-item" onclick="uiManager.exportCurrentMonth()">
                                     現在の月をエクスポート
                                 </button>
@@ -2259,6 +2542,30 @@ class UIManager {
                 <div id="comparison-report" style="display: none;">
                     <!-- 比較レポートがここに表示される -->
                 </div>
+                <div id="budget-report" style="display: none;">
+                    <!-- 予算実績比較レポートがここに表示される -->
+                </div>
+                <div id="break-even-report" style="display: none;">
+                    <!-- 損益分岐点分析がここに表示される -->
+                </div>
+                <div id="cash-flow-report" style="display: none;">
+                    <!-- キャッシュフロー計算書がここに表示される -->
+                </div>
+                <div id="consumption-tax-report" style="display: none;">
+                    <!-- 消費税の計算額と納付額の照合がここに表示される -->
+                </div>
+                <div id="input-credit-report" style="display: none;">
+                    <!-- 仕入税額の控除できる額・できない額がここに表示される -->
+                </div>
+                <div id="manufacturer-report" style="display: none;">
+                    <!-- メーカー別仕入れがここに表示される -->
+                </div>
+                <div id="deposit-balance-report" style="display: none;">
+                    <!-- メーカー保証金の残高がここに表示される -->
+                </div>
+                <div id="loan-balance-report" style="display: none;">
+                    <!-- 借入金の残高がここに表示される -->
+                </div>
             </div>
         `;
         
@@ -2400,24 +2707,55 @@ class UIManager {
             { key: 'laborCosts', name: '人件費', amount: balanceData.laborCosts, count: recordCounts.laborCosts },
 
             { key: 'consumptionTax', name: '消費税', amount: balanceData.consumptionTax, count: recordCounts.consumptionTax },
-            { key: 'monthlyPayments', name: '月々の返済', amount: balanceData.monthlyPayments, count: recordCounts.monthlyPayments },
-            { key: 'manufacturerDeposits', name: 'メーカー保証金', amount: balanceData.manufacturerDeposits, count: recordCounts.manufacturerDeposits }
+            { key: 'loanInterest', name: '支払利息', count: categoryBreakdown.expenses && categoryBreakdown.expenses.loanInterest ? categoryBreakdown.expenses.loanInterest.count : 0 }
         ];
         
+        const expenseDetails = balanceData.expenseCategoryDetails || {};
+        
         expenseCategories.forEach(category => {
-            const percentage = categoryBreakdown[category.key] ? categoryBreakdown[category.key].percentage : 0;
+            const breakdown = categoryBreakdown.expenses ? categoryBreakdown.expenses[category.key] : null;
+            const amount = category.amount !== undefined ? category.amount : (breakdown ? breakdown.amount : 0);
+            const percentage = totalExpenses > 0 ? (amount / totalExpenses) * 100 : 0;
             html += `
                             <div class="breakdown-item">
                                 <span class="category-name">${category.name}</span>
-                                <span class="category-amount expense">${this.formatNumber(category.amount)}円</span>
+                                <span class="category-amount expense">${this.formatNumber(amount)}円</span>
                                 <span class="category-percentage">(${percentage.toFixed(1)}%)</span>
                                 <span class="category-count">(${category.count}件)</span>
                             </div>
             `;
+            
+            // 経費カテゴリーマスタ順の内訳
+            (expenseDetails[category.key] || []).forEach(detail => {
+                html += `
+                            <div class="breakdown-item breakdown-subitem">
+                                <span class="category-name">└ ${this.escapeHTML(detail.name)}${detail.archived ? '（アーカイブ）' : ''}</span>
+                                <span class="category-amount expense">${this.formatNumber(detail.amount)}円</span>
+                                <span class="category-count">(${detail.count}件)</span>
+                            </div>
+                `;
+            });
         });
         
+        // 返済・保証金は利益に含めず、資金の支出として別に表示
+        const cashOutflows = categoryBreakdown.cashOutflows || {};
         html += `
                         </div>
+                        
+                        <div class="breakdown-section">
+                            <h5>利益に含まない支出</h5>
+                            ${Object.entries(cashOutflows).map(([key, info]) => `
+                            <div class="breakdown-item">
+                                <span class="category-name">${this.getCategoryDisplayName(key)}</span>
+                                <span class="category-amount expense">${this.formatNumber(info.amount)}円</span>
+                                <span class="category-count">(${info.count}件)</span>
+                            </div>
+                            `).join('')}
+                            <div class="breakdown-item">
+                                <span class="category-name">資金収支（利益 − 上記支出）</span>
+                                <span class="category-amount ${balanceData.netCashFlow < 0 ? 'expense' : 'income'}">${this.formatNumber(balanceData.netCashFlow)}円</span>
+                            </div>
+                        </div>
                     </div>
                 </div>
         `;
@@ -2481,7 +2819,8 @@ class UIManager {
      */
     showYearlyReport() {
         const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
-        const year = globalDate.year;
+        // 表示中の年月が属する年度（期首月が1月なら暦年と同じ）
+        const year = DataModels.getFiscalYear(globalDate.year, globalDate.month, this.getFiscalStartMonth());
         
         if (!year) {
             alert('年を選択してください。');
@@ -2495,13 +2834,15 @@ class UIManager {
         try {
             const chartManager = new ChartManager(this.dataManager);
             const yearlyData = chartManager.calculateYearlyBalance(year);
+            const compareYear = this.getYearlyCompareYear(year);
+            const yearOverYear = compareYear ? chartManager.calculateYearOverYear(year, compareYear) : null;
             
-            const reportHTML = this.generateYearlyReportHTML(yearlyData);
+            const reportHTML = this.generateYearlyReportHTML(yearlyData, yearOverYear);
             document.getElementById('yearly-report').innerHTML = reportHTML;
             
             // グラフを描画（DOM要素が作成された後に実行）
             setTimeout(() => {
-                chartManager.renderYearlyChart(year);
+                chartManager.renderYearlyChart(year, compareYear);
             }, 100);
             
         } catch (error) {
@@ -2511,10 +2852,42 @@ class UIManager {
         }
     }
 
+    /**
+     * 会計年度の期首月（未設定なら1月）
+     */
+    getFiscalStartMonth() {
+        return window.storeManager ? window.storeManager.getFiscalStartMonth() : 1;
+    }
+
+    /**
+     * 年間レポートの比較年を取得（比較なしの場合はnull）
+     */
+    getYearlyCompareYear(year) {
+        if (this.yearlyCompareSetting === 'none') {
+            return null;
+        }
+        if (this.yearlyCompareSetting === 'previous') {
+            return year - 1;
+        }
+        const compareYear = parseInt(this.yearlyCompareSetting, 10);
+        return compareYear && compareYear !== year ? compareYear : null;
+    }
+
+    /**
+     * 年間レポートの比較対象変更
+     */
+    changeYearlyCompareYear() {
+        const select = document.getElementById('yearly-compare-year');
+        if (!select) return;
+
+        this.yearlyCompareSetting = select.value;
+        this.showYearlyReport();
+    }
+
     /**
      * 年間レポートHTML生成
      */
-    generateYearlyReportHTML(yearlyData) {
+    generateYearlyReportHTML(yearlyData, yearOverYear = null) {
         const { year, totalSales, totalExpenses, totalProfit, averageMonthlyProfit, 
                 deficitMonthsCount, profitableMonthsCount, monthlyResults, yearlyProfitMargin } = yearlyData;
         
@@ -2525,8 +2898,14 @@ class UIManager {
         let html = `
             <div class="yearly-report">
                 <div class="report-header">
-                    <h3>${year}年の年間収支レポート（${storeName}）</h3>
+                    <h3>${yearlyData.label}の年間収支レポート（${storeName}）</h3>
                     <button class="btn btn-secondary" onclick="uiManager.showMonthlyReportFromYearly()">月間レポートに戻る</button>
+                    <div class="yearly-compare-selector">
+                        <label for="yearly-compare-year">比較対象:</label>
+                        <select id="yearly-compare-year" onchange="uiManager.changeYearlyCompareYear()">
+                            ${this.generateYearlyCompareOptions(year)}
+                        </select>
+                    </div>
                     <div class="yearly-summary ${totalProfit < 0 ? 'deficit' : 'profit'}">
                         <div class="summary-grid">
                             <div class="summary-item">
@@ -2585,7 +2964,7 @@ class UIManager {
             
             html += `
                                 <tr class="monthly-row ${profitClass}">
-                                    <td>${monthData.month}月</td>
+                                    <td>${monthData.label}</td>
                                     <td class="amount income">${monthData.sales.toLocaleString()}円</td>
                                     <td class="amount expense">${monthData.totalExpenses.toLocaleString()}円</td>
                                     <td class="amount ${profitClass}">${Math.abs(monthData.profit).toLocaleString()}円</td>
@@ -2601,6 +2980,8 @@ class UIManager {
                     </div>
                 </div>
                 
+                ${yearOverYear ? this.generateYearOverYearHTML(yearOverYear) : ''}
+                
                 <div class="charts-section">
                     <h4>年間推移グラフ</h4>
                     <div class="charts-container">
@@ -2622,6 +3003,77 @@ class UIManager {
         return html;
     }
 
+    /**
+     * 年間レポート比較対象の選択肢
+     */
+    generateYearlyCompareOptions(year) {
+        const compareYear = this.getYearlyCompareYear(year);
+        const startMonth = this.getFiscalStartMonth();
+        const yearName = (targetYear) => DataModels.getFiscalYearShortLabel(targetYear, startMonth);
+        let options = `
+            <option value="none" ${compareYear === null ? 'selected' : ''}>比較なし</option>
+            <option value="previous" ${this.yearlyCompareSetting === 'previous' ? 'selected' : ''}>${startMonth === 1 ? '前年' : '前年度'}（${yearName(year - 1)}）</option>
+        `;
+        for (let optionYear = year - 10; optionYear <= year + 1; optionYear++) {
+            if (optionYear === year) continue;
+            options += `<option value="${optionYear}" ${this.yearlyCompareSetting !== 'previous' && compareYear === optionYear ? 'selected' : ''}>${yearName(optionYear)}</option>`;
+        }
+        return options;
+    }
+
+    /**
+     * 前年同月比較テーブルHTML生成
+     */
+    generateYearOverYearHTML(yearOverYear) {
+        const { year, compareYear, months, totals } = yearOverYear;
+        const yearName = (targetYear) => DataModels.getFiscalYearShortLabel(targetYear, yearOverYear.startMonth);
+
+        const formatGrowth = (rate) => {
+            if (rate === null) {
+                return '<td class="percentage">-</td>';
+            }
+            return `<td class="percentage ${rate < 0 ? 'deficit' : 'profit'}">${rate > 0 ? '+' : ''}${rate.toFixed(1)}%</td>`;
+        };
+        const renderCells = (current, previous, growth) => ['sales', 'grossProfit', 'profit'].map(metric => `
+                                    <td class="amount">${current[metric].toLocaleString()}円</td>
+                                    <td class="amount">${previous[metric].toLocaleString()}円</td>
+                                    ${formatGrowth(growth[metric])}
+        `).join('');
+
+        return `
+                <div class="monthly-breakdown year-over-year">
+                    <h4>${yearName(compareYear)}との同月比較</h4>
+                    <div class="monthly-table-container">
+                        <table class="monthly-table yoy-table">
+                            <thead>
+                                <tr>
+                                    <th rowspan="2">月</th>
+                                    <th colspan="3">売上</th>
+                                    <th colspan="3">粗利</th>
+                                    <th colspan="3">利益</th>
+                                </tr>
+                                <tr>
+                                    ${['売上', '粗利', '利益'].map(() => `<th>${yearName(year)}</th><th>${yearName(compareYear)}</th><th>増減率</th>`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${months.map(monthData => `
+                                <tr>
+                                    <td>${monthData.month}月</td>
+                                    ${renderCells(monthData.current, monthData.previous, monthData.growth)}
+                                </tr>
+                                `).join('')}
+                                <tr class="yoy-total-row">
+                                    <td>年間</td>
+                                    ${renderCells(totals.current, totals.previous, totals.growth)}
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+        `;
+    }
+
     /**
      * メッセージ表示
      */
@@ -2728,6 +3180,14 @@ class UIManager {
                 <div class="field-error" id="month-error"></div>
             </div>
             
+            <div class="form-group">
+                <label for="day">日</label>
+                <input type="number" id="day" name="day" min="1" max="31" step="1" 
+                       value="${record && record.day ? record.day : ''}" 
+                       placeholder="省略時は月単位で登録">
+                <div class="field-error" id="day-error"></div>
+            </div>
+            
             <div class="form-group">
                 <label for="amount">金額 <span class="required">*</span></label>
                 <input type="number" id="amount" name="amount" min="0" step="1" 
@@ -2744,20 +3204,21 @@ class UIManager {
                         <label for="manufacturer">メーカー名</label>
                         <input type="text" id="manufacturer" name="manufacturer" maxlength="100" 
                                value="${record ? record.manufacturer || '' : ''}" 
-                               placeholder="メーカー名を入力（任意）">
+                               placeholder="メーカー名を入力（任意）" list="manufacturer-options" autocomplete="off">
+                        ${this.generateManufacturerDatalist()}
                         <div class="field-error" id="manufacturer-error"></div>
                     </div>
                 `;
                 break;
             case 'fixedCosts':
-                formHTML += this.generateCategoryField('固定費カテゴリー', 'category', [
-                    '家賃', '車両費', '車両保険料', '労働保険料', 'その他'
-                ], record ? record.category : '');
+                formHTML += this.generateCategoryField('固定費カテゴリー', 'category',
+                    this.getExpenseCategoryOptions('fixedCosts', record ? record.category : ''),
+                    record ? record.category : '');
                 break;
             case 'variableCosts':
-                formHTML += this.generateCategoryField('変動費カテゴリー', 'category', [
-                    '旅費交通費', '水道光熱費', '通信費', '修繕費（車検含む）', '雑費・消耗品費'
-                ], record ? record.category : '');
+                formHTML += this.generateCategoryField('変動費カテゴリー', 'category',
+                    this.getExpenseCategoryOptions('variableCosts', record ? record.category : ''),
+                    record ? record.category : '');
                 break;
             case 'laborCosts':
                 // 人件費は基本フィールドのみ（年、月、金額、備考）
@@ -2772,20 +3233,48 @@ class UIManager {
                                value="${record ? record.payee : ''}" required>
                         <div class="field-error" id="payee-error"></div>
                     </div>
+                    <div class="form-group">
+                        <label for="interest">うち利息</label>
+                        <input type="number" id="interest" name="interest" min="0" step="1" 
+                               value="${record && typeof record.interest === 'number' ? record.interest : ''}" 
+                               placeholder="返済額に利息を含む場合に入力（任意）">
+                        <div class="form-help">利息は支払利息として費用に計上し、残りを元金の返済として扱います。${record && record.loanId ? '借入金の返済予定表から作成したデータです（返済データを作り直すと予定表の金額に戻ります）。' : ''}</div>
+                        <div class="field-error" id="interest-error"></div>
+                    </div>
                 `;
                 break;
             case 'manufacturerDeposits':
                 formHTML += `
+                    <div class="form-group">
+                        <label for="transactionType">取引の種類 <span class="required">*</span></label>
+                        <select id="transactionType" name="transactionType" required>
+                            ${Object.entries(DataModels.getDepositTransactionTypes()).map(([value, label]) =>
+                                `<option value="${value}" ${value === DataModels.getDepositTransactionType(record) ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                        <div class="form-help">返還と仕入れとの相殺は保証金の残高から差し引き、費用には含めません。</div>
+                    </div>
                     <div class="form-group">
                         <label for="manufacturer">メーカー名 <span class="required">*</span></label>
                         <input type="text" id="manufacturer" name="manufacturer" maxlength="100" 
-                               value="${record ? record.manufacturer : ''}" required>
+                               value="${record ? record.manufacturer : ''}" list="manufacturer-options" autocomplete="off" required>
+                        ${this.generateManufacturerDatalist()}
                         <div class="field-error" id="manufacturer-error"></div>
                     </div>
                 `;
                 break;
         }
 
+        // 仕入先（インボイスの登録状況）
+        if (this.isSupplierLinkCategory(category)) {
+            formHTML += this.generateSupplierField(category, record ? record.supplierId : '');
+        }
+
+        // 消費税区分（売上・仕入れ・経費）
+        if (DataModels.getTaxCategories()[category]) {
+            formHTML += this.generateTaxFields(category, record);
+        }
+
         // 備考フィールド（共通）
         formHTML += `
             <div class="form-group">
@@ -2813,6 +3302,94 @@ class UIManager {
         return formHTML;
     }
 
+    /**
+     * 仕入先を選べるカテゴリーか（仕入先マスタが読み込まれていない場合は選択欄を出さない）
+     */
+    isSupplierLinkCategory(category) {
+        return typeof SupplierManager !== 'undefined' && SupplierManager.getLinkCategories().includes(category);
+    }
+
+    /**
+     * 仕入先選択フィールド生成
+     */
+    generateSupplierField(category, selectedId = '') {
+        const suppliers = window.supplierManager ? window.supplierManager.getSuppliers() : [];
+        const options = suppliers.map(supplier =>
+            `<option value="${supplier.id}" ${supplier.id === selectedId ? 'selected' : ''}>${this.escapeHTML(window.supplierManager.getDisplayName(supplier.id))}</option>`
+        ).join('');
+        const missing = selectedId && !suppliers.some(supplier => supplier.id === selectedId)
+            ? `<option value="${selectedId}" selected>（削除済みの仕入先）</option>`
+            : '';
+
+        return `
+            <div class="form-group">
+                <label for="supplierId">仕入先（インボイス）</label>
+                <select id="supplierId" name="supplierId" data-category="${category}">
+                    <option value="">未設定（全額控除として計算）</option>
+                    ${options}${missing}
+                </select>
+                <div class="field-error" id="supplierId-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * メーカー名の入力候補（メーカーマスタの正式名と入力済みのメーカー名、別名は候補の説明に表示）
+     */
+    generateManufacturerDatalist() {
+        const suggestions = window.manufacturerManager ? window.manufacturerManager.getSuggestions() : [];
+        return `
+            <datalist id="manufacturer-options">
+                ${suggestions.map(item => `<option value="${this.escapeHTML(item.value)}"${item.label ? ` label="${this.escapeHTML(item.label)}"` : ''}></option>`).join('')}
+            </datalist>
+        `;
+    }
+
+    /**
+     * メーカー名の正式名への置き換え（メーカーマスタが読み込まれていない場合はそのまま）
+     */
+    resolveManufacturerName(name) {
+        return window.manufacturerManager ? window.manufacturerManager.resolveName(name) : name;
+    }
+
+    /**
+     * 税率・税込区分フィールド生成（未設定のレコードは既定値を選択）
+     */
+    generateTaxFields(category, record = null) {
+        const taxed = DataModels.applyTaxDefaults(category, record || {});
+
+        return `
+            <div class="form-group">
+                <label for="taxRate">税率</label>
+                <div class="tax-input-group">
+                    <select id="taxRate" name="taxRate">${this.generateTaxRateOptions(taxed.taxRate)}</select>
+                    <select id="taxIncluded" name="taxIncluded">${this.generateTaxIncludedOptions(taxed.taxIncluded)}</select>
+                </div>
+                <div class="field-error" id="taxRate-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * 税率の選択肢生成
+     */
+    generateTaxRateOptions(selectedRate) {
+        return Object.entries(DataModels.getTaxRates())
+            .sort((a, b) => Number(b[0]) - Number(a[0]))
+            .map(([rate, label]) => `<option value="${rate}" ${Number(rate) === selectedRate ? 'selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    /**
+     * 税込区分の選択肢生成
+     */
+    generateTaxIncludedOptions(taxIncluded) {
+        return `
+            <option value="true" ${taxIncluded ? 'selected' : ''}>税込</option>
+            <option value="false" ${taxIncluded ? '' : 'selected'}>税抜</option>
+        `;
+    }
+
     /**
      * カテゴリーフィールド生成
      */
@@ -2826,7 +3403,7 @@ class UIManager {
         
         options.forEach(option => {
             const selected = selectedValue === option ? 'selected' : '';
-            fieldHTML += `<option value="${option}" ${selected}>${option}</option>`;
+            fieldHTML += `<option value="${this.escapeHTML(option)}" ${selected}>${this.escapeHTML(option)}</option>`;
         });
         
         fieldHTML += `
@@ -2858,6 +3435,27 @@ class UIManager {
             updateCharCount(); // 初期値設定
         }
 
+        // 仕入先を選んだとき、メーカー名・返済先が空欄なら仕入先名を入れる
+        const supplierField = document.getElementById('supplierId');
+        if (supplierField && window.supplierManager) {
+            supplierField.addEventListener('change', () => {
+                const supplier = window.supplierManager.findSupplier(supplierField.value);
+                const nameField = document.getElementById('manufacturer') || document.getElementById('payee');
+                if (supplier && nameField && nameField.value.trim() === '') {
+                    nameField.value = supplier.name;
+                }
+            });
+        }
+
+        // 新規追加では経費カテゴリーに合わせて税率の既定値を切り替える
+        const categoryField = document.getElementById('category');
+        const taxRateField = document.getElementById('taxRate');
+        if (!recordId && categoryField && taxRateField) {
+            categoryField.addEventListener('change', () => {
+                taxRateField.value = DataModels.getDefaultTaxRate(category, { category: categoryField.value });
+            });
+        }
+
         // フォーム送信イベント
         form.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -2887,8 +3485,10 @@ class UIManager {
         // フォームデータをオブジェクトに変換
         const data = {};
         for (let [key, value] of formData.entries()) {
-            if (key === 'year' || key === 'month' || key === 'amount') {
+            if (key === 'year' || key === 'month' || key === 'day' || key === 'amount' || key === 'taxRate' || key === 'interest') {
                 data[key] = value ? Number(value) : null;
+            } else if (key === 'taxIncluded') {
+                data[key] = value === 'true';
             } else {
                 data[key] = value.trim();
             }
@@ -2899,6 +3499,39 @@ class UIManager {
             delete data.note;
         }
 
+        // メーカー名の表記ゆれはメーカーマスタの正式名に揃える
+        if (data.manufacturer) {
+            data.manufacturer = this.resolveManufacturerName(data.manufacturer);
+        }
+
+        // 仕入先の未設定（編集時はnullで紐付けを解除）
+        if (data.supplierId === '') {
+            if (recordId) {
+                data.supplierId = null;
+            } else {
+                delete data.supplierId;
+            }
+        }
+
+        // 日が未入力の新規レコードは月単位として登録（編集時はnullで日付を解除）
+        if (data.day === null && !recordId) {
+            delete data.day;
+        }
+
+        // 返済の元金は返済額から利息を差し引いた額（利息が未入力の場合は内訳を持たない）
+        if (category === 'monthlyPayments') {
+            if (data.interest === null || data.interest === undefined) {
+                if (recordId) {
+                    data.interest = null;
+                    data.principal = null;
+                } else {
+                    delete data.interest;
+                }
+            } else if (typeof data.amount === 'number') {
+                data.principal = data.amount - data.interest;
+            }
+        }
+
         try {
             // クライアントサイドバリデーション
             const validation = this.dataManager.validateRecord(category, data);
@@ -2909,6 +3542,13 @@ class UIManager {
 
             // データ保存
             if (recordId) {
+                const latest = this.dataManager.getRecordById(category, recordId);
+                if (this.editingRecordUpdatedAt && latest.updatedAt !== this.editingRecordUpdatedAt &&
+                    !confirm('このレコードは編集を始めた後に別のタブで変更されています。\nこのタブの入力内容で上書きしますか？\n（キャンセルすると最新の内容で編集し直します）')) {
+                    this.showEditForm(category, recordId);
+                    return;
+                }
+
                 // 更新
                 this.dataManager.updateRecord(category, recordId, data);
                 this.showMessage('データを更新しました', 'success');
@@ -2950,6 +3590,16 @@ class UIManager {
                     error = '月は1から12の間で選択してください';
                 }
                 break;
+            case 'day':
+                if (value) {
+                    const yearValue = Number(document.getElementById('year')?.value);
+                    const monthValue = Number(document.getElementById('month')?.value);
+                    const maxDay = yearValue && monthValue ? DataModels.getDaysInMonth(yearValue, monthValue) : 31;
+                    if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > maxDay) {
+                        error = `日は1から${maxDay}の間で入力してください`;
+                    }
+                }
+                break;
             case 'amount':
                 if (!value) {
                     error = '金額は必須項目です';
@@ -3491,13 +4141,16 @@ class UIManager {
             const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
             const storeName = activeStore ? activeStore.name : 'AllStores';
             
+            const startMonth = this.getFiscalStartMonth();
+            const fiscalYear = DataModels.getFiscalYear(globalDate.year, globalDate.month, startMonth);
+            
             const result = this.dataManager.exportToCSV({
                 exportType: 'yearly',
-                year: globalDate.year,
+                year: fiscalYear,
                 storeName: storeName
             });
             
-            this.showMessage(`${globalDate.year}年（${activeStore ? activeStore.name : 'すべての店舗'}）のデータをCSVエクスポートしました（${result.recordCount}件）`, 'success');
+            this.showMessage(`${DataModels.getFiscalYearLabel(fiscalYear, startMonth)}（${activeStore ? activeStore.name : 'すべての店舗'}）のデータをCSVエクスポートしました（${result.recordCount}件）`, 'success');
             this.toggleExportDropdown(); // ドロップダウンを閉じる
             
         } catch (error) {
@@ -3632,1142 +4285,4206 @@ class UIManager {
     }
 
     /**
-     * 一括登録フォーム表示
-     */
-    showBatchInputForm(category) {
-        let title = '';
-        let formHTML = '';
-        switch(category) {
-            case 'fixedCosts':
-                title = '固定費一括登録';
-                formHTML = this.generateBatchInputForm(category, ['家賃', '車両費', '車両保険料', '労働保険料', 'その他']);
-                break;
-            case 'consumptionTax':
-                title = '消費税一括登録';
-                formHTML = this.generateBatchInputForm(category, ['消費税']);
-                break;
-            case 'monthlyPayments':
-                title = '月々の返済一括登録';
-                formHTML = this.generateBatchInputForm(category, [], '返済先'); // 返済先は動的に入力されるため空
-                break;
-            case 'manufacturerDeposits':
-                title = 'メーカー保証金一括登録';
-                formHTML = this.generateBatchInputForm(category, [], 'メーカー名'); // メーカー名は動的に入力されるため空
-                break;
-            default:
-                title = '一括登録';
-                formHTML = ''; // Fallback or error
-        }
-        this.showModal(title, formHTML);
-        this.setupBatchFormEvents(category);
-    }
-
-    /**
-     * 一括登録フォーム生成
+     * エクスポートダイアログ共通の期間・店舗の入力欄
      */
-    generateBatchInputForm(category, categoryOptions, specificFieldLabel = null) {
-        let categoryFieldHTML = '';
-        if (specificFieldLabel) {
-            // 特定のフィールド（返済先、メーカー名など）
-            const fieldName = category === 'monthlyPayments' ? 'payee' : 'manufacturer';
-            categoryFieldHTML = `
-                <div class="form-group">
-                    <label for="${fieldName}">${specificFieldLabel} <span class="required">*</span></label>
-                    <input type="text" id="${fieldName}" name="${fieldName}" maxlength="100" required>
-                    <div class="field-error" id="${fieldName}-error"></div>
-                </div>
-            `;
-        } else if (categoryOptions && categoryOptions.length > 0) {
-            // カテゴリー選択フィールド
-            categoryFieldHTML = this.generateCategoryField(
-                category === 'fixedCosts' ? '固定費カテゴリー' :
-                category === 'consumptionTax' ? '消費税カテゴリー' :
-                'カテゴリー',
-                'category',
-                categoryOptions
-            );
-        }
+    generateExportScopeFields(prefix) {
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const startMonth = this.getFiscalStartMonth();
+        const fiscalYear = DataModels.getFiscalYear(globalDate.year, globalDate.month, startMonth);
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
 
         return `
-            <form id="batch-data-form" class="data-form">
-                <div class="form-errors" id="batch-form-errors" style="display: none;"></div>
                 <div class="form-group">
-                    <label for="start-year">開始年月 <span class="required">*</span></label>
+                    <label for="${prefix}-period">期間</label>
+                    <select id="${prefix}-period" name="period"
+                            onchange="document.getElementById('${prefix}-range').style.display = this.value === 'range' ? 'block' : 'none'">
+                        <option value="monthly">${globalDate.year}年${globalDate.month}月</option>
+                        <option value="yearly">${DataModels.getFiscalYearLabel(fiscalYear, startMonth)}</option>
+                        <option value="range">期間指定</option>
+                        <option value="all">全期間</option>
+                    </select>
+                </div>
+                <div class="form-group" id="${prefix}-range" style="display: none;">
+                    <label>開始年月〜終了年月</label>
                     <div class="date-input-group">
-                        <select id="start-year" name="startYear" required>${this.generateYearOptions()}</select>
-                        <select id="start-month" name="startMonth" required>${this.generateMonthOptions()}</select>
+                        <select id="${prefix}-start-year">${this.generateYearOptions()}</select>
+                        <select id="${prefix}-start-month">${this.generateMonthOptions()}</select>
+                        <span>〜</span>
+                        <select id="${prefix}-end-year">${this.generateYearOptions()}</select>
+                        <select id="${prefix}-end-month">${this.generateMonthOptions()}</select>
                     </div>
                 </div>
                 <div class="form-group">
-                    <label for="end-year">終了年月 <span class="required">*</span></label>
-                    <div class="date-input-group">
-                        <select id="end-year" name="endYear" required>${this.generateYearOptions()}</select>
-                        <select id="end-month" name="endMonth" required>${this.generateMonthOptions()}</select>
-                    </div>
+                    <label for="${prefix}-store">店舗</label>
+                    <select id="${prefix}-store" name="store">
+                        <option value="active">${activeStore ? activeStore.name : '選択中の店舗'}</option>
+                        <option value="all">すべての店舗</option>
+                    </select>
                 </div>
-                ${categoryFieldHTML}
+        `;
+    }
+
+    /**
+     * 期間指定の初期値（表示中の年の1月〜表示中の月）
+     */
+    initExportScopeFields(prefix) {
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        document.getElementById(`${prefix}-start-year`).value = globalDate.year;
+        document.getElementById(`${prefix}-start-month`).value = 1;
+        document.getElementById(`${prefix}-end-year`).value = globalDate.year;
+        document.getElementById(`${prefix}-end-month`).value = globalDate.month;
+    }
+
+    /**
+     * 期間・店舗の入力内容をエクスポートのオプションに変換（入力エラーはerrorに入れて返す）
+     */
+    readExportScopeOptions(prefix) {
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const exportType = document.getElementById(`${prefix}-period`).value;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const options = {
+            exportType: exportType,
+            allStores: document.getElementById(`${prefix}-store`).value === 'all',
+            storeName: activeStore ? activeStore.name : 'all'
+        };
+
+        if (exportType === 'monthly') {
+            options.year = globalDate.year;
+            options.month = globalDate.month;
+        } else if (exportType === 'yearly') {
+            options.year = DataModels.getFiscalYear(globalDate.year, globalDate.month, this.getFiscalStartMonth());
+        } else if (exportType === 'range') {
+            options.startYear = parseInt(document.getElementById(`${prefix}-start-year`).value, 10);
+            options.startMonth = parseInt(document.getElementById(`${prefix}-start-month`).value, 10);
+            options.endYear = parseInt(document.getElementById(`${prefix}-end-year`).value, 10);
+            options.endMonth = parseInt(document.getElementById(`${prefix}-end-month`).value, 10);
+
+            if (options.startYear * 100 + options.startMonth > options.endYear * 100 + options.endMonth) {
+                options.error = '開始年月は終了年月より前に設定してください';
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * 形式を指定したCSVエクスポートダイアログの表示
+     */
+    showCSVExportDialog() {
+        this.toggleExportDropdown(); // ドロップダウンを閉じる
+
+        const encodingOptions = Object.entries(CsvExporter.getEncodings())
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const content = `
+            <form id="csv-export-form" class="data-form">
+                <div class="form-errors" id="csv-export-errors" style="display: none;"></div>
+                ${this.generateExportScopeFields('csv-export')}
                 <div class="form-group">
-                    <label for="amount">毎月の金額 <span class="required">*</span></label>
-                    <input type="number" id="amount" name="amount" min="0" step="1" required>
+                    <label for="csv-export-encoding">文字コード</label>
+                    <select id="csv-export-encoding" name="encoding">${encodingOptions}</select>
                 </div>
                 <div class="form-group">
-                    <label for="note">備考</label>
-                    <textarea id="note" name="note" maxlength="200" rows="3"></textarea>
+                    <label for="csv-export-layout">出力形式</label>
+                    <select id="csv-export-layout" name="layout">
+                        <option value="combined">1つのファイルにまとめる</option>
+                        <option value="perCategory">カテゴリーごとのファイル（ZIP）</option>
+                    </select>
                 </div>
+                <p class="form-help">Excelで開く場合は「UTF-8（BOM付き）」または「Shift_JIS」を選んでください。Shift_JISで表せない文字は「?」に置き換わります。</p>
                 <div class="form-actions">
                     <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
-                    <button type="submit" class="btn btn-primary">登録</button>
+                    <button type="submit" class="btn btn-primary">エクスポート実行</button>
                 </div>
             </form>
         `;
-    }
 
-    /**
-     * 固定費一括登録フォームイベント設定
-     */
-    setupBatchFormEvents(category) {
-        const form = document.getElementById('batch-data-form');
-        form.addEventListener('submit', (e) => {
+        this.showModal('CSVエクスポート', content);
+        this.initExportScopeFields('csv-export');
+
+        document.getElementById('csv-export-form').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.handleBatchFormSubmit(category);
+            this.handleCSVExportSubmit();
         });
     }
 
     /**
-     * 固定費一括登録フォーム送信処理
+     * 形式を指定したCSVエクスポートの実行
      */
-    handleBatchFormSubmit(category) {
-        const form = document.getElementById('batch-data-form');
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
-
-        const startYear = parseInt(data.startYear, 10);
-        const startMonth = parseInt(data.startMonth, 10);
-        const endYear = parseInt(data.endYear, 10);
-        const endMonth = parseInt(data.endMonth, 10);
-        const amount = parseInt(data.amount, 10);
+    handleCSVExportSubmit() {
+        const errorContainer = document.getElementById('csv-export-errors');
+        const showError = (message) => {
+            if (errorContainer) {
+                errorContainer.textContent = message;
+                errorContainer.style.display = 'block';
+            }
+        };
 
-        if (startYear * 12 + startMonth > endYear * 12 + endMonth) {
-            this.showFormErrors(['開始年月は終了年月より前に設定してください'], 'batch-form-errors');
+        const options = this.readExportScopeOptions('csv-export');
+        if (options.error) {
+            showError(options.error);
             return;
         }
+        options.encoding = document.getElementById('csv-export-encoding').value;
+        options.layout = document.getElementById('csv-export-layout').value;
 
-        const records = [];
-        for (let year = startYear; year <= endYear; year++) {
-            const mStart = (year === startYear) ? startMonth : 1;
-            const mEnd = (year === endYear) ? endMonth : 12;
-            for (let month = mStart; month <= mEnd; month++) {
-                records.push({
-                    year: year,
-                    month: month,
-                    category: data.category,
-                    amount: amount,
-                    note: data.note,
-                    ...(category === 'monthlyPayments' && { payee: data.payee }),
-                    ...(category === 'manufacturerDeposits' && { manufacturer: data.manufacturer })
-                });
-            }
+        const result = this.dataManager.exportToCSV(options);
+        if (!result.success) {
+            showError(`CSVエクスポートに失敗しました: ${result.error}`);
+            return;
         }
 
-        try {
-            this.dataManager.addMultipleRecords(category, records);
-            this.hideModal();
-            this.showSection(this.currentSection);
-            this.showMessage(`${records.length}件の固定費データを一括登録しました`, 'success');
-        } catch (error) {
-            this.showFormErrors([error.message], 'batch-form-errors');
+        this.hideModal();
+        this.showMessage(`${result.filename} をエクスポートしました（${result.recordCount}件）`, 'success');
+        if (result.unmappedCount > 0) {
+            this.showMessage(`Shift_JISで表せない文字${result.unmappedCount}文字を「?」に置き換えました`, 'warning');
         }
     }
 
-    showModal(title, content) {
-        const modal = document.createElement('div');
-        modal.className = 'form-overlay';
-        modal.innerHTML = `
-            <div class="form-modal">
-                <div class="form-header">
-                    <h3>${title}</h3>
-                    <button type="button" class="close-btn" onclick="uiManager.hideModal()">&times;</button>
+    /**
+     * 会計ソフト用の仕訳エクスポートダイアログの表示
+     */
+    showJournalExportDialog() {
+        this.toggleExportDropdown(); // ドロップダウンを閉じる
+        this.renderJournalExportDialog();
+    }
+
+    /**
+     * 仕訳エクスポートダイアログの描画（勘定科目設定から戻る場合にも使用）
+     */
+    renderJournalExportDialog() {
+        this.hideModal();
+
+        const presets = window.journalManager.getPresets();
+        const presetOptions = Object.entries(presets)
+            .map(([value, preset]) => `<option value="${value}">${preset.name}</option>`)
+            .join('');
+        const encodingOptions = Object.entries(CsvExporter.getEncodings())
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const content = `
+            <form id="journal-export-form" class="data-form">
+                <div class="form-errors" id="journal-export-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="journal-export-preset">会計ソフト</label>
+                    <select id="journal-export-preset" name="preset">${presetOptions}</select>
                 </div>
-                <div class="modal-body">${content}</div>
-            </div>
+                ${this.generateExportScopeFields('journal-export')}
+                <div class="form-group">
+                    <label for="journal-export-encoding">文字コード</label>
+                    <select id="journal-export-encoding" name="encoding">${encodingOptions}</select>
+                </div>
+                <p class="form-help">
+                    各レコードを1件の仕訳（借方・貸方・税区分・金額・日付・摘要）として出力します。日付のない月単位のデータは月末日で計上され、店舗名は部門として出力されます。
+                </p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" onclick="uiManager.showJournalAccountSettings()">勘定科目の対応を設定</button>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">エクスポート実行</button>
+                </div>
+            </form>
         `;
-        document.body.appendChild(modal);
+
+        this.showModal('仕訳エクスポート（会計ソフト用）', content);
+        this.initExportScopeFields('journal-export');
+
+        // 会計ソフトを選ぶとその取り込み形式の文字コードに合わせる
+        const presetSelect = document.getElementById('journal-export-preset');
+        const encodingSelect = document.getElementById('journal-export-encoding');
+        encodingSelect.value = presets[presetSelect.value].encoding;
+        presetSelect.addEventListener('change', () => {
+            encodingSelect.value = presets[presetSelect.value].encoding;
+        });
+
+        document.getElementById('journal-export-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleJournalExportSubmit();
+        });
     }
 
-    hideModal() {
-        const modal = document.querySelector('.form-overlay');
-        if (modal) {
-            modal.remove();
+    /**
+     * 仕訳エクスポートの実行
+     */
+    handleJournalExportSubmit() {
+        const errorContainer = document.getElementById('journal-export-errors');
+        const showError = (message) => {
+            if (errorContainer) {
+                errorContainer.textContent = message;
+                errorContainer.style.display = 'block';
+            }
+        };
+
+        const options = this.readExportScopeOptions('journal-export');
+        if (options.error) {
+            showError(options.error);
+            return;
+        }
+        options.preset = document.getElementById('journal-export-preset').value;
+        options.encoding = document.getElementById('journal-export-encoding').value;
+
+        const result = window.journalManager.exportToCSV(options);
+        if (!result.success) {
+            showError(`仕訳エクスポートに失敗しました: ${result.error}`);
+            return;
+        }
+
+        this.hideModal();
+        this.showMessage(`${result.filename} をエクスポートしました（仕訳${result.entryCount}件）`, 'success');
+        if (result.unmappedCount > 0) {
+            this.showMessage(`Shift_JISで表せない文字${result.unmappedCount}文字を「?」に置き換えました`, 'warning');
         }
     }
 
     /**
-     * 変動費管理画面表示
+     * 勘定科目の対応表の設定
      */
-    showVariableCostsManagement() {
-        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
-        const { year, month } = globalDate;
-
-        const categories = ['旅費交通費', '水道光熱費', '通信費', '修繕費（車検含む）', '雑費・消耗品費'];
-        const monthlyData = this.dataManager.getRecordsByMonth(year, month).variableCosts;
+    showJournalAccountSettings() {
+        const rules = window.journalManager.getRules();
+        const categoryLabels = DataModels.getCategoryLabels();
+        const taxClasses = window.journalManager.getTaxClasses();
 
-        let formHTML = `
-            <div class="section-header">
-                <h2>変動費管理</h2>
-                <div class="section-controls">
-                    <div class="current-date-display">
-                        <span class="date-label">表示中:</span>
-                        <span class="date-value">${year}年${month}月</span>
-                    </div>
-                </div>
-            </div>
-            <form id="variable-costs-form" class="data-form">
-                <table class="data-table">
-                    <thead>
-                        <tr>
-                            <th>カテゴリー</th>
-                            <th>金額</th>
-                            <th>備考</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
+        const rows = rules.map((rule, index) => {
+            const taxOptions = Object.entries(taxClasses)
+                .map(([value, label]) => `<option value="${value}" ${value === rule.taxClass ? 'selected' : ''}>${label}</option>`)
+                .join('');
 
-        categories.forEach(category => {
-            const record = monthlyData.find(r => r.category === category);
-            formHTML += `
-                <tr>
-                    <td>${category}</td>
-                    <td><input type="number" name="amount_${category}" value="${record ? record.amount : ''}" class="form-control form-control-lg"></td>
-                    <td><input type="text" name="note_${category}" value="${record ? record.note : ''}" class="form-control"></td>
+            return `
+                <tr class="${rule.subCategory ? 'journal-rule-sub' : 'journal-rule-category'}"
+                    data-index="${index}" data-category="${rule.category}" data-sub-category="${this.escapeHTML(rule.subCategory || '')}">
+                    <td>${rule.subCategory ? `└ ${this.escapeHTML(rule.subCategory)}` : categoryLabels[rule.category]}</td>
+                    <td><input type="text" class="journal-rule-debit" value="${this.escapeHTML(rule.debitAccount)}"></td>
+                    <td><input type="text" class="journal-rule-credit" value="${this.escapeHTML(rule.creditAccount)}"></td>
+                    <td><select class="journal-rule-tax">${taxOptions}</select></td>
                 </tr>
             `;
-        });
-
-        formHTML += `
-                    </tbody>
-                </table>
+        }).join('');
+
+        const content = `
+            <form id="journal-account-form" class="data-form">
+                <div class="form-errors" id="journal-account-errors" style="display: none;"></div>
+                <p class="form-help">固定費・変動費は科目ごとに設定できます（例: 固定費の「家賃」→ 地代家賃）。科目別の設定がないデータはカテゴリーの設定で出力されます。</p>
+                <div class="journal-rule-table">
+                    <table class="data-table">
+                        <thead><tr><th>カテゴリー / 科目</th><th>借方勘定科目</th><th>貸方勘定科目</th><th>税区分</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
                 <div class="form-actions">
+                    <button type="button" class="btn btn-outline" onclick="uiManager.resetJournalAccountRules()">初期値に戻す</button>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.renderJournalExportDialog()">戻る</button>
                     <button type="submit" class="btn btn-primary">保存</button>
                 </div>
             </form>
         `;
 
-        this.contentArea.innerHTML = formHTML;
-        this.setupVariableCostsFormEvents(year, month, categories);
-    }
+        this.hideModal();
+        this.showModal('勘定科目の対応設定', content);
 
-    /**
-     * 変動費フォームイベント設定
-     */
-    setupVariableCostsFormEvents(year, month, categories) {
-        const form = document.getElementById('variable-costs-form');
-        form.addEventListener('submit', (e) => {
+        document.getElementById('journal-account-form').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.handleVariableCostsFormSubmit(year, month, categories);
+            this.handleJournalAccountSettingsSubmit();
         });
     }
 
     /**
-     * 変動費フォーム送信処理
+     * 勘定科目の対応表の保存
      */
-    handleVariableCostsFormSubmit(year, month, categories) {
-        const form = document.getElementById('variable-costs-form');
-        const formData = new FormData(form);
-        const records = [];
-
-        categories.forEach(category => {
-            const amount = formData.get(`amount_${category}`);
-            if (amount && amount > 0) {
-                records.push({
-                    year: year,
-                    month: month,
-                    category: category,
-                    amount: parseInt(amount, 10),
-                    note: formData.get(`note_${category}`)
-                });
-            }
-        });
+    handleJournalAccountSettingsSubmit() {
+        const rules = Array.from(document.querySelectorAll('#journal-account-form tbody tr')).map(row => ({
+            category: row.dataset.category,
+            subCategory: row.dataset.subCategory || null,
+            debitAccount: row.querySelector('.journal-rule-debit').value,
+            creditAccount: row.querySelector('.journal-rule-credit').value,
+            taxClass: row.querySelector('.journal-rule-tax').value
+        }));
 
         try {
-            this.dataManager.syncMonthlyRecords('variableCosts', year, month, records);
-            this.showMessage('変動費を保存しました', 'success');
+            window.journalManager.saveRules(rules);
+            this.renderJournalExportDialog();
+            this.showMessage('勘定科目の対応を保存しました', 'success');
         } catch (error) {
-            this.showMessage('変動費の保存に失敗しました: ' + error.message, 'error');
+            const errorContainer = document.getElementById('journal-account-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
         }
     }
 
     /**
-     * 年間レポートから月間レポートに表示を切り替える
+     * 勘定科目の対応表を初期値に戻す
      */
-    showMonthlyReportFromYearly() {
-        document.getElementById('yearly-report').style.display = 'none';
-        document.getElementById('monthly-report').style.display = 'block';
+    resetJournalAccountRules() {
+        if (!confirm('勘定科目の対応をすべて初期値に戻しますか？')) {
+            return;
+        }
+        window.journalManager.resetRules();
+        this.showJournalAccountSettings();
+        this.showMessage('勘定科目の対応を初期値に戻しました', 'success');
     }
 
     /**
-     * レポートモード変更処理
+     * HTMLエスケープ（取り込んだファイルの内容を表示する場合に使用）
      */
-    changeReportMode() {
-        const reportMode = document.getElementById('report-mode').value;
-        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+    escapeHTML(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
-        // すべてのレポートを非表示
-        document.getElementById('monthly-report').style.display = 'none';
-        document.getElementById('yearly-report').style.display = 'none';
-        document.getElementById('consolidated-report').style.display = 'none';
-        document.getElementById('comparison-report').style.display = 'none';
+    /**
+     * CSVインポートウィザードの表示（1. ファイル選択）
+     */
+    showCSVImportWizard() {
+        const profiles = window.csvImportManager.getProfiles();
+        const profileOptions = profiles
+            .map(profile => `<option value="${profile.id}">${this.escapeHTML(profile.name)}</option>`)
+            .join('');
 
-        switch (reportMode) {
-            case 'single':
-                document.getElementById('monthly-report').style.display = 'block';
-                this.showMonthlyReport(globalDate.year, globalDate.month);
-                break;
-            case 'consolidated':
-                document.getElementById('consolidated-report').style.display = 'block';
-                this.showConsolidatedReport(globalDate.year, globalDate.month);
-                break;
-            case 'comparison':
-                document.getElementById('comparison-report').style.display = 'block';
-                this.showComparisonReport(globalDate.year, globalDate.month);
-                break;
-        }
+        // 「戻る」から呼ばれた場合は表示中のウィザードを閉じてから開き直す
+        this.hideModal();
+        this.csvImportState = null;
+
+        const content = `
+            <div id="csv-import-wizard" class="csv-import-wizard">
+                <form id="csv-import-file-form" class="data-form">
+                    <div class="form-errors" id="csv-import-errors" style="display: none;"></div>
+                    <div class="form-group">
+                        <label for="csv-import-profile">割り当てプロファイル</label>
+                        <select id="csv-import-profile">
+                            <option value="">使用しない（列を割り当てる）</option>
+                            ${profileOptions}
+                        </select>
+                        ${profiles.length > 0 ? '<button type="button" class="btn btn-outline" onclick="uiManager.deleteCSVImportProfile()">選択中のプロファイルを削除</button>' : ''}
+                    </div>
+                    <div class="form-group">
+                        <label for="csv-import-encoding">文字コード</label>
+                        <select id="csv-import-encoding">
+                            <option value="auto">自動判定</option>
+                            <option value="utf8">UTF-8</option>
+                            <option value="sjis">Shift_JIS</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="csv-import-has-header" checked>
+                            1行目は見出し行
+                        </label>
+                    </div>
+                    <div class="form-group">
+                        <label for="csv-import-file">CSVファイル</label>
+                        <input type="file" id="csv-import-file" accept=".csv,.txt,.tsv,text/csv" required>
+                    </div>
+                    <p class="form-help">プロファイルを選ぶと、保存した文字コード・見出し行・列の割り当てが使われます。</p>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                        <button type="submit" class="btn btn-primary">次へ</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        this.showModal('CSVインポート', content);
+
+        document.getElementById('csv-import-profile').addEventListener('change', (e) => {
+            const profile = profiles.find(item => item.id === e.target.value);
+            if (profile) {
+                document.getElementById('csv-import-encoding').value = profile.encoding || 'auto';
+                document.getElementById('csv-import-has-header').checked = profile.hasHeader !== false;
+            }
+        });
+
+        document.getElementById('csv-import-file-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCSVImportFile();
+        });
     }
 
     /**
-     * 統合レポート表示
+     * CSVインポートウィザードのエラー表示
      */
-    showConsolidatedReport(year, month) {
-        try {
-            const consolidatedData = window.chartManager.calculateConsolidatedBalance(year, month);
-            
-            const reportHTML = this.generateConsolidatedReportHTML(consolidatedData);
-            document.getElementById('consolidated-report').innerHTML = reportHTML;
-            
-            // グラフを描画（DOM要素が作成された後に実行）
-            setTimeout(() => {
-                if (window.chartManager && typeof window.chartManager.renderConsolidatedChart === 'function') {
-                    window.chartManager.renderConsolidatedChart(year, month);
-                }
-            }, 100);
-            
-        } catch (error) {
-            console.error('統合レポート生成エラー:', error);
-            document.getElementById('consolidated-report').innerHTML = 
-                `<div class="error-message">統合レポートの生成に失敗しました: ${error.message}</div>`;
+    showCSVImportError(message) {
+        const errorContainer = document.getElementById('csv-import-errors');
+        if (errorContainer) {
+            errorContainer.textContent = message;
+            errorContainer.style.display = 'block';
         }
     }
 
     /**
-     * 比較レポート表示
+     * 選択中の割り当てプロファイルの削除
      */
-    showComparisonReport(year, month) {
+    deleteCSVImportProfile() {
+        const select = document.getElementById('csv-import-profile');
+        if (!select || !select.value) {
+            this.showCSVImportError('削除するプロファイルを選択してください');
+            return;
+        }
+
+        const name = select.options[select.selectedIndex].textContent;
+        if (!confirm(`プロファイル「${name}」を削除しますか？`)) {
+            return;
+        }
+
         try {
-            const comparisonData = window.chartManager.calculateStoreComparison(year, month);
-            
-            const reportHTML = this.generateComparisonReportHTML(comparisonData, year, month);
-            document.getElementById('comparison-report').innerHTML = reportHTML;
-            
+            window.csvImportManager.deleteProfile(select.value);
+            this.showCSVImportWizard();
+            this.showMessage(`プロファイル「${name}」を削除しました`, 'success');
         } catch (error) {
-            console.error('比較レポート生成エラー:', error);
-            document.getElementById('comparison-report').innerHTML = 
-                `<div class="error-message">比較レポートの生成に失敗しました: ${error.message}</div>`;
+            this.showCSVImportError(error.message);
         }
     }
 
     /**
-     * 統合レポートHTML生成
+     * CSVファイルの読み込み
      */
-    generateConsolidatedReportHTML(consolidatedData) {
-        const totalIncome = consolidatedData.totalIncome || 0;
-        const totalExpense = consolidatedData.totalExpense || 0;
-        const balance = consolidatedData.balance || 0;
-        const stores = consolidatedData.stores || [];
-        const isDeficit = balance < 0;
-        const profitMargin = totalIncome > 0 ? ((balance / totalIncome) * 100) : 0;
-        
-        // 現在の年月を取得（引数から取得できない場合は現在の日付を使用）
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1;
-        
-        let html = `
-            <div class="consolidated-report">
-                <div class="report-header">
-                    <h3>${year}年${month}月の全店舗統合レポート（${stores.length}店舗）</h3>
-                    <div class="report-summary ${isDeficit ? 'deficit' : 'profit'}">
-                        <div class="summary-item">
-                            <span class="label">統合売上:</span>
-                            <span class="value income">${totalIncome.toLocaleString()}円</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="label">統合支出:</span>
-                            <span class="value expense">${totalExpense.toLocaleString()}円</span>
-                        </div>
-                        <div class="summary-item profit-item">
-                            <span class="label">統合${isDeficit ? '赤字:' : '利益:'}</span>
-                            <span class="value ${isDeficit ? 'deficit' : 'profit'}">${Math.abs(balance).toLocaleString()}円</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="label">利益率:</span>
-                            <span class="value">${profitMargin.toFixed(1)}%</span>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="charts-section">
-                    <h4>統合グラフ表示</h4>
-                    <div class="charts-container">
-                        <div class="chart-item">
-                            <div class="chart-wrapper">
-                                <canvas id="consolidatedExpenseChart" width="400" height="300"></canvas>
-                            </div>
-                        </div>
-                        <div class="chart-item">
-                            <div class="chart-wrapper">
-                                <canvas id="consolidatedIncomeChart" width="400" height="300"></canvas>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        return html;
+    async handleCSVImportFile() {
+        const fileInput = document.getElementById('csv-import-file');
+        const file = fileInput && fileInput.files[0];
+        if (!file) {
+            this.showCSVImportError('CSVファイルを選択してください');
+            return;
+        }
+
+        try {
+            const buffer = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => resolve(e.target.result);
+                reader.onerror = () => reject(new Error('ファイルの読み込みに失敗しました'));
+                reader.readAsArrayBuffer(file);
+            });
+
+            const encoding = document.getElementById('csv-import-encoding').value;
+            const hasHeader = document.getElementById('csv-import-has-header').checked;
+            const rows = window.csvImportManager.parse(window.csvImportManager.decode(buffer, encoding));
+            if (rows.length === 0 || (hasHeader && rows.length === 1)) {
+                throw new Error('取り込むデータがありません');
+            }
+
+            const columnCount = Math.max(...rows.map(row => row.length));
+            const headers = hasHeader
+                ? Array.from({ length: columnCount }, (_, index) => (rows[0][index] || '').trim() || `列${index + 1}`)
+                : Array.from({ length: columnCount }, (_, index) => `列${index + 1}`);
+
+            const profileId = document.getElementById('csv-import-profile').value;
+            const profile = window.csvImportManager.getProfiles().find(item => item.id === profileId) || null;
+            const activeStoreId = window.storeManager.getActiveStoreId();
+            const storeExists = storeId => window.storeManager.getStores().some(store => store.id === storeId);
+
+            this.csvImportState = {
+                fileName: file.name,
+                rows,
+                headers,
+                settings: {
+                    category: profile ? profile.category : 'sales',
+                    storeId: profile && storeExists(profile.storeId) ? profile.storeId : activeStoreId,
+                    hasHeader,
+                    encoding,
+                    mapping: profile
+                        ? window.csvImportManager.applyProfile(profile, headers)
+                        : (hasHeader ? window.csvImportManager.guessMapping(headers) : {}),
+                    defaults: profile ? { ...profile.defaults } : {}
+                },
+                profileName: profile ? profile.name : '',
+                preview: null
+            };
+
+            this.renderCSVImportMapping();
+        } catch (error) {
+            console.error('CSV読み込みエラー:', error);
+            this.showCSVImportError(error.message);
+        }
     }
 
     /**
-     * 比較レポートHTML生成
+     * 列の割り当て画面（2. 取り込み先と列の割り当て）
      */
-    generateComparisonReportHTML(comparisonData, year, month) {
-        let html = `
-            <div class="comparison-report">
-                <div class="report-header">
-                    <h3>${year}年${month}月の店舗別比較レポート</h3>
-                </div>
-                
-                <div class="comparison-table-container">
-                    <table class="comparison-table">
-                        <thead>
-                            <tr>
-                                <th>順位</th>
-                                <th>店舗名</th>
-                                <th>売上</th>
-                                <th>支出</th>
-                                <th>利益</th>
-                                <th>利益率</th>
-                                <th>状況</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-        `;
+    renderCSVImportMapping() {
+        const wizard = document.getElementById('csv-import-wizard');
+        const state = this.csvImportState;
+        if (!wizard || !state) return;
 
-        if (comparisonData.length === 0) {
-            html += `
-                            <tr>
-                                <td colspan="7" class="no-data">データがありません</td>
-                            </tr>
+        const { settings, headers } = state;
+        const fieldLabels = window.csvImportManager.getMappableFields();
+        const categoryLabels = DataModels.getCategoryLabels();
+        const sampleRow = settings.hasHeader ? state.rows[1] : state.rows[0];
+        const fields = window.csvImportManager.getFieldsForCategory(settings.category);
+
+        const categoryOptions = Object.entries(categoryLabels)
+            .map(([value, label]) => `<option value="${value}" ${value === settings.category ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        const storeOptions = window.storeManager.getStores()
+            .map(store => `<option value="${store.id}" ${store.id === settings.storeId ? 'selected' : ''}>${this.escapeHTML(store.name)}</option>`)
+            .join('');
+
+        const mappingRows = fields.map(field => {
+            const selected = settings.mapping[field];
+            const columnOptions = headers.map((header, index) => {
+                const sample = sampleRow && sampleRow[index] ? `（例: ${sampleRow[index]}）` : '';
+                return `<option value="${index}" ${selected === index ? 'selected' : ''}>${this.escapeHTML(header + sample)}</option>`;
+            }).join('');
+            const defaultInput = ['category', 'manufacturer', 'payee'].includes(field)
+                ? `<input type="text" class="csv-import-default" data-field="${field}" placeholder="空欄時の値" value="${this.escapeHTML(settings.defaults[field] || '')}">`
+                : '';
+
+            return `
+                <tr>
+                    <th>${fieldLabels[field]}</th>
+                    <td>
+                        <select class="csv-import-mapping" data-field="${field}">
+                            <option value="">（使用しない）</option>
+                            ${columnOptions}
+                        </select>
+                    </td>
+                    <td>${defaultInput}</td>
+                </tr>
             `;
-        } else {
-            comparisonData.forEach((storeData, index) => {
-                const rank = index + 1;
-                const rankClass = rank === 1 ? 'rank-first' : rank === 2 ? 'rank-second' : rank === 3 ? 'rank-third' : '';
-                
-                html += `
-                            <tr class="comparison-row ${rankClass}">
-                                <td class="rank">${rank}</td>
-                                <td class="store-name">${storeData.store.name}</td>
-                                <td class="amount income">${storeData.income.toLocaleString()}円</td>
-                                <td class="amount expense">${storeData.expense.toLocaleString()}円</td>
-                                <td class="amount ${storeData.balance < 0 ? 'deficit' : 'profit'}">${Math.abs(storeData.balance).toLocaleString()}円</td>
-                                <td class="percentage">${storeData.profitMargin.toFixed(1)}%</td>
-                                <td class="status">
-                                    <span class="status-badge ${storeData.balance < 0 ? 'status-deficit' : 'status-profit'}">
-                                        ${storeData.balance < 0 ? '赤字' : '黒字'}
-                                    </span>
-                                </td>
-                            </tr>
-                `;
-            });
-        }
+        }).join('');
 
-        html += `
-                        </tbody>
-                    </table>
-                </div>
+        wizard.innerHTML = `
+            <div class="form-errors" id="csv-import-errors" style="display: none;"></div>
+            <p class="csv-import-summary">${this.escapeHTML(state.fileName)}: ${state.rows.length - (settings.hasHeader ? 1 : 0)}行</p>
+            <div class="form-group">
+                <label for="csv-import-category">取り込み先</label>
+                <select id="csv-import-category" onchange="uiManager.changeCSVImportCategory(this.value)">${categoryOptions}</select>
+            </div>
+            <div class="form-group">
+                <label for="csv-import-store">店舗</label>
+                <select id="csv-import-store">${storeOptions}</select>
+            </div>
+            <table class="data-table csv-import-mapping-table">
+                <thead><tr><th>項目</th><th>CSVの列</th><th></th></tr></thead>
+                <tbody>${mappingRows}</tbody>
+            </table>
+            <p class="form-help">「日付」を割り当てた場合は年・月・日を日付から読み取ります。日付がない場合は「年」「月」を割り当ててください。</p>
+            <div class="form-group csv-import-profile-save">
+                <label for="csv-import-profile-name">プロファイルとして保存</label>
+                <input type="text" id="csv-import-profile-name" placeholder="例: POS売上（毎月）" value="${this.escapeHTML(state.profileName)}">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.saveCSVImportProfile()">保存</button>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.showCSVImportWizard()">戻る</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.showCSVImportPreview()">プレビュー</button>
             </div>
         `;
-        
-        return html;
     }
 
     /**
-     * 店舗管理画面表示
+     * 画面の入力内容を取り込み設定に反映
      */
-    showStoreManagement() {
-        if (!window.storeManager) {
-            this.contentArea.innerHTML = '<div class="error-message">店舗管理機能が利用できません。</div>';
-            return;
-        }
+    readCSVImportSettings() {
+        const settings = this.csvImportState.settings;
+        settings.category = document.getElementById('csv-import-category').value;
+        settings.storeId = document.getElementById('csv-import-store').value;
 
-        const stores = window.storeManager.getStores();
-        const activeStore = window.storeManager.getActiveStore();
+        document.querySelectorAll('.csv-import-mapping').forEach(select => {
+            settings.mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+        });
+        document.querySelectorAll('.csv-import-default').forEach(input => {
+            settings.defaults[input.dataset.field] = input.value;
+        });
 
-        this.contentArea.innerHTML = `
-            <div class="section-header">
-                <h2>店舗管理</h2>
-                <div class="section-controls">
-                    <button class="btn btn-secondary" onclick="uiManager.showDataMoveHistory()">
-                        📋 データ移動履歴
-                    </button>
-                    <div class="current-store-display">
-                        <span class="store-label">アクティブ店舗:</span>
-                        <span class="store-value">${activeStore ? activeStore.name : 'なし'}</span>
-                        <span class="store-count">(${stores.length}店舗)</span>
-                    </div>
-                    <button class="btn" onclick="uiManager.showStoreForm()">新規店舗追加</button>
-                </div>
-            </div>
-            <div id="store-display">
-                ${this.renderStoreTable(stores)}
-            </div>
-            <div id="store-form-container" style="display: none;">
-                <!-- 店舗フォームは動的に生成 -->
-            </div>
-        `;
+        return settings;
     }
 
     /**
-     * 店舗テーブル表示
+     * 取り込み先カテゴリーの変更（割り当てる項目が変わるため再描画）
      */
-    renderStoreTable(stores) {
-        if (stores.length === 0) {
-            return '<p>店舗がありません。新規店舗追加ボタンから店舗を追加してください。</p>';
-        }
-
-        let tableHTML = '<table class="data-table"><thead><tr>';
-        tableHTML += '<th>店舗名</th><th>住所</th><th>開店日</th><th>備考</th><th>状態</th><th>操作</th>';
-        tableHTML += '</tr></thead><tbody>';
-
-        const activeStoreId = window.storeManager.getActiveStoreId();
-
-        stores.forEach(store => {
-            const isActive = store.id === activeStoreId;
-            tableHTML += `<tr ${isActive ? 'class="active-store"' : ''}>`;
-            tableHTML += `<td><strong>${store.name}</strong></td>`;
-            tableHTML += `<td>${store.address || '-'}</td>`;
-            tableHTML += `<td>${store.openDate || '-'}</td>`;
-            tableHTML += `<td>${store.note || '-'}</td>`;
-            tableHTML += `<td>${isActive ? '<span class="status-active">アクティブ</span>' : '<span class="status-inactive">非アクティブ</span>'}</td>`;
-            tableHTML += `<td>`;
-            if (!isActive) {
-                tableHTML += `<button class="btn btn-secondary" onclick="uiManager.setActiveStore('${store.id}')">アクティブにする</button> `;
-            }
-            tableHTML += `<button class="btn btn-secondary" onclick="uiManager.showStoreEditForm('${store.id}')">編集</button> `;
-            if (stores.length > 1) {
-                tableHTML += `<button class="btn btn-danger" onclick="uiManager.deleteStore('${store.id}')">削除</button>`;
-            }
-            tableHTML += `</td>`;
-            tableHTML += '</tr>';
-        });
-
-        tableHTML += '</tbody></table>';
-        return tableHTML;
-    }
-
-    /**
-     * 店舗フォーム表示
-     */
-    showStoreForm(storeData = null) {
-        const isEdit = storeData !== null;
-        const formTitle = isEdit ? '店舗編集' : '新規店舗追加';
-        
-        const formContainer = document.getElementById('store-form-container');
-        formContainer.innerHTML = `
-            <div class="form-overlay">
-                <div class="form-modal">
-                    <div class="form-header">
-                        <h3>${formTitle}</h3>
-                        <button class="close-btn" onclick="uiManager.hideStoreForm()">&times;</button>
-                    </div>
-                    <form class="data-form" id="store-form">
-                        <div class="form-group">
-                            <label for="store-name">店舗名 <span class="required">*</span></label>
-                            <input type="text" id="store-name" name="name" value="${storeData ? storeData.name : ''}" required>
-                        </div>
-                        <div class="form-group">
-                            <label for="store-address">住所</label>
-                            <input type="text" id="store-address" name="address" value="${storeData ? storeData.address : ''}">
-                        </div>
-                        <div class="form-group">
-                            <label for="store-openDate">開店日</label>
-                            <input type="date" id="store-openDate" name="openDate" value="${storeData ? storeData.openDate : ''}">
-                        </div>
-                        <div class="form-group">
-                            <label for="store-note">備考</label>
-                            <textarea id="store-note" name="note">${storeData ? storeData.note : ''}</textarea>
-                        </div>
-                        <div class="form-actions">
-                            <button type="button" class="btn btn-secondary" onclick="uiManager.hideStoreForm()">キャンセル</button>
-                            <button type="submit" class="btn btn-primary">${isEdit ? '更新' : '追加'}</button>
-                        </div>
-                    </form>
-                </div>
-            </div>
-        `;
-        
-        formContainer.style.display = 'block';
-        
-        // フォーム送信イベント
-        document.getElementById('store-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleStoreFormSubmit(isEdit ? storeData.id : null);
-        });
+    changeCSVImportCategory(category) {
+        this.readCSVImportSettings();
+        this.csvImportState.settings.category = category;
+        this.renderCSVImportMapping();
     }
 
     /**
-     * 店舗編集フォーム表示
+     * 列の割り当てをプロファイルとして保存
      */
-    showStoreEditForm(storeId) {
+    saveCSVImportProfile() {
         try {
-            const store = window.storeManager.getStoreById(storeId);
-            this.showStoreForm(store);
+            const settings = this.readCSVImportSettings();
+            const name = document.getElementById('csv-import-profile-name').value;
+            const profile = window.csvImportManager.saveProfile(name, settings, this.csvImportState.headers);
+            this.csvImportState.profileName = profile.name;
+            this.showMessage(`プロファイル「${profile.name}」を保存しました`, 'success');
         } catch (error) {
-            this.showMessage('店舗情報の取得に失敗しました: ' + error.message, 'error');
+            this.showCSVImportError(error.message);
         }
     }
 
     /**
-     * 店舗フォーム非表示
+     * 取り込みプレビュー（3. 確認）
      */
-    hideStoreForm() {
-        const formContainer = document.getElementById('store-form-container');
-        formContainer.style.display = 'none';
-        formContainer.innerHTML = '';
-    }
+    showCSVImportPreview() {
+        const wizard = document.getElementById('csv-import-wizard');
+        const state = this.csvImportState;
 
-    /**
-     * 店舗フォーム送信処理
-     */
-    handleStoreFormSubmit(storeId = null) {
+        let preview;
         try {
-            const formData = new FormData(document.getElementById('store-form'));
-            const storeData = {
-                name: formData.get('name'),
-                address: formData.get('address'),
-                openDate: formData.get('openDate'),
-                note: formData.get('note')
-            };
-
-            if (storeId) {
-                // 更新
-                window.storeManager.updateStore(storeId, storeData);
-                this.showMessage('店舗情報を更新しました', 'success');
-            } else {
-                // 新規追加
-                window.storeManager.addStore(storeData);
-                this.showMessage('新しい店舗を追加しました', 'success');
-            }
-
-            this.hideStoreForm();
-            this.showStoreManagement(); // 画面を再描画
-            
-            // グローバル店舗選択も更新
-            if (window.app) {
-                window.app.initGlobalStoreSelector();
-            }
-
+            preview = window.csvImportManager.buildPreview(state.rows, this.readCSVImportSettings());
         } catch (error) {
-            this.showMessage('店舗の保存に失敗しました: ' + error.message, 'error');
+            this.showCSVImportError(error.message);
+            return;
         }
+        state.preview = preview;
+
+        const fields = window.csvImportManager.getFieldsForCategory(state.settings.category).filter(field => field !== 'date');
+        const fieldLabels = window.csvImportManager.getMappableFields();
+        const maxRows = 200;
+        const rowsHTML = preview.entries.slice(0, maxRows).map(entry => `
+            <tr class="${entry.errors.length > 0 ? 'csv-import-error-row' : ''}">
+                <td>${entry.rowNumber}</td>
+                ${fields.map(field => `<td>${this.escapeHTML(field === 'amount' && entry.record.amount !== undefined ? entry.record.amount.toLocaleString() : entry.record[field])}</td>`).join('')}
+                <td>${entry.errors.length > 0 ? this.escapeHTML(entry.errors.join(' / ')) : 'OK'}</td>
+            </tr>
+        `).join('');
+
+        wizard.innerHTML = `
+            <div class="form-errors" id="csv-import-errors" style="display: none;"></div>
+            <p class="csv-import-summary">
+                取り込み先: <strong>${DataModels.getCategoryLabels()[state.settings.category]}</strong>
+                ／ 取り込み可能 <strong>${preview.validCount}件</strong>
+                ${preview.errorCount > 0 ? `／ <span class="csv-import-error-count">エラー ${preview.errorCount}件（取り込まれません）</span>` : ''}
+            </p>
+            <div class="csv-import-preview">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>行</th>${fields.map(field => `<th>${fieldLabels[field]}</th>`).join('')}<th>検証結果</th></tr>
+                    </thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+            ${preview.entries.length > maxRows ? `<p class="form-help">先頭${maxRows}行を表示しています</p>` : ''}
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.renderCSVImportMapping()">戻る</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.executeCSVImport()" ${preview.validCount === 0 ? 'disabled' : ''}>
+                    ${preview.validCount}件を取り込む
+                </button>
+            </div>
+        `;
     }
 
     /**
-     * アクティブ店舗設定
+     * CSVインポートの実行
      */
-    setActiveStore(storeId) {
+    executeCSVImport() {
+        const state = this.csvImportState;
+        if (!state || !state.preview) return;
+
         try {
-            window.storeManager.setActiveStore(storeId);
-            this.showMessage('アクティブ店舗を変更しました', 'success');
-            this.showStoreManagement(); // 画面を再描画
-            
-            // グローバル店舗選択も更新
-            if (window.app) {
-                window.app.initGlobalStoreSelector();
+            const result = window.csvImportManager.importPreview(state.settings.category, state.preview);
+            this.csvImportState = null;
+            this.hideModal();
+            this.showSection(this.currentSection);
+            this.showMessage(`CSVから${result.success.length}件を取り込みました`, 'success');
+            if (result.errors.length > 0) {
+                this.showMessage(`${result.errors.length}件は取り込めませんでした: ${result.errors[0]}`, 'warning');
             }
         } catch (error) {
-            this.showMessage('アクティブ店舗の変更に失敗しました: ' + error.message, 'error');
+            console.error('CSVインポートエラー:', error);
+            this.showCSVImportError(error.message);
         }
     }
 
     /**
-     * 店舗削除
+     * 一括登録フォーム表示
      */
-    deleteStore(storeId) {
-        try {
-            const store = window.storeManager.getStoreById(storeId);
-            if (confirm(`店舗「${store.name}」を削除しますか？\n\n注意: この店舗に関連するデータも削除される可能性があります。`)) {
-                window.storeManager.deleteStore(storeId);
-                this.showMessage('店舗を削除しました', 'success');
-                this.showStoreManagement(); // 画面を再描画
-                
-                // グローバル店舗選択も更新
-                if (window.app) {
-                    window.app.initGlobalStoreSelector();
-                }
-            }
-        } catch (error) {
-            this.showMessage('店舗の削除に失敗しました: ' + error.message, 'error');
+    showBatchInputForm(category) {
+        let title = '';
+        let formHTML = '';
+        switch(category) {
+            case 'fixedCosts':
+                title = '固定費一括登録';
+                formHTML = this.generateBatchInputForm(category, this.getExpenseCategoryOptions('fixedCosts'));
+                break;
+            case 'consumptionTax':
+                title = '消費税一括登録';
+                formHTML = this.generateBatchInputForm(category, ['消費税']);
+                break;
+            case 'monthlyPayments':
+                title = '月々の返済一括登録';
+                formHTML = this.generateBatchInputForm(category, [], '返済先'); // 返済先は動的に入力されるため空
+                break;
+            case 'manufacturerDeposits':
+                title = 'メーカー保証金一括登録';
+                formHTML = this.generateBatchInputForm(category, [], 'メーカー名'); // メーカー名は動的に入力されるため空
+                break;
+            default:
+                title = '一括登録';
+                formHTML = ''; // Fallback or error
         }
+        this.showModal(title, formHTML);
+        this.setupBatchFormEvents(category);
     }
 
     /**
-     * ワンクリックエクスポート機能
+     * 一括登録フォーム生成
      */
-    oneClickExport() {
-        try {
-            const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
-            const storeName = activeStore ? activeStore.name : 'AllStores';
-            const currentDate = new Date();
-            const dateString = currentDate.toISOString().split('T')[0]; // YYYY-MM-DD形式
-            
-            // 自動ファイル名生成
-            const filename = `kaikei-${dateString}-${storeName}`;
-            
-            const result = this.dataManager.exportToFile(filename);
-            
-            if (result.success) {
-                this.showMessage(`データを「${result.filename}」としてエクスポートしました`, 'success');
-            } else {
-                throw new Error('エクスポートに失敗しました');
-            }
-            
-        } catch (error) {
-            console.error('ワンクリックエクスポートエラー:', error);
-            this.showMessage('エクスポートに失敗しました: ' + error.message, 'error');
+    generateBatchInputForm(category, categoryOptions, specificFieldLabel = null) {
+        let categoryFieldHTML = '';
+        if (specificFieldLabel) {
+            // 特定のフィールド（返済先、メーカー名など）
+            const fieldName = category === 'monthlyPayments' ? 'payee' : 'manufacturer';
+            categoryFieldHTML = `
+                <div class="form-group">
+                    <label for="${fieldName}">${specificFieldLabel} <span class="required">*</span></label>
+                    <input type="text" id="${fieldName}" name="${fieldName}" maxlength="100" required
+                           ${fieldName === 'manufacturer' ? 'list="manufacturer-options" autocomplete="off"' : ''}>
+                    ${fieldName === 'manufacturer' ? this.generateManufacturerDatalist() : ''}
+                    <div class="field-error" id="${fieldName}-error"></div>
+                </div>
+            `;
+        } else if (categoryOptions && categoryOptions.length > 0) {
+            // カテゴリー選択フィールド
+            categoryFieldHTML = this.generateCategoryField(
+                category === 'fixedCosts' ? '固定費カテゴリー' :
+                category === 'consumptionTax' ? '消費税カテゴリー' :
+                'カテゴリー',
+                'category',
+                categoryOptions
+            );
         }
+
+        return `
+            <form id="batch-data-form" class="data-form">
+                <div class="form-errors" id="batch-form-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="start-year">開始年月 <span class="required">*</span></label>
+                    <div class="date-input-group">
+                        <select id="start-year" name="startYear" required>${this.generateYearOptions()}</select>
+                        <select id="start-month" name="startMonth" required>${this.generateMonthOptions()}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="end-year">終了年月 <span class="required">*</span></label>
+                    <div class="date-input-group">
+                        <select id="end-year" name="endYear" required>${this.generateYearOptions()}</select>
+                        <select id="end-month" name="endMonth" required>${this.generateMonthOptions()}</select>
+                    </div>
+                </div>
+                ${categoryFieldHTML}
+                <div class="form-group">
+                    <label for="amount">毎月の金額 <span class="required">*</span></label>
+                    <input type="number" id="amount" name="amount" min="0" step="1" required>
+                </div>
+                <div class="form-group">
+                    <label for="note">備考</label>
+                    <textarea id="note" name="note" maxlength="200" rows="3"></textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">登録</button>
+                </div>
+            </form>
+        `;
     }
 
     /**
-     * 現在の店舗のみエクスポート
+     * 固定費一括登録フォームイベント設定
      */
-    exportCurrentStoreOnly() {
-        try {
-            const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
-            
-            if (!activeStore) {
-                this.showMessage('店舗が選択されていません', 'error');
-                return;
+    setupBatchFormEvents(category) {
+        const form = document.getElementById('batch-data-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBatchFormSubmit(category);
+        });
+    }
+
+    /**
+     * 固定費一括登録フォーム送信処理
+     */
+    handleBatchFormSubmit(category) {
+        const form = document.getElementById('batch-data-form');
+        const formData = new FormData(form);
+        const data = Object.fromEntries(formData.entries());
+
+        const startYear = parseInt(data.startYear, 10);
+        const startMonth = parseInt(data.startMonth, 10);
+        const endYear = parseInt(data.endYear, 10);
+        const endMonth = parseInt(data.endMonth, 10);
+        const amount = parseInt(data.amount, 10);
+
+        if (startYear * 12 + startMonth > endYear * 12 + endMonth) {
+            this.showFormErrors(['開始年月は終了年月より前に設定してください'], 'batch-form-errors');
+            return;
+        }
+
+        if (data.manufacturer) {
+            data.manufacturer = this.resolveManufacturerName(data.manufacturer);
+        }
+
+        const records = [];
+        for (let year = startYear; year <= endYear; year++) {
+            const mStart = (year === startYear) ? startMonth : 1;
+            const mEnd = (year === endYear) ? endMonth : 12;
+            for (let month = mStart; month <= mEnd; month++) {
+                records.push({
+                    year: year,
+                    month: month,
+                    category: data.category,
+                    amount: amount,
+                    note: data.note,
+                    ...(category === 'monthlyPayments' && { payee: data.payee }),
+                    ...(category === 'manufacturerDeposits' && { manufacturer: data.manufacturer })
+                });
             }
-            
-            const storeData = this.dataManager.getDataByStore(activeStore.id);
-            const currentDate = new Date();
-            const dateString = currentDate.toISOString().split('T')[0];
-            
-            // 店舗情報も含めてエクスポート
-            const exportData = {
-                store: activeStore,
-                data: storeData,
-                exportInfo: {
-                    exportDate: new Date().toISOString(),
-                    exportType: 'single-store',
-                    storeName: activeStore.name,
-                    version: '1.0'
-                }
-            };
-            
-            const jsonData = JSON.stringify(exportData, null, 2);
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `kaikei-${dateString}-${activeStore.name}-only.json`;
-            
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            URL.revokeObjectURL(url);
-            
-            this.showMessage(`店舗「${activeStore.name}」のデータをエクスポートしました`, 'success');
-            
+        }
+
+        try {
+            this.dataManager.addMultipleRecords(category, records);
+            this.hideModal();
+            this.showSection(this.currentSection);
+            this.showMessage(`${records.length}件の固定費データを一括登録しました`, 'success');
         } catch (error) {
-            console.error('店舗別エクスポートエラー:', error);
-            this.showMessage('エクスポートに失敗しました: ' + error.message, 'error');
+            this.showFormErrors([error.message], 'batch-form-errors');
         }
     }
 
-    /**
-     * ファイル選択ダイアログを開く
-     */
-    selectImportFile() {
-        const fileInput = document.getElementById('import-file-input');
-        fileInput.click();
+    showModal(title, content) {
+        const modal = document.createElement('div');
+        modal.className = 'form-overlay';
+        modal.innerHTML = `
+            <div class="form-modal">
+                <div class="form-header">
+                    <h3>${title}</h3>
+                    <button type="button" class="close-btn" onclick="uiManager.hideModal()">&times;</button>
+                </div>
+                <div class="modal-body">${content}</div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    hideModal() {
+        const modal = document.querySelector('.form-overlay');
+        if (modal) {
+            modal.remove();
+        }
     }
 
     /**
-     * ドラッグ&ドロップとファイル選択の初期化
+     * 変動費管理画面表示
      */
-    initializeFileImport() {
-        const dropZone = document.getElementById('file-drop-zone');
-        const fileInput = document.getElementById('import-file-input');
-        
-        if (!dropZone || !fileInput) return;
-
-        // ドラッグ&ドロップイベント
-        dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            dropZone.classList.add('drag-over');
-        });
+    showVariableCostsManagement() {
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const { year, month } = globalDate;
 
-        dropZone.addEventListener('dragleave', (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('drag-over');
+        const monthlyData = this.dataManager.getRecordsByMonth(year, month).variableCosts;
+        // アーカイブ済みでも当月にデータがあるカテゴリーは表示する（保存時に消えないように）
+        const categories = this.getExpenseCategoryOptions('variableCosts');
+        monthlyData.forEach(record => {
+            if (record.category && !categories.includes(record.category)) {
+                categories.push(record.category);
+            }
         });
-
-        dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('drag-over');
-            
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.handleImportFile(files[0]);
+        // 既存のレコードは1件ずつ行にし（保存時にidで更新する）、レコードのないカテゴリーには新規入力用の空の行を出す
+        const rows = [];
+        categories.forEach(category => {
+            const records = monthlyData.filter(record => record.category === category);
+            if (records.length > 0) {
+                records.forEach(record => rows.push({ category, record }));
+            } else {
+                rows.push({ category, record: null });
             }
         });
 
-        // ファイル選択イベント
-        fileInput.addEventListener('change', (e) => {
-            const files = e.target.files;
-            if (files.length > 0) {
-                this.handleImportFile(files[0]);
-            }
+        let formHTML = `
+            <div class="section-header">
+                <h2>変動費管理</h2>
+                <div class="section-controls">
+                    <div class="current-date-display">
+                        <span class="date-label">表示中:</span>
+                        <span class="date-value">${year}年${month}月</span>
+                    </div>
+                    <button class="btn btn-secondary" onclick="uiManager.showExpenseCategoryManager('variableCosts')">カテゴリー管理</button>
+                    <button class="btn btn-secondary" onclick="uiManager.showRecurringTemplateManager('variableCosts')">定期取引</button>
+                </div>
+            </div>
+            <form id="variable-costs-form" class="data-form">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>カテゴリー</th>
+                            <th>日</th>
+                            <th>金額</th>
+                            <th>税率</th>
+                            <th>税込区分</th>
+                            <th>備考</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+
+        // 入力欄はカテゴリー名ではなく行番号で区別する（名前に記号を含むカテゴリーがあるため）
+        rows.forEach(({ category, record }, index) => {
+            // 税率・税込区分が未設定の行はカテゴリーの既定値を選択する
+            const taxed = DataModels.applyTaxDefaults('variableCosts', record || { category });
+            formHTML += `
+                <tr>
+                    <td>${this.escapeHTML(category)}</td>
+                    <td><input type="number" name="day_${index}" value="${record && record.day ? record.day : ''}" min="1" max="${DataModels.getDaysInMonth(year, month)}" class="form-control"></td>
+                    <td><input type="number" name="amount_${index}" value="${record ? record.amount : ''}" class="form-control form-control-lg"></td>
+                    <td><select name="taxRate_${index}" class="form-control">${this.generateTaxRateOptions(taxed.taxRate)}</select></td>
+                    <td><select name="taxIncluded_${index}" class="form-control">${this.generateTaxIncludedOptions(taxed.taxIncluded)}</select></td>
+                    <td><input type="text" name="note_${index}" value="${this.escapeHTML(record ? record.note || '' : '')}" class="form-control"></td>
+                </tr>
+            `;
         });
+
+        formHTML += `
+                    </tbody>
+                </table>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        `;
+
+        this.contentArea.innerHTML = formHTML;
+        this.setupVariableCostsFormEvents(year, month, rows);
     }
 
     /**
-     * インポートファイル処理
+     * 変動費フォームイベント設定
      */
-    async handleImportFile(file) {
-        try {
-            if (!file.name.endsWith('.json')) {
-                this.showMessage('JSONファイルを選択してください', 'error');
-                return;
-            }
-
-            this.showMessage('ファイルを読み込み中...', 'info');
+    setupVariableCostsFormEvents(year, month, rows) {
+        const form = document.getElementById('variable-costs-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleVariableCostsFormSubmit(year, month, rows);
+        });
+    }
 
-            const fileContent = await this.readFileAsText(file);
-            const importData = JSON.parse(fileContent);
+    /**
+     * 変動費フォーム送信処理
+     * 既存の行はidを付けて更新し、金額を空にした行は削除する
+     */
+    handleVariableCostsFormSubmit(year, month, rows) {
+        const form = document.getElementById('variable-costs-form');
+        const formData = new FormData(form);
+        const records = [];
 
-            // データ形式の判定
-            if (importData.exportInfo && importData.exportInfo.exportType === 'single-store') {
-                // 単一店舗データのインポート
-                await this.importSingleStoreData(importData);
-            } else {
-                // 全データのインポート
-                await this.importAllData(importData);
+        rows.forEach(({ category, record }, index) => {
+            const amount = formData.get(`amount_${index}`);
+            const day = formData.get(`day_${index}`) ? Number(formData.get(`day_${index}`)) : null;
+            const note = formData.get(`note_${index}`).trim();
+            if (amount && amount > 0) {
+                records.push({
+                    ...(record ? { id: record.id } : {}),
+                    category: category,
+                    // 日が空欄の行は月単位（既存の日を消す場合はnullを送る）
+                    ...(day !== null || (record && record.day) ? { day } : {}),
+                    amount: parseInt(amount, 10),
+                    taxRate: Number(formData.get(`taxRate_${index}`)),
+                    taxIncluded: formData.get(`taxIncluded_${index}`) === 'true',
+                    // 空の備考は既存の備考を消す場合のみ送る
+                    ...(note || (record && record.note) ? { note } : {})
+                });
             }
+        });
 
+        try {
+            this.dataManager.syncMonthlyRecords('variableCosts', year, month, records);
+            this.showMessage('変動費を保存しました', 'success');
         } catch (error) {
-            console.error('ファイルインポートエラー:', error);
-            this.showMessage('ファイルのインポートに失敗しました: ' + error.message, 'error');
+            this.showMessage('変動費の保存に失敗しました: ' + error.message, 'error');
         }
     }
 
     /**
-     * ファイルをテキストとして読み込み
+     * 経費カテゴリーの選択肢取得
+     * アーカイブ済み・マスタ未登録のカテゴリーでも編集中のレコードの値は選択肢に残す
      */
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('ファイルの読み込みに失敗しました'));
-            reader.readAsText(file);
-        });
+    getExpenseCategoryOptions(costType, currentValue = '') {
+        const options = window.storeManager
+            ? window.storeManager.getExpenseCategoryNames(costType)
+            : StoreModels.getDefaultExpenseCategories()[costType].map(category => category.name);
+
+        if (currentValue && !options.includes(currentValue)) {
+            options.push(currentValue);
+        }
+        return options;
     }
 
     /**
-     * 単一店舗データのインポート
+     * 経費カテゴリー管理ダイアログ表示
      */
-    async importSingleStoreData(importData) {
-        try {
-            const { store, data, exportInfo } = importData;
-            
-            if (!store || !data) {
-                throw new Error('無効な店舗データファイルです');
-            }
+    showExpenseCategoryManager(costType = 'fixedCosts') {
+        if (!window.storeManager) {
+            this.showMessage('店舗管理機能が利用できません', 'error');
+            return;
+        }
 
-            const confirmMessage = `店舗「${store.name}」のデータをインポートしますか？\n\n` +
-                                 `エクスポート日時: ${new Date(exportInfo.exportDate).toLocaleString()}\n` +
-                                 `既存の同名店舗がある場合は上書きされます。`;
+        this.expenseCategoryCostType = costType;
+        this.showModal('経費カテゴリー管理', '<div id="expense-category-manager"></div>');
+        this.renderExpenseCategoryManager();
+    }
 
-            if (!confirm(confirmMessage)) {
-                return;
-            }
+    /**
+     * 経費カテゴリー管理ダイアログの内容描画
+     */
+    renderExpenseCategoryManager() {
+        const container = document.getElementById('expense-category-manager');
+        if (!container) return;
 
-            // 店舗が存在するかチェック
-            let existingStore = null;
-            try {
-                const stores = window.storeManager.getStores();
-                existingStore = stores.find(s => s.name === store.name);
-            } catch (error) {
-                // 店舗が見つからない場合は新規作成
-            }
+        const costType = this.expenseCategoryCostType;
+        const categories = window.storeManager.getExpenseCategories(costType, true);
 
-            let targetStoreId;
-            if (existingStore) {
-                // 既存店舗を更新
-                window.storeManager.updateStore(existingStore.id, {
-                    name: store.name,
-                    address: store.address,
-                    openDate: store.openDate,
-                    note: store.note
-                });
-                targetStoreId = existingStore.id;
-            } else {
-                // 新規店舗を作成
-                const newStore = window.storeManager.addStore({
-                    name: store.name,
-                    address: store.address || '',
-                    openDate: store.openDate || '',
-                    note: store.note || ''
-                });
-                targetStoreId = newStore.id;
-            }
+        const rowsHTML = categories.map((category, index) => `
+            <tr class="${category.archived ? 'archived-category' : ''}">
+                <td>
+                    <input type="text" id="expense-category-name-${category.id}" class="form-control"
+                           value="${this.escapeHTML(category.name)}" maxlength="100">
+                </td>
+                <td>${this.dataManager.countRecordsByCategoryName(costType, category.name)}件</td>
+                <td>${category.archived ? '<span class="status-inactive">アーカイブ</span>' : '<span class="status-active">使用中</span>'}</td>
+                <td class="expense-category-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.moveExpenseCategory('${category.id}', -1)" ${index === 0 ? 'disabled' : ''} title="上へ">↑</button>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.moveExpenseCategory('${category.id}', 1)" ${index === categories.length - 1 ? 'disabled' : ''} title="下へ">↓</button>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.renameExpenseCategory('${category.id}')">名前変更</button>
+                    <button type="button" class="btn ${category.archived ? 'btn-secondary' : 'btn-danger'}" onclick="uiManager.toggleExpenseCategoryArchive('${category.id}', ${!category.archived})">
+                        ${category.archived ? '復元' : 'アーカイブ'}
+                    </button>
+                </td>
+            </tr>
+        `).join('');
 
-            // データをインポート
-            let importedCount = 0;
-            for (const category in data) {
-                if (Array.isArray(data[category])) {
-                    for (const record of data[category]) {
-                        // storeIdを新しい店舗IDに更新
-                        record.storeId = targetStoreId;
-                        record.importedAt = new Date().toISOString();
-                        
-                        this.dataManager.addRecord(category, record, targetStoreId);
-                        importedCount++;
-                    }
-                }
-            }
+        container.innerHTML = `
+            <div class="form-group">
+                <label for="expense-category-cost-type">経費区分</label>
+                <select id="expense-category-cost-type" onchange="uiManager.changeExpenseCategoryCostType(this.value)">
+                    <option value="fixedCosts" ${costType === 'fixedCosts' ? 'selected' : ''}>固定費</option>
+                    <option value="variableCosts" ${costType === 'variableCosts' ? 'selected' : ''}>変動費</option>
+                </select>
+            </div>
+            <table class="data-table expense-category-table">
+                <thead>
+                    <tr><th>カテゴリー名</th><th>データ件数</th><th>状態</th><th>操作</th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML || '<tr><td colspan="4">カテゴリーがありません</td></tr>'}
+                </tbody>
+            </table>
+            <div class="form-group expense-category-add">
+                <label for="new-expense-category-name">カテゴリー追加</label>
+                <div class="date-input-group">
+                    <input type="text" id="new-expense-category-name" maxlength="100" placeholder="新しいカテゴリー名">
+                    <button type="button" class="btn btn-primary" onclick="uiManager.addExpenseCategory()">追加</button>
+                </div>
+            </div>
+            <p class="calendar-help">アーカイブしたカテゴリーは入力候補に表示されなくなりますが、既存データはそのまま集計されます。</p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeExpenseCategoryManager()">閉じる</button>
+            </div>
+        `;
+    }
 
-            this.showMessage(`店舗「${store.name}」のデータを正常にインポートしました（${importedCount}件）`, 'success');
-            
-            // グローバル店舗選択を更新
-            if (window.app) {
-                window.app.initGlobalStoreSelector();
-            }
+    changeExpenseCategoryCostType(costType) {
+        this.expenseCategoryCostType = costType;
+        this.renderExpenseCategoryManager();
+    }
 
+    addExpenseCategory() {
+        const input = document.getElementById('new-expense-category-name');
+        try {
+            const category = window.storeManager.addExpenseCategory(this.expenseCategoryCostType, input ? input.value : '');
+            this.toastManager.show(`カテゴリー「${this.escapeHTML(category.name)}」を追加しました`, 'success', 2000);
+            this.renderExpenseCategoryManager();
         } catch (error) {
-            console.error('単一店舗データインポートエラー:', error);
-            throw error;
+            this.toastManager.show(error.message, 'error', 4000);
         }
     }
 
     /**
-     * 全データのインポート
+     * 経費カテゴリー名変更（既存データの書き換えは確認のうえ任意）
      */
-    async importAllData(importData) {
-        try {
-            const confirmMessage = 'すべてのデータをインポートしますか？\n\n' +
-                                 '既存のデータは上書きされる可能性があります。\n' +
-                                 'バックアップを取ることをお勧めします。';
+    renameExpenseCategory(categoryId) {
+        const costType = this.expenseCategoryCostType;
+        const input = document.getElementById(`expense-category-name-${categoryId}`);
+        if (!input) return;
 
-            if (!confirm(confirmMessage)) {
+        try {
+            const current = window.storeManager.findExpenseCategory(costType, categoryId);
+            if (current.name === input.value.trim()) {
                 return;
             }
 
-            // DataManagerのインポート機能を使用
-            const result = await this.dataManager.importFromFile(new Blob([JSON.stringify(importData)], { type: 'application/json' }));
-            
-            if (result.success) {
-                this.showMessage(result.message + `（${result.recordCount}件）`, 'success');
-                
-                // 画面を再読み込みして最新データを表示
-                if (window.app) {
-                    window.location.reload();
-                }
-            } else {
-                throw new Error('インポートに失敗しました');
+            const { oldName, newName } = window.storeManager.renameExpenseCategory(costType, categoryId, input.value);
+            const recordCount = this.dataManager.countRecordsByCategoryName(costType, oldName);
+            let message = `カテゴリー名を「${this.escapeHTML(oldName)}」から「${this.escapeHTML(newName)}」に変更しました`;
+
+            if (recordCount > 0 && confirm(`「${oldName}」の既存データ${recordCount}件のカテゴリー名も「${newName}」に変更しますか？\n（キャンセルした場合、既存データは旧名称のまま残ります）`)) {
+                const { updated, skipped } = this.dataManager.renameCategoryInRecords(costType, oldName, newName);
+                message += skipped > 0
+                    ? `（既存データ${updated}件を更新。締め済みの月の${skipped}件は旧名称のまま）`
+                    : `（既存データ${updated}件を更新）`;
             }
 
+            this.toastManager.show(message, 'success', 3000);
+            this.renderExpenseCategoryManager();
         } catch (error) {
-            console.error('全データインポートエラー:', error);
-            throw error;
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    moveExpenseCategory(categoryId, direction) {
+        try {
+            window.storeManager.moveExpenseCategory(this.expenseCategoryCostType, categoryId, direction);
+            this.renderExpenseCategoryManager();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    toggleExpenseCategoryArchive(categoryId, archived) {
+        try {
+            const category = window.storeManager.setExpenseCategoryArchived(this.expenseCategoryCostType, categoryId, archived);
+            this.toastManager.show(`カテゴリー「${this.escapeHTML(category.name)}」を${archived ? 'アーカイブ' : '復元'}しました`, 'success', 2000);
+            this.renderExpenseCategoryManager();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
         }
     }
 
     /**
-     * 全選択機能
+     * 経費カテゴリー管理ダイアログを閉じて画面を更新
      */
-    selectAllRecords(category) {
-        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
-        const selectAllCheckbox = document.getElementById('select-all-checkbox');
-        
-        checkboxes.forEach(checkbox => {
-            checkbox.checked = true;
-        });
-        
-        if (selectAllCheckbox) {
-            selectAllCheckbox.checked = true;
-        }
-        
-        this.updateSelectionCount(category);
+    closeExpenseCategoryManager() {
+        this.hideModal();
+        this.showSection(this.currentSection);
     }
 
     /**
-     * 選択解除機能
+     * 定期取引管理ダイアログ表示
      */
-    clearSelection(category) {
-        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
-        const selectAllCheckbox = document.getElementById('select-all-checkbox');
-        
-        checkboxes.forEach(checkbox => {
-            checkbox.checked = false;
-        });
-        
-        if (selectAllCheckbox) {
-            selectAllCheckbox.checked = false;
+    showRecurringTemplateManager(recordCategory = null) {
+        if (!window.recurringManager) {
+            this.showMessage('定期取引機能が利用できません', 'error');
+            return;
         }
-        
-        this.updateSelectionCount(category);
+
+        this.recurringTemplateCategory = recordCategory;
+        this.showModal('定期取引', '<div id="recurring-template-manager"></div>');
+        this.renderRecurringTemplateList();
     }
 
     /**
-     * 全選択チェックボックスの切り替え
+     * 定期取引一覧描画（アクティブ店舗分）
      */
-    toggleSelectAll(selectAllCheckbox, category) {
-        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
-        
-        checkboxes.forEach(checkbox => {
-            checkbox.checked = selectAllCheckbox.checked;
-        });
-        
-        this.updateSelectionCount(category);
+    renderRecurringTemplateList() {
+        const container = document.getElementById('recurring-template-manager');
+        if (!container) return;
+
+        const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const templates = window.recurringManager.getTemplates(storeId);
+
+        const rowsHTML = templates.map(template => {
+            const detail = template.fields.category || template.fields.payee || template.fields.manufacturer || '-';
+            const period = `${template.startYear}/${template.startMonth}〜${template.endYear ? `${template.endYear}/${template.endMonth}` : ''}`;
+            const highlight = template.recordCategory === this.recurringTemplateCategory ? 'class="active-store"' : '';
+            return `
+                <tr ${highlight}>
+                    <td>${this.getCategoryDisplayName(template.recordCategory)}</td>
+                    <td>${detail}</td>
+                    <td>${this.formatNumber(template.amount)}円</td>
+                    <td>${template.day ? `${template.day}日` : '-'}</td>
+                    <td>${period}</td>
+                    <td>${template.active ? '<span class="status-active">有効</span>' : '<span class="status-inactive">停止中</span>'}</td>
+                    <td>
+                        <button type="button" class="btn btn-secondary" onclick="uiManager.showRecurringTemplateForm('${template.id}')">編集</button>
+                        <button type="button" class="btn btn-danger" onclick="uiManager.deleteRecurringTemplate('${template.id}')">削除</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <p>対象店舗: <strong>${activeStore ? activeStore.name : '未選択'}</strong></p>
+            <p class="calendar-help">表示月を切り替えたとき、その月にまだ生成されていない定期取引が自動で登録されます。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>区分</th><th>内容</th><th>金額</th><th>日</th><th>期間</th><th>状態</th><th>操作</th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML || '<tr><td colspan="7">定期取引が登録されていません</td></tr>'}
+                </tbody>
+            </table>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeRecurringTemplateManager()">閉じる</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.showRecurringTemplateForm()">新規登録</button>
+            </div>
+        `;
     }
 
     /**
-     * 選択数の更新
+     * 定期取引の登録・編集フォーム描画
      */
-    updateSelectionCount(category) {
-        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox:checked`);
-        const count = checkboxes.length;
-        
-        const selectionCountElement = document.getElementById('selection-count');
-        const moveButton = document.getElementById('move-selected-btn');
-        
-        if (selectionCountElement) {
-            selectionCountElement.textContent = `${count}件選択中`;
-        }
-        
-        if (moveButton) {
-            moveButton.disabled = count === 0;
-        }
-        
-        // 全選択チェックボックスの状態更新
-        const selectAllCheckbox = document.getElementById('select-all-checkbox');
-        const allCheckboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
-        
-        if (selectAllCheckbox && allCheckboxes.length > 0) {
-            selectAllCheckbox.checked = checkboxes.length === allCheckboxes.length;
-            selectAllCheckbox.indeterminate = checkboxes.length > 0 && checkboxes.length < allCheckboxes.length;
-        }
+    showRecurringTemplateForm(templateId = null) {
+        const container = document.getElementById('recurring-template-manager');
+        if (!container) return;
+
+        const template = templateId ? window.recurringManager.getTemplateById(templateId) : null;
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const recordCategory = template ? template.recordCategory : (this.recurringTemplateCategory || 'fixedCosts');
+        const categories = Object.keys(DataModels.getDataStructure());
+
+        const yearOptions = (selectedYear, allowEmpty) => {
+            let options = allowEmpty ? '<option value="">なし</option>' : '';
+            for (let year = globalDate.year - 5; year <= globalDate.year + 10; year++) {
+                options += `<option value="${year}" ${year === selectedYear ? 'selected' : ''}>${year}年</option>`;
+            }
+            return options;
+        };
+        const monthOptions = (selectedMonth, allowEmpty) => {
+            let options = allowEmpty ? '<option value="">なし</option>' : '';
+            for (let month = 1; month <= 12; month++) {
+                options += `<option value="${month}" ${month === selectedMonth ? 'selected' : ''}>${month}月</option>`;
+            }
+            return options;
+        };
+
+        container.innerHTML = `
+            <form id="recurring-template-form" class="data-form">
+                <div class="form-errors" id="recurring-form-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="recurring-record-category">区分 <span class="required">*</span></label>
+                    <select id="recurring-record-category" name="recordCategory" ${template ? 'disabled' : ''}
+                            onchange="uiManager.renderRecurringTemplateFields(this.value)">
+                        ${categories.map(category => `<option value="${category}" ${category === recordCategory ? 'selected' : ''}>${this.getCategoryDisplayName(category)}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="recurring-template-fields"></div>
+                <div class="form-group">
+                    <label for="recurring-amount">毎月の金額 <span class="required">*</span></label>
+                    <input type="number" id="recurring-amount" name="amount" min="0" step="1" value="${template ? template.amount : ''}" required>
+                </div>
+                <div class="form-group">
+                    <label for="recurring-day">日</label>
+                    <input type="number" id="recurring-day" name="day" min="1" max="31" step="1" value="${template && template.day ? template.day : ''}" placeholder="省略時は月単位で登録">
+                </div>
+                <div class="form-group">
+                    <label for="recurring-start-year">開始年月 <span class="required">*</span></label>
+                    <div class="date-input-group">
+                        <select id="recurring-start-year" name="startYear" required>${yearOptions(template ? template.startYear : globalDate.year, false)}</select>
+                        <select id="recurring-start-month" name="startMonth" required>${monthOptions(template ? template.startMonth : globalDate.month, false)}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="recurring-end-year">終了年月（任意）</label>
+                    <div class="date-input-group">
+                        <select id="recurring-end-year" name="endYear">${yearOptions(template ? template.endYear : null, true)}</select>
+                        <select id="recurring-end-month" name="endMonth">${monthOptions(template ? template.endMonth : null, true)}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="recurring-note">備考</label>
+                    <textarea id="recurring-note" name="note" maxlength="200" rows="2">${template ? template.note : ''}</textarea>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" name="active" ${!template || template.active ? 'checked' : ''}> 自動生成を有効にする</label>
+                </div>
+                ${template ? `
+                <div class="form-group">
+                    <label><input type="checkbox" name="applyToFuture" checked> 今月以降の生成済みデータにも変更を反映する</label>
+                </div>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.renderRecurringTemplateList()">戻る</button>
+                    <button type="submit" class="btn btn-primary">${template ? '更新' : '登録'}</button>
+                </div>
+            </form>
+        `;
+
+        this.renderRecurringTemplateFields(recordCategory, template ? template.fields : {});
+
+        document.getElementById('recurring-template-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRecurringTemplateSubmit(templateId);
+        });
     }
 
     /**
-     * データ移動ダイアログ表示（複数選択）
+     * 区分ごとの追加項目（経費カテゴリー・返済先・メーカー名）描画
      */
-    showDataMoveDialog(category) {
-        const selectedCheckboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox:checked`);
-        const selectedIds = Array.from(selectedCheckboxes).map(cb => cb.value);
-        
-        if (selectedIds.length === 0) {
-            this.showMessage('移動するデータを選択してください', 'error');
-            return;
+    renderRecurringTemplateFields(recordCategory, fields = {}) {
+        const container = document.getElementById('recurring-template-fields');
+        if (!container) return;
+
+        switch (recordCategory) {
+            case 'fixedCosts':
+            case 'variableCosts':
+                container.innerHTML = this.generateCategoryField(
+                    recordCategory === 'fixedCosts' ? '固定費カテゴリー' : '変動費カテゴリー',
+                    'category',
+                    this.getExpenseCategoryOptions(recordCategory, fields.category || ''),
+                    fields.category || ''
+                );
+                break;
+            case 'monthlyPayments':
+                container.innerHTML = `
+                    <div class="form-group">
+                        <label for="payee">返済先 <span class="required">*</span></label>
+                        <input type="text" id="payee" name="payee" maxlength="100" value="${fields.payee || ''}" required>
+                    </div>
+                `;
+                break;
+            case 'purchases':
+            case 'manufacturerDeposits':
+                container.innerHTML = `
+                    <div class="form-group">
+                        <label for="manufacturer">メーカー名 ${recordCategory === 'manufacturerDeposits' ? '<span class="required">*</span>' : ''}</label>
+                        <input type="text" id="manufacturer" name="manufacturer" maxlength="100" value="${fields.manufacturer || ''}"
+                               list="manufacturer-options" autocomplete="off" ${recordCategory === 'manufacturerDeposits' ? 'required' : ''}>
+                        ${this.generateManufacturerDatalist()}
+                    </div>
+                `;
+                break;
+            default:
+                container.innerHTML = '';
+        }
+
+        if (this.isSupplierLinkCategory(recordCategory)) {
+            container.innerHTML += this.generateSupplierField(recordCategory, fields.supplierId || '');
         }
-        
-        this.showDataMoveDialogInternal(category, selectedIds);
     }
 
     /**
-     * 単一データ移動ダイアログ表示
+     * 定期取引フォーム送信処理
      */
-    showSingleDataMoveDialog(category, recordId) {
-        this.showDataMoveDialogInternal(category, [recordId]);
+    handleRecurringTemplateSubmit(templateId = null) {
+        const form = document.getElementById('recurring-template-form');
+        const formData = new FormData(form);
+        const templateData = Object.fromEntries(formData.entries());
+        templateData.recordCategory = document.getElementById('recurring-record-category').value;
+        templateData.active = formData.has('active');
+        if (templateData.manufacturer) {
+            templateData.manufacturer = this.resolveManufacturerName(templateData.manufacturer);
+        }
+
+        try {
+            let message;
+            if (templateId) {
+                const result = window.recurringManager.updateTemplate(templateId, templateData, formData.has('applyToFuture'));
+                message = '定期取引を更新しました';
+                if (result.updatedRecords > 0 || result.removedRecords > 0) {
+                    message += `（反映: ${result.updatedRecords}件、削除: ${result.removedRecords}件）`;
+                }
+            } else {
+                window.recurringManager.addTemplate(templateData);
+                message = '定期取引を登録しました';
+            }
+
+            // 表示中の月が対象なら即時生成
+            if (window.app) {
+                const { year, month } = window.app.getGlobalDate();
+                window.app.notifyGeneratedRecurringRecords(window.recurringManager.materializeForMonth(year, month));
+            }
+
+            this.toastManager.show(message, 'success', 3000);
+            this.renderRecurringTemplateList();
+        } catch (error) {
+            const errorContainer = document.getElementById('recurring-form-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
     }
 
     /**
-     * データ移動ダイアログ表示（内部処理）
+     * 定期取引削除
      */
-    showDataMoveDialogInternal(category, recordIds) {
-        if (!window.storeManager) {
-            this.showMessage('店舗管理機能が利用できません', 'error');
+    deleteRecurringTemplate(templateId) {
+        if (!confirm('この定期取引を削除しますか？')) {
             return;
         }
 
-        const stores = window.storeManager.getStores();
-        const currentStoreId = window.storeManager.getActiveStoreId();
-        
-        // 移動先店舗のオプション生成
-        let storeOptions = '';
-        stores.forEach(store => {
-            if (store.id !== currentStoreId) {
-                storeOptions += `<option value="${store.id}">${store.name}</option>`;
-            }
-        });
-        
-        if (!storeOptions) {
-            this.showMessage('移動先の店舗がありません', 'error');
-            return;
+        try {
+            const now = new Date();
+            const currentPeriod = now.getFullYear() * 100 + now.getMonth() + 1;
+            const futureCount = window.recurringManager.getLinkedRecords(templateId)
+                .filter(record => record.year * 100 + record.month >= currentPeriod).length;
+            const removeFuture = futureCount > 0 &&
+                confirm(`今月以降に生成済みのデータが${futureCount}件あります。これらも削除しますか？\n（キャンセルした場合、データは残ります）`);
+
+            const result = window.recurringManager.deleteTemplate(templateId, removeFuture);
+            this.toastManager.show(
+                `定期取引を削除しました${result.removedRecords > 0 ? `（データ${result.removedRecords}件を削除）` : ''}`,
+                'success',
+                3000
+            );
+            this.renderRecurringTemplateList();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
         }
+    }
 
-        // ダイアログHTML生成
-        const dialogHTML = `
-            <div class="modal" id="data-move-modal">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h3>データ移動</h3>
-                        <button type="button" class="close-btn" onclick="uiManager.hideDataMoveDialog()">&times;</button>
+    closeRecurringTemplateManager() {
+        this.hideModal();
+        this.showSection(this.currentSection);
+    }
+
+    /**
+     * 年間レポートから月間レポートに表示を切り替える
+     */
+    showMonthlyReportFromYearly() {
+        document.getElementById('yearly-report').style.display = 'none';
+        document.getElementById('monthly-report').style.display = 'block';
+    }
+
+    /**
+     * レポートモード変更処理
+     */
+    changeReportMode() {
+        const reportMode = document.getElementById('report-mode').value;
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+
+        // すべてのレポートを非表示
+        document.getElementById('monthly-report').style.display = 'none';
+        document.getElementById('yearly-report').style.display = 'none';
+        document.getElementById('consolidated-report').style.display = 'none';
+        document.getElementById('comparison-report').style.display = 'none';
+        document.getElementById('budget-report').style.display = 'none';
+        document.getElementById('break-even-report').style.display = 'none';
+        document.getElementById('cash-flow-report').style.display = 'none';
+        document.getElementById('consumption-tax-report').style.display = 'none';
+        document.getElementById('input-credit-report').style.display = 'none';
+        document.getElementById('manufacturer-report').style.display = 'none';
+        document.getElementById('deposit-balance-report').style.display = 'none';
+        document.getElementById('loan-balance-report').style.display = 'none';
+
+        switch (reportMode) {
+            case 'single':
+                document.getElementById('monthly-report').style.display = 'block';
+                this.showMonthlyReport(globalDate.year, globalDate.month);
+                break;
+            case 'consolidated':
+                document.getElementById('consolidated-report').style.display = 'block';
+                this.showConsolidatedReport(globalDate.year, globalDate.month);
+                break;
+            case 'comparison':
+                document.getElementById('comparison-report').style.display = 'block';
+                this.showComparisonReport(globalDate.year, globalDate.month);
+                break;
+            case 'budget':
+                document.getElementById('budget-report').style.display = 'block';
+                this.showBudgetReport(globalDate.year, globalDate.month);
+                break;
+            case 'breakeven':
+                document.getElementById('break-even-report').style.display = 'block';
+                this.showBreakEvenReport(globalDate.year, globalDate.month);
+                break;
+            case 'cashflow':
+                document.getElementById('cash-flow-report').style.display = 'block';
+                this.showCashFlowReport(globalDate.year, globalDate.month);
+                break;
+            case 'consumptiontax':
+                document.getElementById('consumption-tax-report').style.display = 'block';
+                this.showConsumptionTaxReport(globalDate.year, globalDate.month);
+                break;
+            case 'inputcredit':
+                document.getElementById('input-credit-report').style.display = 'block';
+                this.showInputCreditReport(globalDate.year, globalDate.month);
+                break;
+            case 'manufacturer':
+                document.getElementById('manufacturer-report').style.display = 'block';
+                this.showManufacturerReport(globalDate.year, globalDate.month);
+                break;
+            case 'deposit':
+                document.getElementById('deposit-balance-report').style.display = 'block';
+                this.showDepositBalanceReport(globalDate.year, globalDate.month);
+                break;
+            case 'loan':
+                document.getElementById('loan-balance-report').style.display = 'block';
+                this.showLoanBalanceReport(globalDate.year, globalDate.month);
+                break;
+        }
+    }
+
+    /**
+     * 統合レポート表示
+     */
+    showConsolidatedReport(year, month) {
+        try {
+            // 年度集計の場合は表示中の年月が属する年度を集計する
+            const consolidatedData = this.consolidatedPeriod === 'fiscalYear'
+                ? window.chartManager.calculateConsolidatedBalance(DataModels.getFiscalYear(year, month, this.getFiscalStartMonth()), null, 'fiscalYear')
+                : window.chartManager.calculateConsolidatedBalance(year, month);
+            
+            const reportHTML = this.generateConsolidatedReportHTML(consolidatedData);
+            document.getElementById('consolidated-report').innerHTML = reportHTML;
+            
+            // グラフを描画（DOM要素が作成された後に実行）
+            setTimeout(() => {
+                if (window.chartManager && typeof window.chartManager.renderConsolidatedChart === 'function') {
+                    window.chartManager.renderConsolidatedChart(year, month);
+                }
+            }, 100);
+            
+        } catch (error) {
+            console.error('統合レポート生成エラー:', error);
+            document.getElementById('consolidated-report').innerHTML = 
+                `<div class="error-message">統合レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 統合レポートの集計期間変更
+     */
+    changeConsolidatedPeriod() {
+        const select = document.getElementById('consolidated-period');
+        if (!select) return;
+
+        this.consolidatedPeriod = select.value;
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        this.showConsolidatedReport(globalDate.year, globalDate.month);
+    }
+
+    /**
+     * 比較レポート表示
+     */
+    showComparisonReport(year, month) {
+        try {
+            const comparisonData = window.chartManager.calculateStoreComparison(year, month);
+            
+            const reportHTML = this.generateComparisonReportHTML(comparisonData, year, month);
+            document.getElementById('comparison-report').innerHTML = reportHTML;
+            
+        } catch (error) {
+            console.error('比較レポート生成エラー:', error);
+            document.getElementById('comparison-report').innerHTML = 
+                `<div class="error-message">比較レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 統合レポートHTML生成
+     */
+    generateConsolidatedReportHTML(consolidatedData) {
+        const totalIncome = consolidatedData.totalIncome || 0;
+        const totalExpense = consolidatedData.totalExpense || 0;
+        const balance = consolidatedData.balance || 0;
+        const stores = consolidatedData.stores || [];
+        const isDeficit = balance < 0;
+        const profitMargin = totalIncome > 0 ? ((balance / totalIncome) * 100) : 0;
+        
+        let html = `
+            <div class="consolidated-report">
+                <div class="report-header">
+                    <h3>${consolidatedData.label}の全店舗統合レポート（${stores.length}店舗）</h3>
+                    <div class="consolidated-period-selector">
+                        <label for="consolidated-period">集計期間:</label>
+                        <select id="consolidated-period" onchange="uiManager.changeConsolidatedPeriod()">
+                            <option value="month" ${this.consolidatedPeriod === 'month' ? 'selected' : ''}>月次</option>
+                            <option value="fiscalYear" ${this.consolidatedPeriod === 'fiscalYear' ? 'selected' : ''}>年度</option>
+                        </select>
                     </div>
-                    <div class="modal-body">
-                        <div class="move-info">
-                            <p><strong>移動対象:</strong> ${recordIds.length}件のデータ</p>
-                            <p><strong>現在の店舗:</strong> ${window.storeManager.getActiveStore()?.name || '不明'}</p>
+                    <div class="report-summary ${isDeficit ? 'deficit' : 'profit'}">
+                        <div class="summary-item">
+                            <span class="label">統合売上:</span>
+                            <span class="value income">${totalIncome.toLocaleString()}円</span>
                         </div>
-                        <form id="data-move-form">
-                            <div class="form-group">
-                                <label for="target-store">移動先店舗:</label>
-                                <select id="target-store" name="targetStore" required>
-                                    <option value="">移動先を選択してください</option>
-                                    ${storeOptions}
-                                </select>
-                            </div>
-                            <div class="form-group">
-                                <label for="move-reason">移動理由（任意）:</label>
-                                <textarea id="move-reason" name="reason" placeholder="例: 誤って別店舗で入力したため" maxlength="200"></textarea>
+                        <div class="summary-item">
+                            <span class="label">統合支出:</span>
+                            <span class="value expense">${totalExpense.toLocaleString()}円</span>
+                        </div>
+                        <div class="summary-item profit-item">
+                            <span class="label">統合${isDeficit ? '赤字:' : '利益:'}</span>
+                            <span class="value ${isDeficit ? 'deficit' : 'profit'}">${Math.abs(balance).toLocaleString()}円</span>
+                        </div>
+                        <div class="summary-item">
+                            <span class="label">利益率:</span>
+                            <span class="value">${profitMargin.toFixed(1)}%</span>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="charts-section">
+                    <h4>統合グラフ表示</h4>
+                    <div class="charts-container">
+                        <div class="chart-item">
+                            <div class="chart-wrapper">
+                                <canvas id="consolidatedExpenseChart" width="400" height="300"></canvas>
                             </div>
-                            <div class="form-actions">
-                                <button type="button" class="btn btn-secondary" onclick="uiManager.hideDataMoveDialog()">キャンセル</button>
-                                <button type="submit" class="btn btn-primary">移動実行</button>
+                        </div>
+                        <div class="chart-item">
+                            <div class="chart-wrapper">
+                                <canvas id="consolidatedIncomeChart" width="400" height="300"></canvas>
                             </div>
-                        </form>
+                        </div>
                     </div>
                 </div>
             </div>
         `;
+        
+        return html;
+    }
 
-        // ダイアログを表示
-        document.body.insertAdjacentHTML('beforeend', dialogHTML);
+    /**
+     * 比較レポートHTML生成
+     */
+    generateComparisonReportHTML(comparisonData, year, month) {
+        let html = `
+            <div class="comparison-report">
+                <div class="report-header">
+                    <h3>${year}年${month}月の店舗別比較レポート</h3>
+                </div>
+                
+                <div class="comparison-table-container">
+                    <table class="comparison-table">
+                        <thead>
+                            <tr>
+                                <th>順位</th>
+                                <th>店舗名</th>
+                                <th>売上</th>
+                                <th>支出</th>
+                                <th>利益</th>
+                                <th>利益率</th>
+                                <th>状況</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        if (comparisonData.length === 0) {
+            html += `
+                            <tr>
+                                <td colspan="7" class="no-data">データがありません</td>
+                            </tr>
+            `;
+        } else {
+            comparisonData.forEach((storeData, index) => {
+                const rank = index + 1;
+                const rankClass = rank === 1 ? 'rank-first' : rank === 2 ? 'rank-second' : rank === 3 ? 'rank-third' : '';
+                
+                html += `
+                            <tr class="comparison-row ${rankClass}">
+                                <td class="rank">${rank}</td>
+                                <td class="store-name">${storeData.store.name}</td>
+                                <td class="amount income">${storeData.income.toLocaleString()}円</td>
+                                <td class="amount expense">${storeData.expense.toLocaleString()}円</td>
+                                <td class="amount ${storeData.balance < 0 ? 'deficit' : 'profit'}">${Math.abs(storeData.balance).toLocaleString()}円</td>
+                                <td class="percentage">${storeData.profitMargin.toFixed(1)}%</td>
+                                <td class="status">
+                                    <span class="status-badge ${storeData.balance < 0 ? 'status-deficit' : 'status-profit'}">
+                                        ${storeData.balance < 0 ? '赤字' : '黒字'}
+                                    </span>
+                                </td>
+                            </tr>
+                `;
+            });
+        }
+
+        html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
         
-        // フォーム送信イベント
-        document.getElementById('data-move-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.executeDataMove(category, recordIds);
-        });
+        return html;
     }
 
     /**
-     * データ移動ダイアログを閉じる
+     * 予算実績比較レポート表示
+     */
+    showBudgetReport(year, month) {
+        try {
+            const comparison = window.chartManager.calculateBudgetVsActual(year, month);
+            document.getElementById('budget-report').innerHTML = this.generateBudgetReportHTML(comparison);
+
+            // グラフを描画（DOM要素が作成された後に実行）
+            setTimeout(() => {
+                window.chartManager.renderBudgetVsActualChart(year, month);
+            }, 100);
+
+        } catch (error) {
+            console.error('予算実績比較レポート生成エラー:', error);
+            document.getElementById('budget-report').innerHTML =
+                `<div class="error-message">予算実績比較レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 予算実績比較レポートHTML生成
+     */
+    generateBudgetReportHTML(comparison) {
+        const { year, month, rows, totals } = comparison;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const storeName = activeStore ? activeStore.name : 'すべての店舗';
+
+        const formatAmount = (amount) => amount === null ? '-' : `${this.formatNumber(amount)}円`;
+        const renderRow = (row, rowClass = '') => `
+                            <tr class="${rowClass}">
+                                <td>${this.escapeHTML(row.name)}</td>
+                                <td class="amount">${formatAmount(row.budget)}</td>
+                                <td class="amount">${formatAmount(row.actual)}</td>
+                                <td class="amount ${row.isFavorable === null ? '' : row.isFavorable ? 'profit' : 'deficit'}">
+                                    ${row.variance === null ? '-' : `${row.variance > 0 ? '+' : ''}${this.formatNumber(row.variance)}円`}
+                                </td>
+                                <td class="percentage">
+                                    ${row.variancePercent === null ? '-' : `${row.variancePercent > 0 ? '+' : ''}${row.variancePercent.toFixed(1)}%`}
+                                </td>
+                            </tr>
+        `;
+
+        return `
+            <div class="budget-report">
+                <div class="report-header">
+                    <h3>${year}年${month}月の予算実績比較（${storeName}）</h3>
+                    <button class="btn btn-primary" onclick="uiManager.showBudgetForm(${year}, ${month})">予算を設定</button>
+                </div>
+                ${comparison.hasBudget ? '' : `
+                <div class="info-message">この月の予算は未設定です。「予算を設定」から登録してください。</div>
+                `}
+                <div class="comparison-table-container">
+                    <table class="comparison-table budget-table">
+                        <thead>
+                            <tr>
+                                <th>カテゴリー</th>
+                                <th>予算</th>
+                                <th>実績</th>
+                                <th>差異</th>
+                                <th>差異率</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => renderRow(row)).join('')}
+                            ${renderRow(totals.expenses, 'budget-total-row')}
+                            ${renderRow(totals.profit, 'budget-total-row')}
+                            <tr class="budget-section-row">
+                                <td colspan="5">利益に含まない支出</td>
+                            </tr>
+                            ${comparison.cashOutflowRows.map(row => renderRow(row)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="charts-section">
+                    <div class="chart-item">
+                        <div class="chart-wrapper">
+                            <canvas id="budget-actual-chart" width="600" height="300"></canvas>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 損益分岐点分析レポート表示
+     */
+    showBreakEvenReport(year, month) {
+        try {
+            const report = window.chartManager.calculateBreakEvenReport(year, month, this.breakEvenPeriod);
+            document.getElementById('break-even-report').innerHTML = this.generateBreakEvenReportHTML(report);
+
+            // グラフを描画（DOM要素が作成された後に実行）
+            setTimeout(() => {
+                window.chartManager.renderBreakEvenChart(report);
+            }, 100);
+
+        } catch (error) {
+            console.error('損益分岐点分析エラー:', error);
+            document.getElementById('break-even-report').innerHTML =
+                `<div class="error-message">損益分岐点分析の生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 損益分岐点分析の集計期間変更
+     */
+    changeBreakEvenPeriod() {
+        const select = document.getElementById('break-even-period');
+        if (!select) return;
+
+        this.breakEvenPeriod = select.value;
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        this.showBreakEvenReport(globalDate.year, globalDate.month);
+    }
+
+    /**
+     * 損益分岐点分析レポートHTML生成
+     */
+    generateBreakEvenReportHTML(report) {
+        const { summary, stores, label, store } = report;
+        const storeName = store ? store.name : 'すべての店舗';
+        const classification = window.chartManager.getBreakEvenCostClassification();
+
+        const formatAmount = (amount) => amount === null ? '-' : `${this.formatNumber(Math.round(amount))}円`;
+        const formatRatio = (ratio) => ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`;
+        const formatPercent = (percent) => percent === null ? '-' : `${percent.toFixed(1)}%`;
+        const breakEvenText = (result) => {
+            if (result.unreachable) return '到達不可（変動費率100%以上）';
+            return formatAmount(result.breakEvenSales);
+        };
+
+        return `
+            <div class="break-even-report">
+                <div class="report-header">
+                    <h3>${label}の損益分岐点分析（${storeName}）</h3>
+                    <div class="break-even-period-selector">
+                        <label for="break-even-period">集計期間:</label>
+                        <select id="break-even-period" onchange="uiManager.changeBreakEvenPeriod()">
+                            <option value="month" ${this.breakEvenPeriod === 'month' ? 'selected' : ''}>月次</option>
+                            <option value="fiscalYear" ${this.breakEvenPeriod === 'fiscalYear' ? 'selected' : ''}>年度</option>
+                        </select>
+                    </div>
+                    <div class="report-summary ${summary.safetyMargin !== null && summary.safetyMargin < 0 ? 'deficit' : 'profit'}">
+                        <div class="summary-item">
+                            <span class="label">売上:</span>
+                            <span class="value income">${formatAmount(summary.sales)}</span>
+                        </div>
+                        <div class="summary-item">
+                            <span class="label">変動費率:</span>
+                            <span class="value">${formatRatio(summary.variableCostRatio)}</span>
+                        </div>
+                        <div class="summary-item">
+                            <span class="label">固定費:</span>
+                            <span class="value expense">${formatAmount(summary.fixedCosts)}</span>
+                        </div>
+                        <div class="summary-item profit-item">
+                            <span class="label">損益分岐点売上:</span>
+                            <span class="value">${breakEvenText(summary)}</span>
+                        </div>
+                        <div class="summary-item">
+                            <span class="label">安全余裕率:</span>
+                            <span class="value ${summary.safetyMarginRatio !== null && summary.safetyMarginRatio < 0 ? 'deficit' : 'profit'}">${formatPercent(summary.safetyMarginRatio)}</span>
+                        </div>
+                    </div>
+                    <p class="form-help">
+                        変動費: ${classification.variable.map(category => this.getCategoryDisplayName(category)).join('・')} ／
+                        固定費: ${classification.fixed.map(category => this.getCategoryDisplayName(category)).join('・')}
+                    </p>
+                </div>
+
+                <div class="comparison-table-container">
+                    <h4>店舗別</h4>
+                    <table class="comparison-table break-even-table">
+                        <thead>
+                            <tr>
+                                <th>店舗名</th>
+                                <th>売上</th>
+                                <th>変動費率</th>
+                                <th>固定費</th>
+                                <th>損益分岐点売上</th>
+                                <th>安全余裕額</th>
+                                <th>安全余裕率</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${stores.map(item => `
+                            <tr>
+                                <td class="store-name">${item.store.name}</td>
+                                <td class="amount">${formatAmount(item.sales)}</td>
+                                <td class="percentage">${formatRatio(item.variableCostRatio)}</td>
+                                <td class="amount">${formatAmount(item.fixedCosts)}</td>
+                                <td class="amount">${breakEvenText(item)}</td>
+                                <td class="amount ${item.safetyMargin !== null && item.safetyMargin < 0 ? 'deficit' : 'profit'}">${formatAmount(item.safetyMargin)}</td>
+                                <td class="percentage">${formatPercent(item.safetyMarginRatio)}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="charts-section">
+                    <div class="chart-item">
+                        <div class="chart-wrapper">
+                            <canvas id="break-even-chart" width="600" height="300"></canvas>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * キャッシュフロー計算書表示（表示中の年月が属する年度）
+     */
+    showCashFlowReport(year, month) {
+        try {
+            const fiscalYear = DataModels.getFiscalYear(year, month, this.getFiscalStartMonth());
+            const cashFlow = window.chartManager.calculateCashFlow(fiscalYear);
+            document.getElementById('cash-flow-report').innerHTML = this.generateCashFlowReportHTML(cashFlow);
+
+            // グラフを描画（DOM要素が作成された後に実行）
+            setTimeout(() => {
+                window.chartManager.renderCashFlowChart(cashFlow);
+            }, 100);
+
+        } catch (error) {
+            console.error('キャッシュフロー計算書生成エラー:', error);
+            document.getElementById('cash-flow-report').innerHTML =
+                `<div class="error-message">キャッシュフロー計算書の生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * キャッシュフロー計算書HTML生成
+     */
+    generateCashFlowReportHTML(cashFlow) {
+        const { totals, months, opening } = cashFlow;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const storeName = activeStore ? activeStore.name : 'すべての店舗';
+
+        const formatAmount = (amount) => amount === null ? '-' : `${this.formatNumber(amount)}円`;
+        const amountClass = (amount) => amount === null ? '' : amount < 0 ? 'deficit' : 'profit';
+        const statementRow = (name, amount, rowClass = '') => `
+                            <tr class="${rowClass}">
+                                <td>${name}</td>
+                                <td class="amount ${amountClass(amount)}">${formatAmount(amount)}</td>
+                            </tr>
+        `;
+
+        return `
+            <div class="cash-flow-report">
+                <div class="report-header">
+                    <h3>${cashFlow.label}のキャッシュフロー計算書（${storeName}）</h3>
+                    <button class="btn btn-secondary" onclick="uiManager.showOpeningBalanceForm()">期首残高設定</button>
+                </div>
+                ${opening ? `
+                <p class="form-help">期首残高: ${opening.year}年${opening.month}月初 ${this.formatNumber(opening.amount)}円</p>
+                ` : `
+                <div class="info-message">期首残高が未設定のため、月末残高は表示されません。「期首残高設定」から登録してください。</div>
+                `}
+
+                <div class="comparison-table-container">
+                    <table class="comparison-table cash-flow-statement">
+                        <tbody>
+                            ${statementRow('期首現金残高', cashFlow.beginningBalance, 'cash-flow-balance-row')}
+                            <tr class="cash-flow-section-row"><td colspan="2">営業活動によるキャッシュフロー</td></tr>
+                            ${statementRow('売上による収入', totals.operating.salesReceipts)}
+                            ${statementRow('仕入れによる支出', totals.operating.purchasePayments)}
+                            ${statementRow('経費（固定費・変動費・人件費）の支出', totals.operating.expensePayments)}
+                            ${statementRow('消費税の支払', totals.operating.taxPayments)}
+                            ${statementRow('利息の支払', totals.operating.interestPayments)}
+                            ${statementRow('営業活動によるキャッシュフロー計', totals.operating.total, 'cash-flow-total-row')}
+                            <tr class="cash-flow-section-row"><td colspan="2">投資活動によるキャッシュフロー</td></tr>
+                            ${statementRow('メーカー保証金の差入', totals.investing.depositPayments)}
+                            ${statementRow('メーカー保証金の返還', totals.investing.depositRefunds)}
+                            ${statementRow('メーカー保証金の相殺（仕入れ代金に充当）', totals.investing.depositOffsets)}
+                            ${statementRow('投資活動によるキャッシュフロー計', totals.investing.total, 'cash-flow-total-row')}
+                            <tr class="cash-flow-section-row"><td colspan="2">財務活動によるキャッシュフロー</td></tr>
+                            ${statementRow('借入金の返済（元金）', totals.financing.loanRepayments)}
+                            ${statementRow('財務活動によるキャッシュフロー計', totals.financing.total, 'cash-flow-total-row')}
+                            ${statementRow('現金の増減額', totals.net, 'cash-flow-total-row')}
+                            ${statementRow('期末現金残高', cashFlow.endingBalance, 'cash-flow-balance-row')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="monthly-breakdown">
+                    <h4>月別推移</h4>
+                    <div class="monthly-table-container">
+                        <table class="monthly-table cash-flow-table">
+                            <thead>
+                                <tr>
+                                    <th>月</th>
+                                    <th>営業CF</th>
+                                    <th>投資CF</th>
+                                    <th>財務CF</th>
+                                    <th>増減額</th>
+                                    <th>月末残高</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${months.map(m => `
+                                <tr>
+                                    <td>${m.year}年${m.month}月</td>
+                                    <td class="amount ${amountClass(m.operating.total)}">${formatAmount(m.operating.total)}</td>
+                                    <td class="amount ${amountClass(m.investing.total)}">${formatAmount(m.investing.total)}</td>
+                                    <td class="amount ${amountClass(m.financing.total)}">${formatAmount(m.financing.total)}</td>
+                                    <td class="amount ${amountClass(m.net)}">${formatAmount(m.net)}</td>
+                                    <td class="amount ${amountClass(m.endingBalance)}">${formatAmount(m.endingBalance)}</td>
+                                </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="charts-section">
+                    <div class="chart-item">
+                        <div class="chart-wrapper">
+                            <canvas id="cash-flow-chart" width="600" height="300"></canvas>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 消費税の計算結果（税率別の内訳）HTML生成
+     */
+    generateConsumptionTaxBreakdownHTML(calculation) {
+        const rateLabels = DataModels.getTaxRates();
+        const rates = Object.keys(rateLabels).sort((a, b) => Number(b) - Number(a));
+        const sideRows = (title, side) => rates
+            .filter(rate => side.byRate[rate].count > 0)
+            .map(rate => `
+                <tr>
+                    <td>${title}</td>
+                    <td>${rateLabels[rate]}</td>
+                    <td class="amount">${this.formatNumber(side.byRate[rate].base)}円</td>
+                    <td class="amount">${Number(rate) > 0 ? `${this.formatNumber(side.byRate[rate].tax)}円` : '-'}</td>
+                </tr>
+            `).join('') || `
+                <tr>
+                    <td>${title}</td>
+                    <td colspan="3">対象のレコードがありません</td>
+                </tr>
+            `;
+
+        return `
+            <table class="data-table consumption-tax-table">
+                <thead>
+                    <tr><th>区分</th><th>税率</th><th>税抜金額</th><th>消費税額</th></tr>
+                </thead>
+                <tbody>
+                    ${sideRows('売上', calculation.output)}
+                    ${sideRows('仕入れ・経費', calculation.input)}
+                </tbody>
+                <tfoot>
+                    <tr><td colspan="3">売上税額</td><td class="amount">${this.formatNumber(calculation.output.tax)}円</td></tr>
+                    <tr><td colspan="3">仕入税額（控除できる額）</td><td class="amount">${this.formatNumber(calculation.input.creditable)}円</td></tr>
+                    ${calculation.input.nonCreditable !== 0 ? `<tr><td colspan="3">控除できない仕入税額（インボイス未登録の仕入先）</td><td class="amount deficit">${this.formatNumber(calculation.input.nonCreditable)}円</td></tr>` : ''}
+                    <tr class="consumption-tax-total"><td colspan="3">差引税額（売上税額−仕入税額）</td><td class="amount ${calculation.payable < 0 ? 'deficit' : ''}">${this.formatNumber(calculation.payable)}円</td></tr>
+                    <tr><td colspan="3">登録済みの納付額</td><td class="amount">${this.formatNumber(calculation.paid)}円</td></tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    /**
+     * 表示中の月の消費税額の計算と登録額の提案
+     */
+    showConsumptionTaxProposal() {
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const { calculation, record } = window.consumptionTaxManager.proposeEntry(globalDate.year, globalDate.month);
+
+        this.showModal('消費税額の計算', `
+            <div class="consumption-tax-proposal">
+                <p>${globalDate.year}年${globalDate.month}月（${activeStore ? activeStore.name : 'すべての店舗'}）の売上・仕入れ・経費の税率と税込・税抜の区分から計算しました。消費税額は税率・区分ごとの合計額から計算し、1円未満を切り捨てています。</p>
+                ${this.generateConsumptionTaxBreakdownHTML(calculation)}
+                ${calculation.payable < 0 ? `<div class="info-message">仕入税額が売上税額を上回るため、還付見込みです（${this.formatNumber(-calculation.payable)}円）。</div>` : ''}
+                ${calculation.paid > 0 ? `<div class="info-message">この月には消費税が${this.formatNumber(calculation.paid)}円登録されています。</div>` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">閉じる</button>
+                    <button type="button" class="btn btn-primary" onclick="uiManager.registerConsumptionTaxProposal()" ${record.amount > 0 ? '' : 'disabled'}>
+                        この金額で登録（${this.formatNumber(record.amount)}円）
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 提案額での消費税レコードの登録
+     */
+    registerConsumptionTaxProposal() {
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const { calculation } = window.consumptionTaxManager.proposeEntry(globalDate.year, globalDate.month);
+        if (calculation.paid > 0 &&
+            !confirm(`この月には消費税が${this.formatNumber(calculation.paid)}円登録されています。\n計算した金額を追加で登録しますか？`)) {
+            return;
+        }
+
+        try {
+            const record = window.consumptionTaxManager.registerProposal(globalDate.year, globalDate.month);
+            this.hideModal();
+            this.showMessage(`消費税を${this.formatNumber(record.amount)}円で登録しました`, 'success');
+            this.showSection(this.currentSection);
+        } catch (error) {
+            this.showMessage('消費税の登録に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 消費税の計算額と納付額の照合表示（表示中の年月が属する年度）
+     */
+    showConsumptionTaxReport(year, month) {
+        try {
+            const fiscalYear = DataModels.getFiscalYear(year, month, this.getFiscalStartMonth());
+            const reconciliation = window.consumptionTaxManager.reconcile(fiscalYear);
+            document.getElementById('consumption-tax-report').innerHTML = this.generateConsumptionTaxReportHTML(reconciliation);
+        } catch (error) {
+            console.error('消費税レポート生成エラー:', error);
+            document.getElementById('consumption-tax-report').innerHTML =
+                `<div class="error-message">消費税レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 消費税の計算額と納付額の照合HTML生成
+     */
+    generateConsumptionTaxReportHTML(reconciliation) {
+        const { months, totals } = reconciliation;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const storeName = activeStore ? activeStore.name : 'すべての店舗';
+        const differenceClass = (amount) => amount < 0 ? 'deficit' : amount > 0 ? 'profit' : '';
+        const formatDifference = (amount) => `${amount > 0 ? '+' : ''}${this.formatNumber(amount)}円`;
+
+        return `
+            <div class="consumption-tax-report">
+                <div class="report-header">
+                    <h3>${reconciliation.label}の消費税の計算と納付（${storeName}）</h3>
+                </div>
+                <p class="form-help">計算額は売上の税額から仕入れ・経費の税額を差し引いた額です。差額は登録済みの納付額−計算額で、マイナスは納付が計算額に足りていないことを示します。</p>
+                ${totals.difference !== 0 ? `
+                <div class="info-message">年度の納付額が計算額と${this.formatNumber(Math.abs(totals.difference))}円${totals.difference < 0 ? '不足' : '超過'}しています。</div>
+                ` : ''}
+
+                <div class="monthly-table-container">
+                    <table class="monthly-table consumption-tax-reconcile-table">
+                        <thead>
+                            <tr>
+                                <th>月</th>
+                                <th>売上税額</th>
+                                <th>仕入税額</th>
+                                <th>計算額</th>
+                                <th>納付額</th>
+                                <th>差額</th>
+                                <th>差額累計</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${months.map(m => `
+                            <tr>
+                                <td>${m.year}年${m.month}月</td>
+                                <td class="amount">${this.formatNumber(m.output.tax)}円</td>
+                                <td class="amount">${this.formatNumber(m.input.tax)}円</td>
+                                <td class="amount ${m.payable < 0 ? 'deficit' : ''}">${this.formatNumber(m.payable)}円</td>
+                                <td class="amount">${this.formatNumber(m.paid)}円</td>
+                                <td class="amount ${differenceClass(m.difference)}">${formatDifference(m.difference)}</td>
+                                <td class="amount ${differenceClass(m.cumulativeDifference)}">${formatDifference(m.cumulativeDifference)}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td>合計</td>
+                                <td class="amount">${this.formatNumber(totals.outputTax)}円</td>
+                                <td class="amount">${this.formatNumber(totals.inputTax)}円</td>
+                                <td class="amount ${totals.payable < 0 ? 'deficit' : ''}">${this.formatNumber(totals.payable)}円</td>
+                                <td class="amount">${this.formatNumber(totals.paid)}円</td>
+                                <td class="amount ${differenceClass(totals.difference)}">${formatDifference(totals.difference)}</td>
+                                <td></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 仕入税額の控除できる額・できない額の表示（表示中の年月が属する年度）
+     */
+    showInputCreditReport(year, month) {
+        try {
+            const fiscalYear = DataModels.getFiscalYear(year, month, this.getFiscalStartMonth());
+            const summary = window.consumptionTaxManager.summarizeInputCredit(fiscalYear);
+            document.getElementById('input-credit-report').innerHTML = this.generateInputCreditReportHTML(summary);
+        } catch (error) {
+            console.error('仕入税額控除レポート生成エラー:', error);
+            document.getElementById('input-credit-report').innerHTML =
+                `<div class="error-message">仕入税額控除レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 仕入税額の控除できる額・できない額のHTML生成
+     */
+    generateInputCreditReportHTML(summary) {
+        const { months, suppliers, totals } = summary;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const storeName = activeStore ? activeStore.name : 'すべての店舗';
+        const statuses = SupplierManager.getStatuses();
+        const supplierCell = (supplierId) => {
+            if (!supplierId) {
+                return '仕入先未設定';
+            }
+            const supplier = window.supplierManager ? window.supplierManager.findSupplier(supplierId) : null;
+            return supplier ? this.escapeHTML(supplier.name) : '（削除済みの仕入先）';
+        };
+        const registrationCell = (supplierId) => {
+            const supplier = supplierId && window.supplierManager ? window.supplierManager.findSupplier(supplierId) : null;
+            if (!supplier) return '-';
+            return supplier.status === 'registered' ? supplier.registrationNumber : statuses.unregistered;
+        };
+
+        return `
+            <div class="input-credit-report">
+                <div class="report-header">
+                    <h3>${summary.label}の仕入税額控除（${storeName}）</h3>
+                    <button class="btn btn-secondary" onclick="uiManager.showSupplierManager()">仕入先</button>
+                </div>
+                <p class="form-help">仕入れ・固定費・変動費の消費税額のうち、仕入先の登録状況に応じて控除できる額とできない額です。登録済みの仕入先と仕入先未設定のデータは全額、未登録の仕入先は経過措置の割合（80%・50%）で控除します。</p>
+
+                <div class="monthly-table-container">
+                    <table class="monthly-table input-credit-table">
+                        <thead>
+                            <tr><th>月</th><th>仕入税額</th><th>控除できる額</th><th>控除できない額</th></tr>
+                        </thead>
+                        <tbody>
+                            ${months.map(m => `
+                            <tr>
+                                <td>${m.year}年${m.month}月</td>
+                                <td class="amount">${this.formatNumber(m.tax)}円</td>
+                                <td class="amount">${this.formatNumber(m.creditable)}円</td>
+                                <td class="amount ${m.nonCreditable !== 0 ? 'deficit' : ''}">${this.formatNumber(m.nonCreditable)}円</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td>合計</td>
+                                <td class="amount">${this.formatNumber(totals.tax)}円</td>
+                                <td class="amount">${this.formatNumber(totals.creditable)}円</td>
+                                <td class="amount ${totals.nonCreditable !== 0 ? 'deficit' : ''}">${this.formatNumber(totals.nonCreditable)}円</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+
+                <div class="monthly-breakdown">
+                    <h4>仕入先別</h4>
+                    <div class="monthly-table-container">
+                        <table class="monthly-table input-credit-table">
+                            <thead>
+                                <tr><th>仕入先</th><th>登録番号</th><th>控除割合</th><th>件数</th><th>税抜金額</th><th>仕入税額</th><th>控除できる額</th><th>控除できない額</th></tr>
+                            </thead>
+                            <tbody>
+                                ${suppliers.map(item => `
+                                <tr>
+                                    <td>${supplierCell(item.supplierId)}</td>
+                                    <td>${registrationCell(item.supplierId)}</td>
+                                    <td>${item.creditRates.map(rate => `${rate}%`).join('・')}</td>
+                                    <td class="amount">${item.count}件</td>
+                                    <td class="amount">${this.formatNumber(item.base)}円</td>
+                                    <td class="amount">${this.formatNumber(item.tax)}円</td>
+                                    <td class="amount">${this.formatNumber(item.creditable)}円</td>
+                                    <td class="amount ${item.nonCreditable !== 0 ? 'deficit' : ''}">${this.formatNumber(item.nonCreditable)}円</td>
+                                </tr>
+                                `).join('') || '<tr><td colspan="8">対象のデータがありません</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 仕入先マスタのダイアログ表示
+     */
+    showSupplierManager() {
+        if (!window.supplierManager) {
+            this.showMessage('仕入先マスタが利用できません', 'error');
+            return;
+        }
+
+        this.showModal('仕入先（インボイス）', '<div id="supplier-manager"></div>');
+        this.renderSupplierList();
+    }
+
+    /**
+     * 仕入先一覧描画
+     */
+    renderSupplierList() {
+        const container = document.getElementById('supplier-manager');
+        if (!container) return;
+
+        const statuses = SupplierManager.getStatuses();
+        const transitionalRates = SupplierManager.getTransitionalRates();
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const rowsHTML = window.supplierManager.getSuppliers().map(supplier => `
+            <tr>
+                <td>${this.escapeHTML(supplier.name)}</td>
+                <td>${supplier.registrationNumber || '-'}</td>
+                <td>${supplier.status === 'registered' ? '<span class="status-active">登録済み</span>' : '<span class="status-inactive">未登録</span>'}</td>
+                <td>${supplier.status === 'registered' ? '100%' : `${transitionalRates[supplier.transitionalRate]}（${globalDate.year}年${globalDate.month}月は${window.supplierManager.getCreditRate(supplier, globalDate.year, globalDate.month)}%）`}</td>
+                <td>${window.supplierManager.countLinkedRecords(supplier.id)}件</td>
+                <td>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.showSupplierForm('${supplier.id}')">編集</button>
+                    <button type="button" class="btn btn-danger" onclick="uiManager.deleteSupplier('${supplier.id}')">削除</button>
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <p class="calendar-help">仕入れ・経費・返済の入力で仕入先を選ぶと、登録状況に応じて仕入税額の控除できる額を計算します。${statuses.unregistered}の仕入先は、経過措置の割合だけ控除します。</p>
+            <table class="data-table supplier-table">
+                <thead>
+                    <tr><th>仕入先名</th><th>登録番号</th><th>登録状況</th><th>控除割合</th><th>データ件数</th><th>操作</th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML || '<tr><td colspan="6">仕入先が登録されていません</td></tr>'}
+                </tbody>
+            </table>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeSupplierManager()">閉じる</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.showSupplierForm()">新規登録</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 仕入先の登録・編集フォーム描画
+     */
+    showSupplierForm(supplierId = null) {
+        const container = document.getElementById('supplier-manager');
+        if (!container) return;
+
+        const supplier = supplierId ? window.supplierManager.getSupplierById(supplierId) : null;
+        const status = supplier ? supplier.status : 'registered';
+        const transitionalRate = supplier ? String(supplier.transitionalRate) : 'auto';
+
+        container.innerHTML = `
+            <form id="supplier-form" class="data-form">
+                <div class="form-errors" id="supplier-form-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="supplier-name">仕入先名 <span class="required">*</span></label>
+                    <input type="text" id="supplier-name" name="name" maxlength="100" value="${supplier ? this.escapeHTML(supplier.name) : ''}" required>
+                </div>
+                <div class="form-group">
+                    <label for="supplier-status">登録状況 <span class="required">*</span></label>
+                    <select id="supplier-status" name="status" onchange="uiManager.toggleSupplierStatusFields(this.value)">
+                        ${Object.entries(SupplierManager.getStatuses()).map(([value, label]) => `<option value="${value}" ${value === status ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="supplier-registration-number">登録番号</label>
+                    <input type="text" id="supplier-registration-number" name="registrationNumber" maxlength="20"
+                           value="${supplier ? supplier.registrationNumber : ''}" placeholder="T1234567890123">
+                    <div class="form-help">「T」と13桁の数字です。登録済みの仕入先は必須です。</div>
+                </div>
+                <div class="form-group" id="supplier-transitional-rate-group">
+                    <label for="supplier-transitional-rate">控除割合（経過措置）</label>
+                    <select id="supplier-transitional-rate" name="transitionalRate">
+                        ${Object.entries(SupplierManager.getTransitionalRates()).map(([value, label]) => `<option value="${value}" ${value === transitionalRate ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <div class="form-help">2026年9月までの取引は80%、2029年9月までは50%を控除できます。</div>
+                </div>
+                <div class="form-group">
+                    <label for="supplier-note">備考</label>
+                    <textarea id="supplier-note" name="note" maxlength="200" rows="2">${supplier ? this.escapeHTML(supplier.note || '') : ''}</textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.renderSupplierList()">戻る</button>
+                    <button type="submit" class="btn btn-primary">${supplier ? '更新' : '登録'}</button>
+                </div>
+            </form>
+        `;
+
+        this.toggleSupplierStatusFields(status);
+        document.getElementById('supplier-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSupplierSubmit(supplierId);
+        });
+    }
+
+    /**
+     * 登録状況に合わせた控除割合欄の表示切り替え（登録済みは全額控除のため不要）
+     */
+    toggleSupplierStatusFields(status) {
+        const group = document.getElementById('supplier-transitional-rate-group');
+        if (group) {
+            group.style.display = status === 'unregistered' ? '' : 'none';
+        }
+    }
+
+    /**
+     * 仕入先フォーム送信処理
+     */
+    handleSupplierSubmit(supplierId = null) {
+        const supplierData = Object.fromEntries(new FormData(document.getElementById('supplier-form')).entries());
+        try {
+            const supplier = supplierId
+                ? window.supplierManager.updateSupplier(supplierId, supplierData)
+                : window.supplierManager.addSupplier(supplierData);
+            this.toastManager.show(`仕入先「${this.escapeHTML(supplier.name)}」を${supplierId ? '更新' : '登録'}しました`, 'success', 2000);
+            this.renderSupplierList();
+        } catch (error) {
+            const errorContainer = document.getElementById('supplier-form-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * 仕入先の削除
+     */
+    deleteSupplier(supplierId) {
+        try {
+            const supplier = window.supplierManager.getSupplierById(supplierId);
+            if (!confirm(`仕入先「${supplier.name}」を削除しますか？`)) {
+                return;
+            }
+            window.supplierManager.deleteSupplier(supplierId);
+            this.toastManager.show(`仕入先「${this.escapeHTML(supplier.name)}」を削除しました`, 'success', 2000);
+            this.renderSupplierList();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    /**
+     * 仕入先ダイアログを閉じて画面を更新
+     */
+    closeSupplierManager() {
+        this.hideModal();
+        this.showSection(this.currentSection);
+    }
+
+    /**
+     * メーカー別仕入れの表示（表示中の年月が属する年度）
+     */
+    showManufacturerReport(year, month) {
+        try {
+            const fiscalYear = DataModels.getFiscalYear(year, month, this.getFiscalStartMonth());
+            const ranking = window.manufacturerManager.getPurchaseRanking(fiscalYear);
+            document.getElementById('manufacturer-report').innerHTML = this.generateManufacturerReportHTML(ranking);
+        } catch (error) {
+            console.error('メーカー別仕入れレポート生成エラー:', error);
+            document.getElementById('manufacturer-report').innerHTML =
+                `<div class="error-message">メーカー別仕入れレポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * メーカー別仕入れのHTML生成（金額順の順位・構成比・月別推移）
+     */
+    generateManufacturerReportHTML(ranking) {
+        const { months, monthlyTotals, rows, total } = ranking;
+        const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+        const storeName = activeStore ? activeStore.name : 'すべての店舗';
+
+        return `
+            <div class="manufacturer-report">
+                <div class="report-header">
+                    <h3>${ranking.label}のメーカー別仕入れ（${storeName}）</h3>
+                    <button class="btn btn-secondary" onclick="uiManager.showManufacturerManager()">メーカー</button>
+                </div>
+                <p class="form-help">仕入れの金額をメーカーごとに合計し、金額の多い順に並べています。メーカーマスタの別名で入力したデータは正式名にまとめて集計します。</p>
+
+                <div class="monthly-table-container">
+                    <table class="monthly-table manufacturer-ranking-table">
+                        <thead>
+                            <tr>
+                                <th>順位</th><th>メーカー</th><th>仕入れ金額</th><th>構成比</th><th>件数</th>
+                                ${months.map(m => `<th>${m.month}月</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                            <tr>
+                                <td class="amount">${row.rank}</td>
+                                <td>${row.name ? this.escapeHTML(row.name) : 'メーカー未入力'}</td>
+                                <td class="amount">${this.formatNumber(row.total)}円</td>
+                                <td class="share">
+                                    <span class="share-bar"><span style="width: ${Math.max(0, Math.min(100, row.share)).toFixed(1)}%"></span></span>
+                                    ${row.share.toFixed(1)}%
+                                </td>
+                                <td class="amount">${row.count}件</td>
+                                ${row.monthly.map(amount => `<td class="amount">${amount !== 0 ? this.formatNumber(amount) : '-'}</td>`).join('')}
+                            </tr>
+                            `).join('') || `<tr><td colspan="${5 + months.length}">対象のデータがありません</td></tr>`}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td></td>
+                                <td>合計</td>
+                                <td class="amount">${this.formatNumber(total)}円</td>
+                                <td class="share">${total !== 0 ? '100.0%' : '-'}</td>
+                                <td class="amount">${rows.reduce((sum, row) => sum + row.count, 0)}件</td>
+                                ${monthlyTotals.map(amount => `<td class="amount">${amount !== 0 ? this.formatNumber(amount) : '-'}</td>`).join('')}
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * メーカー保証金の残高の表示（表示中の年月の月末時点）
+     */
+    showDepositBalanceReport(year, month) {
+        try {
+            const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+            const balances = window.depositManager.getBalances(year, month, storeId);
+            document.getElementById('deposit-balance-report').innerHTML = this.generateDepositBalanceReportHTML(balances);
+        } catch (error) {
+            console.error('保証金残高レポート生成エラー:', error);
+            document.getElementById('deposit-balance-report').innerHTML =
+                `<div class="error-message">保証金残高レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * メーカー保証金の残高のHTML生成
+     */
+    generateDepositBalanceReportHTML(balances) {
+        const { rows, totals } = balances;
+        this.depositBalanceRows = rows;
+
+        return `
+            <div class="deposit-balance-report">
+                <div class="report-header">
+                    <h3>${balances.year}年${balances.month}月末のメーカー保証金残高</h3>
+                </div>
+                <p class="form-help">差し入れの累計から返還と仕入れとの相殺を差し引いた残高です。返還・相殺は費用に含めず、資金の戻りとして扱います。</p>
+
+                <div class="monthly-table-container">
+                    <table class="monthly-table deposit-balance-table">
+                        <thead>
+                            <tr><th>店舗</th><th>メーカー</th><th>差し入れ累計</th><th>返還累計</th><th>相殺累計</th><th>残高</th><th>最終取引</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map((row, index) => `
+                            <tr>
+                                <td>${this.escapeHTML(window.depositManager.getStoreName(row.storeId))}</td>
+                                <td>${this.escapeHTML(row.manufacturer)}</td>
+                                <td class="amount">${this.formatNumber(row.payment)}円</td>
+                                <td class="amount">${this.formatNumber(row.refund)}円</td>
+                                <td class="amount">${this.formatNumber(row.offset)}円</td>
+                                <td class="amount ${row.balance < 0 ? 'deficit' : ''}">${this.formatNumber(row.balance)}円</td>
+                                <td>${row.lastYear}年${row.lastMonth}月</td>
+                                <td><button type="button" class="btn btn-secondary" onclick="uiManager.showDepositLedgerRow(${index})">台帳</button></td>
+                            </tr>
+                            `).join('') || '<tr><td colspan="8">保証金のデータがありません</td></tr>'}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td colspan="2">合計</td>
+                                <td class="amount">${this.formatNumber(totals.payment)}円</td>
+                                <td class="amount">${this.formatNumber(totals.refund)}円</td>
+                                <td class="amount">${this.formatNumber(totals.offset)}円</td>
+                                <td class="amount">${this.formatNumber(totals.balance)}円</td>
+                                <td colspan="2"></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 借入金の残高の表示（表示中の年月の月末時点と、その年度の月別推移）
+     */
+    showLoanBalanceReport(year, month) {
+        try {
+            const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+            const fiscalYear = DataModels.getFiscalYear(year, month, this.getFiscalStartMonth());
+            const status = window.loanManager.getLoanStatus(year, month, storeId);
+            const histories = window.loanManager.getLoans(storeId)
+                .map(loan => window.loanManager.getBalanceHistory(loan.id, fiscalYear))
+                .filter(history => history.months.some(row => row.balance !== null));
+            document.getElementById('loan-balance-report').innerHTML = this.generateLoanBalanceReportHTML(status, histories);
+        } catch (error) {
+            console.error('借入金残高レポート生成エラー:', error);
+            document.getElementById('loan-balance-report').innerHTML =
+                `<div class="error-message">借入金残高レポートの生成に失敗しました: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 借入金の残高のHTML生成
+     */
+    generateLoanBalanceReportHTML(status, histories) {
+        const { rows, totals } = status;
+        const methods = LoanManager.getMethods();
+
+        return `
+            <div class="loan-balance-report">
+                <div class="report-header">
+                    <h3>${status.year}年${status.month}月末の借入金残高</h3>
+                </div>
+                <p class="form-help">残高は借入額から登録済みの月々の返済データの元金を差し引いた額です。返済予定表の残高と異なる場合は、返済データの登録漏れや金額の変更がないか確認してください。</p>
+
+                <div class="monthly-table-container">
+                    <table class="monthly-table loan-balance-table">
+                        <thead>
+                            <tr><th>借入先</th><th>返済方式</th><th>借入額</th><th>年利</th><th>返済回数</th><th>元金返済累計</th><th>利息累計</th><th>残高</th><th>予定表の残高</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                            <tr>
+                                <td>${this.escapeHTML(row.loan.lender)}</td>
+                                <td>${methods[row.loan.method]}</td>
+                                <td class="amount">${this.formatNumber(row.loan.principal)}円</td>
+                                <td class="amount">${row.loan.annualRate}%</td>
+                                <td class="amount">${row.paidCount}/${row.termCount}回</td>
+                                <td class="amount">${this.formatNumber(row.paidPrincipal)}円</td>
+                                <td class="amount">${this.formatNumber(row.paidInterest)}円</td>
+                                <td class="amount ${row.balance < 0 ? 'deficit' : ''}">${row.balance === 0 ? '完済' : `${this.formatNumber(row.balance)}円`}</td>
+                                <td class="amount ${row.balance !== row.scheduledBalance ? 'loan-balance-mismatch' : ''}">${this.formatNumber(row.scheduledBalance)}円</td>
+                            </tr>
+                            `).join('') || '<tr><td colspan="9">返済中の借入金がありません</td></tr>'}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td colspan="2">合計</td>
+                                <td class="amount">${this.formatNumber(totals.principal)}円</td>
+                                <td colspan="2"></td>
+                                <td class="amount">${this.formatNumber(totals.paidPrincipal)}円</td>
+                                <td class="amount">${this.formatNumber(totals.paidInterest)}円</td>
+                                <td class="amount">${this.formatNumber(totals.balance)}円</td>
+                                <td class="amount">${this.formatNumber(totals.scheduledBalance)}円</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+
+                ${histories.map(history => `
+                <h4>${this.escapeHTML(window.loanManager.getLoanLabel(history.loan))} ${history.label}の推移</h4>
+                <div class="monthly-table-container">
+                    <table class="monthly-table loan-history-table">
+                        <thead>
+                            <tr><th></th>${history.months.map(row => `<th>${row.month}月</th>`).join('')}<th>年度計</th></tr>
+                        </thead>
+                        <tbody>
+                            <tr><td>返済額</td>${history.months.map(row => `<td class="amount">${row.payment !== 0 ? this.formatNumber(row.payment) : '-'}</td>`).join('')}<td class="amount">${this.formatNumber(history.totals.payment)}</td></tr>
+                            <tr><td>うち元金</td>${history.months.map(row => `<td class="amount">${row.principal !== 0 ? this.formatNumber(row.principal) : '-'}</td>`).join('')}<td class="amount">${this.formatNumber(history.totals.principal)}</td></tr>
+                            <tr><td>うち利息</td>${history.months.map(row => `<td class="amount">${row.interest !== 0 ? this.formatNumber(row.interest) : '-'}</td>`).join('')}<td class="amount">${this.formatNumber(history.totals.interest)}</td></tr>
+                            <tr class="loan-history-balance"><td>月末残高</td>${history.months.map(row => `<td class="amount">${row.balance !== null ? this.formatNumber(row.balance) : ''}</td>`).join('')}<td></td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 残高レポートの行から台帳を表示
+     */
+    showDepositLedgerRow(index) {
+        const row = (this.depositBalanceRows || [])[index];
+        if (row) {
+            this.showDepositLedger(row.manufacturer, row.storeId);
+        }
+    }
+
+    /**
+     * メーカー保証金台帳のダイアログ表示（店舗未指定の場合はアクティブ店舗）
+     */
+    showDepositLedger(manufacturer = null, storeId = null) {
+        if (!window.depositManager) {
+            this.showMessage('保証金台帳が利用できません', 'error');
+            return;
+        }
+
+        this.depositLedgerStoreId = storeId || (window.storeManager ? window.storeManager.getActiveStoreId() : null);
+        this.showModal('メーカー保証金台帳', '<div id="deposit-ledger"></div>');
+        this.renderDepositLedger(manufacturer);
+    }
+
+    /**
+     * メーカー保証金台帳の描画
+     */
+    renderDepositLedger(manufacturer = null) {
+        const container = document.getElementById('deposit-ledger');
+        if (!container) return;
+
+        const storeId = this.depositLedgerStoreId;
+        const names = window.depositManager.getManufacturerNames(storeId);
+        const selected = manufacturer && names.includes(manufacturer) ? manufacturer : names[0];
+        const ledger = selected ? window.depositManager.getLedger(selected, storeId) : null;
+        const types = DataModels.getDepositTransactionTypes();
+
+        container.innerHTML = `
+            <div class="form-group">
+                <label for="deposit-ledger-manufacturer">メーカー</label>
+                <select id="deposit-ledger-manufacturer" onchange="uiManager.renderDepositLedger(this.value)">
+                    ${names.map(name => `<option value="${this.escapeHTML(name)}" ${name === selected ? 'selected' : ''}>${this.escapeHTML(name)}</option>`).join('')}
+                </select>
+                <div class="form-help">${storeId ? `店舗「${this.escapeHTML(window.depositManager.getStoreName(storeId))}」の取引です。` : 'すべての店舗の取引です。'}</div>
+            </div>
+            ${ledger ? `
+            <table class="data-table deposit-ledger-table">
+                <thead>
+                    <tr><th>年月日</th><th>種類</th><th>差し入れ</th><th>返還・相殺</th><th>残高</th><th>備考</th></tr>
+                </thead>
+                <tbody>
+                    ${ledger.entries.map(entry => `
+                    <tr>
+                        <td>${entry.record.year}年${entry.record.month}月${entry.record.day ? `${entry.record.day}日` : ''}</td>
+                        <td>${types[entry.type]}</td>
+                        <td class="amount">${entry.type === 'payment' ? `${this.formatNumber(entry.amount)}円` : ''}</td>
+                        <td class="amount">${entry.type !== 'payment' ? `${this.formatNumber(entry.amount)}円` : ''}</td>
+                        <td class="amount ${entry.balance < 0 ? 'deficit' : ''}">${this.formatNumber(entry.balance)}円</td>
+                        <td>${this.escapeHTML(entry.record.note || '')}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td colspan="4">現在の残高</td><td class="amount">${this.formatNumber(ledger.balance)}円</td><td></td></tr>
+                </tfoot>
+            </table>
+            ` : '<p>保証金のデータがありません</p>'}
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">閉じる</button>
+            </div>
+        `;
+    }
+
+    /**
+     * メーカーマスタのダイアログ表示
+     */
+    showManufacturerManager() {
+        if (!window.manufacturerManager) {
+            this.showMessage('メーカーマスタが利用できません', 'error');
+            return;
+        }
+
+        this.showModal('メーカー', '<div id="manufacturer-manager"></div>');
+        this.renderManufacturerList();
+    }
+
+    /**
+     * メーカー一覧描画
+     */
+    renderManufacturerList() {
+        const container = document.getElementById('manufacturer-manager');
+        if (!container) return;
+
+        const rowsHTML = window.manufacturerManager.getManufacturers().map(manufacturer => `
+            <tr>
+                <td>${this.escapeHTML(manufacturer.name)}</td>
+                <td>${(manufacturer.aliases || []).map(alias => this.escapeHTML(alias)).join('、') || '-'}</td>
+                <td>${window.manufacturerManager.countLinkedRecords(manufacturer)}件</td>
+                <td>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.showManufacturerForm('${manufacturer.id}')">編集</button>
+                    <button type="button" class="btn btn-danger" onclick="uiManager.deleteManufacturer('${manufacturer.id}')">削除</button>
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <p class="calendar-help">仕入れ・メーカー保証金のメーカー名の入力候補です。別名で入力したメーカー名は、登録時に正式名に置き換えます。</p>
+            <table class="data-table manufacturer-table">
+                <thead>
+                    <tr><th>メーカー名</th><th>別名</th><th>データ件数</th><th>操作</th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML || '<tr><td colspan="4">メーカーが登録されていません</td></tr>'}
+                </tbody>
+            </table>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeManufacturerManager()">閉じる</button>
+                <button type="button" class="btn btn-secondary" onclick="uiManager.showManufacturerMergeTool()">表記ゆれの統合</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.showManufacturerForm()">新規登録</button>
+            </div>
+        `;
+    }
+
+    /**
+     * メーカーの登録・編集フォーム描画
+     */
+    showManufacturerForm(manufacturerId = null) {
+        const container = document.getElementById('manufacturer-manager');
+        if (!container) return;
+
+        const manufacturer = manufacturerId ? window.manufacturerManager.getManufacturerById(manufacturerId) : null;
+
+        container.innerHTML = `
+            <form id="manufacturer-form" class="data-form">
+                <div class="form-errors" id="manufacturer-form-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="manufacturer-name">メーカー名（正式名） <span class="required">*</span></label>
+                    <input type="text" id="manufacturer-name" name="name" maxlength="100" value="${manufacturer ? this.escapeHTML(manufacturer.name) : ''}" required>
+                </div>
+                <div class="form-group">
+                    <label for="manufacturer-aliases">別名</label>
+                    <textarea id="manufacturer-aliases" name="aliases" rows="3" placeholder="略称や英語表記など（1行に1つ、または読点区切り）">${manufacturer ? this.escapeHTML((manufacturer.aliases || []).join('\n')) : ''}</textarea>
+                    <div class="form-help">全角・半角、大文字・小文字、空白、「株式会社」「(株)」の有無の違いは別名を登録しなくても同じメーカーとして扱います。</div>
+                </div>
+                <div class="form-group">
+                    <label for="manufacturer-note">備考</label>
+                    <textarea id="manufacturer-note" name="note" maxlength="200" rows="2">${manufacturer ? this.escapeHTML(manufacturer.note || '') : ''}</textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.renderManufacturerList()">戻る</button>
+                    <button type="submit" class="btn btn-primary">${manufacturer ? '更新' : '登録'}</button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('manufacturer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleManufacturerSubmit(manufacturerId);
+        });
+    }
+
+    /**
+     * メーカーフォーム送信処理
+     */
+    handleManufacturerSubmit(manufacturerId = null) {
+        const manufacturerData = Object.fromEntries(new FormData(document.getElementById('manufacturer-form')).entries());
+        try {
+            const manufacturer = manufacturerId
+                ? window.manufacturerManager.updateManufacturer(manufacturerId, manufacturerData)
+                : window.manufacturerManager.addManufacturer(manufacturerData);
+            this.toastManager.show(`メーカー「${this.escapeHTML(manufacturer.name)}」を${manufacturerId ? '更新' : '登録'}しました`, 'success', 2000);
+            this.renderManufacturerList();
+        } catch (error) {
+            const errorContainer = document.getElementById('manufacturer-form-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * メーカーの削除
+     */
+    deleteManufacturer(manufacturerId) {
+        try {
+            const manufacturer = window.manufacturerManager.getManufacturerById(manufacturerId);
+            if (!confirm(`メーカー「${manufacturer.name}」を削除しますか？\n（入力済みのデータのメーカー名は変わりません）`)) {
+                return;
+            }
+            window.manufacturerManager.deleteManufacturer(manufacturerId);
+            this.toastManager.show(`メーカー「${this.escapeHTML(manufacturer.name)}」を削除しました`, 'success', 2000);
+            this.renderManufacturerList();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    /**
+     * 表記ゆれの統合画面の描画
+     */
+    showManufacturerMergeTool() {
+        const container = document.getElementById('manufacturer-manager');
+        if (!container) return;
+
+        this.manufacturerVariants = window.manufacturerManager.findVariants();
+        const groupsHTML = this.manufacturerVariants.map((group, index) => `
+            <div class="manufacturer-variant-group">
+                <div class="manufacturer-variant-names">
+                    ${group.names.map((item, nameIndex) => `
+                    <label>
+                        <input type="checkbox" name="variant-${index}" value="${nameIndex}" ${item.name !== group.target ? 'checked' : ''}>
+                        ${this.escapeHTML(item.name)}（${item.count}件）
+                    </label>
+                    `).join('')}
+                </div>
+                <div class="manufacturer-variant-target">
+                    <label for="variant-target-${index}">統合先</label>
+                    <input type="text" id="variant-target-${index}" maxlength="100" value="${this.escapeHTML(group.target)}" list="manufacturer-options" autocomplete="off">
+                    <button type="button" class="btn btn-primary" onclick="uiManager.mergeManufacturerVariants(${index})">統合</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <p class="calendar-help">同じメーカーと思われる表記を、仕入れ・メーカー保証金の全店舗のデータでまとめて書き換えます。統合した表記は統合先のメーカーの別名として登録します。候補に出ない表記は、メーカーの別名に登録すると候補に表示されます。</p>
+            ${this.generateManufacturerDatalist()}
+            ${groupsHTML || '<p>表記ゆれは見つかりませんでした</p>'}
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.renderManufacturerList()">戻る</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 選択した表記の統合
+     */
+    mergeManufacturerVariants(index) {
+        const group = (this.manufacturerVariants || [])[index];
+        if (!group) return;
+
+        const names = [...document.querySelectorAll(`input[name="variant-${index}"]:checked`)]
+            .map(input => group.names[Number(input.value)].name);
+        const target = document.getElementById(`variant-target-${index}`).value.trim();
+        const count = group.names.filter(item => names.includes(item.name) && item.name !== target)
+            .reduce((sum, item) => sum + item.count, 0);
+        if (!confirm(`${names.length}種類の表記（${count}件）を「${target}」に統合しますか？`)) {
+            return;
+        }
+
+        try {
+            const result = window.manufacturerManager.mergeNames(names, target);
+            let message = `${result.updated}件のメーカー名を「${target}」に統合しました`;
+            if (result.skipped > 0) {
+                message += `（締め済みの月の${result.skipped}件は変更していません）`;
+            }
+            this.toastManager.show(message, result.skipped > 0 ? 'warning' : 'success', 4000);
+            this.showManufacturerMergeTool();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    /**
+     * メーカーダイアログを閉じて画面を更新
+     */
+    closeManufacturerManager() {
+        this.hideModal();
+        this.showSection(this.currentSection);
+    }
+
+    /**
+     * 借入金のダイアログ表示
+     */
+    showLoanManager() {
+        if (!window.loanManager) {
+            this.showMessage('借入金の管理が利用できません', 'error');
+            return;
+        }
+
+        this.showModal('借入金', '<div id="loan-manager"></div>');
+        this.renderLoanList();
+    }
+
+    /**
+     * 借入金一覧描画（アクティブ店舗）
+     */
+    renderLoanList() {
+        const container = document.getElementById('loan-manager');
+        if (!container) return;
+
+        const storeId = window.storeManager ? window.storeManager.getActiveStoreId() : null;
+        const methods = LoanManager.getMethods();
+        const rowsHTML = window.loanManager.getLoans(storeId).map(loan => `
+            <tr>
+                <td>${this.escapeHTML(loan.lender)}</td>
+                <td>${loan.startYear}年${loan.startMonth}月</td>
+                <td class="amount">${this.formatNumber(loan.principal)}円</td>
+                <td class="amount">${loan.annualRate}%</td>
+                <td class="amount">${loan.termMonths}回</td>
+                <td>${methods[loan.method]}</td>
+                <td>${window.loanManager.getLinkedRecords(loan.id).length}件</td>
+                <td>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.showLoanForm('${loan.id}')">編集</button>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.showLoanSchedule('${loan.id}')">返済予定表</button>
+                    <button type="button" class="btn btn-danger" onclick="uiManager.deleteLoan('${loan.id}')">削除</button>
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <p class="calendar-help">借入金ごとに返済予定表を作成し、月々の返済データ（元金と利息の内訳付き）として登録します。利息は支払利息として費用に計上し、元金の返済は利益に含めません。</p>
+            <table class="data-table loan-table">
+                <thead>
+                    <tr><th>借入先</th><th>返済開始</th><th>借入額</th><th>年利</th><th>返済回数</th><th>返済方式</th><th>返済データ</th><th>操作</th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML || '<tr><td colspan="8">借入金が登録されていません</td></tr>'}
+                </tbody>
+            </table>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeLoanManager()">閉じる</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.showLoanForm()">新規登録</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 借入金の登録・編集フォーム描画
+     */
+    showLoanForm(loanId = null) {
+        const container = document.getElementById('loan-manager');
+        if (!container) return;
+
+        const loan = loanId ? window.loanManager.getLoanById(loanId) : null;
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const value = (field, fallback = '') => loan && loan[field] !== null && loan[field] !== undefined ? this.escapeHTML(String(loan[field])) : fallback;
+
+        container.innerHTML = `
+            <form id="loan-form" class="data-form">
+                <div class="form-errors" id="loan-form-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="loan-lender">借入先 <span class="required">*</span></label>
+                    <input type="text" id="loan-lender" name="lender" maxlength="100" value="${value('lender')}" required>
+                    <div class="form-help">月々の返済データの返済先になります。</div>
+                </div>
+                <div class="form-group">
+                    <label for="loan-principal">借入額 <span class="required">*</span></label>
+                    <input type="number" id="loan-principal" name="principal" min="1" step="1" value="${value('principal')}" required>
+                </div>
+                <div class="form-group">
+                    <label for="loan-annual-rate">年利（%） <span class="required">*</span></label>
+                    <input type="number" id="loan-annual-rate" name="annualRate" min="0" max="100" step="0.001" value="${value('annualRate')}" required>
+                </div>
+                <div class="form-group">
+                    <label for="loan-term-months">返済回数（月数） <span class="required">*</span></label>
+                    <input type="number" id="loan-term-months" name="termMonths" min="1" max="600" step="1" value="${value('termMonths')}" required>
+                </div>
+                <div class="form-group">
+                    <label for="loan-start-year">返済開始年月 <span class="required">*</span></label>
+                    <input type="number" id="loan-start-year" name="startYear" min="2000" max="2100" value="${value('startYear', globalDate.year)}" required>
+                    <select id="loan-start-month" name="startMonth" required>
+                        ${Array.from({ length: 12 }, (_, index) => index + 1).map(month =>
+                            `<option value="${month}" ${month === (loan ? loan.startMonth : globalDate.month) ? 'selected' : ''}>${month}月</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="loan-method">返済方式 <span class="required">*</span></label>
+                    <select id="loan-method" name="method" required>
+                        ${Object.entries(LoanManager.getMethods()).map(([method, label]) =>
+                            `<option value="${method}" ${method === (loan ? loan.method : 'equalPayment') ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                    <div class="form-help">元利均等返済は毎月の返済額が一定、元金均等返済は毎月の元金が一定で利息の分だけ返済額が減っていきます。</div>
+                </div>
+                <div class="form-group">
+                    <label for="loan-payment-day">返済日</label>
+                    <input type="number" id="loan-payment-day" name="paymentDay" min="1" max="31" value="${value('paymentDay')}" placeholder="省略時は月単位で登録">
+                    <div class="form-help">月の日数を超える日は月末日で登録します。</div>
+                </div>
+                <div class="form-group">
+                    <label for="loan-note">備考</label>
+                    <textarea id="loan-note" name="note" maxlength="200" rows="2">${value('note')}</textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.renderLoanList()">戻る</button>
+                    <button type="submit" class="btn btn-primary">${loan ? '更新' : '登録'}</button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('loan-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLoanSubmit(loanId);
+        });
+    }
+
+    /**
+     * 借入金フォーム送信処理（登録・更新後は返済予定表を表示）
+     */
+    handleLoanSubmit(loanId = null) {
+        const loanData = Object.fromEntries(new FormData(document.getElementById('loan-form')).entries());
+        try {
+            const loan = loanId
+                ? window.loanManager.updateLoan(loanId, loanData)
+                : window.loanManager.addLoan(loanData);
+            this.toastManager.show(`借入金「${this.escapeHTML(loan.lender)}」を${loanId ? '更新' : '登録'}しました`, 'success', 2000);
+            this.showLoanSchedule(loan.id);
+        } catch (error) {
+            const errorContainer = document.getElementById('loan-form-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * 返済予定表の描画（登録済みの返済データとの照合付き）
+     */
+    showLoanSchedule(loanId) {
+        const container = document.getElementById('loan-manager');
+        if (!container) return;
+
+        const loan = window.loanManager.getLoanById(loanId);
+        const schedule = LoanManager.buildSchedule(loan);
+        const records = window.loanManager.getLinkedRecords(loanId);
+        const recordStatus = row => {
+            const record = records.find(item => item.year === row.year && item.month === row.month);
+            if (!record) {
+                return '未作成';
+            }
+            return record.amount === row.payment && record.interest === row.interest ? '登録済み' : '金額が異なる';
+        };
+        const total = key => schedule.reduce((sum, row) => sum + row[key], 0);
+
+        container.innerHTML = `
+            <p class="calendar-help">${this.escapeHTML(loan.lender)} ${this.formatNumber(loan.principal)}円・年利${loan.annualRate}%・${loan.termMonths}回（${LoanManager.getMethods()[loan.method]}）</p>
+            <table class="data-table loan-schedule-table">
+                <thead>
+                    <tr><th>回</th><th>年月</th><th>返済額</th><th>うち元金</th><th>うち利息</th><th>返済後の残高</th><th>返済データ</th></tr>
+                </thead>
+                <tbody>
+                    ${schedule.map(row => `
+                    <tr>
+                        <td>${row.number}</td>
+                        <td>${row.year}年${row.month}月</td>
+                        <td class="amount">${this.formatNumber(row.payment)}円</td>
+                        <td class="amount">${this.formatNumber(row.principal)}円</td>
+                        <td class="amount">${this.formatNumber(row.interest)}円</td>
+                        <td class="amount">${this.formatNumber(row.balance)}円</td>
+                        <td>${recordStatus(row)}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="2">合計</td>
+                        <td class="amount">${this.formatNumber(total('payment'))}円</td>
+                        <td class="amount">${this.formatNumber(total('principal'))}円</td>
+                        <td class="amount">${this.formatNumber(total('interest'))}円</td>
+                        <td colspan="2"></td>
+                    </tr>
+                </tfoot>
+            </table>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.renderLoanList()">戻る</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.generateLoanRecords('${loan.id}')">返済データを作成</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 返済予定表から月々の返済データを作成
+     */
+    generateLoanRecords(loanId) {
+        try {
+            const loan = window.loanManager.getLoanById(loanId);
+            const count = window.loanManager.getLinkedRecords(loanId).length;
+            const message = count > 0
+                ? `「${loan.lender}」の返済データ（${count}件）を返済予定表に合わせて更新しますか？\n（予定表にない月の返済データは削除します。締め済みの月は変更しません）`
+                : `「${loan.lender}」の返済予定表から月々の返済データを作成しますか？`;
+            if (!confirm(message)) {
+                return;
+            }
+
+            const result = window.loanManager.generateRecords(loanId);
+            let summary = `返済データを作成しました（追加${result.added}件・更新${result.updated}件・削除${result.deleted}件）`;
+            if (result.skipped > 0) {
+                summary += `。締め済みの月の${result.skipped}件は変更していません`;
+            }
+            this.toastManager.show(summary, result.skipped > 0 ? 'warning' : 'success', 4000);
+            this.showLoanSchedule(loanId);
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    /**
+     * 借入金の削除（返済データがある場合は合わせて削除）
+     */
+    deleteLoan(loanId) {
+        try {
+            const loan = window.loanManager.getLoanById(loanId);
+            const count = window.loanManager.getLinkedRecords(loanId).length;
+            const message = count > 0
+                ? `借入金「${loan.lender}」を削除しますか？\n返済予定表から作成した月々の返済データ（${count}件）も削除します。`
+                : `借入金「${loan.lender}」を削除しますか？`;
+            if (!confirm(message)) {
+                return;
+            }
+            window.loanManager.deleteLoan(loanId, true);
+            this.toastManager.show(`借入金「${this.escapeHTML(loan.lender)}」を削除しました`, 'success', 2000);
+            this.renderLoanList();
+        } catch (error) {
+            this.toastManager.show(error.message, 'error', 4000);
+        }
+    }
+
+    /**
+     * 借入金ダイアログを閉じて画面を更新
+     */
+    closeLoanManager() {
+        this.hideModal();
+        this.showSection(this.currentSection);
+    }
+
+    /**
+     * 期首現金残高設定フォーム表示（アクティブ店舗）
+     */
+    showOpeningBalanceForm() {
+        const store = window.storeManager.getActiveStore();
+        if (!store) {
+            this.showMessage('店舗が選択されていません', 'error');
+            return;
+        }
+
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const startMonth = this.getFiscalStartMonth();
+        const fiscalYear = DataModels.getFiscalYear(globalDate.year, globalDate.month, startMonth);
+        const opening = window.storeManager.getOpeningBalance(store.id) || { amount: '', year: fiscalYear, month: startMonth };
+
+        let monthOptions = '';
+        for (let month = 1; month <= 12; month++) {
+            monthOptions += `<option value="${month}" ${month === opening.month ? 'selected' : ''}>${month}月</option>`;
+        }
+
+        const content = `
+            <form id="opening-balance-form" class="data-form">
+                <div class="form-errors" id="opening-balance-errors" style="display: none;"></div>
+                <p>${store.name}の現金・預金残高を入力してください。指定した月の月初時点の残高として扱います。</p>
+                <div class="form-group">
+                    <label for="opening-balance-year">基準年月 <span class="required">*</span></label>
+                    <div class="date-input-group">
+                        <input type="number" id="opening-balance-year" name="year" min="2000" max="2100" value="${opening.year}" required>
+                        <select id="opening-balance-month" name="month" required>${monthOptions}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="opening-balance-amount">残高 <span class="required">*</span></label>
+                    <input type="number" id="opening-balance-amount" name="amount" step="1" value="${opening.amount}" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('期首残高設定', content);
+
+        document.getElementById('opening-balance-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleOpeningBalanceSubmit();
+        });
+    }
+
+    /**
+     * 期首現金残高の保存
+     */
+    handleOpeningBalanceSubmit() {
+        const formData = new FormData(document.getElementById('opening-balance-form'));
+        try {
+            window.storeManager.setOpeningBalance(
+                window.storeManager.getActiveStoreId(),
+                formData.get('amount'),
+                formData.get('year'),
+                formData.get('month')
+            );
+            this.hideModal();
+            this.showMessage('期首残高を保存しました', 'success');
+
+            const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+            this.showCashFlowReport(globalDate.year, globalDate.month);
+        } catch (error) {
+            const errorContainer = document.getElementById('opening-balance-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * 予算設定フォーム表示（アクティブ店舗・指定月）
+     */
+    showBudgetForm(year, month) {
+        if (!window.budgetManager) {
+            this.showMessage('予算管理機能が利用できません', 'error');
+            return;
+        }
+
+        const storeId = window.storeManager.getActiveStoreId();
+        const budget = window.budgetManager.getMonthlyBudget(storeId, year, month);
+        const categories = window.budgetManager.getBudgetCategories();
+
+        const content = `
+            <form id="budget-form" class="data-form">
+                <div class="form-errors" id="budget-form-errors" style="display: none;"></div>
+                <p>${year}年${month}月の予算（空欄は予算なし）</p>
+                ${categories.map(category => `
+                <div class="form-group">
+                    <label for="budget-${category}">${this.getCategoryDisplayName(category)}</label>
+                    <input type="number" id="budget-${category}" name="${category}" min="0" step="1"
+                           value="${budget[category] !== null ? budget[category] : ''}">
+                </div>
+                `).join('')}
+                ${month < 12 ? `
+                <div class="form-group">
+                    <label><input type="checkbox" name="applyToRestOfYear"> ${month + 1}月〜12月にも同じ予算を設定する</label>
+                </div>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('予算設定', content);
+
+        document.getElementById('budget-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBudgetSubmit(year, month);
+        });
+    }
+
+    /**
+     * 予算設定フォーム送信処理
+     */
+    handleBudgetSubmit(year, month) {
+        const form = document.getElementById('budget-form');
+        const formData = new FormData(form);
+        const amounts = {};
+        window.budgetManager.getBudgetCategories().forEach(category => {
+            amounts[category] = formData.get(category);
+        });
+
+        const targetMonths = [];
+        if (formData.get('applyToRestOfYear')) {
+            for (let targetMonth = month + 1; targetMonth <= 12; targetMonth++) {
+                targetMonths.push(targetMonth);
+            }
+        }
+
+        try {
+            const result = window.budgetManager.setMonthlyBudget(window.storeManager.getActiveStoreId(), year, month, amounts, targetMonths);
+            this.hideModal();
+            this.showMessage(`予算を保存しました（${result.months}か月分）`, 'success');
+            this.showBudgetReport(year, month);
+        } catch (error) {
+            const errorContainer = document.getElementById('budget-form-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * 店舗管理画面表示
+     */
+    showStoreManagement() {
+        if (!window.storeManager) {
+            this.contentArea.innerHTML = '<div class="error-message">店舗管理機能が利用できません。</div>';
+            return;
+        }
+
+        const stores = window.storeManager.getStores();
+        const activeStore = window.storeManager.getActiveStore();
+
+        this.contentArea.innerHTML = `
+            <div class="section-header">
+                <h2>店舗管理</h2>
+                <div class="section-controls">
+                    <button class="btn btn-secondary" onclick="uiManager.showDataMoveHistory()">
+                        📋 データ移動履歴
+                    </button>
+                    <button class="btn btn-secondary" onclick="uiManager.showTrash()">
+                        🗑 ゴミ箱
+                    </button>
+                    <button class="btn btn-secondary" onclick="uiManager.showMonthlyClosing()">
+                        🔒 月次締め
+                    </button>
+                    <button class="btn btn-secondary" onclick="uiManager.showExpenseCategoryManager()">
+                        🗂 経費カテゴリー管理
+                    </button>
+                    <button class="btn btn-secondary" onclick="uiManager.showFiscalSettings()">
+                        📅 会計年度設定
+                    </button>
+                    <div class="current-store-display">
+                        <span class="store-label">アクティブ店舗:</span>
+                        <span class="store-value">${activeStore ? activeStore.name : 'なし'}</span>
+                        <span class="store-count">(${stores.length}店舗)</span>
+                    </div>
+                    <button class="btn" onclick="uiManager.showStoreForm()">新規店舗追加</button>
+                </div>
+            </div>
+            <div id="store-display">
+                ${this.renderStoreTable(stores)}
+            </div>
+            <div id="store-form-container" style="display: none;">
+                <!-- 店舗フォームは動的に生成 -->
+            </div>
+        `;
+    }
+
+    /**
+     * 会計年度設定ダイアログ表示
+     */
+    showFiscalSettings() {
+        const startMonth = this.getFiscalStartMonth();
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+
+        let monthOptions = '';
+        for (let month = 1; month <= 12; month++) {
+            monthOptions += `<option value="${month}" ${month === startMonth ? 'selected' : ''}>${month}月</option>`;
+        }
+
+        const content = `
+            <form id="fiscal-settings-form" class="data-form">
+                <div class="form-errors" id="fiscal-settings-errors" style="display: none;"></div>
+                <div class="form-group">
+                    <label for="fiscal-start-month">期首月</label>
+                    <select id="fiscal-start-month" name="startMonth"
+                            onchange="document.getElementById('fiscal-settings-preview').textContent = DataModels.getFiscalYearLabel(DataModels.getFiscalYear(${globalDate.year}, ${globalDate.month}, Number(this.value)), Number(this.value))">
+                        ${monthOptions}
+                    </select>
+                </div>
+                <p>表示中の年度: <strong id="fiscal-settings-preview">${DataModels.getFiscalYearLabel(DataModels.getFiscalYear(globalDate.year, globalDate.month, startMonth), startMonth)}</strong></p>
+                <p class="form-help">年間レポート・年単位のエクスポート・統合レポート（年度集計）がこの期間で集計されます。1月を選ぶと暦年になります。</p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('会計年度設定', content);
+
+        document.getElementById('fiscal-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFiscalSettingsSubmit();
+        });
+    }
+
+    /**
+     * 会計年度設定の保存
+     */
+    handleFiscalSettingsSubmit() {
+        const select = document.getElementById('fiscal-start-month');
+        try {
+            window.storeManager.setFiscalStartMonth(select.value);
+            this.hideModal();
+            this.showMessage(`会計年度の期首月を${select.value}月に設定しました`, 'success');
+        } catch (error) {
+            const errorContainer = document.getElementById('fiscal-settings-errors');
+            if (errorContainer) {
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * 店舗テーブル表示
+     */
+    renderStoreTable(stores) {
+        if (stores.length === 0) {
+            return '<p>店舗がありません。新規店舗追加ボタンから店舗を追加してください。</p>';
+        }
+
+        let tableHTML = '<table class="data-table"><thead><tr>';
+        tableHTML += '<th>店舗名</th><th>住所</th><th>開店日</th><th>備考</th><th>状態</th><th>操作</th>';
+        tableHTML += '</tr></thead><tbody>';
+
+        const activeStoreId = window.storeManager.getActiveStoreId();
+
+        stores.forEach(store => {
+            const isActive = store.id === activeStoreId;
+            tableHTML += `<tr ${isActive ? 'class="active-store"' : ''}>`;
+            tableHTML += `<td><strong>${store.name}</strong></td>`;
+            tableHTML += `<td>${store.address || '-'}</td>`;
+            tableHTML += `<td>${store.openDate || '-'}</td>`;
+            tableHTML += `<td>${store.note || '-'}</td>`;
+            tableHTML += `<td>${isActive ? '<span class="status-active">アクティブ</span>' : '<span class="status-inactive">非アクティブ</span>'}</td>`;
+            tableHTML += `<td>`;
+            if (!isActive) {
+                tableHTML += `<button class="btn btn-secondary" onclick="uiManager.setActiveStore('${store.id}')">アクティブにする</button> `;
+            }
+            tableHTML += `<button class="btn btn-secondary" onclick="uiManager.showStoreEditForm('${store.id}')">編集</button> `;
+            if (stores.length > 1 && store.id !== 'default-store') {
+                tableHTML += `<button class="btn btn-danger" onclick="uiManager.deleteStore('${store.id}')">削除</button>`;
+            }
+            tableHTML += `</td>`;
+            tableHTML += '</tr>';
+        });
+
+        tableHTML += '</tbody></table>';
+        return tableHTML;
+    }
+
+    /**
+     * 店舗フォーム表示
+     */
+    showStoreForm(storeData = null) {
+        const isEdit = storeData !== null;
+        const formTitle = isEdit ? '店舗編集' : '新規店舗追加';
+        
+        const formContainer = document.getElementById('store-form-container');
+        formContainer.innerHTML = `
+            <div class="form-overlay">
+                <div class="form-modal">
+                    <div class="form-header">
+                        <h3>${formTitle}</h3>
+                        <button class="close-btn" onclick="uiManager.hideStoreForm()">&times;</button>
+                    </div>
+                    <form class="data-form" id="store-form">
+                        <div class="form-group">
+                            <label for="store-name">店舗名 <span class="required">*</span></label>
+                            <input type="text" id="store-name" name="name" value="${storeData ? storeData.name : ''}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="store-address">住所</label>
+                            <input type="text" id="store-address" name="address" value="${storeData ? storeData.address : ''}">
+                        </div>
+                        <div class="form-group">
+                            <label for="store-openDate">開店日</label>
+                            <input type="date" id="store-openDate" name="openDate" value="${storeData ? storeData.openDate : ''}">
+                        </div>
+                        <div class="form-group">
+                            <label for="store-note">備考</label>
+                            <textarea id="store-note" name="note">${storeData ? storeData.note : ''}</textarea>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" onclick="uiManager.hideStoreForm()">キャンセル</button>
+                            <button type="submit" class="btn btn-primary">${isEdit ? '更新' : '追加'}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        
+        formContainer.style.display = 'block';
+        
+        // フォーム送信イベント
+        document.getElementById('store-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleStoreFormSubmit(isEdit ? storeData.id : null);
+        });
+    }
+
+    /**
+     * 店舗編集フォーム表示
+     */
+    showStoreEditForm(storeId) {
+        try {
+            const store = window.storeManager.getStoreById(storeId);
+            this.showStoreForm(store);
+        } catch (error) {
+            this.showMessage('店舗情報の取得に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 店舗フォーム非表示
+     */
+    hideStoreForm() {
+        const formContainer = document.getElementById('store-form-container');
+        formContainer.style.display = 'none';
+        formContainer.innerHTML = '';
+    }
+
+    /**
+     * 店舗フォーム送信処理
+     */
+    handleStoreFormSubmit(storeId = null) {
+        try {
+            const formData = new FormData(document.getElementById('store-form'));
+            const storeData = {
+                name: formData.get('name'),
+                address: formData.get('address'),
+                openDate: formData.get('openDate'),
+                note: formData.get('note')
+            };
+
+            if (storeId) {
+                // 更新
+                window.storeManager.updateStore(storeId, storeData);
+                this.showMessage('店舗情報を更新しました', 'success');
+            } else {
+                // 新規追加
+                window.storeManager.addStore(storeData);
+                this.showMessage('新しい店舗を追加しました', 'success');
+            }
+
+            this.hideStoreForm();
+            this.showStoreManagement(); // 画面を再描画
+            
+            // グローバル店舗選択も更新
+            if (window.app) {
+                window.app.initGlobalStoreSelector();
+            }
+
+        } catch (error) {
+            this.showMessage('店舗の保存に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * アクティブ店舗設定
+     */
+    setActiveStore(storeId) {
+        try {
+            window.storeManager.setActiveStore(storeId);
+            this.showMessage('アクティブ店舗を変更しました', 'success');
+            this.showStoreManagement(); // 画面を再描画
+            
+            // グローバル店舗選択も更新
+            if (window.app) {
+                window.app.initGlobalStoreSelector();
+            }
+        } catch (error) {
+            this.showMessage('アクティブ店舗の変更に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 店舗削除
+     * 店舗にレコードがある場合は、ゴミ箱に入れる・別の店舗へ移動する・残すを選んでから削除する
+     */
+    deleteStore(storeId) {
+        try {
+            window.storeManager.assertCanDeleteStore(storeId);
+            const store = window.storeManager.getStoreById(storeId);
+            const storeData = this.dataManager.getDataByStore(storeId);
+            const recordCount = Object.values(storeData).reduce((total, records) => total + records.length, 0);
+
+            if (recordCount === 0) {
+                if (confirm(`店舗「${store.name}」を削除しますか？`)) {
+                    this.completeStoreDeletion(storeId);
+                }
+                return;
+            }
+
+            const otherStores = window.storeManager.getStores().filter(item => item.id !== storeId);
+            const storeOptions = otherStores
+                .map(item => `<option value="${item.id}">${this.escapeHTML(item.name)}</option>`)
+                .join('');
+
+            const content = `
+                <form id="store-delete-form" class="data-form">
+                    <div class="form-errors" id="store-delete-errors" style="display: none;"></div>
+                    <p>店舗「${this.escapeHTML(store.name)}」には${recordCount}件のデータがあります。データの扱いを選んでください。</p>
+                    <div class="form-group store-delete-options">
+                        <label><input type="radio" name="recordHandling" value="trash" checked> ゴミ箱に入れる（保存期間内は復元できます）</label>
+                        <label><input type="radio" name="recordHandling" value="move"> 別の店舗へ移動する</label>
+                        <select id="store-delete-target" name="targetStoreId">${storeOptions}</select>
+                        <label><input type="radio" name="recordHandling" value="keep"> そのまま残す（「すべての店舗」の集計に含まれ、後から移動できます）</label>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                        <button type="submit" class="btn btn-danger">店舗を削除</button>
+                    </div>
+                </form>
+            `;
+
+            this.showModal('店舗の削除', content);
+            document.getElementById('store-delete-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleStoreDeleteSubmit(storeId);
+            });
+        } catch (error) {
+            this.showMessage('店舗の削除に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 店舗削除ダイアログの実行（レコードの扱いを反映してから店舗を削除）
+     */
+    handleStoreDeleteSubmit(storeId) {
+        const form = document.getElementById('store-delete-form');
+        const handling = form.querySelector('input[name="recordHandling"]:checked').value;
+        const targetStoreId = document.getElementById('store-delete-target').value;
+        const errorContainer = document.getElementById('store-delete-errors');
+
+        try {
+            // レコードを処理してから店舗の削除に失敗しないよう、先に削除できるか確認する
+            window.storeManager.assertCanDeleteStore(storeId);
+            const store = window.storeManager.getStoreById(storeId);
+            const storeData = this.dataManager.getDataByStore(storeId);
+
+            if (handling === 'move' && !targetStoreId) {
+                throw new Error('移動先の店舗を選択してください');
+            }
+
+            if (handling !== 'keep') {
+                // 締め済みの月を含む場合は途中まで処理しないよう先に確認する
+                const records = Object.values(storeData).flat();
+                this.dataManager.assertPeriodsOpen(handling === 'move'
+                    ? [...records, ...records.map(record => ({ ...record, storeId: targetStoreId }))]
+                    : records);
+                this.dataManager.beginBatch(`店舗「${store.name}」の削除`, { source: 'form', note: `店舗「${store.name}」の削除` });
+                try {
+                    Object.entries(storeData).forEach(([category, records]) => {
+                        if (records.length === 0) return;
+                        if (handling === 'move') {
+                            this.dataManager.moveRecordsToStore(records.map(record => record.id), category, targetStoreId);
+                        } else {
+                            records.forEach(record => this.dataManager.deleteRecord(category, record.id));
+                        }
+                    });
+                } finally {
+                    this.dataManager.endBatch();
+                }
+            }
+
+            this.hideModal();
+            this.completeStoreDeletion(storeId);
+        } catch (error) {
+            if (errorContainer) {
+                errorContainer.textContent = '店舗の削除に失敗しました: ' + error.message;
+                errorContainer.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * 店舗の削除と画面の更新
+     */
+    completeStoreDeletion(storeId) {
+        try {
+            window.storeManager.deleteStore(storeId);
+            this.showMessage('店舗を削除しました', 'success');
+            this.showStoreManagement(); // 画面を再描画
+            
+            // グローバル店舗選択も更新
+            if (window.app) {
+                window.app.initGlobalStoreSelector();
+            }
+        } catch (error) {
+            this.showMessage('店舗の削除に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * ワンクリックエクスポート機能
+     */
+    async oneClickExport() {
+        try {
+            const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+            const storeName = activeStore ? activeStore.name : 'AllStores';
+            const currentDate = new Date();
+            const dateString = currentDate.toISOString().split('T')[0]; // YYYY-MM-DD形式
+            
+            // 自動ファイル名生成
+            const filename = `kaikei-${dateString}-${storeName}`;
+            
+            const result = await this.dataManager.exportToFile(filename);
+            
+            if (result.success) {
+                this.showMessage(`データを「${result.filename}」としてエクスポートしました`, 'success');
+            } else {
+                throw new Error('エクスポートに失敗しました');
+            }
+            
+        } catch (error) {
+            console.error('ワンクリックエクスポートエラー:', error);
+            this.showMessage('エクスポートに失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 現在の店舗のみエクスポート
+     */
+    exportCurrentStoreOnly() {
+        try {
+            const activeStore = window.storeManager ? window.storeManager.getActiveStore() : null;
+            
+            if (!activeStore) {
+                this.showMessage('店舗が選択されていません', 'error');
+                return;
+            }
+            
+            const storeData = this.dataManager.getDataByStore(activeStore.id);
+            const currentDate = new Date();
+            const dateString = currentDate.toISOString().split('T')[0];
+            
+            // 店舗情報も含めてエクスポート
+            const exportData = {
+                store: activeStore,
+                data: storeData,
+                exportInfo: {
+                    exportDate: new Date().toISOString(),
+                    exportType: 'single-store',
+                    storeName: activeStore.name,
+                    version: '1.0'
+                }
+            };
+            
+            const jsonData = JSON.stringify(exportData, null, 2);
+            const blob = new Blob([jsonData], { type: 'application/json' });
+            
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `kaikei-${dateString}-${activeStore.name}-only.json`;
+            
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            
+            URL.revokeObjectURL(url);
+            
+            this.showMessage(`店舗「${activeStore.name}」のデータをエクスポートしました`, 'success');
+            
+        } catch (error) {
+            console.error('店舗別エクスポートエラー:', error);
+            this.showMessage('エクスポートに失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * ファイル選択ダイアログを開く
+     */
+    selectImportFile() {
+        const fileInput = document.getElementById('import-file-input');
+        fileInput.click();
+    }
+
+    /**
+     * ドラッグ&ドロップとファイル選択の初期化
+     */
+    initializeFileImport() {
+        const dropZone = document.getElementById('file-drop-zone');
+        const fileInput = document.getElementById('import-file-input');
+        
+        if (!dropZone || !fileInput) return;
+
+        // ドラッグ&ドロップイベント
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+
+        dropZone.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            
+            const files = e.dataTransfer.files;
+            if (files.length > 0) {
+                this.handleImportFile(files[0]);
+            }
+        });
+
+        // ファイル選択イベント
+        fileInput.addEventListener('change', (e) => {
+            const files = e.target.files;
+            if (files.length > 0) {
+                this.handleImportFile(files[0]);
+            }
+        });
+    }
+
+    /**
+     * インポートファイル処理
+     */
+    async handleImportFile(file) {
+        try {
+            if (!file.name.endsWith('.json')) {
+                this.showMessage('JSONファイルを選択してください', 'error');
+                return;
+            }
+
+            this.showMessage('ファイルを読み込み中...', 'info');
+
+            const fileContent = await this.readFileAsText(file);
+            const importData = JSON.parse(fileContent);
+
+            // データ形式の判定
+            if (importData.exportInfo && importData.exportInfo.exportType === 'single-store') {
+                // 単一店舗データのインポート
+                await this.importSingleStoreData(importData);
+            } else {
+                // 全データのインポート
+                await this.importAllData(importData);
+            }
+
+        } catch (error) {
+            console.error('ファイルインポートエラー:', error);
+            this.showMessage('ファイルのインポートに失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * ファイルをテキストとして読み込み
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(new Error('ファイルの読み込みに失敗しました'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * 単一店舗データのインポート
+     */
+    async importSingleStoreData(importData) {
+        try {
+            const { store, data, exportInfo } = importData;
+            
+            if (!store || !data) {
+                throw new Error('無効な店舗データファイルです');
+            }
+
+            const confirmMessage = `店舗「${store.name}」のデータをインポートしますか？\n\n` +
+                                 `エクスポート日時: ${new Date(exportInfo.exportDate).toLocaleString()}\n` +
+                                 `既存の同名店舗がある場合は上書きされます。`;
+
+            if (!confirm(confirmMessage)) {
+                return;
+            }
+
+            // 店舗が存在するかチェック
+            let existingStore = null;
+            try {
+                const stores = window.storeManager.getStores();
+                existingStore = stores.find(s => s.name === store.name);
+            } catch (error) {
+                // 店舗が見つからない場合は新規作成
+            }
+
+            let targetStoreId;
+            if (existingStore) {
+                // 既存店舗を更新
+                window.storeManager.updateStore(existingStore.id, {
+                    name: store.name,
+                    address: store.address,
+                    openDate: store.openDate,
+                    note: store.note
+                });
+                targetStoreId = existingStore.id;
+            } else {
+                // 新規店舗を作成
+                const newStore = window.storeManager.addStore({
+                    name: store.name,
+                    address: store.address || '',
+                    openDate: store.openDate || '',
+                    note: store.note || ''
+                });
+                targetStoreId = newStore.id;
+            }
+
+            // データをインポート
+            let importedCount = 0;
+            this.dataManager.beginBatch(`店舗「${store.name}」のデータ取り込み`, { source: 'import' });
+            try {
+                for (const category in data) {
+                    if (Array.isArray(data[category])) {
+                        for (const record of data[category]) {
+                            // storeIdを新しい店舗IDに更新
+                            record.storeId = targetStoreId;
+                            record.importedAt = new Date().toISOString();
+                            
+                            this.dataManager.addRecord(category, record, targetStoreId);
+                            importedCount++;
+                        }
+                    }
+                }
+            } finally {
+                this.dataManager.endBatch();
+            }
+
+            this.showMessage(`店舗「${store.name}」のデータを正常にインポートしました（${importedCount}件）`, 'success');
+            
+            // グローバル店舗選択を更新
+            if (window.app) {
+                window.app.initGlobalStoreSelector();
+            }
+
+        } catch (error) {
+            console.error('単一店舗データインポートエラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 全データのインポート
+     */
+    async importAllData(importData) {
+        try {
+            const confirmMessage = 'すべてのデータをインポートしますか？\n\n' +
+                                 '既存のデータは上書きされる可能性があります。\n' +
+                                 'バックアップを取ることをお勧めします。';
+
+            if (!confirm(confirmMessage)) {
+                return;
+            }
+
+            // DataManagerのインポート機能を使用
+            const result = await this.dataManager.importFromFile(new Blob([JSON.stringify(importData)], { type: 'application/json' }));
+            
+            if (result.success) {
+                this.showMessage(result.message + `（${result.recordCount}件）`, 'success');
+                
+                // 画面を再読み込みして最新データを表示
+                if (window.app) {
+                    window.location.reload();
+                }
+            } else {
+                throw new Error('インポートに失敗しました');
+            }
+
+        } catch (error) {
+            console.error('全データインポートエラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 全選択機能
+     */
+    selectAllRecords(category) {
+        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
+        const selectAllCheckbox = document.getElementById('select-all-checkbox');
+        
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = true;
+        });
+        
+        if (selectAllCheckbox) {
+            selectAllCheckbox.checked = true;
+        }
+        
+        this.updateSelectionCount(category);
+    }
+
+    /**
+     * 選択解除機能
+     */
+    clearSelection(category) {
+        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
+        const selectAllCheckbox = document.getElementById('select-all-checkbox');
+        
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        
+        if (selectAllCheckbox) {
+            selectAllCheckbox.checked = false;
+        }
+        
+        this.updateSelectionCount(category);
+    }
+
+    /**
+     * 全選択チェックボックスの切り替え
+     */
+    toggleSelectAll(selectAllCheckbox, category) {
+        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
+        
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = selectAllCheckbox.checked;
+        });
+        
+        this.updateSelectionCount(category);
+    }
+
+    /**
+     * 選択数の更新
+     */
+    updateSelectionCount(category) {
+        const checkboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox:checked`);
+        const count = checkboxes.length;
+        
+        const selectionCountElement = document.getElementById('selection-count');
+        const moveButton = document.getElementById('move-selected-btn');
+        
+        if (selectionCountElement) {
+            selectionCountElement.textContent = `${count}件選択中`;
+        }
+        
+        if (moveButton) {
+            moveButton.disabled = count === 0;
+        }
+        
+        // 全選択チェックボックスの状態更新
+        const selectAllCheckbox = document.getElementById('select-all-checkbox');
+        const allCheckboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox`);
+        
+        if (selectAllCheckbox && allCheckboxes.length > 0) {
+            selectAllCheckbox.checked = checkboxes.length === allCheckboxes.length;
+            selectAllCheckbox.indeterminate = checkboxes.length > 0 && checkboxes.length < allCheckboxes.length;
+        }
+    }
+
+    /**
+     * データ移動ダイアログ表示（複数選択）
+     */
+    showDataMoveDialog(category) {
+        const selectedCheckboxes = document.querySelectorAll(`#data-table-${category} .record-checkbox:checked`);
+        const selectedIds = Array.from(selectedCheckboxes).map(cb => cb.value);
+        
+        if (selectedIds.length === 0) {
+            this.showMessage('移動するデータを選択してください', 'error');
+            return;
+        }
+        
+        this.showDataMoveDialogInternal(category, selectedIds);
+    }
+
+    /**
+     * 単一データ移動ダイアログ表示
+     */
+    showSingleDataMoveDialog(category, recordId) {
+        this.showDataMoveDialogInternal(category, [recordId]);
+    }
+
+    /**
+     * データ移動ダイアログ表示（内部処理）
+     */
+    showDataMoveDialogInternal(category, recordIds) {
+        if (!window.storeManager) {
+            this.showMessage('店舗管理機能が利用できません', 'error');
+            return;
+        }
+
+        const stores = window.storeManager.getStores();
+        const currentStoreId = window.storeManager.getActiveStoreId();
+        
+        // 移動先店舗のオプション生成
+        let storeOptions = '';
+        stores.forEach(store => {
+            if (store.id !== currentStoreId) {
+                storeOptions += `<option value="${store.id}">${store.name}</option>`;
+            }
+        });
+        
+        if (!storeOptions) {
+            this.showMessage('移動先の店舗がありません', 'error');
+            return;
+        }
+
+        // ダイアログHTML生成
+        const dialogHTML = `
+            <div class="modal" id="data-move-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>データ移動</h3>
+                        <button type="button" class="close-btn" onclick="uiManager.hideDataMoveDialog()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="move-info">
+                            <p><strong>移動対象:</strong> ${recordIds.length}件のデータ</p>
+                            <p><strong>現在の店舗:</strong> ${window.storeManager.getActiveStore()?.name || '不明'}</p>
+                        </div>
+                        <form id="data-move-form">
+                            <div class="form-group">
+                                <label for="target-store">移動先店舗:</label>
+                                <select id="target-store" name="targetStore" required>
+                                    <option value="">移動先を選択してください</option>
+                                    ${storeOptions}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="move-reason">移動理由（任意）:</label>
+                                <textarea id="move-reason" name="reason" placeholder="例: 誤って別店舗で入力したため" maxlength="200"></textarea>
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-secondary" onclick="uiManager.hideDataMoveDialog()">キャンセル</button>
+                                <button type="submit" class="btn btn-primary">移動実行</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // ダイアログを表示
+        document.body.insertAdjacentHTML('beforeend', dialogHTML);
+        
+        // フォーム送信イベント
+        document.getElementById('data-move-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.executeDataMove(category, recordIds);
+        });
+    }
+
+    /**
+     * データ移動ダイアログを閉じる
      */
     hideDataMoveDialog() {
         const modal = document.getElementById('data-move-modal');
@@ -4777,917 +8494,1658 @@ class UIManager {
     }
 
     /**
-     * データ移動実行（重複チェック強化版）
+     * データ移動実行（重複チェック強化版）
+     */
+    async executeDataMove(category, recordIds) {
+        try {
+            const targetStoreId = document.getElementById('target-store').value;
+            const reason = document.getElementById('move-reason').value;
+            
+            if (!targetStoreId) {
+                this.showMessage('移動先店舗を選択してください', 'error');
+                return;
+            }
+
+            const targetStore = window.storeManager.getStoreById(targetStoreId);
+            
+            // データ移動実行
+            let movedCount = 0;
+            let duplicateCount = 0;
+            const errors = [];
+            
+            this.dataManager.beginBatch('店舗の移動', { source: 'form', note: reason });
+            try {
+                for (const recordId of recordIds) {
+                    try {
+                        await this.dataManager.moveRecordToStore(category, recordId, targetStoreId);
+                        movedCount++;
+                    } catch (error) {
+                        if (error.message === 'DUPLICATE_CONFIRMATION_REQUIRED') {
+                            // 重複確認が必要な場合は、この関数を一時停止して確認ダイアログを待つ
+                            return;
+                        } else {
+                            console.error('データ移動エラー:', error);
+                            errors.push(`レコード ${recordId}: ${error.message}`);
+                        }
+                    }
+                }
+            } finally {
+                this.dataManager.endBatch();
+            }
+
+            // 結果表示
+            console.log(`データ移動完了: ${movedCount}件移動`);
+        } catch (error) {
+            console.error('データ移動処理エラー:', error);
+        }
+    }
+
+    /**
+     * データ管理セクション表示
+     */
+    showBackupSection() {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+
+        const html = `
+            <div class="backup-section">
+                <div class="section-header">
+                    <h2>データ管理</h2>
+                    <p>データのバックアップ、エクスポート、インポート機能</p>
+                </div>
+
+                <div class="backup-grid">
+                    <!-- エクスポート機能 -->
+                    <div class="backup-card">
+                        <div class="card-header">
+                            <h3>📤 データエクスポート</h3>
+                            <p>データをJSONファイルとしてダウンロード</p>
+                        </div>
+                        <div class="card-content">
+                            <div class="export-options">
+                                <button class="btn btn-primary" onclick="uiManager.exportData()">
+                                    全店舗データをエクスポート
+                                </button>
+                                <button class="btn btn-secondary" onclick="uiManager.exportCurrentStoreData()">
+                                    現在の店舗のみエクスポート
+                                </button>
+                                <button class="btn btn-outline" onclick="uiManager.showStoreSelectExportDialog()">
+                                    店舗を選択してエクスポート
+                                </button>
+                            </div>
+                            <div class="export-info">
+                                <small>💡 店舗ごとのエクスポートでは、選択した店舗のデータのみが含まれます</small>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- インポート機能 -->
+                    <div class="backup-card">
+                        <div class="card-header">
+                            <h3>📥 データインポート</h3>
+                            <p>JSONファイルからデータを読み込み</p>
+                        </div>
+                        <div class="card-content">
+                            <input type="file" id="import-file" accept=".json" style="display: none;" 
+                                   onchange="uiManager.handleImportFile(this)">
+                            <button class="btn btn-secondary" onclick="document.getElementById('import-file').click()">
+                                ファイルを選択
+                            </button>
+                            <button class="btn btn-outline" onclick="uiManager.showCSVImportWizard()">
+                                CSVを取り込む
+                            </button>
+                            <div class="import-warning">
+                                <small>⚠️ インポート前に自動バックアップが作成されます</small>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- 自動バックアップ -->
+                    <div class="backup-card">
+                        <div class="card-header">
+                            <h3>💾 手動バックアップ</h3>
+                            <p>現在のデータを手動でバックアップ</p>
+                        </div>
+                        <div class="card-content">
+                            <button class="btn btn-success" onclick="uiManager.createManualBackup()">
+                                バックアップ作成
+                            </button>
+                            <div class="backup-info">
+                                <small>ブラウザ内に安全に保存されます</small>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- バックアップ一覧 -->
+                    <div class="backup-card full-width">
+                        <div class="card-header">
+                            <h3>📋 バックアップ一覧</h3>
+                            <p>作成されたバックアップの管理</p>
+                        </div>
+                        <div class="card-content">
+                            <div id="backup-list">
+                                <!-- バックアップ一覧は動的に生成 -->
+                            </div>
+                            <button class="btn btn-outline" onclick="uiManager.refreshBackupList()">
+                                一覧を更新
+                            </button>
+                            <button class="btn btn-warning" onclick="uiManager.showDuplicateCleanupDialog()">
+                                重複データをクリーンアップ
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- 変更履歴 -->
+                    <div class="backup-card full-width">
+                        <div class="card-header">
+                            <h3>🕘 変更履歴</h3>
+                            <p>レコードの追加・変更・削除・店舗移動・取り込みの記録（項目ごとの変更前後の値）</p>
+                        </div>
+                        <div class="card-content">
+                            <button class="btn btn-secondary" onclick="uiManager.showAuditLog()">
+                                変更履歴を表示
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- 暗号化 -->
+                    <div class="backup-card full-width">
+                        <div class="card-header">
+                            <h3>🔐 データの暗号化</h3>
+                            <p>保存データ・ブラウザ内のバックアップ・エクスポートファイルをパスフレーズで暗号化</p>
+                        </div>
+                        <div class="card-content">
+                            <p id="encryption-status">${this.getEncryptionStatusText()}</p>
+                            <button class="btn btn-secondary" onclick="uiManager.showEncryptionSettings()">
+                                暗号化の設定
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- ゴミ箱 -->
+                    <div class="backup-card full-width">
+                        <div class="card-header">
+                            <h3>🗑 ゴミ箱</h3>
+                            <p>削除したレコードの復元・完全削除と、自動削除までの保存期間の設定</p>
+                        </div>
+                        <div class="card-content">
+                            <button class="btn btn-secondary" onclick="uiManager.showTrash()">
+                                ゴミ箱を表示
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- 操作結果表示エリア -->
+                <div id="backup-result" class="backup-result" style="display: none;">
+                    <!-- 結果メッセージが表示される -->
+                </div>
+            </div>
+        `;
+
+        contentArea.innerHTML = html;
+        
+        console.log('showBackupSection: HTML set, calling refreshBackupList...');
+        
+        // バックアップ一覧を初期表示
+        setTimeout(() => {
+            console.log('showBackupSection: About to call refreshBackupList');
+            this.refreshBackupList();
+        }, 100);
+    }
+
+    /**
+     * データエクスポート実行（全店舗）
+     */
+    async exportData() {
+        try {
+            if (!window.backupManager) {
+                throw new Error('BackupManagerが初期化されていません');
+            }
+
+            this.showBackupResult('全店舗データをエクスポート中...', 'info');
+            
+            const result = await window.backupManager.exportAllData();
+            
+            if (result.success) {
+                this.showBackupResult(
+                    `✓ 全店舗エクスポート完了！<br>ファイル名: ${result.filename}<br>レコード数: ${result.recordCount}件` +
+                    (result.encrypted ? '<br>🔒 ファイルはパスフレーズで暗号化されています' : ''),
+                    'success'
+                );
+            } else {
+                throw new Error(result.error);
+            }
+            
+        } catch (error) {
+            console.error('エクスポートエラー:', error);
+            this.showBackupResult(`❌ エクスポートに失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 現在の店舗データのみエクスポート
+     */
+    async exportCurrentStoreData() {
+        try {
+            const activeStore = window.storeManager.getActiveStore();
+            
+            if (!activeStore) {
+                this.showBackupResult('❌ 店舗が選択されていません', 'error');
+                return;
+            }
+
+            this.showBackupResult(`${activeStore.name}のデータをエクスポート中...`, 'info');
+            
+            const exportData = this.generateStoreExportData(activeStore.id);
+            const filename = `${activeStore.name}_全データ_${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.json`;
+            
+            await this.downloadJSON(exportData, filename);
+            
+            this.showBackupResult(
+                `✓ ${activeStore.name}のエクスポート完了！<br>ファイル名: ${filename}<br>レコード数: ${exportData.exportInfo.totalRecords}件`,
+                'success'
+            );
+            
+        } catch (error) {
+            console.error('店舗エクスポートエラー:', error);
+            this.showBackupResult(`❌ エクスポートに失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 店舗選択エクスポートダイアログ表示
+     */
+    showStoreSelectExportDialog() {
+        const stores = window.storeManager.getStores();
+        
+        if (stores.length === 0) {
+            this.showBackupResult('❌ 店舗が登録されていません', 'error');
+            return;
+        }
+
+        const dialogHTML = `
+            <div class="modal-overlay" id="store-select-export-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>🏪 店舗選択エクスポート</h3>
+                        <button class="close-btn" onclick="uiManager.hideStoreSelectExportDialog()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>エクスポートする店舗を選択してください：</p>
+                        <div class="store-selection">
+                            ${stores.map(store => `
+                                <label class="store-option">
+                                    <input type="radio" name="export-store" value="${store.id}">
+                                    <span class="store-name">${store.name}</span>
+                                    <span class="store-description">${store.description || ''}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                        <div class="export-options-section">
+                            <h4>エクスポート範囲：</h4>
+                            <label class="export-range-option">
+                                <input type="radio" name="export-range" value="all" checked>
+                                全期間のデータ
+                            </label>
+                            <label class="export-range-option">
+                                <input type="radio" name="export-range" value="current-year">
+                                今年のデータのみ
+                            </label>
+                            <label class="export-range-option">
+                                <input type="radio" name="export-range" value="custom">
+                                期間を指定
+                            </label>
+                            <div id="custom-date-range" style="display: none; margin-top: 10px;">
+                                <div class="date-range-inputs">
+                                    <div>
+                                        <label>開始:</label>
+                                        <select id="start-year">${this.generateYearOptions()}</select>
+                                        <select id="start-month">${this.generateMonthOptions()}</select>
+                                    </div>
+                                    <div>
+                                        <label>終了:</label>
+                                        <select id="end-year">${this.generateYearOptions()}</select>
+                                        <select id="end-month">${this.generateMonthOptions()}</select>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-primary" onclick="uiManager.executeStoreSelectExport()">エクスポート実行</button>
+                        <button class="btn btn-secondary" onclick="uiManager.hideStoreSelectExportDialog()">キャンセル</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', dialogHTML);
+        
+        // 期間指定の表示切り替え
+        document.querySelectorAll('input[name="export-range"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                const customRange = document.getElementById('custom-date-range');
+                if (e.target.value === 'custom') {
+                    customRange.style.display = 'block';
+                } else {
+                    customRange.style.display = 'none';
+                }
+            });
+        });
+    }
+
+    /**
+     * 店舗選択エクスポートダイアログを閉じる
+     */
+    hideStoreSelectExportDialog() {
+        const modal = document.getElementById('store-select-export-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * 店舗選択エクスポート実行
+     */
+    async executeStoreSelectExport() {
+        try {
+            const selectedStoreId = document.querySelector('input[name="export-store"]:checked')?.value;
+            const selectedRange = document.querySelector('input[name="export-range"]:checked')?.value;
+            
+            if (!selectedStoreId) {
+                this.showBackupResult('❌ 店舗を選択してください', 'error');
+                return;
+            }
+            
+            const store = window.storeManager.getStoreById(selectedStoreId);
+            if (!store) {
+                this.showBackupResult('❌ 選択された店舗が見つかりません', 'error');
+                return;
+            }
+            
+            let startYear, startMonth, endYear, endMonth;
+            const currentYear = new Date().getFullYear();
+            
+            switch (selectedRange) {
+                case 'all':
+                    startYear = 2000;
+                    startMonth = 1;
+                    endYear = 2100;
+                    endMonth = 12;
+                    break;
+                case 'current-year':
+                    startYear = currentYear;
+                    startMonth = 1;
+                    endYear = currentYear;
+                    endMonth = 12;
+                    break;
+                case 'custom':
+                    startYear = parseInt(document.getElementById('start-year').value);
+                    startMonth = parseInt(document.getElementById('start-month').value);
+                    endYear = parseInt(document.getElementById('end-year').value);
+                    endMonth = parseInt(document.getElementById('end-month').value);
+                    
+                    if (startYear > endYear || (startYear === endYear && startMonth > endMonth)) {
+                        this.showBackupResult('❌ 開始日が終了日より後になっています', 'error');
+                        return;
+                    }
+                    break;
+            }
+            
+            this.showBackupResult(`${store.name}のデータをエクスポート中...`, 'info');
+            
+            const exportData = this.generateExportData(startYear, startMonth, endYear, endMonth, selectedStoreId);
+            
+            let periodText = '';
+            if (selectedRange === 'all') {
+                periodText = '全データ';
+            } else if (selectedRange === 'current-year') {
+                periodText = `${currentYear}年`;
+            } else {
+                periodText = `${startYear}年${startMonth}月-${endYear}年${endMonth}月`;
+            }
+            
+            const filename = `${store.name}_${periodText}_${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.json`;
+            
+            await this.downloadJSON(exportData, filename);
+            this.hideStoreSelectExportDialog();
+            
+            this.showBackupResult(
+                `✓ ${store.name}のエクスポート完了！<br>期間: ${periodText}<br>ファイル名: ${filename}<br>レコード数: ${exportData.exportInfo.totalRecords}件`,
+                'success'
+            );
+            
+        } catch (error) {
+            console.error('店舗選択エクスポートエラー:', error);
+            this.showBackupResult(`❌ エクスポートに失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 店舗エクスポートデータ生成（全期間）
+     */
+    generateStoreExportData(storeId) {
+        return this.generateExportData(2000, 1, 2100, 12, storeId);
+    }
+
+    /**
+     * インポートファイル処理
+     */
+    async handleImportFile(inputOrFile) {
+        console.log('handleImportFile called with:', inputOrFile);
+        
+        let file;
+        
+        // 引数がFileオブジェクトかinput要素かを判定
+        if (inputOrFile instanceof File) {
+            // 直接Fileオブジェクトが渡された場合
+            file = inputOrFile;
+            console.log('Direct file object received');
+        } else if (inputOrFile && inputOrFile.files && inputOrFile.files.length > 0) {
+            // input要素が渡された場合
+            file = inputOrFile.files[0];
+            console.log('File from input element');
+        } else {
+            console.log('ファイルが選択されていません');
+            this.showBackupResult('ファイルが選択されていません', 'warning');
+            return;
+        }
+
+        console.log('インポートファイル:', file.name, file.type, file.size);
+
+        try {
+            if (!window.backupManager) {
+                console.error('BackupManager not available:', typeof window.backupManager);
+                throw new Error('BackupManagerが初期化されていません');
+            }
+
+            this.showBackupResult('データをインポート中...', 'info');
+            
+            // ファイル内容を事前に確認
+            const fileContent = await this.readFileAsText(file);
+            console.log('ファイル内容（最初の500文字）:', fileContent.substring(0, 500));
+            
+            let parsedData;
+            try {
+                parsedData = JSON.parse(fileContent);
+                console.log('パースされたデータの構造:', Object.keys(parsedData));
+                console.log('データの詳細:', parsedData);
+            } catch (parseError) {
+                throw new Error('JSONファイルの解析に失敗しました: ' + parseError.message);
+            }
+            
+            let result = await window.backupManager.importData(file);
+            if (result && result.needsPassphrase) {
+                const passphrase = await this.promptPassphrase(
+                    '暗号化されたファイル',
+                    'このファイルはパスフレーズで暗号化されています。ファイルを作成したときのパスフレーズを入力してください。'
+                );
+                if (passphrase === null) {
+                    this.showBackupResult('インポートを中止しました', 'info');
+                    return;
+                }
+                result = await window.backupManager.importData(file, passphrase);
+            }
+            console.log('インポート結果:', result);
+            
+            if (result && result.success) {
+                let message = `✓ インポート完了！<br>新規追加: ${result.importedRecords || 0}件`;
+                
+                if (result.skippedRecords > 0) {
+                    message += `<br>重複スキップ: ${result.skippedRecords}件`;
+                }
+                
+                if (result.schemaVersion !== null && result.schemaVersion < SchemaMigrator.CURRENT_VERSION) {
+                    message += `<br>旧形式（スキーマバージョン${result.schemaVersion}）のファイルを現在の形式に変換しました`;
+                }
+                
+                if (result.hasErrors && result.errors && result.errors.length > 0) {
+                    message += `<br>⚠️ エラー: ${result.errors.length}件`;
+                }
+                
+                if (result.totalRecords) {
+                    message += `<br>総件数: ${result.totalRecords}件`;
+                }
+                
+                this.showBackupResult(message, result.hasErrors ? 'warning' : 'success');
+                
+                // データが更新されたので画面を更新
+                setTimeout(() => {
+                    location.reload();
+                }, 2000);
+                
+            } else {
+                throw new Error(result.error);
+            }
+            
+        } catch (error) {
+            console.error('インポートエラー:', error);
+            this.showBackupResult(`❌ インポートに失敗しました: ${error.message}`, 'error');
+        } finally {
+            // ファイル入力をリセット
+            const inputElement = document.getElementById('import-file');
+            if (inputElement) {
+                inputElement.value = '';
+            }
+        }
+    }
+
+    /**
+     * 暗号化の状態の表示文言
+     */
+    getEncryptionStatusText() {
+        const manager = window.cryptoManager;
+        if (!manager || !CryptoManager.isSupported()) {
+            return 'このブラウザは暗号化に対応していません。';
+        }
+        if (!manager.isEnabled()) {
+            return '暗号化されていません。';
+        }
+        return `🔒 暗号化されています（${new Date(manager.settings.updatedAt).toLocaleString('ja-JP')}に設定）`;
+    }
+
+    /**
+     * 暗号化の設定画面の表示（有効化・パスフレーズの変更・解除）
+     */
+    showEncryptionSettings() {
+        const manager = window.cryptoManager;
+        if (!manager || !CryptoManager.isSupported()) {
+            this.showMessage('このブラウザは暗号化に対応していません', 'error');
+            return;
+        }
+
+        const passphraseField = (id, label, autocomplete) => `
+            <div class="form-group">
+                <label for="${id}">${label} <span class="required">*</span></label>
+                <input type="password" id="${id}" autocomplete="${autocomplete}" required>
+            </div>
+        `;
+
+        const content = manager.isEnabled() ? `
+            <p>${this.getEncryptionStatusText()}</p>
+            <form id="encryption-change-form" class="data-form">
+                <h4>パスフレーズの変更</h4>
+                <div class="form-errors" id="encryption-change-errors" style="display: none;"></div>
+                ${passphraseField('encryption-current', '現在のパスフレーズ', 'current-password')}
+                ${passphraseField('encryption-new', '新しいパスフレーズ', 'new-password')}
+                ${passphraseField('encryption-confirm', '新しいパスフレーズ（確認）', 'new-password')}
+                <p class="form-help">保存データとブラウザ内のバックアップをすべて新しいパスフレーズで暗号化し直します。変更前にエクスポートしたファイルは、変更前のパスフレーズで読み込めます。</p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">パスフレーズを変更</button>
+                </div>
+            </form>
+            <form id="encryption-disable-form" class="data-form">
+                <h4>暗号化の解除</h4>
+                <div class="form-errors" id="encryption-disable-errors" style="display: none;"></div>
+                ${passphraseField('encryption-disable-current', '現在のパスフレーズ', 'current-password')}
+                <p class="form-help">保存データとブラウザ内のバックアップを暗号化しない状態に戻します。</p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-danger">暗号化を解除</button>
+                </div>
+            </form>
+        ` : `
+            <form id="encryption-enable-form" class="data-form">
+                <div class="form-errors" id="encryption-enable-errors" style="display: none;"></div>
+                <p>保存データ・ブラウザ内のバックアップ・エクスポートするバックアップファイルを暗号化します。起動時にパスフレーズの入力が必要になります。</p>
+                ${passphraseField('encryption-new', 'パスフレーズ（8文字以上）', 'new-password')}
+                ${passphraseField('encryption-confirm', 'パスフレーズ（確認）', 'new-password')}
+                <div class="encryption-warning">パスフレーズを忘れると、暗号化したデータもバックアップファイルも復元できません。安全な場所に控えておいてください。</div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.hideModal()">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">暗号化を有効にする</button>
+                </div>
+            </form>
+        `;
+
+        this.hideModal();
+        this.showModal('データの暗号化', content);
+
+        const bind = (formId, action) => {
+            const form = document.getElementById(formId);
+            if (form) {
+                form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.handleEncryptionSubmit(form, action);
+                });
+            }
+        };
+        bind('encryption-enable-form', 'enable');
+        bind('encryption-change-form', 'change');
+        bind('encryption-disable-form', 'disable');
+    }
+
+    /**
+     * 暗号化の設定の実行（鍵の導出とデータの暗号化に時間がかかるため、実行中はボタンを無効にする）
+     */
+    async handleEncryptionSubmit(form, action) {
+        const manager = window.cryptoManager;
+        const errorContainer = form.querySelector('.form-errors');
+        const buttons = form.querySelectorAll('button');
+        const value = (id) => {
+            const input = form.querySelector(`#${id}`);
+            return input ? input.value : '';
+        };
+
+        errorContainer.style.display = 'none';
+        buttons.forEach(button => { button.disabled = true; });
+        try {
+            if (action !== 'disable' && value('encryption-new') !== value('encryption-confirm')) {
+                throw new Error('バリデーションエラー: 確認用のパスフレーズが一致しません');
+            }
+
+            if (action === 'enable') {
+                await manager.enable(value('encryption-new'));
+                this.showMessage('データを暗号化しました', 'success');
+            } else if (action === 'change') {
+                await manager.changePassphrase(value('encryption-current'), value('encryption-new'));
+                this.showMessage('パスフレーズを変更し、データを暗号化し直しました', 'success');
+            } else {
+                if (!confirm('暗号化を解除しますか？\n保存データとブラウザ内のバックアップが暗号化されない状態に戻ります。')) {
+                    return;
+                }
+                await manager.disable(value('encryption-disable-current'));
+                this.showMessage('暗号化を解除しました', 'success');
+            }
+
+            this.hideModal();
+            const status = document.getElementById('encryption-status');
+            if (status) {
+                status.textContent = this.getEncryptionStatusText();
+            }
+            if (document.getElementById('backup-list')) {
+                this.refreshBackupList();
+            }
+        } catch (error) {
+            errorContainer.textContent = error.message;
+            errorContainer.style.display = 'block';
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    /**
+     * パスフレーズの入力（キャンセルした場合はnull）
      */
-    async executeDataMove(category, recordIds) {
+    promptPassphrase(title, message) {
+        return new Promise((resolve) => {
+            this.showModal(title, `
+                <form id="passphrase-prompt-form" class="data-form">
+                    <p>${message}</p>
+                    <div class="form-group">
+                        <label for="passphrase-prompt-input">パスフレーズ</label>
+                        <input type="password" id="passphrase-prompt-input" autocomplete="off" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" id="passphrase-prompt-cancel">キャンセル</button>
+                        <button type="submit" class="btn btn-primary">OK</button>
+                    </div>
+                </form>
+            `);
+
+            const form = document.getElementById('passphrase-prompt-form');
+            const overlay = form.closest('.form-overlay');
+            const finish = (passphrase) => {
+                overlay.remove();
+                resolve(passphrase);
+            };
+            overlay.querySelector('.close-btn').onclick = () => finish(null);
+            document.getElementById('passphrase-prompt-cancel').addEventListener('click', () => finish(null));
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                finish(document.getElementById('passphrase-prompt-input').value);
+            });
+            document.getElementById('passphrase-prompt-input').focus();
+        });
+    }
+
+    /**
+     * 手動バックアップ作成
+     */
+    async createManualBackup() {
         try {
-            const targetStoreId = document.getElementById('target-store').value;
-            const reason = document.getElementById('move-reason').value;
-            
-            if (!targetStoreId) {
-                this.showMessage('移動先店舗を選択してください', 'error');
-                return;
+            if (!window.backupManager) {
+                throw new Error('BackupManagerが初期化されていません');
             }
 
-            const targetStore = window.storeManager.getStoreById(targetStoreId);
+            this.showBackupResult('バックアップを作成中...', 'info');
             
-            // データ移動実行
-            let movedCount = 0;
-            let duplicateCount = 0;
-            const errors = [];
+            const result = await window.backupManager.createAutoBackup('manual');
             
-            for (const recordId of recordIds) {
-                try {
-                    await this.dataManager.moveRecordToStore(category, recordId, targetStoreId);
-                    movedCount++;
-                } catch (error) {
-                    if (error.message === 'DUPLICATE_CONFIRMATION_REQUIRED') {
-                        // 重複確認が必要な場合は、この関数を一時停止して確認ダイアログを待つ
-                        return;
-                    } else {
-                        console.error('データ移動エラー:', error);
-                        errors.push(`レコード ${recordId}: ${error.message}`);
-                    }
-                }
+            if (result.success) {
+                this.showBackupResult('✓ バックアップを作成しました', 'success');
+                this.refreshBackupList();
+            } else {
+                throw new Error(result.error);
             }
-
-            // 移動履歴を記録
-            this.recordDataMoveHistory(category, recordIds, targetStoreId, reason, movedCount, errors);
-
-            // 結果表示
-            console.log(`データ移動完了: ${movedCount}件移動`);
+            
         } catch (error) {
-            console.error('データ移動処理エラー:', error);
+            console.error('バックアップ作成エラー:', error);
+            this.showBackupResult(`❌ バックアップ作成に失敗しました: ${error.message}`, 'error');
         }
     }
 
     /**
-     * データ管理セクション表示
+     * バックアップ一覧更新
      */
-    showBackupSection() {
-        const contentArea = document.getElementById('content-area');
-        if (!contentArea) return;
-
-        const html = `
-            <div class="backup-section">
-                <div class="section-header">
-                    <h2>データ管理</h2>
-                    <p>データのバックアップ、エクスポート、インポート機能</p>
-                </div>
+    async refreshBackupList() {
+        console.log('refreshBackupList called');
+        const listContainer = document.getElementById('backup-list');
+        console.log('backup-list element:', listContainer);
+        
+        if (!listContainer) {
+            console.warn('backup-list要素が見つかりません');
+            return;
+        }
+        
+        if (!window.backupManager) {
+            console.warn('BackupManagerが初期化されていません');
+            listContainer.innerHTML = '<p class="no-backups">⚠️ バックアップ機能が利用できません</p>';
+            return;
+        }
 
-                <div class="backup-grid">
-                    <!-- エクスポート機能 -->
-                    <div class="backup-card">
-                        <div class="card-header">
-                            <h3>📤 データエクスポート</h3>
-                            <p>データをJSONファイルとしてダウンロード</p>
-                        </div>
-                        <div class="card-content">
-                            <div class="export-options">
-                                <button class="btn btn-primary" onclick="uiManager.exportData()">
-                                    全店舗データをエクスポート
-                                </button>
-                                <button class="btn btn-secondary" onclick="uiManager.exportCurrentStoreData()">
-                                    現在の店舗のみエクスポート
-                                </button>
-                                <button class="btn btn-outline" onclick="uiManager.showStoreSelectExportDialog()">
-                                    店舗を選択してエクスポート
-                                </button>
-                            </div>
-                            <div class="export-info">
-                                <small>💡 店舗ごとのエクスポートでは、選択した店舗のデータのみが含まれます</small>
-                            </div>
-                        </div>
-                    </div>
+        console.log('BackupManager available, getting backup list...');
+        let backups;
+        try {
+            backups = await window.backupManager.getBackupList();
+            console.log('Backup list retrieved:', backups);
+        } catch (error) {
+            console.error('getBackupList error:', error);
+            listContainer.innerHTML = '<p class="no-backups">❌ バックアップ一覧の取得に失敗しました</p>';
+            return;
+        }
+        
+        if (backups.length === 0) {
+            console.log('No backups found, showing empty message');
+            listContainer.innerHTML = '<p class="no-backups">バックアップがありません</p>';
+            return;
+        }
 
-                    <!-- インポート機能 -->
-                    <div class="backup-card">
-                        <div class="card-header">
-                            <h3>📥 データインポート</h3>
-                            <p>JSONファイルからデータを読み込み</p>
-                        </div>
-                        <div class="card-content">
-                            <input type="file" id="import-file" accept=".json" style="display: none;" 
-                                   onchange="uiManager.handleImportFile(this)">
-                            <button class="btn btn-secondary" onclick="document.getElementById('import-file').click()">
-                                ファイルを選択
-                            </button>
-                            <div class="import-warning">
-                                <small>⚠️ インポート前に自動バックアップが作成されます</small>
-                            </div>
-                        </div>
-                    </div>
+        console.log('Generating HTML for', backups.length, 'backups');
+        let html = '<div class="backup-table">';
+        html += `
+            <div class="backup-table-header">
+                <div>作成日時</div>
+                <div>種類</div>
+                <div>レコード数</div>
+                <div>操作</div>
+            </div>
+        `;
 
-                    <!-- 自動バックアップ -->
-                    <div class="backup-card">
-                        <div class="card-header">
-                            <h3>💾 手動バックアップ</h3>
-                            <p>現在のデータを手動でバックアップ</p>
-                        </div>
-                        <div class="card-content">
-                            <button class="btn btn-success" onclick="uiManager.createManualBackup()">
-                                バックアップ作成
-                            </button>
-                            <div class="backup-info">
-                                <small>ブラウザ内に安全に保存されます</small>
-                            </div>
-                        </div>
-                    </div>
+        backups.forEach(backup => {
+            const date = new Date(backup.date);
+            const dateStr = date.toLocaleString('ja-JP');
+            const reasonText = backup.reason === 'manual' ? '手動' : 
+                              backup.reason === 'auto' ? '自動' : 
+                              backup.reason.includes('import') ? 'インポート前' :
+                              backup.reason.includes('restore') ? '復元前' : backup.reason;
 
-                    <!-- バックアップ一覧 -->
-                    <div class="backup-card full-width">
-                        <div class="card-header">
-                            <h3>📋 バックアップ一覧</h3>
-                            <p>作成されたバックアップの管理</p>
-                        </div>
-                        <div class="card-content">
-                            <div id="backup-list">
-                                <!-- バックアップ一覧は動的に生成 -->
-                            </div>
-                            <button class="btn btn-outline" onclick="uiManager.refreshBackupList()">
-                                一覧を更新
-                            </button>
-                            <button class="btn btn-warning" onclick="uiManager.showDuplicateCleanupDialog()">
-                                重複データをクリーンアップ
-                            </button>
-                        </div>
+            html += `
+                <div class="backup-table-row">
+                    <div class="backup-date">${dateStr}</div>
+                    <div class="backup-reason">${reasonText}${backup.encrypted ? ' 🔒' : ''}</div>
+                    <div class="backup-count">${backup.recordCount}件</div>
+                    <div class="backup-actions">
+                        <button class="btn btn-sm btn-primary" 
+                                onclick="uiManager.restoreFromBackup('${backup.key}')">
+                            復元
+                        </button>
+                        <button class="btn btn-sm btn-danger" 
+                                onclick="uiManager.deleteBackup('${backup.key}')">
+                            削除
+                        </button>
                     </div>
                 </div>
+            `;
+        });
 
-                <!-- 操作結果表示エリア -->
-                <div id="backup-result" class="backup-result" style="display: none;">
-                    <!-- 結果メッセージが表示される -->
-                </div>
-            </div>
-        `;
-
-        contentArea.innerHTML = html;
-        
-        console.log('showBackupSection: HTML set, calling refreshBackupList...');
-        
-        // バックアップ一覧を初期表示
-        setTimeout(() => {
-            console.log('showBackupSection: About to call refreshBackupList');
-            this.refreshBackupList();
-        }, 100);
+        html += '</div>';
+        console.log('Setting HTML content:', html.substring(0, 200) + '...');
+        listContainer.innerHTML = html;
+        console.log('HTML content set successfully');
     }
 
     /**
-     * データエクスポート実行（全店舗）
+     * バックアップから復元
      */
-    async exportData() {
+    async restoreFromBackup(backupKey) {
+        if (!confirm('現在のデータを選択したバックアップで置き換えますか？\n（現在のデータは自動的にバックアップされます）')) {
+            return;
+        }
+
         try {
             if (!window.backupManager) {
                 throw new Error('BackupManagerが初期化されていません');
             }
 
-            this.showBackupResult('全店舗データをエクスポート中...', 'info');
+            this.showBackupResult('バックアップから復元中...', 'info');
             
-            const result = await window.backupManager.exportAllData();
+            const result = await window.backupManager.restoreFromBackup(backupKey);
             
             if (result.success) {
-                this.showBackupResult(
-                    `✓ 全店舗エクスポート完了！<br>ファイル名: ${result.filename}<br>レコード数: ${result.recordCount}件`,
-                    'success'
-                );
+                this.showBackupResult('✓ 復元完了！ページを再読み込みします...', 'success');
+                
+                setTimeout(() => {
+                    location.reload();
+                }, 2000);
+                
             } else {
                 throw new Error(result.error);
             }
             
         } catch (error) {
-            console.error('エクスポートエラー:', error);
-            this.showBackupResult(`❌ エクスポートに失敗しました: ${error.message}`, 'error');
+            console.error('復元エラー:', error);
+            this.showBackupResult(`❌ 復元に失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * バックアップ削除
+     */
+    async deleteBackup(backupKey) {
+        if (!confirm('このバックアップを削除しますか？')) {
+            return;
+        }
+
+        try {
+            if (!window.backupManager) {
+                throw new Error('BackupManagerが初期化されていません');
+            }
+
+            await window.backupManager.deleteBackup(backupKey);
+            this.showBackupResult('✓ バックアップを削除しました', 'success');
+            this.refreshBackupList();
+            
+        } catch (error) {
+            console.error('バックアップ削除エラー:', error);
+            this.showBackupResult(`❌ バックアップ削除に失敗しました: ${error.message}`, 'error');
         }
     }
 
     /**
-     * 現在の店舗データのみエクスポート
+     * バックアップ結果表示
      */
-    async exportCurrentStoreData() {
-        try {
-            const activeStore = window.storeManager.getActiveStore();
-            
-            if (!activeStore) {
-                this.showBackupResult('❌ 店舗が選択されていません', 'error');
-                return;
-            }
+    showBackupResult(message, type = 'info') {
+        const resultDiv = document.getElementById('backup-result');
+        if (!resultDiv) return;
 
-            this.showBackupResult(`${activeStore.name}のデータをエクスポート中...`, 'info');
-            
-            const exportData = this.generateStoreExportData(activeStore.id);
-            const filename = `${activeStore.name}_全データ_${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.json`;
-            
-            this.downloadJSON(exportData, filename);
-            
-            this.showBackupResult(
-                `✓ ${activeStore.name}のエクスポート完了！<br>ファイル名: ${filename}<br>レコード数: ${exportData.exportInfo.totalRecords}件`,
-                'success'
-            );
-            
-        } catch (error) {
-            console.error('店舗エクスポートエラー:', error);
-            this.showBackupResult(`❌ エクスポートに失敗しました: ${error.message}`, 'error');
+        resultDiv.className = `backup-result ${type}`;
+        resultDiv.innerHTML = message;
+        resultDiv.style.display = 'block';
+
+        // 成功・エラーメッセージは5秒後に自動で隠す
+        if (type === 'success' || type === 'error') {
+            setTimeout(() => {
+                resultDiv.style.display = 'none';
+            }, 5000);
         }
     }
 
     /**
-     * 店舗選択エクスポートダイアログ表示
+     * データ移動時の重複確認ダイアログ表示
      */
-    showStoreSelectExportDialog() {
-        const stores = window.storeManager.getStores();
+    showDataMoveDuplicateConfirmDialog(recordId, category, targetStoreId, duplicates, warnings, record) {
+        const targetStore = window.storeManager.getStoreById(targetStoreId);
         
-        if (stores.length === 0) {
-            this.showBackupResult('❌ 店舗が登録されていません', 'error');
-            return;
-        }
-
         const dialogHTML = `
-            <div class="modal-overlay" id="store-select-export-modal">
-                <div class="modal-content">
+            <div class="modal-overlay" id="duplicate-confirm-modal">
+                <div class="modal-content duplicate-dialog">
                     <div class="modal-header">
-                        <h3>🏪 店舗選択エクスポート</h3>
-                        <button class="close-btn" onclick="uiManager.hideStoreSelectExportDialog()">&times;</button>
+                        <h3>⚠️ 重複データの確認</h3>
                     </div>
                     <div class="modal-body">
-                        <p>エクスポートする店舗を選択してください：</p>
-                        <div class="store-selection">
-                            ${stores.map(store => `
-                                <label class="store-option">
-                                    <input type="radio" name="export-store" value="${store.id}">
-                                    <span class="store-name">${store.name}</span>
-                                    <span class="store-description">${store.description || ''}</span>
-                                </label>
-                            `).join('')}
+                        <div class="duplicate-warning">
+                            <p><strong>移動先店舗「${targetStore.name}」に類似データが見つかりました。</strong></p>
+                            <p>移動を続行しますか？</p>
                         </div>
-                        <div class="export-options-section">
-                            <h4>エクスポート範囲：</h4>
-                            <label class="export-range-option">
-                                <input type="radio" name="export-range" value="all" checked>
-                                全期間のデータ
-                            </label>
-                            <label class="export-range-option">
-                                <input type="radio" name="export-range" value="current-year">
-                                今年のデータのみ
-                            </label>
-                            <label class="export-range-option">
-                                <input type="radio" name="export-range" value="custom">
-                                期間を指定
-                            </label>
-                            <div id="custom-date-range" style="display: none; margin-top: 10px;">
-                                <div class="date-range-inputs">
-                                    <div>
-                                        <label>開始:</label>
-                                        <select id="start-year">${this.generateYearOptions()}</select>
-                                        <select id="start-month">${this.generateMonthOptions()}</select>
+                        
+                        <div class="record-info">
+                            <h4>移動対象データ:</h4>
+                            <div class="record-details">
+                                <p>年月: ${record.year}年${record.month}月</p>
+                                <p>金額: ${record.amount.toLocaleString()}円</p>
+                                ${record.category ? `<p>カテゴリー: ${record.category}</p>` : ''}
+                                ${record.note ? `<p>備考: ${record.note}</p>` : ''}
+                            </div>
+                        </div>
+                        
+                        ${duplicates.length > 0 ? `
+                        <div class="duplicates-section">
+                            <h4>重複データ (${duplicates.length}件):</h4>
+                            <div class="duplicates-list">
+                                ${duplicates.map(dup => `
+                                    <div class="duplicate-item ${dup.type}">
+                                        <span class="duplicate-type">[${dup.type === 'exact' ? '完全一致' : '類似'}]</span>
+                                        <span class="duplicate-details">
+                                            ${dup.record.year}年${dup.record.month}月 - ${dup.record.amount.toLocaleString()}円
+                                            ${dup.record.note ? ` (${dup.record.note})` : ''}
+                                        </span>
+                                        <span class="duplicate-message">${dup.message}</span>
                                     </div>
-                                    <div>
-                                        <label>終了:</label>
-                                        <select id="end-year">${this.generateYearOptions()}</select>
-                                        <select id="end-month">${this.generateMonthOptions()}</select>
+                                `).join('')}
+                            </div>
+                        </div>
+                        ` : ''}
+                        
+                        ${warnings.length > 0 ? `
+                        <div class="warnings-section">
+                            <h4>警告 (${warnings.length}件):</h4>
+                            <div class="warnings-list">
+                                ${warnings.map(warning => `
+                                    <div class="warning-item">
+                                        <span class="warning-message">${warning.message}</span>
                                     </div>
-                                </div>
+                                `).join('')}
                             </div>
                         </div>
+                        ` : ''}
+                        
+                        <div class="confirmation-options">
+                            <label>
+                                <input type="checkbox" id="skip-future-duplicates"> 
+                                今後の重複チェックをスキップ（このセッション中のみ）
+                            </label>
+                        </div>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-primary" onclick="uiManager.executeStoreSelectExport()">エクスポート実行</button>
-                        <button class="btn btn-secondary" onclick="uiManager.hideStoreSelectExportDialog()">キャンセル</button>
+                        <button class="btn btn-primary" onclick="uiManager.confirmDataMoveWithDuplicates('${recordId}', '${category}', '${targetStoreId}')">
+                            移動を続行
+                        </button>
+                        <button class="btn btn-secondary" onclick="uiManager.hideDuplicateConfirmDialog()">
+                            キャンセル
+                        </button>
                     </div>
                 </div>
             </div>
         `;
-        
-        document.body.insertAdjacentHTML('beforeend', dialogHTML);
-        
-        // 期間指定の表示切り替え
-        document.querySelectorAll('input[name="export-range"]').forEach(radio => {
-            radio.addEventListener('change', (e) => {
-                const customRange = document.getElementById('custom-date-range');
-                if (e.target.value === 'custom') {
-                    customRange.style.display = 'block';
-                } else {
-                    customRange.style.display = 'none';
-                }
-            });
-        });
-    }
 
-    /**
-     * 店舗選択エクスポートダイアログを閉じる
-     */
-    hideStoreSelectExportDialog() {
-        const modal = document.getElementById('store-select-export-modal');
-        if (modal) {
-            modal.remove();
-        }
+        document.body.insertAdjacentHTML('beforeend', dialogHTML);
     }
 
     /**
-     * 店舗選択エクスポート実行
+     * 重複確認後のデータ移動実行
      */
-    async executeStoreSelectExport() {
+    async confirmDataMoveWithDuplicates(recordId, category, targetStoreId) {
         try {
-            const selectedStoreId = document.querySelector('input[name="export-store"]:checked')?.value;
-            const selectedRange = document.querySelector('input[name="export-range"]:checked')?.value;
-            
-            if (!selectedStoreId) {
-                this.showBackupResult('❌ 店舗を選択してください', 'error');
-                return;
-            }
-            
-            const store = window.storeManager.getStoreById(selectedStoreId);
-            if (!store) {
-                this.showBackupResult('❌ 選択された店舗が見つかりません', 'error');
-                return;
-            }
-            
-            let startYear, startMonth, endYear, endMonth;
-            const currentYear = new Date().getFullYear();
-            
-            switch (selectedRange) {
-                case 'all':
-                    startYear = 2000;
-                    startMonth = 1;
-                    endYear = 2100;
-                    endMonth = 12;
-                    break;
-                case 'current-year':
-                    startYear = currentYear;
-                    startMonth = 1;
-                    endYear = currentYear;
-                    endMonth = 12;
-                    break;
-                case 'custom':
-                    startYear = parseInt(document.getElementById('start-year').value);
-                    startMonth = parseInt(document.getElementById('start-month').value);
-                    endYear = parseInt(document.getElementById('end-year').value);
-                    endMonth = parseInt(document.getElementById('end-month').value);
-                    
-                    if (startYear > endYear || (startYear === endYear && startMonth > endMonth)) {
-                        this.showBackupResult('❌ 開始日が終了日より後になっています', 'error');
-                        return;
-                    }
-                    break;
-            }
-            
-            this.showBackupResult(`${store.name}のデータをエクスポート中...`, 'info');
-            
-            const exportData = this.generateExportData(startYear, startMonth, endYear, endMonth, selectedStoreId);
+            const skipFutureDuplicates = document.getElementById('skip-future-duplicates').checked;
             
-            let periodText = '';
-            if (selectedRange === 'all') {
-                periodText = '全データ';
-            } else if (selectedRange === 'current-year') {
-                periodText = `${currentYear}年`;
-            } else {
-                periodText = `${startYear}年${startMonth}月-${endYear}年${endMonth}月`;
-            }
+            // 重複チェックをスキップしてデータ移動を実行
+            await this.dataManager.moveRecordToStore(category, recordId, targetStoreId, true);
             
-            const filename = `${store.name}_${periodText}_${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.json`;
+            this.hideDuplicateConfirmDialog();
             
-            this.downloadJSON(exportData, filename);
-            this.hideStoreSelectExportDialog();
+            const targetStore = window.storeManager.getStoreById(targetStoreId);
+            this.showMessage(`データを「${targetStore.name}」に移動しました`, 'success');
             
-            this.showBackupResult(
-                `✓ ${store.name}のエクスポート完了！<br>期間: ${periodText}<br>ファイル名: ${filename}<br>レコード数: ${exportData.exportInfo.totalRecords}件`,
-                'success'
-            );
+            // 画面を更新
+            this.showSection(this.currentSection);
             
         } catch (error) {
-            console.error('店舗選択エクスポートエラー:', error);
-            this.showBackupResult(`❌ エクスポートに失敗しました: ${error.message}`, 'error');
+            console.error('重複確認後のデータ移動エラー:', error);
+            this.showMessage('データ移動に失敗しました: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 重複確認ダイアログを閉じる
+     */
+    hideDuplicateConfirmDialog() {
+        const modal = document.getElementById('duplicate-confirm-modal');
+        if (modal) {
+            modal.remove();
         }
     }
 
     /**
-     * 店舗エクスポートデータ生成（全期間）
+     * データ移動履歴表示（変更履歴の店舗移動のみ）
      */
-    generateStoreExportData(storeId) {
-        return this.generateExportData(2000, 1, 2100, 12, storeId);
+    showDataMoveHistory() {
+        this.showAuditLog({ action: 'move' });
     }
 
     /**
-     * インポートファイル処理
+     * 変更履歴の表示
+     * initialFiltersで操作の種類などを絞り込んだ状態で開く
      */
-    async handleImportFile(inputOrFile) {
-        console.log('handleImportFile called with:', inputOrFile);
-        
-        let file;
-        
-        // 引数がFileオブジェクトかinput要素かを判定
-        if (inputOrFile instanceof File) {
-            // 直接Fileオブジェクトが渡された場合
-            file = inputOrFile;
-            console.log('Direct file object received');
-        } else if (inputOrFile && inputOrFile.files && inputOrFile.files.length > 0) {
-            // input要素が渡された場合
-            file = inputOrFile.files[0];
-            console.log('File from input element');
-        } else {
-            console.log('ファイルが選択されていません');
-            this.showBackupResult('ファイルが選択されていません', 'warning');
+    showAuditLog(initialFilters = {}) {
+        if (!window.auditLogManager) {
+            this.showMessage('変更履歴機能が利用できません', 'error');
             return;
         }
 
-        console.log('インポートファイル:', file.name, file.type, file.size);
+        this.hideModal();
 
-        try {
-            if (!window.backupManager) {
-                console.error('BackupManager not available:', typeof window.backupManager);
-                throw new Error('BackupManagerが初期化されていません');
-            }
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const toOptions = (items) => Object.entries(items)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        const storeOptions = window.storeManager.getStores()
+            .map(store => `<option value="${store.id}">${this.escapeHTML(store.name)}</option>`)
+            .join('');
+
+        const content = `
+            <form id="audit-log-form" class="data-form audit-log-filters">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="audit-log-store">店舗</label>
+                        <select id="audit-log-store"><option value="">すべての店舗</option>${storeOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="audit-log-category">カテゴリー</label>
+                        <select id="audit-log-category"><option value="">すべて</option>${toOptions(DataModels.getCategoryLabels())}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="audit-log-action">操作</label>
+                        <select id="audit-log-action"><option value="">すべて</option>${toOptions(window.auditLogManager.getActions())}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="audit-log-source">変更元</label>
+                        <select id="audit-log-source"><option value="">すべて</option>${toOptions(window.auditLogManager.getSources())}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="audit-log-period">対象年月</label>
+                    <select id="audit-log-period"
+                            onchange="document.getElementById('audit-log-range').style.display = this.value === 'range' ? 'flex' : 'none'">
+                        <option value="all">すべて</option>
+                        <option value="range">期間指定</option>
+                    </select>
+                    <div class="date-input-group" id="audit-log-range" style="display: none;">
+                        <select id="audit-log-start-year">${this.generateYearOptions()}</select>
+                        <select id="audit-log-start-month">${this.generateMonthOptions()}</select>
+                        <span>〜</span>
+                        <select id="audit-log-end-year">${this.generateYearOptions()}</select>
+                        <select id="audit-log-end-month">${this.generateMonthOptions()}</select>
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">絞り込み</button>
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.exportAuditLog()">CSVエクスポート</button>
+                    <button type="button" class="btn btn-outline" onclick="uiManager.hideModal()">閉じる</button>
+                </div>
+            </form>
+            <div id="audit-log-results" class="audit-log-results"></div>
+        `;
 
-            this.showBackupResult('データをインポート中...', 'info');
-            
-            // ファイル内容を事前に確認
-            const fileContent = await this.readFileAsText(file);
-            console.log('ファイル内容（最初の500文字）:', fileContent.substring(0, 500));
-            
-            let parsedData;
-            try {
-                parsedData = JSON.parse(fileContent);
-                console.log('パースされたデータの構造:', Object.keys(parsedData));
-                console.log('データの詳細:', parsedData);
-            } catch (parseError) {
-                throw new Error('JSONファイルの解析に失敗しました: ' + parseError.message);
-            }
-            
-            const result = await window.backupManager.importData(file);
-            console.log('インポート結果:', result);
-            
-            if (result && result.success) {
-                let message = `✓ インポート完了！<br>新規追加: ${result.importedRecords || 0}件`;
-                
-                if (result.skippedRecords > 0) {
-                    message += `<br>重複スキップ: ${result.skippedRecords}件`;
-                }
-                
-                if (result.hasErrors && result.errors && result.errors.length > 0) {
-                    message += `<br>⚠️ エラー: ${result.errors.length}件`;
-                }
-                
-                if (result.totalRecords) {
-                    message += `<br>総件数: ${result.totalRecords}件`;
-                }
-                
-                this.showBackupResult(message, result.hasErrors ? 'warning' : 'success');
-                
-                // データが更新されたので画面を更新
-                setTimeout(() => {
-                    location.reload();
-                }, 2000);
-                
-            } else {
-                throw new Error(result.error);
-            }
-            
-        } catch (error) {
-            console.error('インポートエラー:', error);
-            this.showBackupResult(`❌ インポートに失敗しました: ${error.message}`, 'error');
-        } finally {
-            // ファイル入力をリセット
-            const inputElement = document.getElementById('import-file');
-            if (inputElement) {
-                inputElement.value = '';
+        this.showModal('変更履歴', content);
+
+        document.getElementById('audit-log-start-year').value = globalDate.year;
+        document.getElementById('audit-log-start-month').value = globalDate.month;
+        document.getElementById('audit-log-end-year').value = globalDate.year;
+        document.getElementById('audit-log-end-month').value = globalDate.month;
+        ['store', 'category', 'action', 'source'].forEach(key => {
+            const filterKey = key === 'store' ? 'storeId' : key;
+            if (initialFilters[filterKey]) {
+                document.getElementById(`audit-log-${key}`).value = initialFilters[filterKey];
             }
-        }
+        });
+
+        document.getElementById('audit-log-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.renderAuditLogResults();
+        });
+        this.renderAuditLogResults();
     }
 
     /**
-     * 手動バックアップ作成
+     * 変更履歴の絞り込み条件の読み取り
      */
-    async createManualBackup() {
-        try {
-            if (!window.backupManager) {
-                throw new Error('BackupManagerが初期化されていません');
-            }
+    readAuditLogFilters() {
+        const value = id => document.getElementById(id).value;
+        const filters = {
+            storeId: value('audit-log-store'),
+            category: value('audit-log-category'),
+            action: value('audit-log-action'),
+            source: value('audit-log-source')
+        };
 
-            this.showBackupResult('バックアップを作成中...', 'info');
-            
-            const result = await window.backupManager.createAutoBackup('manual');
-            
-            if (result.success) {
-                this.showBackupResult('✓ バックアップを作成しました', 'success');
-                this.refreshBackupList();
-            } else {
-                throw new Error(result.error);
-            }
-            
-        } catch (error) {
-            console.error('バックアップ作成エラー:', error);
-            this.showBackupResult(`❌ バックアップ作成に失敗しました: ${error.message}`, 'error');
+        if (value('audit-log-period') === 'range') {
+            filters.startYear = parseInt(value('audit-log-start-year'), 10);
+            filters.startMonth = parseInt(value('audit-log-start-month'), 10);
+            filters.endYear = parseInt(value('audit-log-end-year'), 10);
+            filters.endMonth = parseInt(value('audit-log-end-month'), 10);
         }
+
+        return filters;
     }
 
     /**
-     * バックアップ一覧更新
+     * 変更履歴の一覧表示（新しい順に最大500件）
      */
-    refreshBackupList() {
-        console.log('refreshBackupList called');
-        const listContainer = document.getElementById('backup-list');
-        console.log('backup-list element:', listContainer);
-        
-        if (!listContainer) {
-            console.warn('backup-list要素が見つかりません');
-            return;
-        }
-        
-        if (!window.backupManager) {
-            console.warn('BackupManagerが初期化されていません');
-            listContainer.innerHTML = '<p class="no-backups">⚠️ バックアップ機能が利用できません</p>';
+    renderAuditLogResults() {
+        const container = document.getElementById('audit-log-results');
+        if (!container) return;
+
+        const maxRows = 500;
+        const manager = window.auditLogManager;
+        const entries = manager.getEntries(this.readAuditLogFilters());
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="no-data">条件に合う変更履歴はありません。</p>';
             return;
         }
 
-        console.log('BackupManager available, getting backup list...');
-        let backups;
-        try {
-            backups = window.backupManager.getBackupList();
-            console.log('Backup list retrieved:', backups);
-        } catch (error) {
-            console.error('getBackupList error:', error);
-            listContainer.innerHTML = '<p class="no-backups">❌ バックアップ一覧の取得に失敗しました</p>';
+        const actions = manager.getActions();
+        const sources = manager.getSources();
+        const fieldLabels = manager.getFieldLabels();
+        const rows = entries.slice(0, maxRows).map(entry => {
+            const changes = entry.fields.map(field => {
+                const label = fieldLabels[field.field] || field.field;
+                if (entry.action === 'add' || entry.action === 'restore') {
+                    return `${label}: ${this.escapeHTML(manager.formatValue(field.field, field.after))}`;
+                }
+                if (entry.action === 'delete') {
+                    return `${label}: ${this.escapeHTML(manager.formatValue(field.field, field.before))}`;
+                }
+                return `${label}: ${this.escapeHTML(manager.formatValue(field.field, field.before))} → ${this.escapeHTML(manager.formatValue(field.field, field.after))}`;
+            }).join('<br>');
+
+            return `
+                <tr>
+                    <td>${new Date(entry.timestamp).toLocaleString('ja-JP')}</td>
+                    <td><span class="audit-log-action audit-log-${entry.action}">${actions[entry.action] || entry.action}</span></td>
+                    <td>${sources[entry.source] || entry.source}</td>
+                    <td>${this.escapeHTML(manager.getStoreName(entry.storeId))}</td>
+                    <td>${entry.category ? this.getCategoryDisplayName(entry.category) : '-'}</td>
+                    <td>${manager.formatPeriod(entry) || '-'}</td>
+                    <td class="audit-log-changes">${changes || '-'}</td>
+                    <td>${this.escapeHTML(entry.note || '') || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <p class="form-help">${entries.length}件${entries.length > maxRows ? `（新しい${maxRows}件を表示。すべての履歴はCSVエクスポートで確認できます）` : ''}</p>
+            <div class="audit-log-table">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>日時</th>
+                            <th>操作</th>
+                            <th>変更元</th>
+                            <th>店舗</th>
+                            <th>カテゴリー</th>
+                            <th>対象年月日</th>
+                            <th>変更内容</th>
+                            <th>備考</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * 絞り込み中の変更履歴のCSVエクスポート
+     */
+    exportAuditLog() {
+        const result = window.auditLogManager.exportToCSV(this.readAuditLogFilters());
+        if (!result.success) {
+            this.showMessage(`変更履歴のエクスポートに失敗しました: ${result.error}`, 'error');
             return;
         }
-        
-        if (backups.length === 0) {
-            console.log('No backups found, showing empty message');
-            listContainer.innerHTML = '<p class="no-backups">バックアップがありません</p>';
+        this.showMessage(`${result.filename} をエクスポートしました（${result.entryCount}件）`, 'success');
+    }
+
+    /**
+     * ゴミ箱の表示
+     * initialFiltersでカテゴリー・店舗を絞り込んだ状態で開く
+     */
+    showTrash(initialFilters = {}) {
+        if (!window.trashManager) {
+            this.showMessage('ゴミ箱機能が利用できません', 'error');
             return;
         }
 
-        console.log('Generating HTML for', backups.length, 'backups');
-        let html = '<div class="backup-table">';
-        html += `
-            <div class="backup-table-header">
-                <div>作成日時</div>
-                <div>種類</div>
-                <div>レコード数</div>
-                <div>操作</div>
-            </div>
-        `;
+        this.hideModal();
 
-        backups.forEach(backup => {
-            const date = new Date(backup.date);
-            const dateStr = date.toLocaleString('ja-JP');
-            const reasonText = backup.reason === 'manual' ? '手動' : 
-                              backup.reason === 'auto' ? '自動' : 
-                              backup.reason.includes('import') ? 'インポート前' :
-                              backup.reason.includes('restore') ? '復元前' : backup.reason;
+        const manager = window.trashManager;
+        const toOptions = (items) => Object.entries(items)
+            .map(([value, label]) => `<option value="${value}">${this.escapeHTML(label)}</option>`)
+            .join('');
+        // 削除済みの店舗のレコードもゴミ箱に残るため、現在の店舗とゴミ箱にある店舗を合わせて選択肢にする
+        const stores = new Map(window.storeManager.getStores().map(store => [store.id, store.name]));
+        manager.getStoresInTrash().forEach(store => {
+            if (!stores.has(store.id)) {
+                stores.set(store.id, `${store.name}（削除済み）`);
+            }
+        });
+        const retentionDays = manager.getRetentionDays();
 
-            html += `
-                <div class="backup-table-row">
-                    <div class="backup-date">${dateStr}</div>
-                    <div class="backup-reason">${reasonText}</div>
-                    <div class="backup-count">${backup.recordCount}件</div>
-                    <div class="backup-actions">
-                        <button class="btn btn-sm btn-primary" 
-                                onclick="uiManager.restoreFromBackup('${backup.key}')">
-                            復元
-                        </button>
-                        <button class="btn btn-sm btn-danger" 
-                                onclick="uiManager.deleteBackup('${backup.key}')">
-                            削除
-                        </button>
+        const content = `
+            <form id="trash-form" class="data-form trash-filters">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="trash-store">店舗</label>
+                        <select id="trash-store"><option value="">すべての店舗</option>${toOptions(Object.fromEntries(stores))}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="trash-category">カテゴリー</label>
+                        <select id="trash-category"><option value="">すべて</option>${toOptions(DataModels.getCategoryLabels())}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="trash-retention">保存期間</label>
+                        <select id="trash-retention">${toOptions(manager.getRetentionOptions())}</select>
+                        <small class="form-help">期間を過ぎた項目は自動的に完全削除されます</small>
                     </div>
                 </div>
+            </form>
+            <div id="trash-results" class="trash-results"></div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="uiManager.restoreTrashItems()">選択した項目を復元</button>
+                <button type="button" class="btn btn-danger" onclick="uiManager.purgeTrashItems()">選択した項目を完全に削除</button>
+                <button type="button" class="btn btn-warning" onclick="uiManager.emptyTrash()">ゴミ箱を空にする</button>
+                <button type="button" class="btn btn-outline" onclick="uiManager.hideModal()">閉じる</button>
+            </div>
+        `;
+
+        this.showModal('ゴミ箱', content);
+
+        document.getElementById('trash-retention').value = retentionDays;
+        if (initialFilters.storeId) {
+            document.getElementById('trash-store').value = initialFilters.storeId;
+        }
+        if (initialFilters.category) {
+            document.getElementById('trash-category').value = initialFilters.category;
+        }
+
+        ['trash-store', 'trash-category'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderTrashItems());
+        });
+        document.getElementById('trash-retention').addEventListener('change', (e) => {
+            try {
+                const purgedCount = manager.setRetentionDays(parseInt(e.target.value, 10));
+                this.showMessage(purgedCount > 0
+                    ? `保存期間を変更し、期間を過ぎた${purgedCount}件を完全に削除しました`
+                    : '保存期間を変更しました', 'success');
+                this.renderTrashItems();
+            } catch (error) {
+                this.showMessage('保存期間の変更に失敗しました: ' + error.message, 'error');
+            }
+        });
+        this.renderTrashItems();
+    }
+
+    /**
+     * ゴミ箱の絞り込み条件の読み取り
+     */
+    readTrashFilters() {
+        return {
+            storeId: document.getElementById('trash-store').value,
+            category: document.getElementById('trash-category').value
+        };
+    }
+
+    /**
+     * ゴミ箱の一覧表示（新しく削除した順）
+     */
+    renderTrashItems() {
+        const container = document.getElementById('trash-results');
+        if (!container) return;
+
+        const manager = window.trashManager;
+        const items = manager.getItems(this.readTrashFilters());
+        if (items.length === 0) {
+            container.innerHTML = '<p class="no-data">ゴミ箱は空です。</p>';
+            return;
+        }
+
+        const sources = window.auditLogManager ? window.auditLogManager.getSources() : {};
+        const rows = items.map(item => {
+            const record = item.record;
+            const period = record.day ? `${record.year}/${record.month}/${record.day}` : `${record.year}/${record.month}`;
+            const expiresAt = manager.getExpiresAt(item);
+            const detail = [record.category, record.note].filter(Boolean).map(value => this.escapeHTML(String(value))).join(' / ');
+
+            return `
+                <tr>
+                    <td><input type="checkbox" class="trash-item-checkbox" value="${item.id}"></td>
+                    <td>${new Date(item.deletedAt).toLocaleString('ja-JP')}</td>
+                    <td>${this.escapeHTML(manager.getStoreName(record.storeId)) || '-'}</td>
+                    <td>${this.getCategoryDisplayName(item.category)}</td>
+                    <td>${period}</td>
+                    <td class="amount">${this.formatNumber(record.amount || 0)}円</td>
+                    <td>${detail || '-'}</td>
+                    <td>${this.escapeHTML(item.label || sources[item.source] || '')}</td>
+                    <td>${expiresAt ? expiresAt.toLocaleDateString('ja-JP') : '無期限'}</td>
+                </tr>
             `;
+        }).join('');
+
+        container.innerHTML = `
+            <p class="form-help">${items.length}件</p>
+            <div class="trash-table">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" id="trash-select-all" title="すべて選択"></th>
+                            <th>削除日時</th>
+                            <th>店舗</th>
+                            <th>カテゴリー</th>
+                            <th>対象年月日</th>
+                            <th>金額</th>
+                            <th>内容</th>
+                            <th>削除した操作</th>
+                            <th>自動削除日</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('trash-select-all').addEventListener('change', (e) => {
+            container.querySelectorAll('.trash-item-checkbox').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+            });
         });
+    }
 
-        html += '</div>';
-        console.log('Setting HTML content:', html.substring(0, 200) + '...');
-        listContainer.innerHTML = html;
-        console.log('HTML content set successfully');
+    /**
+     * ゴミ箱で選択中の項目ID
+     */
+    getSelectedTrashItemIds() {
+        return Array.from(document.querySelectorAll('.trash-item-checkbox:checked')).map(checkbox => checkbox.value);
     }
 
     /**
-     * バックアップから復元
+     * 選択した項目の復元（元の店舗が削除済みの場合は選択中の店舗に戻す）
      */
-    async restoreFromBackup(backupKey) {
-        if (!confirm('現在のデータを選択したバックアップで置き換えますか？\n（現在のデータは自動的にバックアップされます）')) {
+    restoreTrashItems() {
+        const itemIds = this.getSelectedTrashItemIds();
+        if (itemIds.length === 0) {
+            this.showMessage('復元する項目を選択してください', 'warning');
             return;
         }
 
         try {
-            if (!window.backupManager) {
-                throw new Error('BackupManagerが初期化されていません');
-            }
-
-            this.showBackupResult('バックアップから復元中...', 'info');
-            
-            const result = await window.backupManager.restoreFromBackup(backupKey);
-            
-            if (result.success) {
-                this.showBackupResult('✓ 復元完了！ページを再読み込みします...', 'success');
-                
-                setTimeout(() => {
-                    location.reload();
-                }, 2000);
-                
-            } else {
-                throw new Error(result.error);
-            }
-            
+            const result = window.trashManager.restore(itemIds);
+            this.renderTrashItems();
+            this.showSection(this.currentSection);
+            this.showMessage(result.skippedCount > 0
+                ? `${result.restoredCount}件を復元しました（同じレコードが既にある${result.skippedCount}件は復元していません）`
+                : `${result.restoredCount}件を復元しました`, 'success');
         } catch (error) {
-            console.error('復元エラー:', error);
-            this.showBackupResult(`❌ 復元に失敗しました: ${error.message}`, 'error');
+            this.showMessage('復元に失敗しました: ' + error.message, 'error');
         }
     }
 
     /**
-     * バックアップ削除
+     * 選択した項目の完全削除
      */
-    deleteBackup(backupKey) {
-        if (!confirm('このバックアップを削除しますか？')) {
+    purgeTrashItems() {
+        const itemIds = this.getSelectedTrashItemIds();
+        if (itemIds.length === 0) {
+            this.showMessage('完全に削除する項目を選択してください', 'warning');
             return;
         }
-
-        try {
-            localStorage.removeItem(backupKey);
-            this.showBackupResult('✓ バックアップを削除しました', 'success');
-            this.refreshBackupList();
-            
-        } catch (error) {
-            console.error('バックアップ削除エラー:', error);
-            this.showBackupResult(`❌ バックアップ削除に失敗しました: ${error.message}`, 'error');
+        if (!confirm(`選択した${itemIds.length}件を完全に削除しますか？\n完全に削除した項目は元に戻せません。`)) {
+            return;
         }
+
+        const purgedCount = window.trashManager.purge(itemIds);
+        this.renderTrashItems();
+        this.showMessage(`${purgedCount}件を完全に削除しました`, 'success');
     }
 
     /**
-     * バックアップ結果表示
+     * 絞り込み中のゴミ箱を空にする
      */
-    showBackupResult(message, type = 'info') {
-        const resultDiv = document.getElementById('backup-result');
-        if (!resultDiv) return;
-
-        resultDiv.className = `backup-result ${type}`;
-        resultDiv.innerHTML = message;
-        resultDiv.style.display = 'block';
-
-        // 成功・エラーメッセージは5秒後に自動で隠す
-        if (type === 'success' || type === 'error') {
-            setTimeout(() => {
-                resultDiv.style.display = 'none';
-            }, 5000);
+    emptyTrash() {
+        const filters = this.readTrashFilters();
+        const count = window.trashManager.getItems(filters).length;
+        if (count === 0) {
+            this.showMessage('ゴミ箱は空です', 'info');
+            return;
         }
+        const scope = filters.storeId || filters.category ? '表示中の' : 'ゴミ箱の';
+        if (!confirm(`${scope}${count}件をすべて完全に削除しますか？\n完全に削除した項目は元に戻せません。`)) {
+            return;
+        }
+
+        const purgedCount = window.trashManager.empty(filters);
+        this.renderTrashItems();
+        this.showMessage(`${purgedCount}件を完全に削除しました`, 'success');
     }
 
     /**
-     * データ移動時の重複確認ダイアログ表示
+     * 月次締めの表示（選択中の店舗の1年分）
      */
-    showDataMoveDuplicateConfirmDialog(recordId, category, targetStoreId, duplicates, warnings, record) {
-        const targetStore = window.storeManager.getStoreById(targetStoreId);
-        
-        const dialogHTML = `
-            <div class="modal-overlay" id="duplicate-confirm-modal">
-                <div class="modal-content duplicate-dialog">
-                    <div class="modal-header">
-                        <h3>⚠️ 重複データの確認</h3>
-                    </div>
-                    <div class="modal-body">
-                        <div class="duplicate-warning">
-                            <p><strong>移動先店舗「${targetStore.name}」に類似データが見つかりました。</strong></p>
-                            <p>移動を続行しますか？</p>
-                        </div>
-                        
-                        <div class="record-info">
-                            <h4>移動対象データ:</h4>
-                            <div class="record-details">
-                                <p>年月: ${record.year}年${record.month}月</p>
-                                <p>金額: ${record.amount.toLocaleString()}円</p>
-                                ${record.category ? `<p>カテゴリー: ${record.category}</p>` : ''}
-                                ${record.note ? `<p>備考: ${record.note}</p>` : ''}
-                            </div>
-                        </div>
-                        
-                        ${duplicates.length > 0 ? `
-                        <div class="duplicates-section">
-                            <h4>重複データ (${duplicates.length}件):</h4>
-                            <div class="duplicates-list">
-                                ${duplicates.map(dup => `
-                                    <div class="duplicate-item ${dup.type}">
-                                        <span class="duplicate-type">[${dup.type === 'exact' ? '完全一致' : '類似'}]</span>
-                                        <span class="duplicate-details">
-                                            ${dup.record.year}年${dup.record.month}月 - ${dup.record.amount.toLocaleString()}円
-                                            ${dup.record.note ? ` (${dup.record.note})` : ''}
-                                        </span>
-                                        <span class="duplicate-message">${dup.message}</span>
-                                    </div>
-                                `).join('')}
-                            </div>
-                        </div>
-                        ` : ''}
-                        
-                        ${warnings.length > 0 ? `
-                        <div class="warnings-section">
-                            <h4>警告 (${warnings.length}件):</h4>
-                            <div class="warnings-list">
-                                ${warnings.map(warning => `
-                                    <div class="warning-item">
-                                        <span class="warning-message">${warning.message}</span>
-                                    </div>
-                                `).join('')}
-                            </div>
-                        </div>
-                        ` : ''}
-                        
-                        <div class="confirmation-options">
-                            <label>
-                                <input type="checkbox" id="skip-future-duplicates"> 
-                                今後の重複チェックをスキップ（このセッション中のみ）
-                            </label>
-                        </div>
-                    </div>
-                    <div class="modal-footer">
-                        <button class="btn btn-primary" onclick="uiManager.confirmDataMoveWithDuplicates('${recordId}', '${category}', '${targetStoreId}')">
-                            移動を続行
-                        </button>
-                        <button class="btn btn-secondary" onclick="uiManager.hideDuplicateConfirmDialog()">
-                            キャンセル
-                        </button>
-                    </div>
+    showMonthlyClosing(year = null) {
+        if (!window.closingManager) {
+            this.showMessage('月次締め機能が利用できません', 'error');
+            return;
+        }
+
+        const store = window.storeManager.getActiveStore();
+        if (!store) {
+            this.showMessage('店舗を選択してください', 'warning');
+            return;
+        }
+
+        this.hideModal();
+
+        const globalDate = window.app ? window.app.getGlobalDate() : { year: new Date().getFullYear(), month: new Date().getMonth() + 1 };
+        const targetYear = year || globalDate.year;
+
+        const content = `
+            <div class="monthly-closing">
+                <p>店舗「${this.escapeHTML(store.name)}」の月ごとの締め状況です。締めた月は売上・経費の追加・編集・削除・店舗移動ができなくなります。</p>
+                <div class="form-group">
+                    <label for="closing-year">年</label>
+                    <select id="closing-year">${this.generateYearOptions()}</select>
+                </div>
+                <div id="closing-months"></div>
+                <h4>締め・締め解除の履歴</h4>
+                <div id="closing-history"></div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" onclick="uiManager.hideModal()">閉じる</button>
                 </div>
             </div>
         `;
 
-        document.body.insertAdjacentHTML('beforeend', dialogHTML);
+        this.showModal('月次締め', content);
+
+        const yearSelect = document.getElementById('closing-year');
+        yearSelect.value = targetYear;
+        yearSelect.addEventListener('change', () => this.renderMonthlyClosing(parseInt(yearSelect.value, 10)));
+        this.renderMonthlyClosing(targetYear);
     }
 
     /**
-     * 重複確認後のデータ移動実行
+     * 月次締めの月別一覧と履歴の表示
      */
-    async confirmDataMoveWithDuplicates(recordId, category, targetStoreId) {
-        try {
-            const skipFutureDuplicates = document.getElementById('skip-future-duplicates').checked;
-            
-            // 重複チェックをスキップしてデータ移動を実行
-            await this.dataManager.moveRecordToStore(category, recordId, targetStoreId, true);
-            
-            this.hideDuplicateConfirmDialog();
-            
-            const targetStore = window.storeManager.getStoreById(targetStoreId);
-            this.showMessage(`データを「${targetStore.name}」に移動しました`, 'success');
-            
-            // 画面を更新
-            this.showSection(this.currentSection);
-            
-        } catch (error) {
-            console.error('重複確認後のデータ移動エラー:', error);
-            this.showMessage('データ移動に失敗しました: ' + error.message, 'error');
+    renderMonthlyClosing(year) {
+        const container = document.getElementById('closing-months');
+        if (!container) return;
+
+        const manager = window.closingManager;
+        const storeId = window.storeManager.getActiveStoreId();
+        const rows = [];
+
+        for (let month = 1; month <= 12; month++) {
+            const closing = manager.getClosing(storeId, year, month);
+            const records = this.dataManager.getRecordsByMonth(year, month, storeId);
+            const recordCount = Object.values(records).reduce((total, items) => total + items.length, 0);
+
+            rows.push(`
+                <tr class="${closing ? 'closing-closed' : ''}">
+                    <td>${month}月</td>
+                    <td>${recordCount}件</td>
+                    <td>${closing ? `🔒 締め済み（${new Date(closing.closedAt).toLocaleString('ja-JP')}）` : '未締め'}</td>
+                    <td>
+                        ${closing
+                            ? `<button type="button" class="btn btn-sm btn-warning" onclick="uiManager.showReopenPeriodForm(${year}, ${month})">締めを解除</button>`
+                            : `<button type="button" class="btn btn-sm btn-primary" onclick="uiManager.closePeriod(${year}, ${month})">締める</button>`}
+                    </td>
+                </tr>
+            `);
         }
+
+        container.innerHTML = `
+            <table class="data-table closing-table">
+                <thead>
+                    <tr>
+                        <th>月</th>
+                        <th>レコード</th>
+                        <th>状態</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+
+        const history = manager.getHistory(storeId);
+        document.getElementById('closing-history').innerHTML = history.length === 0
+            ? '<p class="no-data">履歴はありません。</p>'
+            : `<ul class="closing-history">${history.map(entry => `
+                <li>
+                    ${new Date(entry.timestamp).toLocaleString('ja-JP')}
+                    ${entry.year}年${entry.month}月を${entry.action === 'close' ? '締めました' : '締め解除しました'}
+                    ${entry.reason ? `（理由: ${this.escapeHTML(entry.reason)}）` : ''}
+                </li>
+            `).join('')}</ul>`;
     }
 
     /**
-     * 重複確認ダイアログを閉じる
+     * 月次締めの実行
      */
-    hideDuplicateConfirmDialog() {
-        const modal = document.getElementById('duplicate-confirm-modal');
-        if (modal) {
-            modal.remove();
+    closePeriod(year, month) {
+        const store = window.storeManager.getActiveStore();
+        if (!confirm(`店舗「${store.name}」の${year}年${month}月を締めますか？\n締めた月のデータは、締めを解除するまで変更できなくなります。`)) {
+            return;
+        }
+
+        try {
+            window.closingManager.close(store.id, year, month);
+            this.renderMonthlyClosing(year);
+            this.showMessage(`${year}年${month}月を締めました`, 'success');
+        } catch (error) {
+            this.showMessage('月次締めに失敗しました: ' + error.message, 'error');
         }
     }
 
     /**
-     * データ移動履歴の記録
+     * 締め解除フォームの表示（理由の入力が必要）
      */
-    recordDataMoveHistory(category, recordIds, targetStoreId, reason, movedCount, errors) {
-        try {
-            const currentStore = window.storeManager.getActiveStore();
-            const targetStore = window.storeManager.getStoreById(targetStoreId);
-            
-            const historyRecord = {
-                id: this.dataManager.generateUUID(),
-                timestamp: new Date().toISOString(),
-                category: category,
-                recordIds: recordIds,
-                fromStoreId: currentStore?.id,
-                fromStoreName: currentStore?.name,
-                toStoreId: targetStoreId,
-                toStoreName: targetStore.name,
-                reason: reason || '',
-                movedCount: movedCount,
-                totalCount: recordIds.length,
-                errors: errors
-            };
+    showReopenPeriodForm(year, month) {
+        const store = window.storeManager.getActiveStore();
+        this.hideModal();
 
-            // ローカルストレージに履歴を保存
-            const historyKey = 'kaikei-data-move-history';
-            const existingHistory = JSON.parse(localStorage.getItem(historyKey) || '[]');
-            existingHistory.push(historyRecord);
-            
-            // 最新100件のみ保持
-            if (existingHistory.length > 100) {
-                existingHistory.splice(0, existingHistory.length - 100);
-            }
-            
-            localStorage.setItem(historyKey, JSON.stringify(existingHistory));
-            
-            console.log('データ移動履歴を記録しました:', historyRecord);
+        const content = `
+            <form id="reopen-period-form" class="data-form">
+                <div class="form-errors" id="reopen-period-errors" style="display: none;"></div>
+                <p>店舗「${this.escapeHTML(store.name)}」の${year}年${month}月の締めを解除します。解除の理由は変更履歴に記録されます。</p>
+                <div class="form-group">
+                    <label for="reopen-reason">解除の理由 <span class="required">*</span></label>
+                    <textarea id="reopen-reason" rows="3" maxlength="200" required placeholder="例: 税理士からの指摘で仕入れを訂正"></textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.showMonthlyClosing(${year})">キャンセル</button>
+                    <button type="submit" class="btn btn-warning">締めを解除</button>
+                </div>
+            </form>
+        `;
 
-        } catch (error) {
-            console.error('移動履歴の記録に失敗しました:', error);
-        }
+        this.showModal('締めの解除', content);
+        document.getElementById('reopen-period-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                window.closingManager.reopen(store.id, year, month, document.getElementById('reopen-reason').value);
+                this.showMessage(`${year}年${month}月の締めを解除しました`, 'success');
+                this.showMonthlyClosing(year);
+            } catch (error) {
+                const errorContainer = document.getElementById('reopen-period-errors');
+                errorContainer.textContent = error.message;
+                errorContainer.style.display = 'block';
+            }
+        });
     }
 
     /**
-     * データ移動履歴表示
+     * 別のタブとの変更の競合の表示
+     * 他のダイアログを開いている場合は入力中の内容を消さないよう、通知から開けるようにする
      */
-    showDataMoveHistory() {
-        try {
-            const historyKey = 'kaikei-data-move-history';
-            const history = JSON.parse(localStorage.getItem(historyKey) || '[]');
-            
-            if (history.length === 0) {
-                this.showMessage('データ移動履歴がありません', 'info');
-                return;
+    showSyncConflicts() {
+        const manager = window.tabSyncManager;
+        if (!manager || manager.conflicts.length === 0) {
+            if (document.getElementById('sync-conflict-list')) {
+                this.hideModal();
             }
+            return;
+        }
 
-            let historyHTML = `
-                <div class="modal" id="move-history-modal">
-                    <div class="modal-content">
-                        <div class="modal-header">
-                            <h3>データ移動履歴</h3>
-                            <button type="button" class="close-btn" onclick="uiManager.hideMoveHistoryDialog()">&times;</button>
-                        </div>
-                        <div class="modal-body">
-                            <div class="history-list">
-                                <table class="data-table">
-                                    <thead>
-                                        <tr>
-                                            <th>日時</th>
-                                            <th>カテゴリー</th>
-                                            <th>移動元</th>
-                                            <th>移動先</th>
-                                            <th>件数</th>
-                                            <th>理由</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-            `;
+        const openModal = document.querySelector('.form-overlay');
+        if (openModal && !document.getElementById('sync-conflict-list')) {
+            if (window.toastManager) {
+                window.toastManager.show(
+                    `別のタブと同じレコードを変更しています（${manager.conflicts.length}件）`,
+                    'warning', 10000, 'タブ間同期',
+                    { label: '確認する', onClick: () => { this.hideModal(); this.showSyncConflicts(); } }
+                );
+            }
+            return;
+        }
 
-            history.reverse().forEach(record => {
-                const timestamp = new Date(record.timestamp).toLocaleString('ja-JP');
-                const categoryName = this.getCategoryDisplayName(record.category);
-                const status = record.movedCount === record.totalCount ? '成功' : 
-                              record.movedCount > 0 ? '部分成功' : '失敗';
-                const statusClass = record.movedCount === record.totalCount ? 'success' : 
-                                   record.movedCount > 0 ? 'warning' : 'error';
+        const fieldLabels = window.auditLogManager ? window.auditLogManager.getFieldLabels() : {};
+        const ignored = ['id', 'createdAt', 'updatedAt'];
+        const formatValue = (field, value) => {
+            if (value === null || value === undefined || value === '') return '（なし）';
+            if (window.auditLogManager) return window.auditLogManager.formatValue(field, value);
+            return String(value);
+        };
 
-                historyHTML += `
-                    <tr>
-                        <td>${timestamp}</td>
-                        <td>${categoryName}</td>
-                        <td>${record.fromStoreName || '不明'}</td>
-                        <td>${record.toStoreName}</td>
-                        <td>
-                            <span class="status-${statusClass}">
-                                ${record.movedCount}/${record.totalCount}件 (${status})
-                            </span>
-                        </td>
-                        <td>${record.reason || '-'}</td>
-                    </tr>
-                `;
-            });
+        const items = manager.conflicts.map(conflict => {
+            const record = conflict.local || conflict.remote;
+            const keys = [...new Set([...Object.keys(conflict.local || {}), ...Object.keys(conflict.remote || {})])]
+                .filter(key => !ignored.includes(key))
+                .filter(key => JSON.stringify((conflict.local || {})[key]) !== JSON.stringify((conflict.remote || {})[key]));
+            const rows = keys.map(key => `
+                <tr>
+                    <td>${fieldLabels[key] || key}</td>
+                    <td>${conflict.local ? this.escapeHTML(formatValue(key, conflict.local[key])) : '（削除済み）'}</td>
+                    <td>${conflict.remote ? this.escapeHTML(formatValue(key, conflict.remote[key])) : '（削除済み）'}</td>
+                </tr>
+            `).join('');
 
-            historyHTML += `
-                                    </tbody>
-                                </table>
-                            </div>
-                            <div class="form-actions">
-                                <button type="button" class="btn btn-secondary" onclick="uiManager.hideMoveHistoryDialog()">閉じる</button>
-                                <button type="button" class="btn btn-danger" onclick="uiManager.clearMoveHistory()">履歴をクリア</button>
-                            </div>
-                        </div>
+            return `
+                <div class="sync-conflict">
+                    <h4>${this.getCategoryDisplayName(conflict.category)} ${record.year}年${record.month}月${record.day ? `${record.day}日` : ''}</h4>
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>項目</th><th>このタブ</th><th>別のタブ</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="uiManager.resolveSyncConflict('${conflict.id}', 'local')">このタブの内容を残す</button>
+                        <button type="button" class="btn btn-primary" onclick="uiManager.resolveSyncConflict('${conflict.id}', 'remote')">別のタブの内容を使う</button>
                     </div>
                 </div>
             `;
+        }).join('');
 
-            document.body.insertAdjacentHTML('beforeend', historyHTML);
-
-        } catch (error) {
-            console.error('移動履歴表示エラー:', error);
-            this.showMessage('履歴の表示に失敗しました', 'error');
-        }
-    }
-
-    /**
-     * データ移動履歴ダイアログを閉じる
-     */
-    hideMoveHistoryDialog() {
-        const modal = document.getElementById('move-history-modal');
-        if (modal) {
-            modal.remove();
-        }
+        this.hideModal();
+        this.showModal('別のタブとの変更の競合', `
+            <div id="sync-conflict-list">
+                <p>このタブと別のタブで同じレコードが変更されました。レコードごとに残す内容を選んでください。</p>
+                ${items}
+            </div>
+        `);
     }
 
     /**
-     * データ移動履歴をクリア
+     * 競合の解決
      */
-    clearMoveHistory() {
-        if (confirm('データ移動履歴をすべて削除しますか？')) {
-            localStorage.removeItem('kaikei-data-move-history');
-            this.hideMoveHistoryDialog();
-            this.showMessage('移動履歴をクリアしました', 'success');
+    resolveSyncConflict(conflictId, choice) {
+        try {
+            window.tabSyncManager.resolveConflict(conflictId, choice);
+            this.showMessage(choice === 'local' ? 'このタブの内容を残しました' : '別のタブの内容を反映しました', 'success');
+        } catch (error) {
+            this.showMessage('競合の解決に失敗しました: ' + error.message, 'error');
         }
+        this.showSyncConflicts();
     }
 
     /**
@@ -5702,7 +10160,8 @@ class UIManager {
             laborCosts: '人件費',
             consumptionTax: '消費税',
             monthlyPayments: '月々の返済',
-            manufacturerDeposits: 'メーカー保証金'
+            manufacturerDeposits: 'メーカー保証金',
+            loanInterest: '支払利息'
         };
         return categoryNames[category] || category;
     }
@@ -5733,7 +10192,7 @@ class UIManager {
             const exportData = this.generateExportData(globalDate.year, globalDate.month, globalDate.year, globalDate.month, activeStore.id);
             const filename = `${activeStore.name}_${globalDate.year}年${globalDate.month}月_収支データ.json`;
             
-            this.downloadJSON(exportData, filename);
+            await this.downloadJSON(exportData, filename);
             this.showMessage(`${globalDate.year}年${globalDate.month}月のデータをエクスポートしました`, 'success');
             
         } catch (error) {
@@ -5755,11 +10214,17 @@ class UIManager {
                 return;
             }
 
-            const exportData = this.generateExportData(globalDate.year, 1, globalDate.year, 12, activeStore.id);
-            const filename = `${activeStore.name}_${globalDate.year}年_収支データ.json`;
+            // 会計年度設定に従って期首月〜期末月を出力
+            const startMonth = this.getFiscalStartMonth();
+            const fiscalYear = DataModels.getFiscalYear(globalDate.year, globalDate.month, startMonth);
+            const range = DataModels.getFiscalYearRange(fiscalYear, startMonth);
+            const yearName = DataModels.getFiscalYearShortLabel(fiscalYear, startMonth);
+
+            const exportData = this.generateExportData(range.startYear, range.startMonth, range.endYear, range.endMonth, activeStore.id);
+            const filename = `${activeStore.name}_${yearName}_収支データ.json`;
             
-            this.downloadJSON(exportData, filename);
-            this.showMessage(`${globalDate.year}年のデータをエクスポートしました`, 'success');
+            await this.downloadJSON(exportData, filename);
+            this.showMessage(`${DataModels.getFiscalYearLabel(fiscalYear, startMonth)}のデータをエクスポートしました`, 'success');
             
         } catch (error) {
             console.error('年次エクスポートエラー:', error);
@@ -5782,7 +10247,7 @@ class UIManager {
             const exportData = this.generateExportData(2000, 1, 2100, 12, activeStore.id);
             const filename = `${activeStore.name}_全データ.json`;
             
-            this.downloadJSON(exportData, filename);
+            await this.downloadJSON(exportData, filename);
             this.showMessage(`${activeStore.name}の全データをエクスポートしました`, 'success');
             
         } catch (error) {
@@ -5874,7 +10339,7 @@ class UIManager {
             const exportData = this.generateExportData(startYear, startMonth, endYear, endMonth, activeStore.id);
             const filename = `${activeStore.name}_${startYear}年${startMonth}月-${endYear}年${endMonth}月_収支データ.json`;
             
-            this.downloadJSON(exportData, filename);
+            await this.downloadJSON(exportData, filename);
             this.hideCustomExportDialog();
             this.showMessage(`${startYear}年${startMonth}月から${endYear}年${endMonth}月のデータをエクスポートしました`, 'success');
             
@@ -5957,8 +10422,9 @@ class UIManager {
     /**
      * JSONファイルダウンロード
      */
-    downloadJSON(data, filename) {
-        const jsonString = JSON.stringify(data, null, 2);
+    async downloadJSON(data, filename) {
+        const fileData = window.cryptoManager ? await window.cryptoManager.protectExport(data) : data;
+        const jsonString = JSON.stringify(fileData, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
@@ -5987,7 +10453,7 @@ class UIManager {
                     </div>
                     <div class="modal-body">
                         <p>同じ年月・金額・店舗の重複データを検出して削除します。</p>
-                        <p><strong>⚠️ この操作は元に戻せません。事前にバックアップを作成することをお勧めします。</strong></p>
+                        <p><strong>⚠️ 削除した重複データは、削除直後であれば「元に戻す」（Ctrl+Z）でまとめて復元できます。</strong></p>
                         <div id="duplicate-scan-result" style="margin-top: 15px;">
                             <!-- スキャン結果がここに表示される -->
                         </div>
@@ -6078,7 +10544,7 @@ class UIManager {
      * 重複データをクリーンアップ
      */
     async cleanupDuplicates() {
-        if (!window.duplicateData || !confirm('重複データを削除しますか？この操作は元に戻せません。')) {
+        if (!window.duplicateData || !confirm('重複データを削除しますか？')) {
             return;
         }
         
@@ -6087,6 +10553,8 @@ class UIManager {
         
         let deletedCount = 0;
         
+        // 重複削除全体を1回の操作として元に戻せるようにする
+        this.dataManager.beginBatch('重複データの削除', { source: 'batch' });
         try {
             for (const [category, duplicates] of Object.entries(window.duplicateData)) {
                 // インデックスの大きい順に削除（配列の変更による影響を避けるため）
@@ -6109,6 +10577,8 @@ class UIManager {
         } catch (error) {
             console.error('重複削除エラー:', error);
             resultDiv.innerHTML = `<p class="error">❌ 削除中にエラーが発生しました: ${error.message}</p>`;
+        } finally {
+            this.dataManager.endBatch();
         }
     }
 
@@ -0,0 +1,209 @@
+/**
+ * 元に戻す・やり直し管理クラス
+ * DataManagerのdataChangedイベントに含まれる変更前後のレコードを操作単位で記録し、
+ * Ctrl+Z / Ctrl+Y とトーストの「元に戻す」から取り消し・再実行する
+ */
+class UndoManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSize = 50;
+        this.pendingToastUnit = null;
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * イベントリスナーの登録
+     */
+    init() {
+        document.addEventListener('dataChanged', this.handleDataChanged);
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * dataChangedイベントから操作を記録
+     * 一括操作の途中のイベントは一括操作の終了時にまとめて記録する
+     */
+    handleDataChanged(event) {
+        const detail = event.detail || {};
+
+        if (detail.action === 'replace') {
+            this.clear();
+            return;
+        }
+        // 別のタブでの変更はそのタブで元に戻す
+        if (detail.isUndoRedo || detail.isRemote || detail.batched || !Array.isArray(detail.changes) || detail.changes.length === 0) {
+            return;
+        }
+
+        this.record({
+            label: detail.label || 'データの変更',
+            changes: detail.changes,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 操作の記録（新しい操作を記録するとやり直し履歴は破棄する）
+     */
+    record(unit) {
+        this.undoStack.push(unit);
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.scheduleToast(unit);
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 直前の操作を元に戻す
+     */
+    undo() {
+        const unit = this.undoStack.pop();
+        if (!unit) {
+            this.notify('元に戻せる操作はありません', 'info');
+            return null;
+        }
+
+        try {
+            this.dataManager.applyRecordStates(unit.changes, 'undo', unit.label);
+        } catch (error) {
+            // 締め済みの月を含む場合などは履歴に戻して中止する
+            this.undoStack.push(unit);
+            this.notify(`「${unit.label}」を元に戻せません: ${error.message}`, 'error');
+            return null;
+        }
+        this.redoStack.push(unit);
+        this.refreshView();
+        this.notify(`「${unit.label}」を元に戻しました`, 'success', { label: 'やり直す', onClick: () => this.redo() });
+        return unit;
+    }
+
+    /**
+     * 元に戻した操作をやり直す
+     */
+    redo() {
+        const unit = this.redoStack.pop();
+        if (!unit) {
+            this.notify('やり直せる操作はありません', 'info');
+            return null;
+        }
+
+        try {
+            this.dataManager.applyRecordStates(unit.changes, 'redo', unit.label);
+        } catch (error) {
+            // 締め済みの月を含む場合などは履歴に戻して中止する
+            this.redoStack.push(unit);
+            this.notify(`「${unit.label}」をやり直せません: ${error.message}`, 'error');
+            return null;
+        }
+        this.undoStack.push(unit);
+        this.refreshView();
+        this.notify(`「${unit.label}」をやり直しました`, 'success', { label: '元に戻す', onClick: () => this.undo() });
+        return unit;
+    }
+
+    /**
+     * 履歴の破棄（データ全体を置き換えた場合など）
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingToastUnit = null;
+    }
+
+    /**
+     * 変更直後のトーストに「元に戻す」を付ける
+     * 同じ処理の中で成功トーストが表示されればそれに付け、表示されなければ専用のトーストを出す
+     */
+    scheduleToast(unit) {
+        this.pendingToastUnit = unit;
+        setTimeout(() => {
+            if (this.pendingToastUnit !== unit) return;
+            this.pendingToastUnit = null;
+            this.notify(`${unit.label}（${unit.changes.length}件）`, 'info', this.createUndoAction(unit));
+        }, 0);
+    }
+
+    /**
+     * 成功トースト用の「元に戻す」アクション取得（ToastManagerから呼ばれる）
+     */
+    takeToastAction() {
+        const unit = this.pendingToastUnit;
+        if (!unit) {
+            return null;
+        }
+        this.pendingToastUnit = null;
+        return this.createUndoAction(unit);
+    }
+
+    /**
+     * 指定した操作が直前の操作である場合だけ元に戻すアクション
+     */
+    createUndoAction(unit) {
+        return {
+            label: '元に戻す',
+            onClick: () => {
+                if (this.undoStack[this.undoStack.length - 1] !== unit) {
+                    this.notify('この操作の後に別の変更があるため、Ctrl+Zで順に元に戻してください', 'warning');
+                    return;
+                }
+                this.undo();
+            }
+        };
+    }
+
+    /**
+     * キーボードショートカット（Ctrl+Z: 元に戻す / Ctrl+Y・Ctrl+Shift+Z: やり直し）
+     * 入力欄では入力内容の取り消しを優先する
+     */
+    handleKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * 表示中の画面を再描画
+     */
+    refreshView() {
+        if (window.uiManager && window.uiManager.currentSection) {
+            window.uiManager.showSection(window.uiManager.currentSection);
+        }
+    }
+
+    /**
+     * トースト表示
+     */
+    notify(message, type, action = null) {
+        if (window.toastManager) {
+            window.toastManager.show(message, type, action ? 8000 : 3000, '', action);
+        }
+    }
+}
+
+window.UndoManager = UndoManager;
@@ -0,0 +1,95 @@
+// テストページ共通の結果表示・エラー確認・テスト専用ストレージの準備
+
+/**
+ * テスト結果の表示
+ */
+function showResult(containerId, message, isSuccess) {
+    const container = document.getElementById(containerId);
+    const div = document.createElement('div');
+    div.className = `test-result ${isSuccess ? 'success' : 'error'}`;
+    div.textContent = `${isSuccess ? '✓' : '✗'} ${message}`;
+    container.appendChild(div);
+}
+
+/**
+ * 処理が指定の文言を含むエラーで失敗するか
+ */
+function throws(operation, text = '') {
+    try {
+        operation();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * 非同期の処理が指定の文言を含むエラーで失敗するか
+ */
+async function rejects(operation, text = '') {
+    try {
+        await operation();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * テスト専用のキーを使うLocalStorageアダプター
+ * 保存データ・店舗データ・その他の項目をすべて「kaikei-test-<name>-」で始まるキーに保存し、前回のテストの内容は削除する
+ */
+function createTestAdapter(name) {
+    const adapter = new LocalStorageAdapter();
+    adapter.itemPrefix = `kaikei-test-${name}-`;
+    adapter.dataKey = `${adapter.itemPrefix}data`;
+    adapter.storeKey = `${adapter.itemPrefix}stores`;
+
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        if (localStorage.key(i).startsWith(adapter.itemPrefix)) {
+            keys.push(localStorage.key(i));
+        }
+    }
+    keys.forEach(key => localStorage.removeItem(key));
+    return adapter;
+}
+
+let testListeners = [];
+
+/**
+ * 管理クラスの初期化
+ * init()でdocumentに登録したイベントリスナーを記録し、次のテストの準備時に外す（再実行で二重に反応しないようにする）
+ */
+async function initTestManager(manager) {
+    const addEventListener = document.addEventListener;
+    document.addEventListener = function (type, listener, options) {
+        testListeners.push({ type, listener });
+        return addEventListener.call(this, type, listener, options);
+    };
+    try {
+        await manager.init();
+    } finally {
+        document.addEventListener = addEventListener;
+    }
+    return manager;
+}
+
+/**
+ * テスト専用のストレージで店舗とデータの管理を作成（アプリと同じくwindowにも設定する）
+ * 前回のテストで初期化した管理クラスのイベントリスナーはここで外す
+ */
+async function createTestManagers(name, storage = createTestAdapter(name)) {
+    testListeners.forEach(({ type, listener }) => document.removeEventListener(type, listener));
+    testListeners = [];
+
+    const storeManager = new StoreManager(storage);
+    await storeManager.loadStoreData();
+    window.storeManager = storeManager;
+
+    const dataManager = new DataManager(storage);
+    await dataManager.loadData();
+    window.dataManager = dataManager;
+
+    return { storeManager, dataManager };
+}